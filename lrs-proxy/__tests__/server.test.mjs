@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createLRSProxy, validateQuery } from '../server.mjs';
+
+const COURSE = 'http://example.com/course/1';
+const AGENT = JSON.stringify({ mbox: 'mailto:ada@example.com' });
+
+const statement = (n) => ({
+  id: `s${n}`,
+  actor: { mbox: 'mailto:ada@example.com' },
+  verb: { id: 'http://adlnet.gov/expapi/verbs/completed' },
+  object: { id: `${COURSE}/module/${n}` },
+  authority: { objectType: 'Agent', account: { homePage: 'https://lrs.example.com', name: 'dashboard-key' } }
+});
+
+// Minimal stand-in for a fetch Response
+const reply = (status, body) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  text: async () => JSON.stringify(body)
+});
+
+describe('validateQuery', () => {
+  const query = (params) => validateQuery({ agent: AGENT, activity: COURSE, ...params });
+
+  it('allows one agent within one activity', () => {
+    expect(query({})).toBeNull();
+  });
+
+  it('requires an agent with an inverse functional identifier', () => {
+    expect(validateQuery({ activity: COURSE })).toMatchObject({ status: 400, message: 'The agent parameter is required' });
+    expect(query({ agent: '{mbox:' })).toMatchObject({ status: 400, message: 'The agent parameter must be JSON' });
+    expect(query({ agent: 'null' })).toMatchObject({ status: 400 });
+    expect(query({ agent: JSON.stringify({ name: 'Ada' }) }))
+      .toMatchObject({ status: 400, message: 'The agent must have an inverse functional identifier' });
+  });
+
+  it('rejects lookups by statement id', () => {
+    expect(query({ statementId: 's1' })).toMatchObject({ status: 400 });
+    expect(query({ voidedStatementId: 's1' })).toMatchObject({ status: 400 });
+  });
+
+  it('limits queries to the permitted activities', () => {
+    expect(validateQuery({ agent: AGENT }, [COURSE])).toMatchObject({ status: 400 });
+    expect(validateQuery({ agent: AGENT, activity: 'http://example.com/course/2' }, [COURSE]))
+      .toMatchObject({ status: 403 });
+    expect(validateQuery({ agent: AGENT, activity: COURSE }, [COURSE])).toBeNull();
+  });
+});
+
+describe('LRS proxy', () => {
+  let server;
+  let base;
+  let upstream;
+
+  const get = (path) => fetch(`${base}${path}`);
+  const statementsPath = (params) => `/api/statements?${new URLSearchParams(params)}`;
+
+  beforeEach(async () => {
+    upstream = vi.fn();
+    ({ server } = createLRSProxy({
+      endpoint: 'https://lrs.example.com/xapi',
+      auth: { type: 'basic', username: 'key', password: 'secret' },
+      allowedActivities: [COURSE],
+      fetch: upstream
+    }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => new Promise(resolve => server.close(resolve)));
+
+  it('adds the credentials upstream and strips authority from the result', async () => {
+    upstream.mockResolvedValue(reply(200, { statements: [statement(1)], more: '' }));
+
+    const response = await get(statementsPath({ agent: AGENT, activity: COURSE, limit: '5000' }));
+    const body = await response.json();
+
+    const [url, init] = upstream.mock.calls[0];
+    expect(new URL(url).searchParams.get('limit')).toBe('500');
+    expect(init.headers.Authorization).toBe(`Basic ${Buffer.from('key:secret').toString('base64')}`);
+    const { authority, ...withoutAuthority } = statement(1);
+    expect(authority).toBeDefined();
+    expect(body.statements).toEqual([withoutAuthority]);
+    expect(JSON.stringify(body)).not.toContain('dashboard-key');
+  });
+
+  it('answers rejected queries without contacting the LRS', async () => {
+    const responses = await Promise.all([
+      get(statementsPath({ activity: COURSE })),
+      get(statementsPath({ agent: JSON.stringify({ name: 'Ada' }), activity: COURSE })),
+      get(statementsPath({ agent: AGENT, activity: COURSE, statementId: 's1' })),
+      get(statementsPath({ agent: AGENT, activity: 'http://example.com/course/2' }))
+    ]);
+
+    expect(responses.map(response => response.status)).toEqual([400, 400, 400, 403]);
+    expect(upstream).not.toHaveBeenCalled();
+  });
+
+  it('swaps more links for opaque tokens that lead back to the LRS page', async () => {
+    upstream
+      .mockResolvedValueOnce(reply(200, { statements: [statement(1)], more: '/xapi/statements?more=page-2' }))
+      .mockResolvedValueOnce(reply(200, { statements: [statement(2)], more: '' }));
+
+    const first = await (await get(statementsPath({ agent: AGENT, activity: COURSE }))).json();
+
+    expect(first.more).toMatch(/^\/api\/statements\?more=[0-9a-f-]{36}$/);
+    expect(first.more).not.toContain('page-2');
+
+    const second = await (await get(first.more)).json();
+
+    expect(upstream.mock.calls[1][0]).toBe('https://lrs.example.com/xapi/statements?more=page-2');
+    expect(second.statements.map(stmt => stmt.id)).toEqual(['s2']);
+  });
+
+  it('rejects tampered or unknown more tokens', async () => {
+    upstream.mockResolvedValue(reply(200, { statements: [], more: '/xapi/statements?more=page-2' }));
+    const { more } = await (await get(statementsPath({ agent: AGENT, activity: COURSE }))).json();
+
+    const tampered = await get(`${more.slice(0, -1)}${more.endsWith('0') ? '1' : '0'}`);
+    const upstreamUrl = await get('/api/statements?more=https%3A%2F%2Flrs.example.com%2Fxapi%2Fstatements');
+
+    expect([tampered.status, upstreamUrl.status]).toEqual([400, 400]);
+    expect(upstream).toHaveBeenCalledTimes(1);
+  });
+
+  it('caches successful reads', async () => {
+    upstream.mockResolvedValue(reply(200, { statements: [statement(1)], more: '' }));
+
+    const first = await get(statementsPath({ agent: AGENT, activity: COURSE }));
+    const second = await get(statementsPath({ agent: AGENT, activity: COURSE }));
+
+    expect([first.headers.get('x-proxy-cache'), second.headers.get('x-proxy-cache')]).toEqual(['MISS', 'HIT']);
+    expect(upstream).toHaveBeenCalledTimes(1);
+  });
+
+  it('is read-only', async () => {
+    const response = await fetch(`${base}/api/statements`, { method: 'POST', body: '[]' });
+
+    expect(response.status).toBe(405);
+  });
+});
@@ -0,0 +1,274 @@
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { resolve } from 'node:path';
+import { createAuthStrategy } from '../src/services/authStrategies.js';
+
+/**
+ * LRS Proxy
+ * Keeps LRS credentials on the server and exposes a read-only, per-learner
+ * statement API to the dashboard. Only GET /about and GET /statements for one
+ * agent and one activity are forwarded; results are cached in memory and the
+ * LRS's `more` links are swapped for opaque proxy tokens.
+ *
+ * Usage: npm run lrs-proxy
+ *   LRS_ENDPOINT                 Upstream xAPI endpoint (required)
+ *   LRS_USERNAME / LRS_PASSWORD  Upstream credentials (basic auth)
+ *   LRS_AUTH_TYPE                basic (default), bearer or oauth2
+ *   LRS_TOKEN                    Bearer token (bearer auth)
+ *   LRS_OAUTH_TOKEN_URL / LRS_OAUTH_CLIENT_ID / LRS_OAUTH_CLIENT_SECRET /
+ *   LRS_OAUTH_SCOPE              Client credentials grant (oauth2 auth)
+ *   LRS_PROXY_PORT               Port to listen on (default 8787)
+ *   LRS_PROXY_ORIGIN             Allowed browser origin (default *)
+ *   LRS_PROXY_ACTIVITIES         Comma-separated course IDs that may be queried
+ *   LRS_PROXY_CACHE_TTL          Cache lifetime in seconds (default 60)
+ */
+
+const BASE_PATH = '/api';
+const XAPI_VERSION = '1.0.3';
+const MAX_LIMIT = 500;
+const MAX_CACHE_ENTRIES = 500;
+const MORE_TOKEN_TTL = 10 * 60 * 1000;
+
+// Query parameters the dashboard may pass through to the LRS
+const ALLOWED_PARAMS = ['agent', 'activity', 'related_activities', 'verb', 'registration', 'since', 'until', 'limit', 'ascending'];
+
+/**
+ * Create the proxy HTTP server
+ * @param {Object} options - Proxy options
+ * @param {string} options.endpoint - Upstream xAPI endpoint
+ * @param {Object} options.auth - Upstream auth settings (see createAuthStrategy)
+ * @param {string} options.origin - Allowed CORS origin
+ * @param {Array} options.allowedActivities - Course IDs that may be queried (empty = any)
+ * @param {number} options.cacheTtl - Cache lifetime in milliseconds
+ * @param {Function} options.fetch - fetch implementation (for tests)
+ * @returns {Object} - { server, cache }
+ */
+export const createLRSProxy = (options) => {
+  const upstream = options.endpoint.endsWith('/') ? options.endpoint : `${options.endpoint}/`;
+  const authStrategy = createAuthStrategy(options.auth);
+  const fetchImpl = options.fetch || fetch;
+  const cacheTtl = options.cacheTtl ?? 60 * 1000;
+  const allowedActivities = options.allowedActivities || [];
+  const cache = new Map();
+  const moreTokens = new Map();
+
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': options.origin || '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Experience-API-Version',
+    'Access-Control-Expose-Headers': 'X-Experience-API-Version, X-Proxy-Cache'
+  };
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, {
+      ...corsHeaders,
+      'Content-Type': 'application/json',
+      'X-Experience-API-Version': XAPI_VERSION,
+      ...headers
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  /**
+   * Fetch from the LRS through the cache
+   */
+  const fetchUpstream = async (url) => {
+    const cached = cache.get(url);
+    if (cached && cached.expires > Date.now()) {
+      return { ...cached, hit: true };
+    }
+
+    const request = async () => fetchImpl(url, {
+      headers: {
+        ...(await authStrategy.getHeaders()),
+        'X-Experience-API-Version': XAPI_VERSION
+      }
+    });
+
+    let response = await request();
+    // Expired upstream token: renew it and try once more
+    if (response.status === 401 && authStrategy.canRefresh()) {
+      authStrategy.invalidate();
+      response = await request();
+    }
+    const text = await response.text();
+    const entry = { status: response.status, body: text ? JSON.parse(text) : null, expires: Date.now() + cacheTtl };
+
+    // Only successful reads are cached; errors should be retried upstream
+    if (response.ok) {
+      if (cache.size >= MAX_CACHE_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+      }
+      cache.set(url, entry);
+    }
+
+    return { ...entry, hit: false };
+  };
+
+  /**
+   * Replace the LRS `more` IRI with an opaque token and strip authority,
+   * which often carries the LRS key name
+   */
+  const sanitizeResult = (body) => {
+    let more = '';
+    if (body.more) {
+      const token = randomUUID();
+      moreTokens.set(token, { url: new URL(body.more, upstream).toString(), expires: Date.now() + MORE_TOKEN_TTL });
+      more = `${BASE_PATH}/statements?more=${token}`;
+    }
+
+    return {
+      statements: body.statements.map(({ authority, ...statement }) => statement),
+      more
+    };
+  };
+
+  const handleStatements = async (res, params) => {
+    let url;
+
+    if (params.more) {
+      const entry = moreTokens.get(params.more);
+      if (!entry || entry.expires < Date.now()) {
+        moreTokens.delete(params.more);
+        return send(res, 400, { error: true, message: 'Unknown or expired more token' });
+      }
+      url = entry.url;
+    } else {
+      const rejection = validateQuery(params, allowedActivities);
+      if (rejection) {
+        return send(res, rejection.status, { error: true, message: rejection.message });
+      }
+
+      const query = new URLSearchParams();
+      ALLOWED_PARAMS.filter(key => params[key] !== undefined).forEach(key => query.set(key, params[key]));
+      query.set('limit', String(Math.min(parseInt(params.limit) || 100, MAX_LIMIT)));
+      url = `${upstream}statements?${query}`;
+    }
+
+    const result = await fetchUpstream(url);
+    if (result.status !== 200) {
+      return send(res, result.status, result.body || { error: true, message: 'LRS request failed' });
+    }
+    if (!Array.isArray(result.body?.statements)) {
+      return send(res, 502, { error: true, message: 'LRS returned a malformed statement result' });
+    }
+
+    return send(res, 200, sanitizeResult(result.body), { 'X-Proxy-Cache': result.hit ? 'HIT' : 'MISS' });
+  };
+
+  const server = createServer(async (req, res) => {
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders);
+        return res.end();
+      }
+
+      if (req.method !== 'GET') {
+        return send(res, 405, { error: true, message: 'The LRS proxy is read-only' });
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      const params = Object.fromEntries(url.searchParams);
+
+      switch (url.pathname.replace(/\/+$/, '')) {
+        case `${BASE_PATH}/about`: {
+          const result = await fetchUpstream(`${upstream}about`);
+          return send(res, result.status, result.body);
+        }
+        case `${BASE_PATH}/statements`:
+          return await handleStatements(res, params);
+        default:
+          return send(res, 404, { error: true, message: `Unknown resource: ${url.pathname}` });
+      }
+    } catch (error) {
+      console.error('LRS proxy error:', error);
+      return send(res, 502, { error: true, message: `LRS unreachable: ${error.message}` });
+    }
+  });
+
+  // Periodically drop expired cache entries and more tokens
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    cache.forEach((entry, key) => entry.expires < now && cache.delete(key));
+    moreTokens.forEach((entry, key) => entry.expires < now && moreTokens.delete(key));
+  }, 60 * 1000);
+  sweep.unref();
+  server.on('close', () => clearInterval(sweep));
+
+  return { server, cache };
+};
+
+/**
+ * Restrict statement queries to one agent within one permitted activity
+ * @param {Object} params - Query parameters from the dashboard
+ * @param {Array} allowedActivities - Permitted course IDs (empty = any)
+ * @returns {Object|null} - { status, message } rejection, or null if the query is allowed
+ */
+export const validateQuery = (params, allowedActivities = []) => {
+  if (params.statementId || params.voidedStatementId) {
+    return { status: 400, message: 'Statement lookups by id are not available through the proxy' };
+  }
+  if (!params.agent) {
+    return { status: 400, message: 'The agent parameter is required' };
+  }
+
+  let agent;
+  try {
+    agent = JSON.parse(params.agent);
+  } catch {
+    return { status: 400, message: 'The agent parameter must be JSON' };
+  }
+  if (!agent || typeof agent !== 'object') {
+    return { status: 400, message: 'The agent parameter must be a JSON Agent object' };
+  }
+  if (!agent.mbox && !agent.mbox_sha1sum && !agent.openid && !agent.account) {
+    return { status: 400, message: 'The agent must have an inverse functional identifier' };
+  }
+
+  if (!params.activity) {
+    return { status: 400, message: 'The activity parameter is required' };
+  }
+  if (allowedActivities.length > 0 && !allowedActivities.includes(params.activity)) {
+    return { status: 403, message: `Activity ${params.activity} is not available through this proxy` };
+  }
+
+  return null;
+};
+
+// Start the server when run directly (npm run lrs-proxy)
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { LRS_ENDPOINT } = process.env;
+  if (!LRS_ENDPOINT) {
+    console.error('LRS_ENDPOINT must be set');
+    process.exit(1);
+  }
+
+  let proxy;
+  try {
+    proxy = createLRSProxy({
+      endpoint: LRS_ENDPOINT,
+      auth: {
+        type: process.env.LRS_AUTH_TYPE || 'basic',
+        username: process.env.LRS_USERNAME,
+        password: process.env.LRS_PASSWORD,
+        token: process.env.LRS_TOKEN,
+        tokenUrl: process.env.LRS_OAUTH_TOKEN_URL,
+        clientId: process.env.LRS_OAUTH_CLIENT_ID,
+        clientSecret: process.env.LRS_OAUTH_CLIENT_SECRET,
+        scope: process.env.LRS_OAUTH_SCOPE
+      },
+      origin: process.env.LRS_PROXY_ORIGIN,
+      allowedActivities: (process.env.LRS_PROXY_ACTIVITIES || '').split(',').map(id => id.trim()).filter(Boolean),
+      cacheTtl: (parseInt(process.env.LRS_PROXY_CACHE_TTL) || 60) * 1000
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const port = parseInt(process.env.LRS_PROXY_PORT) || 8787;
+  proxy.server.listen(port, () => {
+    console.log(`LRS proxy listening on http://localhost:${port}${BASE_PATH}/ -> ${LRS_ENDPOINT}`);
+  });
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createMockLRS } from '../server.mjs';
+
+const HEADERS = { 'X-Experience-API-Version': '1.0.3', 'Content-Type': 'application/json' };
+
+const statement = (n, email = 'ada@example.com') => ({
+  actor: { objectType: 'Agent', mbox: `mailto:${email}` },
+  verb: { id: 'http://adlnet.gov/expapi/verbs/completed' },
+  object: { objectType: 'Activity', id: `http://example.com/course/1/module/${n}` }
+});
+
+describe('mock LRS', () => {
+  let server;
+  let base;
+
+  const request = (path, options = {}) =>
+    fetch(`${base}${path}`, { ...options, headers: { ...HEADERS, ...options.headers } });
+  const query = params => `/xapi/statements?${new URLSearchParams(params)}`;
+
+  beforeAll(async () => {
+    ({ server } = createMockLRS());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+
+    await request('/xapi/statements', {
+      method: 'POST',
+      body: JSON.stringify([1, 2, 3].map(n => statement(n)).concat(statement(4, 'grace@example.com')))
+    });
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  it('filters by agent and pages through more links', async () => {
+    const agent = JSON.stringify({ mbox: 'mailto:ada@example.com' });
+    const first = await (await request(query({ agent, limit: 2 }))).json();
+    const second = await (await request(first.more)).json();
+
+    expect(first.statements).toHaveLength(2);
+    expect(second.statements).toHaveLength(1);
+    expect(second.more).toBe('');
+  });
+
+  it('answers malformed statement bodies with 400', async () => {
+    const invalidJSON = await request('/xapi/statements', { method: 'POST', body: '{"actor":' });
+    const notAStatement = await request('/xapi/statements', { method: 'POST', body: JSON.stringify({ verb: {} }) });
+    const invalidPut = await request('/xapi/statements?statementId=3f1e1f2c-0000-4000-8000-000000000001', {
+      method: 'PUT',
+      body: 'not json'
+    });
+
+    expect([invalidJSON.status, notAStatement.status, invalidPut.status]).toEqual([400, 400, 400]);
+    expect((await invalidJSON.json()).message).toBe('Invalid JSON in request body');
+  });
+
+  it('answers malformed agent parameters and more tokens with 400', async () => {
+    const statements = await request(query({ agent: '{mbox:' }));
+    const state = await request(`/xapi/activities/state?${new URLSearchParams({ activityId: 'a', agent: '42', stateId: 's' })}`);
+    const tampered = await request('/xapi/statements?more=not-a-token');
+    const forged = await request(`/xapi/statements?more=${Buffer.from('{"offset":1}').toString('base64url')}`);
+
+    expect([statements.status, state.status, tampered.status, forged.status]).toEqual([400, 400, 400, 400]);
+  });
+
+  it('requires the xAPI version header', async () => {
+    const response = await fetch(`${base}/xapi/statements`);
+
+    expect(response.status).toBe(400);
+  });
+});
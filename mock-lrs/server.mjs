@@ -0,0 +1,324 @@
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { dirname, join, resolve } from 'node:path';
+import { MockLRSStore, ConflictError } from './store.mjs';
+
+/**
+ * Mock Learning Record Store
+ * A local stand-in for an xAPI 1.0.3 LRS so the dashboard can be developed and
+ * tested offline. Serves /about, the Statement API (with `more` paging) and the
+ * State, Activity Profile and Agent Profile document APIs from memory.
+ *
+ * Usage: npm run mock-lrs
+ *   MOCK_LRS_PORT      Port to listen on (default 8090)
+ *   MOCK_LRS_FIXTURES  Directory of statement fixtures (default ./fixtures)
+ *   MOCK_LRS_REBASE    Shift fixture timestamps to end "now" (default true)
+ */
+
+const XAPI_VERSION = '1.0.3';
+const BASE_PATH = '/xapi';
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Experience-API-Version, If-Match, If-None-Match',
+  'Access-Control-Expose-Headers': 'X-Experience-API-Version, X-Experience-API-Consistent-Through, ETag, Last-Modified'
+};
+
+/**
+ * Create the mock LRS HTTP server
+ * @param {Object} options - Server options
+ * @param {MockLRSStore} options.store - Store to serve (a new one by default)
+ * @param {string} options.fixturesDir - Fixture directory to seed from
+ * @param {boolean} options.rebase - Shift fixture timestamps to end "now"
+ * @returns {Object} - { server, store }
+ */
+export const createMockLRS = (options = {}) => {
+  const store = options.store || new MockLRSStore();
+
+  if (options.fixturesDir) {
+    store.loadFixtures(options.fixturesDir, { rebase: options.rebase });
+  }
+
+  const server = createServer(async (req, res) => {
+    try {
+      await handleRequest(store, req, res);
+    } catch (error) {
+      const status = error instanceof ConflictError ? 409 : error.status || 500;
+      send(res, status, { error: true, message: error.message });
+    }
+  });
+
+  return { server, store };
+};
+
+const handleRequest = async (store, req, res) => {
+  if (req.method === 'OPTIONS') {
+    return send(res, 204);
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const path = url.pathname.replace(/\/+$/, '');
+  const params = Object.fromEntries(url.searchParams);
+
+  if (!path.startsWith(BASE_PATH)) {
+    return send(res, 404, { error: true, message: `Unknown resource: ${url.pathname}` });
+  }
+
+  const resource = path.slice(BASE_PATH.length);
+
+  if (resource !== '/about') {
+    const version = req.headers['x-experience-api-version'];
+    if (!version || !version.startsWith('1.0')) {
+      return send(res, 400, {
+        error: true,
+        message: `Unsupported or missing X-Experience-API-Version header: ${version || 'none'}`
+      });
+    }
+  }
+
+  switch (resource) {
+    case '/about':
+      return send(res, 200, { version: [XAPI_VERSION] });
+    case '/statements':
+      return handleStatements(store, req, res, params);
+    case '/activities/state':
+      return handleDocuments(store, 'state', req, res, params, ['activityId', 'agent'], 'stateId');
+    case '/activities/profile':
+      return handleDocuments(store, 'activityProfile', req, res, params, ['activityId'], 'profileId');
+    case '/agents/profile':
+      return handleDocuments(store, 'agentProfile', req, res, params, ['agent'], 'profileId');
+    default:
+      return send(res, 404, { error: true, message: `Unknown resource: ${url.pathname}` });
+  }
+};
+
+const handleStatements = async (store, req, res, params) => {
+  switch (req.method) {
+    case 'GET':
+      return getStatements(store, res, params);
+    case 'POST': {
+      const body = parseJSON(await readBody(req), 'request body');
+      const ids = store.addStatements(checkStatements(Array.isArray(body) ? body : [body]));
+      return send(res, 200, ids);
+    }
+    case 'PUT': {
+      if (!params.statementId) {
+        return send(res, 400, { error: true, message: 'PUT /statements requires statementId' });
+      }
+      const [body] = checkStatements([parseJSON(await readBody(req), 'request body')]);
+      store.addStatements([{ ...body, id: params.statementId }]);
+      return send(res, 204);
+    }
+    default:
+      return send(res, 405, { error: true, message: `Method ${req.method} not allowed` });
+  }
+};
+
+const getStatements = (store, res, params) => {
+  if (params.statementId || params.voidedStatementId) {
+    const statement = params.statementId
+      ? store.getStatement(params.statementId)
+      : store.getStatement(params.voidedStatementId, true);
+    return statement
+      ? send(res, 200, statement)
+      : send(res, 404, { error: true, message: 'Statement not found' });
+  }
+
+  // `more` tokens carry the original query plus an offset; `until` is pinned
+  // on the first page so statements stored mid-paging don't shift offsets
+  const cursor = params.more
+    ? decodeCursor(params.more)
+    : { query: { until: new Date().toISOString(), ...params }, offset: 0 };
+
+  if (cursor.query.agent) {
+    parseAgent(cursor.query.agent);
+  }
+
+  const limit = Math.min(parseInt(cursor.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  const matches = store.queryStatements(cursor.query);
+  const page = matches.slice(cursor.offset, cursor.offset + limit);
+  const nextOffset = cursor.offset + page.length;
+
+  return send(res, 200, {
+    statements: page,
+    more: nextOffset < matches.length
+      ? `${BASE_PATH}/statements?more=${encodeCursor({ query: cursor.query, offset: nextOffset })}`
+      : ''
+  });
+};
+
+const handleDocuments = async (store, type, req, res, params, scopeKeys, idKey) => {
+  const missing = scopeKeys.filter(key => !params[key]);
+  if (missing.length > 0) {
+    return send(res, 400, { error: true, message: `Missing required parameter(s): ${missing.join(', ')}` });
+  }
+
+  const documents = store.getDocumentStore(type);
+  const scope = documentScope(params, scopeKeys);
+  const documentId = params[idKey];
+  const key = JSON.stringify([scope, documentId]);
+
+  switch (req.method) {
+    case 'GET': {
+      if (!documentId) {
+        const since = params.since ? new Date(params.since) : null;
+        const ids = [...documents.values()]
+          .filter(doc => doc.scope === scope && (!since || doc.updated > since))
+          .map(doc => doc.id);
+        return send(res, 200, ids);
+      }
+      const doc = documents.get(key);
+      if (!doc) {
+        return send(res, 404, { error: true, message: 'Document not found' });
+      }
+      return sendRaw(res, 200, doc.body, {
+        'Content-Type': doc.contentType,
+        'Last-Modified': doc.updated.toUTCString()
+      });
+    }
+    case 'PUT':
+    case 'POST': {
+      if (!documentId) {
+        return send(res, 400, { error: true, message: `Missing required parameter: ${idKey}` });
+      }
+      const contentType = req.headers['content-type'] || 'application/octet-stream';
+      let body = await readBody(req);
+      const existing = documents.get(key);
+
+      // POST merges JSON documents property by property
+      if (req.method === 'POST' && existing && isJSON(contentType) && isJSON(existing.contentType)) {
+        body = JSON.stringify({ ...JSON.parse(existing.body), ...parseJSON(body, 'request body') });
+      }
+
+      documents.set(key, { id: documentId, scope, contentType, body, updated: new Date() });
+      return send(res, 204);
+    }
+    case 'DELETE': {
+      if (documentId) {
+        documents.delete(key);
+      } else if (type === 'state') {
+        [...documents.entries()]
+          .filter(([, doc]) => doc.scope === scope)
+          .forEach(([docKey]) => documents.delete(docKey));
+      } else {
+        return send(res, 400, { error: true, message: `Missing required parameter: ${idKey}` });
+      }
+      return send(res, 204);
+    }
+    default:
+      return send(res, 405, { error: true, message: `Method ${req.method} not allowed` });
+  }
+};
+
+/**
+ * Build the scope part of a document key from its identifying parameters
+ * Agents are reduced to their inverse functional identifier so differently
+ * serialised JSON for the same agent maps to the same document.
+ */
+const documentScope = (params, scopeKeys) => {
+  const parts = scopeKeys.map(key => key === 'agent' ? agentKey(parseAgent(params.agent)) : params[key]);
+  if (params.registration) parts.push(params.registration);
+  return parts.join('|');
+};
+
+const agentKey = (agent) => {
+  if (agent.mbox) return agent.mbox;
+  if (agent.mbox_sha1sum) return `sha1:${agent.mbox_sha1sum}`;
+  if (agent.openid) return agent.openid;
+  if (agent.account) return `${agent.account.homePage}::${agent.account.name}`;
+  return JSON.stringify(agent);
+};
+
+const isJSON = (contentType) => contentType.startsWith('application/json');
+
+// Errors with a status are sent as is by the request handler; malformed
+// client input must be a 400, never a 500
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const parseJSON = (text, what) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw badRequest(`Invalid JSON in ${what}`);
+  }
+};
+
+const parseAgent = (value) => {
+  const agent = parseJSON(value, 'agent parameter');
+  if (!agent || typeof agent !== 'object' || Array.isArray(agent)) {
+    throw badRequest('The agent parameter must be a JSON Agent object');
+  }
+  return agent;
+};
+
+const checkStatements = (statements) => {
+  const invalid = statements.some(stmt =>
+    !stmt || typeof stmt !== 'object' || !stmt.actor || !stmt.verb?.id || !stmt.object
+  );
+  if (invalid) {
+    throw badRequest('Statements need an actor, a verb with an id and an object');
+  }
+  return statements;
+};
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (token) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch {
+    throw badRequest('Invalid more token');
+  }
+  if (!cursor?.query || typeof cursor.query !== 'object' || !Number.isInteger(cursor.offset) || cursor.offset < 0) {
+    throw badRequest('Invalid more token');
+  }
+  return cursor;
+};
+
+const readBody = (req) => new Promise((resolveBody, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolveBody(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const send = (res, status, body) => {
+  if (body === undefined) {
+    res.writeHead(status, { ...CORS_HEADERS, 'X-Experience-API-Version': XAPI_VERSION });
+    return res.end();
+  }
+  return sendRaw(res, status, JSON.stringify(body), { 'Content-Type': 'application/json' });
+};
+
+const sendRaw = (res, status, body, headers) => {
+  res.writeHead(status, {
+    ...CORS_HEADERS,
+    ...headers,
+    'X-Experience-API-Version': XAPI_VERSION,
+    'X-Experience-API-Consistent-Through': new Date().toISOString()
+  });
+  res.end(body);
+};
+
+// Start the server when run directly (npm run mock-lrs)
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.MOCK_LRS_PORT) || 8090;
+  const fixturesDir = process.env.MOCK_LRS_FIXTURES
+    ? resolve(process.env.MOCK_LRS_FIXTURES)
+    : join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+  const rebase = process.env.MOCK_LRS_REBASE !== 'false';
+
+  const { server, store } = createMockLRS({ fixturesDir, rebase });
+  server.listen(port, () => {
+    console.log(`Mock LRS listening on http://localhost:${port}${BASE_PATH}/`);
+    console.log(`Loaded ${store.statements.length} statements from ${fixturesDir}`);
+  });
+}
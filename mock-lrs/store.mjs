@@ -0,0 +1,218 @@
+import { readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+const VOIDED_VERB = 'http://adlnet.gov/expapi/verbs/voided';
+
+/**
+ * In-memory statement and document store backing the mock LRS
+ * Implements the subset of xAPI 1.0.3 query semantics the dashboard relies on
+ */
+export class MockLRSStore {
+  constructor() {
+    this.statements = [];
+    this.statementsById = new Map();
+    this.voidedIds = new Set();
+    this.documents = {
+      state: new Map(),
+      activityProfile: new Map(),
+      agentProfile: new Map()
+    };
+  }
+
+  /**
+   * Load every *.json fixture in a directory
+   * Each file holds an array of statements (or a { statements } object).
+   * @param {string} dir - Fixture directory
+   * @param {Object} options - Load options
+   * @param {boolean} options.rebase - Shift timestamps so the newest is "now"
+   * @returns {number} - Number of statements loaded
+   */
+  loadFixtures(dir, options = {}) {
+    const files = readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+    const loaded = [];
+
+    files.forEach(file => {
+      const content = JSON.parse(readFileSync(join(dir, file), 'utf8'));
+      loaded.push(...(Array.isArray(content) ? content : content.statements || []));
+    });
+
+    // Fixtures are historical records, so they count as stored when they happened
+    const fixtures = loaded.map(stmt => ({ ...stmt, stored: stmt.stored || stmt.timestamp }));
+    const statements = options.rebase ? rebaseTimestamps(fixtures) : fixtures;
+    this.addStatements(statements);
+
+    return statements.length;
+  }
+
+  /**
+   * Store statements, assigning ids and stored/timestamp fields
+   * @param {Array} statements - xAPI statements
+   * @returns {Array} - Statement ids
+   */
+  addStatements(statements) {
+    const stored = new Date().toISOString();
+
+    return statements.map(statement => {
+      const id = statement.id || randomUUID();
+      if (this.statementsById.has(id)) {
+        throw new ConflictError(`Statement ${id} already exists`);
+      }
+
+      const record = {
+        ...statement,
+        id,
+        timestamp: statement.timestamp || stored,
+        stored: statement.stored || stored,
+        authority: statement.authority || {
+          objectType: 'Agent',
+          name: 'Mock LRS',
+          mbox: 'mailto:mock-lrs@example.com'
+        },
+        version: statement.version || '1.0.3'
+      };
+
+      this.statements.push(record);
+      this.statementsById.set(id, record);
+      if (record.verb.id === VOIDED_VERB && record.object.objectType === 'StatementRef') {
+        this.voidedIds.add(record.object.id);
+      }
+
+      return id;
+    });
+  }
+
+  /**
+   * Find a statement by id
+   * @param {string} id - Statement id
+   * @param {boolean} voided - Look up a voided statement instead
+   * @returns {Object|null} - Statement
+   */
+  getStatement(id, voided = false) {
+    const statement = this.statementsById.get(id);
+    if (!statement) return null;
+    return this.isVoided(statement) === voided ? statement : null;
+  }
+
+  /**
+   * Check whether a statement has been voided by another statement
+   * @param {Object} statement - xAPI statement
+   * @returns {boolean} - True if voided
+   */
+  isVoided(statement) {
+    return this.voidedIds.has(statement.id);
+  }
+
+  /**
+   * Query statements using xAPI GET /statements filter parameters
+   * @param {Object} params - agent, verb, activity, registration, since, until,
+   *   related_activities, related_agents, ascending
+   * @returns {Array} - Matching statements, newest first unless ascending
+   */
+  queryStatements(params = {}) {
+    const agent = params.agent ? JSON.parse(params.agent) : null;
+    const relatedActivities = params.related_activities === 'true' || params.related_activities === true;
+    const relatedAgents = params.related_agents === 'true' || params.related_agents === true;
+    const since = params.since ? new Date(params.since) : null;
+    const until = params.until ? new Date(params.until) : null;
+
+    const matches = this.statements.filter(stmt => {
+      if (this.isVoided(stmt)) return false;
+      if (agent && !statementHasAgent(stmt, agent, relatedAgents)) return false;
+      if (params.verb && stmt.verb.id !== params.verb) return false;
+      if (params.activity && !statementHasActivity(stmt, params.activity, relatedActivities)) return false;
+      if (params.registration && stmt.context?.registration !== params.registration) return false;
+      if (since && new Date(stmt.stored) <= since) return false;
+      if (until && new Date(stmt.stored) > until) return false;
+      return true;
+    });
+
+    const ascending = params.ascending === 'true' || params.ascending === true;
+    return matches.sort((a, b) => ascending
+      ? new Date(a.stored) - new Date(b.stored)
+      : new Date(b.stored) - new Date(a.stored)
+    );
+  }
+
+  /**
+   * Get the map backing one of the document APIs
+   * @param {string} type - 'state', 'activityProfile' or 'agentProfile'
+   * @returns {Map} - Document map keyed by scope + document id
+   */
+  getDocumentStore(type) {
+    return this.documents[type];
+  }
+}
+
+/**
+ * Raised when a statement id is reused
+ */
+export class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * Check whether two agents share an inverse functional identifier
+ * @param {Object} a - Agent
+ * @param {Object} b - Agent
+ * @returns {boolean} - True if they identify the same person
+ */
+export const sameAgent = (a, b) => {
+  if (!a || !b) return false;
+  if (a.mbox && a.mbox === b.mbox) return true;
+  if (a.mbox_sha1sum && a.mbox_sha1sum === b.mbox_sha1sum) return true;
+  if (a.openid && a.openid === b.openid) return true;
+  if (a.account && b.account) {
+    return a.account.homePage === b.account.homePage && a.account.name === b.account.name;
+  }
+  return false;
+};
+
+const statementHasAgent = (stmt, agent, related) => {
+  if (sameAgent(stmt.actor, agent)) return true;
+  if (stmt.object.objectType === 'Agent' && sameAgent(stmt.object, agent)) return true;
+  if (stmt.actor.member?.some(member => sameAgent(member, agent))) return true;
+
+  if (related) {
+    return [stmt.authority, stmt.context?.instructor, stmt.context?.team]
+      .some(other => sameAgent(other, agent));
+  }
+
+  return false;
+};
+
+const statementHasActivity = (stmt, activityId, related) => {
+  if (stmt.object.id === activityId) return true;
+  if (!related) return false;
+
+  const contextActivities = stmt.context?.contextActivities || {};
+  return ['parent', 'grouping', 'category', 'other'].some(key => {
+    const activities = [].concat(contextActivities[key] || []);
+    return activities.some(activity => activity.id === activityId);
+  });
+};
+
+/**
+ * Shift fixture timestamps so the newest statement lands at the current time
+ * Keeps static fixtures looking fresh in the dashboard's freshness checks.
+ * @param {Array} statements - Fixture statements
+ * @returns {Array} - Statements with shifted timestamp/stored values
+ */
+const rebaseTimestamps = (statements) => {
+  const times = statements
+    .filter(stmt => stmt.timestamp)
+    .map(stmt => new Date(stmt.timestamp).getTime());
+  if (times.length === 0) return statements;
+
+  const offset = Date.now() - Math.max(...times);
+  const shift = value => new Date(new Date(value).getTime() + offset).toISOString();
+
+  return statements.map(stmt => ({
+    ...stmt,
+    timestamp: stmt.timestamp && shift(stmt.timestamp),
+    stored: stmt.stored && shift(stmt.stored)
+  }));
+};
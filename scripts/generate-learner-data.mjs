@@ -0,0 +1,80 @@
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { LearnerDataGenerator } from '../src/utils/learnerDataGenerator.js';
+import XAPIService from '../src/services/xapiService.js';
+
+/**
+ * Synthetic learner data CLI
+ * Writes one statement file per learner (loadable by the mock LRS) or pushes
+ * the statements to an LRS, and optionally the course manifest.
+ *
+ * Usage:
+ *   npm run generate-data -- --learners 25 --seed 7
+ *   npm run generate-data -- --manifest public/courses/course-1.json
+ *   npm run generate-data -- --learners 5 --push http://localhost:8090/xapi/ --username mock --password mock
+ */
+
+const { values: args } = parseArgs({
+  options: {
+    learners: { type: 'string', default: '10' },
+    seed: { type: 'string', default: '1' },
+    days: { type: 'string', default: '90' },
+    start: { type: 'string' },
+    modules: { type: 'string', default: '6' },
+    'course-id': { type: 'string', default: 'http://example.com/course/1' },
+    'course-name': { type: 'string' },
+    out: { type: 'string', default: 'mock-lrs/fixtures/generated' },
+    manifest: { type: 'string' },
+    push: { type: 'string' },
+    username: { type: 'string', default: '' },
+    password: { type: 'string', default: '' },
+    'batch-size': { type: 'string', default: '50' }
+  }
+});
+
+const days = parseInt(args.days);
+const generator = new LearnerDataGenerator({ seed: parseInt(args.seed) });
+const course = generator.createCourse({
+  courseId: args['course-id'],
+  name: args['course-name'],
+  modules: parseInt(args.modules)
+});
+const cohort = generator.generateCohort(course, parseInt(args.learners), {
+  // Default window ends today so the dashboard shows current streaks
+  startDate: args.start ? new Date(args.start) : new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+  days
+});
+const total = cohort.reduce((sum, { statements }) => sum + statements.length, 0);
+
+if (args.manifest) {
+  const manifestPath = resolve(args.manifest);
+  mkdirSync(dirname(manifestPath), { recursive: true });
+  writeFileSync(manifestPath, JSON.stringify(generator.createManifest(course), null, 2));
+  console.info(`Wrote the course manifest to ${manifestPath}`);
+}
+
+if (args.push) {
+  // Keep CLI output readable: drop the service's per-request and response
+  // logs but keep its warnings (retries) and errors
+  const service = new XAPIService(args.push, args.username, args.password, {
+    logger: { log: () => {}, warn: console.warn, error: console.error }
+  });
+  const batchSize = parseInt(args['batch-size']);
+
+  for (const { learner, statements } of cohort) {
+    for (let i = 0; i < statements.length; i += batchSize) {
+      await service.sendStatement(statements.slice(i, i + batchSize));
+    }
+    console.info(`Pushed ${statements.length} statements for ${learner.email}`);
+  }
+  console.info(`Pushed ${total} statements for ${cohort.length} learners to ${args.push}`);
+} else {
+  const outDir = resolve(args.out);
+  mkdirSync(outDir, { recursive: true });
+
+  cohort.forEach(({ learner, statements }) => {
+    writeFileSync(join(outDir, `${learner.email}.json`), JSON.stringify(statements, null, 2));
+  });
+  console.info(`Wrote ${total} statements for ${cohort.length} learners to ${outDir}`);
+}
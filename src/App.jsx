@@ -1,9 +1,89 @@
 import React from 'react'
+import { Routes, Route, Navigate, useLocation, useNavigate, useParams } from 'react-router-dom'
 import Dashboard from './components/Dashboard'
+import CohortView from './components/CohortView'
+import PortfolioView from './components/PortfolioView'
+import { RoutePaths } from './utils/routePaths'
 import './index.css'
 
+const DEFAULT_USER_EMAIL = 'user@example.com'
+const DEFAULT_COURSE_ID = 'http://example.com/course/1'
+
+// Where the cohort and portfolio views' back buttons return to
+const backTo = (location, fallback) => location.state?.from || fallback
+
+function LearnerRoute() {
+  const { learnerId, courseId, tab } = useParams()
+  const location = useLocation()
+  const navigate = useNavigate()
+  const dateRange = RoutePaths.getDateRange(location.search)
+  const activeTab = RoutePaths.getTab(tab)
+
+  // Unknown or missing tabs land on the overview
+  if (tab !== activeTab) {
+    return <Navigate to={RoutePaths.learner(learnerId, courseId, activeTab, dateRange)} replace />
+  }
+
+  const from = { state: { from: location.pathname + location.search } }
+
+  return (
+    <Dashboard
+      learnerId={learnerId}
+      courseId={courseId}
+      onApplySettings={(settings) => navigate(
+        RoutePaths.learner(settings.learnerId, settings.courseId, activeTab, dateRange)
+      )}
+      onOpenCohort={() => navigate(RoutePaths.cohort(courseId), from)}
+      onOpenPortfolio={() => navigate(RoutePaths.portfolio(learnerId), from)}
+      activeTab={activeTab}
+      onTabChange={(nextTab) => navigate(RoutePaths.learner(learnerId, courseId, nextTab, dateRange))}
+      dateRange={dateRange}
+      onDateRangeChange={(range) => navigate(RoutePaths.learner(learnerId, courseId, activeTab, range))}
+    />
+  )
+}
+
+function CohortRoute() {
+  const { courseId } = useParams()
+  const location = useLocation()
+  const navigate = useNavigate()
+
+  return (
+    <CohortView
+      courseId={courseId}
+      onCourseIdChange={(id) => navigate(RoutePaths.cohort(id), { replace: true, state: location.state })}
+      onSelectLearner={(learner) => navigate(RoutePaths.learner(learner.learnerId, courseId))}
+      onBack={() => navigate(backTo(location, RoutePaths.learner(DEFAULT_USER_EMAIL, courseId)))}
+    />
+  )
+}
+
+function PortfolioRoute() {
+  const { learnerId } = useParams()
+  const location = useLocation()
+  const navigate = useNavigate()
+
+  return (
+    <PortfolioView
+      learnerId={learnerId}
+      onOpenCourse={(id, tab) => navigate(RoutePaths.learner(learnerId, id, tab))}
+      onBack={() => navigate(backTo(location, RoutePaths.learner(learnerId, DEFAULT_COURSE_ID)))}
+    />
+  )
+}
+
 function App() {
-  return <Dashboard />
+  return (
+    <Routes>
+      <Route path="/learner/:learnerId/course/:courseId/:tab?" element={<LearnerRoute />} />
+      <Route path="/learner/:learnerId/portfolio" element={<PortfolioRoute />} />
+      <Route path="/course/:courseId/cohort" element={<CohortRoute />} />
+      <Route
+        path="*"
+        element={<Navigate to={RoutePaths.learner(DEFAULT_USER_EMAIL, DEFAULT_COURSE_ID)} replace />}
+      />
+    </Routes>
+  )
 }
 
 export default App
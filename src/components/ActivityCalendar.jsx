@@ -0,0 +1,143 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import DayTooltip from './DayTooltip';
+
+const LEVEL_CLASSES = [
+  'bg-white/5 text-slate-400',
+  'bg-purple-900 text-slate-200',
+  'bg-purple-700 text-white',
+  'bg-purple-500 text-white',
+  'bg-purple-300 text-slate-900'
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Month-by-month calendar of learning activity
+ * `data` comes from ChartDataTransformer.transformCalendarData; only months
+ * with activity are listed, latest first on open.
+ */
+const ActivityCalendar = ({ data, selectedDate, onSelectDate }) => {
+  const containerRef = useRef(null);
+  const [monthOffset, setMonthOffset] = useState(0);
+  const [hovered, setHovered] = useState(null);
+
+  // Show the month of a day picked elsewhere, e.g. on the heatmap
+  useEffect(() => {
+    if (!selectedDate || !data) return;
+    const monthKeys = Object.keys(data).sort();
+    const index = monthKeys.indexOf(selectedDate.slice(0, 7));
+    if (index !== -1) setMonthOffset(monthKeys.length - 1 - index);
+  }, [selectedDate, data]);
+
+  if (!data) {
+    return (
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
+        <div className="animate-pulse">
+          <div className="h-6 bg-white/20 rounded mb-4 w-1/3"></div>
+          <div className="h-64 bg-white/10 rounded"></div>
+        </div>
+      </div>
+    );
+  }
+
+  const monthKeys = Object.keys(data).sort();
+  const monthIndex = Math.max(monthKeys.length - 1 - monthOffset, 0);
+  const monthKey = monthKeys[monthIndex];
+
+  const handleHover = (event, date) => {
+    const cell = event.currentTarget.getBoundingClientRect();
+    const container = containerRef.current.getBoundingClientRect();
+    setHovered({
+      date,
+      position: { x: cell.left - container.left + cell.width / 2, y: cell.top - container.top }
+    });
+  };
+
+  let cells = [];
+  if (monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    cells = [
+      ...Array(firstWeekday).fill(null),
+      ...Array.from({ length: daysInMonth }, (_, i) => `${monthKey}-${String(i + 1).padStart(2, '0')}`)
+    ];
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20 hover:border-purple-500/30 transition-colors duration-300"
+    >
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-xl font-semibold text-white">Activity Calendar</h3>
+        {monthKey && (
+          <div className="flex items-center gap-2 text-sm text-slate-300">
+            <button
+              onClick={() => setMonthOffset(monthOffset + 1)}
+              disabled={monthIndex === 0}
+              aria-label="Previous month"
+              className="p-1 rounded-lg hover:bg-white/10 disabled:opacity-30 disabled:hover:bg-transparent"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <span className="w-32 text-center">{data[monthKey].month}</span>
+            <button
+              onClick={() => setMonthOffset(monthOffset - 1)}
+              disabled={monthIndex === monthKeys.length - 1}
+              aria-label="Next month"
+              className="p-1 rounded-lg hover:bg-white/10 disabled:opacity-30 disabled:hover:bg-transparent"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {!monthKey ? (
+        <p className="text-slate-400 text-sm">No learning activity recorded yet.</p>
+      ) : (
+        <div ref={containerRef} className="relative">
+          <div className="grid grid-cols-7 gap-1 text-center">
+            {WEEKDAYS.map(weekday => (
+              <div key={weekday} className="text-xs text-slate-400 pb-1">{weekday}</div>
+            ))}
+            {cells.map((date, index) => {
+              if (!date) return <div key={`pad-${index}`} />;
+              const day = data[monthKey].days[date];
+
+              return (
+                <button
+                  key={date}
+                  onClick={() => onSelectDate?.(date === selectedDate ? null : date)}
+                  onMouseEnter={event => handleHover(event, date)}
+                  onMouseLeave={() => setHovered(null)}
+                  className={`aspect-square rounded-lg flex flex-col items-center justify-center text-xs transition-colors ${
+                    LEVEL_CLASSES[day ? day.level : 0]
+                  } ${date === selectedDate ? 'ring-2 ring-pink-400' : 'hover:ring-1 hover:ring-white/60'}`}
+                >
+                  <span className="font-medium">{Number(date.slice(-2))}</span>
+                  {day && <span className="text-[10px] opacity-80">{day.activities}</span>}
+                </button>
+              );
+            })}
+          </div>
+
+          {hovered && (
+            <DayTooltip
+              date={hovered.date}
+              details={data[monthKey].days[hovered.date]}
+              position={hovered.position}
+            />
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default ActivityCalendar;
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  Activity,
+  PlayCircle,
+  FileQuestion,
+  ClipboardCheck,
+  Users,
+  CheckCircle,
+  XCircle,
+  X
+} from 'lucide-react';
+
+const TYPE_ICONS = {
+  video: PlayCircle,
+  quiz: FileQuestion,
+  assignment: ClipboardCheck,
+  'peer-review': Users
+};
+
+const RECENT_LIMIT = 8;
+const DAYS_PER_PAGE = 7;
+
+// Times are shown in the learner's time zone, the one the days are grouped by
+const formatTime = (timestamp, timeZone) =>
+  new Date(timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
+
+const formatDay = date =>
+  // Timeline dates are already calendar days, so format them as UTC
+  new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+  });
+
+const ActivityItem = ({ activity, showDate, timeZone }) => {
+  const Icon = TYPE_ICONS[activity.type] || Activity;
+
+  return (
+    <li className="flex items-start gap-3 py-2">
+      <div className="p-1.5 rounded-lg bg-white/5 flex-shrink-0">
+        <Icon className="w-4 h-4 text-purple-400" />
+      </div>
+      <div className="flex-1 min-w-0">
+        <div className="text-sm text-white truncate">{activity.name}</div>
+        <div className="text-xs text-slate-400">
+          <span className="capitalize">{activity.verb}</span>
+          {' · '}
+          {showDate && `${new Date(activity.timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone })} `}
+          {formatTime(activity.timestamp, timeZone)}
+        </div>
+      </div>
+      {activity.score !== null && (
+        <span className={`flex items-center gap-1 text-sm font-semibold flex-shrink-0 ${
+          activity.success === false ? 'text-red-400' : 'text-green-400'
+        }`}>
+          {activity.success === false
+            ? <XCircle className="w-4 h-4" />
+            : <CheckCircle className="w-4 h-4" />}
+          {activity.score}%
+        </span>
+      )}
+    </li>
+  );
+};
+
+const DaySummary = ({ day }) => (
+  <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-400">
+    <span>{day.totalActivities} activities</span>
+    {day.completions > 0 && <span className="text-green-400">{day.completions} completed</span>}
+    {day.averageScore !== null && <span className="text-pink-400">avg {day.averageScore}%</span>}
+    {day.videoTime > 0 && <span className="text-blue-400">{day.videoTimeFormatted} video</span>}
+  </div>
+);
+
+const ActivityTimeline = ({ data, detailed = false, selectedDate = null, onClearDate, timeZone }) => {
+  const [visibleDays, setVisibleDays] = useState(DAYS_PER_PAGE);
+
+  if (!data) {
+    return (
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
+        <div className="animate-pulse space-y-4">
+          <div className="h-6 bg-white/20 rounded w-1/3"></div>
+          {[0, 1, 2, 3].map(i => (
+            <div key={i} className="h-10 bg-white/10 rounded"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  // The timeline is ordered oldest day first
+  const days = [...data].reverse().filter(day => !selectedDate || day.date === selectedDate);
+  const recent = days
+    .flatMap(day => [...day.activities].reverse())
+    .slice(0, RECENT_LIMIT);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20 hover:border-purple-500/30 transition-colors duration-300 h-full"
+    >
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-xl font-semibold text-white">
+          {detailed ? 'Activity History' : 'Recent Activity'}
+        </h3>
+        {selectedDate ? (
+          <button
+            onClick={onClearDate}
+            className="flex items-center gap-1 px-2 py-1 rounded-full text-xs text-pink-300 bg-pink-500/10 border border-pink-500/30 hover:bg-pink-500/20"
+          >
+            {formatDay(selectedDate)}
+            <X className="w-3 h-3" />
+          </button>
+        ) : (
+          <span className="text-xs text-slate-400">{data.length} active days</span>
+        )}
+      </div>
+
+      {days.length === 0 ? (
+        <p className="text-slate-400 text-sm">
+          {selectedDate ? 'No learning activity on this day.' : 'No learning activity recorded yet.'}
+        </p>
+      ) : detailed ? (
+        <div className="space-y-6">
+          {days.slice(0, visibleDays).map(day => (
+            <div key={day.date} className="relative pl-4 border-l border-purple-500/30">
+              <div className="absolute -left-1.5 top-1 w-3 h-3 rounded-full bg-purple-500"></div>
+              <div className="text-sm font-semibold text-white">{formatDay(day.date)}</div>
+              <DaySummary day={day} />
+              <ul className="divide-y divide-white/5 mt-2">
+                {[...day.activities].reverse().map((activity, index) => (
+                  <ActivityItem key={`${activity.id}-${index}`} activity={activity} timeZone={timeZone} />
+                ))}
+              </ul>
+            </div>
+          ))}
+          {days.length > visibleDays && (
+            <button
+              onClick={() => setVisibleDays(visibleDays + DAYS_PER_PAGE)}
+              className="w-full py-2 text-sm text-slate-300 bg-white/5 hover:bg-white/10 rounded-lg transition-colors"
+            >
+              Show earlier days
+            </button>
+          )}
+        </div>
+      ) : (
+        <ul className="divide-y divide-white/5">
+          {recent.map((activity, index) => (
+            <ActivityItem key={`${activity.id}-${index}`} activity={activity} showDate timeZone={timeZone} />
+          ))}
+        </ul>
+      )}
+    </motion.div>
+  );
+};
+
+export default ActivityTimeline;
@@ -0,0 +1,130 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { CheckCircle, Circle, XCircle, AlertTriangle } from 'lucide-react';
+import { Duration } from '../utils/duration';
+
+const SESSION_STATUS = {
+  terminated: { label: 'Terminated', className: 'bg-green-500/20 text-green-400' },
+  abandoned: { label: 'Abandoned', className: 'bg-red-500/20 text-red-400' },
+  open: { label: 'Open', className: 'bg-white/10 text-slate-300' }
+};
+
+// Session start in the learner's time zone
+const formatStart = (timestamp, timeZone) =>
+  new Date(timestamp).toLocaleString('en-US', {
+    month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone
+  });
+
+const getAULabel = (au) => {
+  if (au.waived) return 'Waived';
+  if (au.passed) return 'Passed';
+  if (au.failed) return 'Failed';
+  if (au.completed) return 'Completed';
+  return au.attempted ? 'In progress' : 'Not started';
+};
+
+const Stat = ({ label, value, alert = false }) => (
+  <div>
+    <div className="text-xs text-slate-400">{label}</div>
+    <div className={`font-semibold ${alert ? 'text-red-400' : 'text-white'}`}>{value}</div>
+  </div>
+);
+
+/**
+ * cmi5 progress: which AUs and blocks are satisfied, and every launch
+ * session with its time and how it ended. `cmi5` is the dashboard summary's
+ * cmi5 analysis; nothing is shown for courses not launched through cmi5.
+ */
+const Cmi5Progress = ({ cmi5, timeZone, delay = 0 }) => {
+  if (!cmi5) return null;
+
+  const { summary, sessions } = cmi5;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5, delay }}
+      className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20 hover:border-purple-500/30 transition-colors duration-300"
+    >
+      <div className="flex items-center justify-between gap-2 mb-4">
+        <h3 className="text-xl font-semibold text-white">cmi5 Progress</h3>
+        {cmi5.courseSatisfied && (
+          <span className="flex items-center gap-1 text-sm text-green-400">
+            <CheckCircle className="w-4 h-4" />
+            Course satisfied
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-4 mb-6">
+        <Stat label="AUs Satisfied" value={`${summary.ausSatisfied}/${summary.auCount}`} />
+        <Stat
+          label="Blocks Satisfied"
+          value={summary.blockCount > 0 ? `${summary.blocksSatisfied}/${summary.blockCount}` : '—'}
+        />
+        <Stat label="Sessions" value={summary.sessionCount} />
+        <Stat label="Abandoned" value={summary.abandonedSessions} alert={summary.abandonedSessions > 0} />
+        <Stat label="Avg. Session" value={summary.averageSessionFormatted} />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <h4 className="text-sm font-medium text-slate-300 mb-2">Assignable Units</h4>
+          <ul className="space-y-1 max-h-72 overflow-y-auto pr-1">
+            {cmi5.aus.map(au => (
+              <li key={au.id} className="flex items-center justify-between gap-3 py-1.5 text-sm">
+                <div className="flex items-center gap-2 min-w-0">
+                  {au.satisfied ? (
+                    <CheckCircle className="w-4 h-4 text-green-400 flex-shrink-0" />
+                  ) : au.failed ? (
+                    <XCircle className="w-4 h-4 text-red-400 flex-shrink-0" />
+                  ) : (
+                    <Circle className="w-4 h-4 text-slate-500 flex-shrink-0" />
+                  )}
+                  <span className="text-white truncate" title={au.name}>{au.name}</span>
+                </div>
+                <span className="text-xs text-slate-400 flex-shrink-0">
+                  {getAULabel(au)}
+                  {au.score !== null && ` · ${au.score}%`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div>
+          <h4 className="text-sm font-medium text-slate-300 mb-2">Sessions</h4>
+          {sessions.length === 0 ? (
+            <p className="text-slate-400 text-sm">No launches recorded</p>
+          ) : (
+            <ul className="space-y-1 max-h-72 overflow-y-auto pr-1">
+              {sessions.map(session => {
+                const status = SESSION_STATUS[session.status];
+                return (
+                  <li key={session.id} className="flex items-center justify-between gap-3 py-1.5 text-sm">
+                    <div className="min-w-0">
+                      <div className="text-white truncate" title={session.name}>{session.name}</div>
+                      <div className="text-xs text-slate-400">
+                        {formatStart(session.startedAt, timeZone)}
+                        {' · '}
+                        {Duration.format(session.duration)}
+                        {session.launchMode && session.launchMode !== 'Normal' && ` · ${session.launchMode}`}
+                      </div>
+                    </div>
+                    <span className={`flex items-center gap-1 px-1.5 py-0.5 rounded-md text-xs font-medium flex-shrink-0 ${status.className}`}>
+                      {session.status === 'abandoned' && <AlertTriangle className="w-3 h-3" />}
+                      {status.label}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default Cmi5Progress;
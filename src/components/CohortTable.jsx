@@ -0,0 +1,119 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { ArrowUp, ArrowDown, ChevronRight, TrendingUp, TrendingDown, Minus } from 'lucide-react';
+
+const columns = [
+  { key: 'name', label: 'Learner' },
+  { key: 'progress', label: 'Progress', format: value => `${value}%` },
+  { key: 'modulesCompleted', label: 'Modules' },
+  { key: 'averageScore', label: 'Avg Score', format: value => `${value}%` },
+  { key: 'passRate', label: 'Pass Rate', format: value => `${value}%` },
+  { key: 'videoTime', label: 'Video Time', display: row => row.videoTimeFormatted },
+  { key: 'activeDays', label: 'Active Days' },
+  { key: 'lastActivity', label: 'Last Active', format: value => value.toLocaleDateString() }
+];
+
+const trendIcons = {
+  improving: <TrendingUp className="w-3 h-3 text-green-400" />,
+  declining: <TrendingDown className="w-3 h-3 text-red-400" />,
+  stable: <Minus className="w-3 h-3 text-slate-500" />
+};
+
+const formatCell = (column, row) => {
+  if (column.display) return column.display(row);
+
+  const value = row[column.key];
+  if (value === null || value === undefined) return '—';
+  return column.format ? column.format(value) : value;
+};
+
+const CohortTable = ({ learners, sort, onSort, onSelectLearner }) => {
+  if (learners.length === 0) {
+    return (
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl p-8 border border-white/20 text-center text-slate-300">
+        No learners found for this course.
+      </div>
+    );
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="bg-white/10 backdrop-blur-lg rounded-xl border border-white/20 overflow-x-auto"
+    >
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-white/10 text-left">
+            {columns.map(column => (
+              <th key={column.key} className="px-4 py-3 font-medium text-slate-300 whitespace-nowrap">
+                <button
+                  onClick={() => onSort(column.key)}
+                  className="flex items-center gap-1 hover:text-white transition-colors"
+                >
+                  {column.label}
+                  {sort.key === column.key && (sort.direction === 'asc'
+                    ? <ArrowUp className="w-3 h-3" />
+                    : <ArrowDown className="w-3 h-3" />
+                  )}
+                </button>
+              </th>
+            ))}
+            <th className="px-4 py-3" />
+          </tr>
+        </thead>
+        <tbody>
+          {learners.map(row => {
+            // The learner dashboard looks learners up by their identifier
+            const selectable = !!row.learnerId;
+            const identifier = row.email || row.learnerId;
+
+            return (
+              <tr
+                key={row.key}
+                onClick={selectable ? () => onSelectLearner(row) : undefined}
+                className={`border-b border-white/5 transition-colors ${selectable ? 'cursor-pointer hover:bg-white/5' : 'opacity-80'}`}
+              >
+                {columns.map(column => (
+                  <td key={column.key} className="px-4 py-3 whitespace-nowrap">
+                    {column.key === 'name' ? (
+                      <div>
+                        <div className="font-medium text-white">{row.name}</div>
+                        {identifier && identifier !== row.name && (
+                          <div className="text-xs text-slate-400">{identifier}</div>
+                        )}
+                      </div>
+                    ) : column.key === 'progress' ? (
+                      <div className="flex items-center gap-2">
+                        <div className="w-20 h-2 bg-white/10 rounded-full overflow-hidden">
+                          <div
+                            className="h-full bg-gradient-to-r from-purple-500 to-pink-500"
+                            style={{ width: `${row.progress}%` }}
+                          />
+                        </div>
+                        <span className="text-slate-200">{formatCell(column, row)}</span>
+                      </div>
+                    ) : column.key === 'averageScore' ? (
+                      <div className="flex items-center gap-1 text-slate-200">
+                        {formatCell(column, row)}
+                        {row.averageScore !== null && trendIcons[row.scoreTrend]}
+                      </div>
+                    ) : (
+                      <span className="text-slate-200">{formatCell(column, row)}</span>
+                    )}
+                  </td>
+                ))}
+                <td className="px-4 py-3 text-slate-400">
+                  {selectable && <ChevronRight className="w-4 h-4" />}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </motion.div>
+  );
+};
+
+export default CohortTable;
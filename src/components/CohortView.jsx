@@ -0,0 +1,237 @@
+import React, { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  Users,
+  TrendingUp,
+  Award,
+  Activity,
+  ArrowLeft,
+  RefreshCw,
+  AlertCircle,
+  Database,
+  Info
+} from 'lucide-react';
+import { useCohortData } from '../hooks/useCohortData';
+import StatCard from './StatCard';
+import CohortTable from './CohortTable';
+import DistributionChart from './charts/DistributionChart';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorBoundary from './ErrorBoundary';
+
+const parseRoster = (text) => text.split(/[\s,;]+/).map(identifier => identifier.trim()).filter(Boolean);
+
+const CohortView = ({ courseId, onCourseIdChange, onSelectLearner, onBack }) => {
+  const [rosterText, setRosterText] = useState('');
+  const [roster, setRoster] = useState([]);
+  // The course ID is part of the URL, so it only changes once editing is done
+  const [draftCourseId, setDraftCourseId] = useState(courseId);
+
+  // Follow back/forward navigation to another course
+  useEffect(() => {
+    setDraftCourseId(courseId);
+  }, [courseId]);
+
+  const applyCourseId = () => {
+    const id = draftCourseId.trim();
+    if (id && id !== courseId) {
+      onCourseIdChange(id);
+    } else {
+      setDraftCourseId(courseId);
+    }
+  };
+
+  const {
+    learners,
+    summary,
+    chartData,
+    sort,
+    sortBy,
+    loading,
+    error,
+    refresh,
+    proxyMode,
+    rosterRequired,
+    hasData
+  } = useCohortData(courseId, roster);
+
+  if (loading && !hasData) {
+    return <LoadingSpinner message="Loading cohort data..." />;
+  }
+
+  const statCards = summary ? [
+    {
+      icon: Users,
+      title: 'Learners',
+      value: summary.learnerCount,
+      subtitle: `${summary.activeThisWeek} active this week`,
+      color: 'purple'
+    },
+    {
+      icon: TrendingUp,
+      title: 'Average Progress',
+      value: `${summary.averageProgress}%`,
+      subtitle: summary.progressSource
+        ? 'of all course items'
+        : 'of activities started',
+      color: 'blue'
+    },
+    {
+      icon: Award,
+      title: 'Average Score',
+      value: summary.averageScore !== null ? `${summary.averageScore}%` : '—',
+      subtitle: 'per-learner average',
+      color: 'green'
+    },
+    {
+      icon: Activity,
+      title: 'Inactive',
+      value: summary.inactive,
+      subtitle: 'no activity in 14+ days',
+      color: summary.inactive > 0 ? 'red' : 'orange'
+    }
+  ] : [];
+
+  return (
+    <ErrorBoundary>
+      <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 text-white">
+        <div className="container mx-auto px-6 py-8 space-y-8">
+          {/* Header */}
+          <motion.header
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4"
+          >
+            <div>
+              <h1 className="text-4xl font-bold bg-gradient-to-r from-purple-400 to-pink-400 bg-clip-text text-transparent mb-2">
+                Cohort Analytics
+              </h1>
+              <p className="text-slate-300">
+                Compare progress, scores and engagement across every learner in a course
+              </p>
+            </div>
+            <div className="flex items-center gap-3">
+              <button
+                onClick={onBack}
+                className="flex items-center gap-2 px-4 py-2 bg-slate-600/20 hover:bg-slate-600/30 border border-slate-500/30 rounded-lg transition-colors"
+              >
+                <ArrowLeft className="w-4 h-4" />
+                <span className="hidden sm:inline">Learner View</span>
+              </button>
+              <button
+                onClick={refresh}
+                disabled={loading || rosterRequired}
+                className="flex items-center gap-2 px-4 py-2 bg-purple-600/20 hover:bg-purple-600/30 disabled:opacity-50 disabled:cursor-not-allowed border border-purple-500/30 rounded-lg transition-colors"
+              >
+                <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                <span className="hidden sm:inline">Refresh</span>
+              </button>
+            </div>
+          </motion.header>
+
+          {/* Course and roster */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 bg-white/5 backdrop-blur-lg rounded-xl p-6 border border-white/10">
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                Course ID
+              </label>
+              <div className="relative">
+                <Database className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-slate-400" />
+                <input
+                  type="text"
+                  value={draftCourseId}
+                  onChange={(e) => setDraftCourseId(e.target.value)}
+                  onBlur={applyCourseId}
+                  onKeyDown={(e) => e.key === 'Enter' && applyCourseId()}
+                  className="w-full pl-10 pr-4 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:border-purple-500"
+                  placeholder="Enter course ID"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                Roster {proxyMode ? '(required)' : '(optional)'}
+              </label>
+              <textarea
+                value={rosterText}
+                onChange={(e) => setRosterText(e.target.value)}
+                rows={2}
+                className="w-full px-4 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:border-purple-500"
+                placeholder={proxyMode
+                  ? 'Learner emails or accounts (homePage::name), comma or newline separated.'
+                  : 'Learner emails or accounts (homePage::name), comma or newline separated. Leave empty for every learner in the course.'}
+              />
+              <div className="mt-2 flex justify-end">
+                <button
+                  onClick={() => setRoster(parseRoster(rosterText))}
+                  className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors"
+                >
+                  Apply Roster
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {rosterRequired && (
+            <div className="bg-blue-500/20 border border-blue-500/30 rounded-lg p-4 flex items-start gap-3">
+              <Info className="w-5 h-5 text-blue-400 mt-0.5" />
+              <div>
+                <p className="font-medium text-blue-200">Roster required</p>
+                <p className="text-sm text-slate-300">
+                  The dashboard is connected through the LRS proxy, which only serves one learner at a time.
+                  Enter the learners to compare and apply the roster to load the cohort.
+                </p>
+              </div>
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-500/20 border border-red-500/30 rounded-lg p-4 flex items-start gap-3">
+              <AlertCircle className="w-5 h-5 text-red-400 mt-0.5" />
+              <div>
+                <p className="font-medium text-red-200">{error.title || 'Error'}</p>
+                <p className="text-sm text-red-200/80">{error.message}</p>
+                {error.remediation && (
+                  <p className="text-sm text-slate-300 mt-1">{error.remediation}</p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {summary?.truncated && (
+            <div className="bg-yellow-500/20 border border-yellow-500/30 rounded-lg p-3 flex items-center gap-2">
+              <AlertCircle className="w-4 h-4 text-yellow-400" />
+              <span className="text-yellow-200 text-sm">
+                Only the most recent {summary.totalStatements} statements were loaded; older activity is not included.
+              </span>
+            </div>
+          )}
+
+          {hasData && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+                {statCards.map((card, index) => (
+                  <StatCard key={card.title} {...card} index={index} />
+                ))}
+              </div>
+
+              <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                <DistributionChart title="Progress" data={chartData.progress} />
+                <DistributionChart title="Average Scores" data={chartData.scores} delay={0.1} />
+                <DistributionChart title="Last Active" data={chartData.activity} delay={0.2} />
+              </div>
+
+              <CohortTable
+                learners={learners}
+                sort={sort}
+                onSort={sortBy}
+                onSelectLearner={onSelectLearner}
+              />
+            </>
+          )}
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+};
+
+export default CohortView;
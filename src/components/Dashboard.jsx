@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   BookOpen, 
@@ -12,21 +12,50 @@ import {
   CheckCircle
 } from 'lucide-react';
 import { useProcessedData } from '../hooks/useProcessedData';
+import { useTimeZoneSetting } from '../hooks/useTimeZoneSetting';
 import DashboardHeader from './DashboardHeader';
+import DateRangePicker from './DateRangePicker';
 import StatCard from './StatCard';
 import ProgressChart from './charts/ProgressChart';
 import ScoreChart from './charts/ScoreChart';
 import TimelineChart from './charts/TimelineChart';
 import EngagementRadar from './charts/EngagementRadar';
+import ActivityHeatmap from './charts/ActivityHeatmap';
 import InsightPanel from './InsightPanel';
 import ActivityTimeline from './ActivityTimeline';
+import ActivityCalendar from './ActivityCalendar';
+import ScoreDistribution from './ScoreDistribution';
+import PeriodComparison from './PeriodComparison';
+import VideoAnalytics from './VideoAnalytics';
+import ModuleProgressList from './ModuleProgressList';
+import Cmi5Progress from './Cmi5Progress';
+import ModuleDetail from './ModuleDetail';
 import LoadingSpinner from './LoadingSpinner';
 import ErrorBoundary from './ErrorBoundary';
 
-const Dashboard = () => {
-  const [userEmail, setUserEmail] = useState('user@example.com');
-  const [courseId, setCourseId] = useState('http://example.com/course/1');
-  const [activeTab, setActiveTab] = useState('overview');
+const Dashboard = ({
+  learnerId,
+  courseId,
+  onApplySettings,
+  onOpenCohort,
+  onOpenPortfolio,
+  activeTab: controlledTab,
+  onTabChange,
+  dateRange: controlledRange,
+  onDateRangeChange
+}) => {
+  const [localTab, setLocalTab] = useState('overview');
+  // The tab can be driven by the parent (e.g. opening a course from the portfolio)
+  const activeTab = controlledTab || localTab;
+  const setActiveTab = onTabChange || setLocalTab;
+  const [localRange, setLocalRange] = useState(null);
+  const dateRange = controlledRange || localRange;
+  const setDateRange = onDateRangeChange || setLocalRange;
+  const {
+    override: timeZoneOverride,
+    setOverride: setTimeZoneOverride,
+    timeZones
+  } = useTimeZoneSetting(learnerId);
 
   const {
     data,
@@ -38,8 +67,37 @@ const Dashboard = () => {
     refresh,
     hasData,
     hasAnomalies,
-    isStale
-  } = useProcessedData(userEmail, courseId);
+    isStale,
+    portfolioAvailable,
+    getModuleDetail,
+    getScoreDistribution,
+    getPeriodComparison,
+    comparisonPeriods,
+    timeZone,
+    timeZoneSource
+  } = useProcessedData(learnerId, courseId, dateRange, timeZoneOverride);
+  const [selectedModuleId, setSelectedModuleId] = useState(null);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [comparisonPeriod, setComparisonPeriod] = useState('week');
+
+  // A different learner or course has different modules and active days
+  useEffect(() => {
+    setSelectedModuleId(null);
+    setSelectedDate(null);
+  }, [learnerId, courseId]);
+
+  // A picked day may fall outside a new date range
+  useEffect(() => {
+    setSelectedDate(null);
+  }, [dateRange?.from, dateRange?.to]);
+
+  const comparison = useMemo(() => {
+    return getPeriodComparison(comparisonPeriod);
+  }, [comparisonPeriod, getPeriodComparison]);
+
+  const moduleDetail = useMemo(() => {
+    return selectedModuleId ? getModuleDetail(selectedModuleId) : null;
+  }, [selectedModuleId, getModuleDetail]);
 
   // Auto-refresh data every 5 minutes
   useEffect(() => {
@@ -62,66 +120,93 @@ const Dashboard = () => {
         <div className="bg-white/10 backdrop-blur-lg rounded-xl p-8 border border-red-500/20 max-w-md">
           <AlertCircle className="w-12 h-12 text-red-400 mx-auto mb-4" />
           <h2 className="text-xl font-semibold text-white text-center mb-2">
-            Connection Error
+            {error.title || 'Connection Error'}
           </h2>
-          <p className="text-slate-300 text-center mb-4">{error}</p>
-          <button
-            onClick={refresh}
-            className="w-full bg-purple-600 hover:bg-purple-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
-          >
-            Try Again
-          </button>
+          <p className="text-slate-300 text-center mb-4">{error.message}</p>
+          {error.remediation && (
+            <p className="text-slate-400 text-sm text-center mb-4">{error.remediation}</p>
+          )}
+          {error.retryable !== false && (
+            <button
+              onClick={refresh}
+              className="w-full bg-purple-600 hover:bg-purple-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
+            >
+              Try Again
+            </button>
+          )}
         </div>
       </div>
     );
   }
 
+  // With a course structure, count whole modules rather than activities
+  const structuredModules = metrics?.progress?.modules || [];
+
+  // Stat card deltas compare the selected period with the one before it
+  const comparisonLabel = comparison && `vs previous ${comparison.period === 'range' ? 'period' : comparison.period}`;
+
   const statCards = [
     {
       icon: BookOpen,
       title: 'Modules Completed',
-      value: metrics?.progress?.completed || 0,
-      subtitle: of ,
+      value: structuredModules.length > 0
+        ? structuredModules.filter(module => module.isComplete).length
+        : metrics?.progress?.completed || 0,
+      subtitle: structuredModules.length > 0
+        ? `of ${structuredModules.length}`
+        : `of ${metrics?.progress?.total || 0}`,
+      change: comparison?.changes.completions,
       color: 'purple'
     },
     {
       icon: TrendingUp,
       title: 'Average Score',
-      value: ${metrics?.scores?.average || 0}%,
+      value: `${metrics?.scores?.average || 0}%`,
       subtitle: metrics?.scores?.trend || 'stable',
+      change: comparison?.changes.averageScore,
       color: 'blue'
     },
     {
       icon: Award,
       title: 'Assessments',
       value: metrics?.scores?.scores?.length || 0,
-      subtitle: ${metrics?.scores?.passRate || 0}% pass rate,
+      subtitle: `${metrics?.scores?.passRate || 0}% pass rate`,
+      change: comparison?.changes.assessments,
       color: 'green'
     },
     {
       icon: Clock,
       title: 'Study Time',
       value: metrics?.engagement?.totalVideoTimeFormatted || '0m',
-      subtitle: ${metrics?.engagement?.studySessions || 0} sessions,
+      subtitle: `${metrics?.engagement?.studySessions || 0} sessions`,
+      change: comparison?.changes.videoTime,
       color: 'orange'
     }
-  ];
+  ].map(card => ({ ...card, changeLabel: comparisonLabel }));
 
   return (
     <ErrorBoundary>
       <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 text-white">
         <div className="container mx-auto px-6 py-8">
           <DashboardHeader
-            userEmail={userEmail}
+            learnerId={learnerId}
             courseId={courseId}
-            onUserEmailChange={setUserEmail}
-            onCourseIdChange={setCourseId}
+            onApplySettings={onApplySettings}
+            timeZone={timeZone}
+            timeZoneSource={timeZoneSource}
+            timeZoneOverride={timeZoneOverride}
+            timeZones={timeZones}
+            onTimeZoneChange={setTimeZoneOverride}
             onRefresh={refresh}
+            onOpenCohort={onOpenCohort}
+            onOpenPortfolio={portfolioAvailable ? onOpenPortfolio : null}
             isLoading={loading}
             isStale={isStale}
             hasAnomalies={hasAnomalies}
           />
 
+          <DateRangePicker dateRange={dateRange} onChange={setDateRange} timeZone={timeZone} />
+
           {/* Status Indicators */}
           {(isStale || hasAnomalies) && (
             <motion.div
@@ -151,7 +236,11 @@ const Dashboard = () => {
                 <button
                   key={tab}
                   onClick={() => setActiveTab(tab)}
-                  className={px-6 py-3 rounded-lg font-medium transition-all duration-200 capitalize \}
+                  className={`px-6 py-3 rounded-lg font-medium transition-all duration-200 capitalize ${
+                    activeTab === tab
+                      ? 'bg-purple-600 text-white shadow-lg'
+                      : 'text-slate-300 hover:text-white hover:bg-white/10'
+                  }`}
                 >
                   {tab}
                 </button>
@@ -171,28 +260,44 @@ const Dashboard = () => {
               {activeTab === 'overview' && (
                 <OverviewTab
                   statCards={statCards}
+                  comparison={comparison}
+                  comparisonPeriods={comparisonPeriods}
+                  onComparisonPeriodChange={setComparisonPeriod}
                   insights={insights}
                   chartData={chartData}
                   metrics={metrics}
+                  timeZone={timeZone}
                 />
               )}
               {activeTab === 'progress' && (
                 <ProgressTab
                   progressData={metrics?.progress}
+                  moduleProgress={metrics?.moduleProgress}
+                  cmi5Data={metrics?.cmi5}
                   timelineData={metrics?.timeline}
                   chartData={chartData}
+                  selectedModuleId={selectedModuleId}
+                  moduleDetail={moduleDetail}
+                  onSelectModule={setSelectedModuleId}
+                  timeZone={timeZone}
                 />
               )}
               {activeTab === 'performance' && (
                 <PerformanceTab
                   scoreData={metrics?.scores}
                   chartData={chartData}
+                  getScoreDistribution={getScoreDistribution}
                 />
               )}
               {activeTab === 'engagement' && (
                 <EngagementTab
                   engagementData={metrics?.engagement}
+                  timelineData={metrics?.timeline}
+                  videoData={metrics?.videos}
                   chartData={chartData}
+                  selectedDate={selectedDate}
+                  onSelectDate={setSelectedDate}
+                  timeZone={timeZone}
                 />
               )}
             </motion.div>
@@ -204,7 +309,16 @@ const Dashboard = () => {
 };
 
 // Tab Components
-const OverviewTab = ({ statCards, insights, chartData, metrics }) => (
+const OverviewTab = ({
+  statCards,
+  comparison,
+  comparisonPeriods,
+  onComparisonPeriodChange,
+  insights,
+  chartData,
+  metrics,
+  timeZone
+}) => (
   <div className="space-y-8">
     {/* Stat Cards */}
     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
@@ -213,6 +327,14 @@ const OverviewTab = ({ statCards, insights, chartData, metrics }) => (
       ))}
     </div>
 
+    <PeriodComparison
+      comparison={comparison}
+      periods={comparisonPeriods}
+      onPeriodChange={onComparisonPeriodChange}
+      timeZone={timeZone}
+      delay={0.2}
+    />
+
     {/* Main Charts */}
     <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
       <ProgressChart data={chartData?.progress} />
@@ -222,7 +344,7 @@ const OverviewTab = ({ statCards, insights, chartData, metrics }) => (
     {/* Insights and Timeline */}
     <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
       <div className="lg:col-span-2">
-        <ActivityTimeline data={metrics?.timeline} />
+        <ActivityTimeline data={metrics?.timeline} timeZone={timeZone} />
       </div>
       <div>
         <InsightPanel insights={insights} />
@@ -231,29 +353,48 @@ const OverviewTab = ({ statCards, insights, chartData, metrics }) => (
   </div>
 );
 
-const ProgressTab = ({ progressData, timelineData, chartData }) => (
-  <div className="space-y-8">
-    <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-      <ProgressChart data={chartData?.progress} detailed />
-      <TimelineChart data={chartData?.timeline} />
+const ProgressTab = ({
+  progressData,
+  moduleProgress,
+  cmi5Data,
+  timelineData,
+  chartData,
+  selectedModuleId,
+  moduleDetail,
+  onSelectModule,
+  timeZone
+}) => {
+  if (selectedModuleId) {
+    return <ModuleDetail module={moduleDetail} onBack={() => onSelectModule(null)} />;
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <ProgressChart data={chartData?.progress} detailed />
+        <TimelineChart data={chartData?.timeline} />
+      </div>
+      <ModuleProgressList
+        progress={progressData}
+        modules={moduleProgress}
+        onSelectModule={onSelectModule}
+      />
+      <Cmi5Progress cmi5={cmi5Data} timeZone={timeZone} />
+      <ActivityTimeline data={timelineData} detailed timeZone={timeZone} />
     </div>
-    <ActivityTimeline data={timelineData} detailed />
-  </div>
-);
+  );
+};
 
-const PerformanceTab = ({ scoreData, chartData }) => (
+const PerformanceTab = ({ scoreData, chartData, getScoreDistribution }) => (
   <div className="space-y-8">
     <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
       <ScoreChart data={chartData?.scores} detailed />
-      <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
-        <h3 className="text-xl font-semibold mb-4">Score Distribution</h3>
-        {/* Distribution chart will go here */}
-      </div>
+      <ScoreDistribution getDistribution={getScoreDistribution} delay={0.1} />
     </div>
   </div>
 );
 
-const EngagementTab = ({ engagementData, chartData }) => (
+const EngagementTab = ({ engagementData, timelineData, videoData, chartData, selectedDate, onSelectDate, timeZone }) => (
   <div className="space-y-8">
     <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
       <EngagementRadar data={chartData?.engagement} />
@@ -281,6 +422,27 @@ const EngagementTab = ({ engagementData, chartData }) => (
         </div>
       </div>
     </div>
+    <VideoAnalytics videos={videoData} chartData={chartData?.videos} delay={0.2} />
+    <ActivityHeatmap
+      data={chartData?.heatmap}
+      calendar={chartData?.calendar}
+      selectedDate={selectedDate}
+      onSelectDate={onSelectDate}
+    />
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+      <ActivityCalendar
+        data={chartData?.calendar}
+        selectedDate={selectedDate}
+        onSelectDate={onSelectDate}
+      />
+      <ActivityTimeline
+        data={timelineData}
+        detailed
+        selectedDate={selectedDate}
+        onClearDate={() => onSelectDate(null)}
+        timeZone={timeZone}
+      />
+    </div>
   </div>
 );
 
@@ -7,20 +7,106 @@ import {
   AlertTriangle, 
   CheckCircle,
   Clock,
-  Database
+  Database,
+  Users,
+  LayoutGrid,
+  Globe,
+  Link2
 } from 'lucide-react';
+import { AgentIdentity } from '../utils/agentIdentity';
+
+const TIME_ZONE_SOURCES = {
+  statements: 'from activity',
+  default: 'browser'
+};
+
+const LOOKUPS = [
+  { id: 'email', label: 'Email' },
+  { id: 'account', label: 'Account' }
+];
+
+// Split a learner ID into the lookup form's fields: the first email or
+// account fills the main lookup, every other identifier goes in "also"
+const toDraftLearner = (learnerId) => {
+  const agents = AgentIdentity.toAgents(learnerId);
+  const primary = agents.find(agent => agent.mbox || agent.account);
+  const others = agents.filter(agent => agent !== primary);
+
+  return {
+    lookup: primary?.account ? 'account' : 'email',
+    email: AgentIdentity.getEmail(primary) || '',
+    homePage: primary?.account?.homePage || '',
+    accountName: primary?.account?.name || '',
+    also: others.map(agent => AgentIdentity.escape(AgentIdentity.toIdentifier(agent))).join(', ')
+  };
+};
+
+// The identifiers the lookup form describes, as typed
+const getDraftIdentifiers = ({ lookup, email, homePage, accountName, also }) => [
+  lookup === 'account'
+    ? (homePage.trim() || accountName.trim()) && `${homePage.trim()}::${accountName.trim()}`
+    : email.trim(),
+  ...AgentIdentity.split(also)
+].filter(Boolean);
 
 const DashboardHeader = ({
-  userEmail,
+  learnerId,
   courseId,
-  onUserEmailChange,
-  onCourseIdChange,
+  onApplySettings,
+  timeZone,
+  timeZoneSource,
+  timeZoneOverride,
+  timeZones = [],
+  onTimeZoneChange,
   onRefresh,
+  onOpenCohort,
+  onOpenPortfolio,
   isLoading,
   isStale,
   hasAnomalies
 }) => {
   const [showSettings, setShowSettings] = useState(false);
+  // Edits stay local until applied, so the URL only changes once per edit
+  const [draftLearner, setDraftLearner] = useState(() => toDraftLearner(learnerId));
+  const [learnerError, setLearnerError] = useState(null);
+  const [draftCourseId, setDraftCourseId] = useState(courseId);
+  // '' is automatic: the activity's time zone, else the browser's
+  const [draftTimeZone, setDraftTimeZone] = useState(timeZoneOverride || '');
+
+  const toggleSettings = () => {
+    if (!showSettings) {
+      setDraftLearner(toDraftLearner(learnerId));
+      setLearnerError(null);
+      setDraftCourseId(courseId);
+      setDraftTimeZone(timeZoneOverride || '');
+    }
+    setShowSettings(!showSettings);
+  };
+
+  const applySettings = (e) => {
+    e.preventDefault();
+    const identifiers = getDraftIdentifiers(draftLearner);
+    const invalid = identifiers.filter(identifier => !AgentIdentity.parse(identifier));
+    if (invalid.length > 0) {
+      setLearnerError(`Unrecognized identifier: ${invalid.join(', ')}`);
+      return;
+    }
+
+    const learner = AgentIdentity.format(identifiers);
+    const course = draftCourseId.trim();
+    if (!learner || !course) return;
+    setLearnerError(null);
+
+    // Saved for the learner being applied, and only when it was changed so
+    // switching learners doesn't copy this learner's setting to the next
+    if (onTimeZoneChange && draftTimeZone !== (timeZoneOverride || '')) {
+      onTimeZoneChange(draftTimeZone || null, learner);
+    }
+    if (learner !== learnerId || course !== courseId) {
+      onApplySettings({ learnerId: learner, courseId: course });
+    }
+    setShowSettings(false);
+  };
 
   return (
     <motion.header
@@ -59,17 +145,37 @@ const DashboardHeader = ({
 
         {/* Controls */}
         <div className="flex items-center gap-3">
+          {onOpenPortfolio && (
+            <button
+              onClick={onOpenPortfolio}
+              className="flex items-center gap-2 px-4 py-2 bg-slate-600/20 hover:bg-slate-600/30 border border-slate-500/30 rounded-lg transition-colors"
+            >
+              <LayoutGrid className="w-4 h-4" />
+              <span className="hidden sm:inline">All Courses</span>
+            </button>
+          )}
+
+          {onOpenCohort && (
+            <button
+              onClick={onOpenCohort}
+              className="flex items-center gap-2 px-4 py-2 bg-slate-600/20 hover:bg-slate-600/30 border border-slate-500/30 rounded-lg transition-colors"
+            >
+              <Users className="w-4 h-4" />
+              <span className="hidden sm:inline">Cohort</span>
+            </button>
+          )}
+
           <button
             onClick={onRefresh}
             disabled={isLoading}
             className="flex items-center gap-2 px-4 py-2 bg-purple-600/20 hover:bg-purple-600/30 disabled:opacity-50 disabled:cursor-not-allowed border border-purple-500/30 rounded-lg transition-colors"
           >
-            <RefreshCw className={w-4 h-4 \} />
+            <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
             <span className="hidden sm:inline">Refresh</span>
           </button>
 
           <button
-            onClick={() => setShowSettings(!showSettings)}
+            onClick={toggleSettings}
             className="flex items-center gap-2 px-4 py-2 bg-slate-600/20 hover:bg-slate-600/30 border border-slate-500/30 rounded-lg transition-colors"
           >
             <Settings className="w-4 h-4" />
@@ -80,7 +186,8 @@ const DashboardHeader = ({
 
       {/* Settings Panel */}
       {showSettings && (
-        <motion.div
+        <motion.form
+          onSubmit={applySettings}
           initial={{ opacity: 0, height: 0 }}
           animate={{ opacity: 1, height: 'auto' }}
           exit={{ opacity: 0, height: 0 }}
@@ -91,21 +198,75 @@ const DashboardHeader = ({
             Dashboard Settings
           </h3>
           
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
             <div>
-              <label className="block text-sm font-medium text-slate-300 mb-2">
-                User Email
-              </label>
-              <div className="relative">
-                <User className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-slate-400" />
+              <div className="flex items-center justify-between mb-2">
+                <label className="block text-sm font-medium text-slate-300">
+                  Learner
+                </label>
+                <div className="flex gap-1 bg-white/5 rounded-lg p-0.5">
+                  {LOOKUPS.map(lookup => (
+                    <button
+                      key={lookup.id}
+                      type="button"
+                      onClick={() => setDraftLearner({ ...draftLearner, lookup: lookup.id })}
+                      className={`px-2 py-0.5 rounded-md text-xs transition-colors ${
+                        draftLearner.lookup === lookup.id
+                          ? 'bg-purple-600 text-white'
+                          : 'text-slate-300 hover:text-white hover:bg-white/10'
+                      }`}
+                    >
+                      {lookup.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {draftLearner.lookup === 'email' ? (
+                <div className="relative">
+                  <User className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-slate-400" />
+                  <input
+                    type="email"
+                    value={draftLearner.email}
+                    onChange={(e) => setDraftLearner({ ...draftLearner, email: e.target.value })}
+                    className="w-full pl-10 pr-4 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:border-purple-500"
+                    placeholder="Enter user email"
+                  />
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  <input
+                    type="url"
+                    value={draftLearner.homePage}
+                    onChange={(e) => setDraftLearner({ ...draftLearner, homePage: e.target.value })}
+                    className="w-full px-4 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:border-purple-500"
+                    placeholder="Account home page, e.g. https://www.coursera.org"
+                  />
+                  <div className="relative">
+                    <User className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-slate-400" />
+                    <input
+                      type="text"
+                      value={draftLearner.accountName}
+                      onChange={(e) => setDraftLearner({ ...draftLearner, accountName: e.target.value })}
+                      className="w-full pl-10 pr-4 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:border-purple-500"
+                      placeholder="Account name"
+                    />
+                  </div>
+                </div>
+              )}
+              <div className="relative mt-2">
+                <Link2 className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-slate-400" />
                 <input
-                  type="email"
-                  value={userEmail}
-                  onChange={(e) => onUserEmailChange(e.target.value)}
+                  type="text"
+                  value={draftLearner.also}
+                  onChange={(e) => setDraftLearner({ ...draftLearner, also: e.target.value })}
                   className="w-full pl-10 pr-4 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:border-purple-500"
-                  placeholder="Enter user email"
+                  placeholder="Also recorded as (optional)"
+                  title="Other identifiers for the same person, comma separated (write a comma inside one as \,): emails, homePage::name accounts, sha1:<hash> or OpenID URLs. Their activity is merged."
                 />
               </div>
+              {learnerError && (
+                <p className="mt-1 text-xs text-red-400">{learnerError}</p>
+              )}
             </div>
 
             <div>
@@ -116,24 +277,53 @@ const DashboardHeader = ({
                 <Database className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-slate-400" />
                 <input
                   type="text"
-                  value={courseId}
-                  onChange={(e) => onCourseIdChange(e.target.value)}
+                  value={draftCourseId}
+                  onChange={(e) => setDraftCourseId(e.target.value)}
                   className="w-full pl-10 pr-4 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:border-purple-500"
                   placeholder="Enter course ID"
                 />
               </div>
             </div>
+
+            {onTimeZoneChange && (
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Time Zone
+                </label>
+                <div className="relative">
+                  <Globe className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-slate-400" />
+                  <select
+                    value={draftTimeZone}
+                    onChange={(e) => setDraftTimeZone(e.target.value)}
+                    className="w-full pl-10 pr-4 py-2 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:border-purple-500"
+                  >
+                    <option value="" className="bg-slate-800">
+                      {timeZone && timeZoneSource !== 'override'
+                        ? `Automatic (${timeZone}, ${TIME_ZONE_SOURCES[timeZoneSource]})`
+                        : 'Automatic'}
+                    </option>
+                    {timeZones.map(zone => (
+                      <option key={zone} value={zone} className="bg-slate-800">{zone}</option>
+                    ))}
+                  </select>
+                </div>
+                <p className="mt-1 text-xs text-slate-400">
+                  Days, streaks and active days follow this learner's calendar
+                </p>
+              </div>
+            )}
           </div>
 
           <div className="mt-4 flex justify-end">
             <button
-              onClick={() => setShowSettings(false)}
-              className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors"
+              type="submit"
+              disabled={getDraftIdentifiers(draftLearner).length === 0 || !draftCourseId.trim()}
+              className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg transition-colors"
             >
               Apply Settings
             </button>
           </div>
-        </motion.div>
+        </motion.form>
       )}
     </motion.header>
   );
@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import { Calendar } from 'lucide-react';
+import { DATE_RANGE_PRESETS, DateRange } from '../utils/dateRange';
+
+const inputClass = 'px-2 py-1 bg-white/10 border border-white/20 rounded-lg text-sm text-white focus:outline-none focus:border-purple-500 [color-scheme:dark]';
+
+/**
+ * Global date range control: preset windows plus a custom from/to
+ * `dateRange` is { from, to } as YYYY-MM-DD days, either null for an open end;
+ * days are in `timeZone`, the learner's time zone.
+ */
+const DateRangePicker = ({ dateRange, onChange, timeZone }) => {
+  const presetId = DateRange.getPresetId(dateRange, new Date(), timeZone || 'UTC');
+  const [showCustom, setShowCustom] = useState(!presetId);
+
+  // A custom range from a link opens with its inputs showing
+  useEffect(() => {
+    if (!presetId) setShowCustom(true);
+  }, [presetId]);
+
+  const selectPreset = (id) => {
+    setShowCustom(false);
+    onChange(DateRange.fromPreset(id, new Date(), timeZone || 'UTC'));
+  };
+
+  // Ignore edits that would leave the range ending before it starts
+  const changeDay = (key, value) => {
+    const next = { from: dateRange?.from || null, to: dateRange?.to || null, [key]: value || null };
+    if (next.from && next.to && next.from > next.to) return;
+    onChange(next);
+  };
+
+  const buttonClass = (active) => `px-3 py-1 rounded-lg text-sm transition-colors ${
+    active
+      ? 'bg-purple-600 text-white'
+      : 'text-slate-300 hover:text-white hover:bg-white/10'
+  }`;
+
+  return (
+    <div className="mb-6 flex flex-col md:flex-row md:items-center gap-3">
+      <div className="flex flex-wrap items-center gap-1 bg-white/5 backdrop-blur-lg rounded-xl p-1 border border-white/10">
+        {DATE_RANGE_PRESETS.map(preset => (
+          <button
+            key={preset.id}
+            onClick={() => selectPreset(preset.id)}
+            className={buttonClass(!showCustom && presetId === preset.id)}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <button
+          onClick={() => setShowCustom(true)}
+          className={buttonClass(showCustom)}
+        >
+          Custom
+        </button>
+      </div>
+
+      {showCustom && (
+        <div className="flex items-center gap-2 text-sm text-slate-300">
+          <input
+            type="date"
+            value={dateRange?.from || ''}
+            max={dateRange?.to || undefined}
+            onChange={(e) => changeDay('from', e.target.value)}
+            className={inputClass}
+            aria-label="From"
+          />
+          to
+          <input
+            type="date"
+            value={dateRange?.to || ''}
+            min={dateRange?.from || undefined}
+            onChange={(e) => changeDay('to', e.target.value)}
+            className={inputClass}
+            aria-label="To"
+          />
+        </div>
+      )}
+
+      <span className="flex items-center gap-2 text-sm text-slate-400 md:ml-auto">
+        <Calendar className="w-4 h-4" />
+        {DateRange.describe(dateRange)}
+        {timeZone && <span className="text-slate-500">· {timeZone}</span>}
+      </span>
+    </div>
+  );
+};
+
+export default DateRangePicker;
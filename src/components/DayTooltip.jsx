@@ -0,0 +1,33 @@
+import React from 'react';
+
+// Timeline dates are UTC calendar days
+const formatDate = date =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+  });
+
+/**
+ * Floating summary of one day's activity for the heatmap and calendar
+ * `details` is the day's entry from ChartDataTransformer.transformCalendarData,
+ * or undefined for a day without activity.
+ */
+const DayTooltip = ({ date, details, position }) => (
+  <div
+    className="absolute z-20 pointer-events-none -translate-x-1/2 -translate-y-full px-3 py-2 rounded-lg bg-black/90 border border-purple-500/50 text-xs text-white whitespace-nowrap shadow-lg"
+    style={{ left: position.x, top: position.y - 6 }}
+  >
+    <div className="font-semibold mb-1">{formatDate(date)}</div>
+    {details ? (
+      <div className="space-y-0.5 text-slate-300">
+        <div>{details.activities} activities</div>
+        <div>{details.completions} completions</div>
+        {details.averageScore !== null && <div>Average score {details.averageScore}%</div>}
+        {details.videoTime && details.videoTime !== '0s' && <div>{details.videoTime} of video</div>}
+      </div>
+    ) : (
+      <div className="text-slate-400">No activity</div>
+    )}
+  </div>
+);
+
+export default DayTooltip;
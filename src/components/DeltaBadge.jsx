@@ -0,0 +1,21 @@
+import React from 'react';
+
+/**
+ * A percentage change, green when up and red when down
+ */
+const DeltaBadge = ({ change, title }) => (
+  <span
+    title={title}
+    className={`px-1.5 py-0.5 rounded-md text-xs font-medium ${
+      change > 0
+        ? 'bg-green-500/20 text-green-400'
+        : change < 0
+          ? 'bg-red-500/20 text-red-400'
+          : 'bg-white/10 text-slate-400'
+    }`}
+  >
+    {change > 0 ? '+' : ''}{change}%
+  </span>
+);
+
+export default DeltaBadge;
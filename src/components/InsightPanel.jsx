@@ -0,0 +1,74 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { CheckCircle, AlertTriangle, Info, Lightbulb } from 'lucide-react';
+
+const TYPE_STYLES = {
+  success: { icon: CheckCircle, className: 'text-green-400 bg-green-500/10 border-green-500/20' },
+  warning: { icon: AlertTriangle, className: 'text-yellow-400 bg-yellow-500/10 border-yellow-500/20' },
+  info: { icon: Info, className: 'text-blue-400 bg-blue-500/10 border-blue-500/20' }
+};
+
+const InsightPanel = ({ insights, title = 'Insights' }) => {
+  if (!insights) {
+    return (
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
+        <div className="animate-pulse space-y-4">
+          <div className="h-6 bg-white/20 rounded w-1/3"></div>
+          {[0, 1, 2].map(i => (
+            <div key={i} className="h-16 bg-white/10 rounded"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20 hover:border-purple-500/30 transition-colors duration-300 h-full"
+    >
+      <div className="flex items-center gap-2 mb-6">
+        <Lightbulb className="w-5 h-5 text-yellow-400" />
+        <h3 className="text-xl font-semibold text-white">{title}</h3>
+      </div>
+
+      {insights.length === 0 ? (
+        <p className="text-slate-400 text-sm">
+          No insights yet. They will appear as more learning activity is recorded.
+        </p>
+      ) : (
+        <ul className="space-y-3">
+          {insights.map((insight, index) => {
+            const style = TYPE_STYLES[insight.type] || TYPE_STYLES.info;
+            const Icon = style.icon;
+
+            return (
+              <motion.li
+                key={`${insight.category}-${insight.title}`}
+                initial={{ opacity: 0, x: 20 }}
+                animate={{ opacity: 1, x: 0 }}
+                transition={{ duration: 0.3, delay: index * 0.05 }}
+                className={`flex gap-3 p-3 rounded-lg border ${style.className}`}
+              >
+                <Icon className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm font-semibold text-white">{insight.title}</span>
+                    <span className="text-[10px] uppercase tracking-wide text-slate-400">
+                      {insight.category}
+                    </span>
+                  </div>
+                  <p className="text-sm text-slate-300 mt-1">{insight.message}</p>
+                </div>
+              </motion.li>
+            );
+          })}
+        </ul>
+      )}
+    </motion.div>
+  );
+};
+
+export default InsightPanel;
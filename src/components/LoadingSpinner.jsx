@@ -77,17 +77,17 @@ const LoadingSpinner = ({ size = 'large', message = 'Loading dashboard data...'
 
   return (
     <motion.div
-      className={\ relative}
+      className={`${sizeClasses[size]} relative`}
       initial={{ opacity: 0 }}
       animate={{ opacity: 1 }}
     >
       <motion.div
-        className={\ border-2 border-purple-500/30 rounded-full}
+        className={`absolute inset-0 ${sizeClasses[size]} border-2 border-purple-500/30 rounded-full`}
         animate={{ rotate: 360 }}
         transition={{ duration: 2, repeat: Infinity, ease: "linear" }}
       />
       <motion.div
-        className={bsolute inset-0 border-2 border-t-purple-500 border-r-transparent border-b-transparent border-l-transparent rounded-full}
+        className="absolute inset-0 border-2 border-t-purple-500 border-r-transparent border-b-transparent border-l-transparent rounded-full"
         animate={{ rotate: -360 }}
         transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
       />
@@ -0,0 +1,140 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import {
+  ArrowLeft,
+  PlayCircle,
+  FileQuestion,
+  ClipboardCheck,
+  Users,
+  FileText
+} from 'lucide-react';
+
+const STATUS_STYLES = {
+  'not-started': { label: 'Not started', className: 'bg-slate-500/20 text-slate-300 border-slate-500/30' },
+  'in-progress': { label: 'In progress', className: 'bg-blue-500/20 text-blue-300 border-blue-500/30' },
+  completed: { label: 'Completed', className: 'bg-purple-500/20 text-purple-300 border-purple-500/30' },
+  passed: { label: 'Passed', className: 'bg-green-500/20 text-green-300 border-green-500/30' },
+  failed: { label: 'Failed', className: 'bg-red-500/20 text-red-300 border-red-500/30' }
+};
+
+const KIND_ICONS = {
+  video: PlayCircle,
+  quiz: FileQuestion,
+  assignment: ClipboardCheck,
+  'peer-review': Users
+};
+
+const StatusBadge = ({ status }) => {
+  const style = STATUS_STYLES[status] || STATUS_STYLES['not-started'];
+  return (
+    <span className={`inline-block px-2 py-0.5 rounded-full text-xs border ${style.className}`}>
+      {style.label}
+    </span>
+  );
+};
+
+const ItemTable = ({ title, items }) => (
+  <div>
+    {title && <h4 className="text-sm font-semibold text-slate-300 mb-2">{title}</h4>}
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-slate-400 border-b border-white/10">
+            <th className="py-2 pr-4 font-medium">Item</th>
+            <th className="py-2 pr-4 font-medium">Status</th>
+            <th className="py-2 pr-4 font-medium text-right">Attempts</th>
+            <th className="py-2 pr-4 font-medium text-right">Best Score</th>
+            <th className="py-2 pr-4 font-medium text-right">Time Spent</th>
+            <th className="py-2 font-medium text-right">Last Activity</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map(item => {
+            const Icon = KIND_ICONS[item.kind] || FileText;
+            return (
+              <tr key={item.id} className="border-b border-white/5">
+                <td className="py-2 pr-4">
+                  <div className="flex items-center gap-2">
+                    <Icon className="w-4 h-4 text-slate-400 flex-shrink-0" />
+                    <span className="text-white">{item.name}</span>
+                  </div>
+                </td>
+                <td className="py-2 pr-4"><StatusBadge status={item.status} /></td>
+                <td className="py-2 pr-4 text-right text-slate-300">{item.attempts || '—'}</td>
+                <td className="py-2 pr-4 text-right text-slate-300">
+                  {item.bestScore !== null ? `${item.bestScore}%` : '—'}
+                </td>
+                <td className="py-2 pr-4 text-right text-slate-300">
+                  {item.timeSpent > 0 ? item.timeSpentFormatted : '—'}
+                </td>
+                <td className="py-2 text-right text-slate-400">
+                  {item.lastActivity ? item.lastActivity.toLocaleDateString() : '—'}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+const ModuleDetail = ({ module, onBack }) => {
+  if (!module) {
+    return (
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20 text-slate-300">
+        <button onClick={onBack} className="flex items-center gap-2 text-sm text-slate-400 hover:text-white mb-4">
+          <ArrowLeft className="w-4 h-4" />
+          All modules
+        </button>
+        This module is not part of the current course.
+      </div>
+    );
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.4 }}
+      className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20 space-y-6"
+    >
+      <div>
+        <button onClick={onBack} className="flex items-center gap-2 text-sm text-slate-400 hover:text-white mb-4">
+          <ArrowLeft className="w-4 h-4" />
+          All modules
+        </button>
+        <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-2">
+          <h3 className="text-2xl font-semibold text-white">{module.name}</h3>
+          <div className="text-sm text-slate-300">
+            {module.completed} of {module.total} items
+            <span className="text-purple-400 font-semibold ml-2">{module.percentage}%</span>
+            {module.timeSpent > 0 && (
+              <span className="text-slate-400 ml-3">{module.timeSpentFormatted} spent</span>
+            )}
+          </div>
+        </div>
+        <div className="h-2 bg-white/10 rounded-full overflow-hidden mt-3">
+          <motion.div
+            className="h-full bg-gradient-to-r from-purple-500 to-pink-500"
+            initial={{ width: 0 }}
+            animate={{ width: `${module.percentage}%` }}
+            transition={{ duration: 1 }}
+          />
+        </div>
+      </div>
+
+      {module.lessons.map(lesson => (
+        <ItemTable key={lesson.id} title={lesson.name} items={lesson.items} />
+      ))}
+      {module.items.length > 0 && (
+        <ItemTable
+          title={module.lessons.length > 0 ? 'Module Items' : null}
+          items={module.items}
+        />
+      )}
+    </motion.div>
+  );
+};
+
+export default ModuleDetail;
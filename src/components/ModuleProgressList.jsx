@@ -0,0 +1,82 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { CheckCircle, Circle, ChevronRight } from 'lucide-react';
+
+const SOURCE_LABELS = {
+  manifest: 'Measured against the course manifest',
+  inferred: 'Measured against the course structure seen across all learners',
+};
+
+const ModuleProgressList = ({ progress, modules, onSelectModule }) => {
+  if (!progress || !modules) {
+    return (
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
+        <div className="animate-pulse space-y-4">
+          <div className="h-6 bg-white/20 rounded w-1/3"></div>
+          {[0, 1, 2].map(i => (
+            <div key={i} className="h-10 bg-white/10 rounded"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20 hover:border-purple-500/30 transition-colors duration-300"
+    >
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1 mb-6">
+        <h3 className="text-xl font-semibold text-white">Module Progress</h3>
+        <span className="text-xs text-slate-400">
+          {SOURCE_LABELS[progress.source] || 'Course structure unavailable; showing activities you have started'}
+        </span>
+      </div>
+
+      {modules.length === 0 ? (
+        <p className="text-slate-400 text-sm">
+          {progress.completed} of {progress.total} started activities completed.
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {modules.map((module, index) => (
+            <li key={module.id}>
+              <button
+                onClick={() => onSelectModule?.(module.id)}
+                className="w-full text-left p-2 -mx-2 rounded-lg hover:bg-white/5 transition-colors group"
+              >
+                <div className="flex items-center justify-between gap-3 text-sm mb-1">
+                  <div className="flex items-center gap-2 min-w-0">
+                    {module.isComplete ? (
+                      <CheckCircle className="w-4 h-4 text-green-400 flex-shrink-0" />
+                    ) : (
+                      <Circle className="w-4 h-4 text-slate-500 flex-shrink-0" />
+                    )}
+                    <span className="text-white truncate">{module.name}</span>
+                  </div>
+                  <span className="flex items-center text-slate-300 flex-shrink-0">
+                    {module.completed}/{module.total}
+                    <span className="text-purple-400 font-semibold ml-2">{module.percentage}%</span>
+                    <ChevronRight className="w-4 h-4 ml-1 text-slate-500 group-hover:text-white transition-colors" />
+                  </span>
+                </div>
+                <div className="h-2 bg-white/10 rounded-full overflow-hidden">
+                  <motion.div
+                    className="h-full bg-gradient-to-r from-purple-500 to-pink-500"
+                    initial={{ width: 0 }}
+                    animate={{ width: `${module.percentage}%` }}
+                    transition={{ duration: 1, delay: index * 0.05 }}
+                  />
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </motion.div>
+  );
+};
+
+export default ModuleProgressList;
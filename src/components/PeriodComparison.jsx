@@ -0,0 +1,150 @@
+import React from 'react';
+import { Bar } from 'react-chartjs-2';
+import { motion } from 'framer-motion';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import DeltaBadge from './DeltaBadge';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+  Legend
+);
+
+const METRICS = [
+  { key: 'totalActivities', label: 'Activities' },
+  { key: 'completions', label: 'Completions' },
+  { key: 'averageScore', label: 'Average Score', format: value => `${value}%` },
+  { key: 'assessments', label: 'Assessments' },
+  { key: 'uniqueDays', label: 'Active Days' },
+  { key: 'videoTime', label: 'Video Time', format: value => `${Math.round(value / 60)}m` }
+];
+
+// Window ends are exclusive; show the last day they include
+const formatWindow = ({ start, end }, timeZone = 'UTC') => {
+  const format = date => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone });
+  return `${format(start)} – ${format(new Date(end - 1))}`;
+};
+
+/**
+ * This period against the one before it: side-by-side bars for the counts
+ * and every metric with its change. `comparison` comes from
+ * useProcessedData's getPeriodComparison and `periods` from its
+ * comparisonPeriods.
+ */
+const PeriodComparison = ({ comparison, periods = [], onPeriodChange, timeZone, delay = 0 }) => {
+  if (!comparison) {
+    return (
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
+        <div className="animate-pulse">
+          <div className="h-6 bg-white/20 rounded mb-4 w-1/3"></div>
+          <div className="h-48 bg-white/10 rounded"></div>
+        </div>
+      </div>
+    );
+  }
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'bottom',
+        labels: {
+          color: 'rgba(255, 255, 255, 0.8)',
+          boxWidth: 12,
+          font: { size: 11 }
+        }
+      },
+      tooltip: {
+        backgroundColor: 'rgba(0, 0, 0, 0.9)',
+        titleColor: 'white',
+        bodyColor: 'white',
+        borderColor: 'rgba(139, 92, 246, 1)',
+        borderWidth: 1,
+        cornerRadius: 8
+      }
+    },
+    scales: {
+      x: {
+        grid: { display: false },
+        ticks: { color: 'rgba(255, 255, 255, 0.7)', font: { size: 11 } }
+      },
+      y: {
+        beginAtZero: true,
+        grid: { color: 'rgba(255, 255, 255, 0.1)', drawBorder: false },
+        ticks: { color: 'rgba(255, 255, 255, 0.7)', font: { size: 11 }, precision: 0 }
+      }
+    },
+    animation: {
+      duration: 1500,
+      easing: 'easeInOutQuart'
+    }
+  };
+
+  const chartData = {
+    ...comparison.chart,
+    datasets: comparison.chart.datasets.map(dataset => ({ ...dataset, borderRadius: 6 }))
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.9 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ duration: 0.5, delay }}
+      className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20 hover:border-purple-500/30 transition-colors duration-300"
+    >
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-6">
+        <div>
+          <h3 className="text-xl font-semibold text-white">Period Comparison</h3>
+          <p className="text-sm text-slate-400">
+            {formatWindow(comparison.windows.current, timeZone)} vs {formatWindow(comparison.windows.previous, timeZone)}
+          </p>
+        </div>
+        <div className="flex gap-1 bg-white/5 rounded-lg p-1">
+          {periods.map(period => (
+            <button
+              key={period.id}
+              onClick={() => onPeriodChange(period.id)}
+              className={`px-3 py-1 rounded-md text-sm transition-colors ${
+                comparison.period === period.id
+                  ? 'bg-purple-600 text-white'
+                  : 'text-slate-300 hover:text-white hover:bg-white/10'
+              }`}
+            >
+              {period.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="relative h-56">
+          <Bar data={chartData} options={options} />
+        </div>
+        <div className="divide-y divide-white/10">
+          {METRICS.map(({ key, label, format = value => value }) => (
+            <div key={key} className="flex items-center justify-between py-2 text-sm">
+              <span className="text-slate-300">{label}</span>
+              <span className="flex items-center gap-3">
+                <span className="text-slate-400">{format(comparison.previous[key])}</span>
+                <span className="text-white font-medium">{format(comparison.current[key])}</span>
+                <DeltaBadge change={comparison.changes[key]} />
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default PeriodComparison;
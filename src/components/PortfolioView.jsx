@@ -0,0 +1,255 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import {
+  BookOpen,
+  TrendingUp,
+  Award,
+  Flame,
+  ArrowLeft,
+  RefreshCw,
+  AlertCircle,
+  ChevronRight
+} from 'lucide-react';
+import { usePortfolioData } from '../hooks/usePortfolioData';
+import { AgentIdentity } from '../utils/agentIdentity';
+import StatCard from './StatCard';
+import CourseActivityChart from './charts/CourseActivityChart';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorBoundary from './ErrorBoundary';
+
+const TABS = ['overview', 'progress', 'performance', 'engagement'];
+
+const CourseCard = ({ course, index, onOpenCourse }) => (
+  <motion.div
+    initial={{ opacity: 0, y: 20 }}
+    animate={{ opacity: 1, y: 0 }}
+    transition={{ delay: index * 0.05, duration: 0.4 }}
+    className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20 hover:border-purple-500/30 transition-colors duration-300"
+  >
+    <button
+      onClick={() => onOpenCourse(course.courseId, 'overview')}
+      className="w-full text-left group"
+    >
+      <div className="flex items-start justify-between gap-2 mb-1">
+        <h3 className="text-lg font-semibold text-white group-hover:text-purple-300 transition-colors">
+          {course.name}
+        </h3>
+        <ChevronRight className="w-5 h-5 text-slate-400 flex-shrink-0" />
+      </div>
+      {course.name !== course.courseId && (
+        <p className="text-xs text-slate-400 truncate mb-4">{course.courseId}</p>
+      )}
+    </button>
+
+    <div className="mb-4">
+      <div className="flex justify-between text-sm mb-1">
+        <span className="text-slate-300">Progress</span>
+        <span className="text-purple-400 font-semibold">{course.progress}%</span>
+      </div>
+      <div className="h-2 bg-white/10 rounded-full overflow-hidden">
+        <motion.div
+          className="h-full bg-gradient-to-r from-purple-500 to-pink-500"
+          initial={{ width: 0 }}
+          animate={{ width: `${course.progress}%` }}
+          transition={{ duration: 1, delay: index * 0.05 }}
+        />
+      </div>
+    </div>
+
+    <div className="grid grid-cols-3 gap-3 mb-4 text-center">
+      <div className="p-2 bg-white/5 rounded-lg">
+        <div className="text-sm font-bold text-white">{course.modulesCompleted}</div>
+        <div className="text-xs text-slate-400">Modules</div>
+      </div>
+      <div className="p-2 bg-white/5 rounded-lg">
+        <div className="text-sm font-bold text-white">
+          {course.averageScore !== null ? `${course.averageScore}%` : '—'}
+        </div>
+        <div className="text-xs text-slate-400">Avg Score</div>
+      </div>
+      <div className="p-2 bg-white/5 rounded-lg">
+        <div className="text-sm font-bold text-white">{course.videoTimeFormatted}</div>
+        <div className="text-xs text-slate-400">Video</div>
+      </div>
+    </div>
+
+    <div className="flex items-center justify-between text-xs">
+      <span className="text-slate-400">
+        {course.lastActivity ? `Last active ${course.lastActivity.toLocaleDateString()}` : 'No tracked activity'}
+      </span>
+      <div className="flex gap-1">
+        {TABS.slice(1).map(tab => (
+          <button
+            key={tab}
+            onClick={() => onOpenCourse(course.courseId, tab)}
+            className="px-2 py-1 rounded bg-white/5 hover:bg-purple-600/30 text-slate-300 hover:text-white capitalize transition-colors"
+          >
+            {tab}
+          </button>
+        ))}
+      </div>
+    </div>
+  </motion.div>
+);
+
+const PortfolioView = ({ learnerId, onOpenCourse, onBack }) => {
+  const {
+    courses,
+    summary,
+    engagement,
+    recentActivity,
+    chartData,
+    loading,
+    error,
+    refresh,
+    hasData
+  } = usePortfolioData(learnerId);
+
+  if (loading && !hasData) {
+    return <LoadingSpinner message="Loading course portfolio..." />;
+  }
+
+  const statCards = summary ? [
+    {
+      icon: BookOpen,
+      title: 'Courses',
+      value: summary.courseCount,
+      subtitle: `${summary.activeCourses} active in the last 2 weeks`,
+      color: 'purple'
+    },
+    {
+      icon: TrendingUp,
+      title: 'Average Progress',
+      value: `${summary.averageProgress}%`,
+      subtitle: `${summary.completedModules} modules completed`,
+      color: 'blue'
+    },
+    {
+      icon: Award,
+      title: 'Average Score',
+      value: summary.averageScore !== null ? `${summary.averageScore}%` : '—',
+      subtitle: 'across scored courses',
+      color: 'green'
+    },
+    {
+      icon: Flame,
+      title: 'Learning Streak',
+      value: `${engagement?.currentStreak || 0} days`,
+      subtitle: `longest ${engagement?.longestStreak || 0} days`,
+      color: 'orange'
+    }
+  ] : [];
+
+  return (
+    <ErrorBoundary>
+      <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 text-white">
+        <div className="container mx-auto px-6 py-8 space-y-8">
+          {/* Header */}
+          <motion.header
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4"
+          >
+            <div>
+              <h1 className="text-4xl font-bold bg-gradient-to-r from-purple-400 to-pink-400 bg-clip-text text-transparent mb-2">
+                Course Portfolio
+              </h1>
+              <p className="text-slate-300">
+                Every course {AgentIdentity.describeLearner(learnerId)} has activity in
+              </p>
+            </div>
+            <div className="flex items-center gap-3">
+              <button
+                onClick={onBack}
+                className="flex items-center gap-2 px-4 py-2 bg-slate-600/20 hover:bg-slate-600/30 border border-slate-500/30 rounded-lg transition-colors"
+              >
+                <ArrowLeft className="w-4 h-4" />
+                <span className="hidden sm:inline">Course View</span>
+              </button>
+              <button
+                onClick={refresh}
+                disabled={loading}
+                className="flex items-center gap-2 px-4 py-2 bg-purple-600/20 hover:bg-purple-600/30 disabled:opacity-50 disabled:cursor-not-allowed border border-purple-500/30 rounded-lg transition-colors"
+              >
+                <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                <span className="hidden sm:inline">Refresh</span>
+              </button>
+            </div>
+          </motion.header>
+
+          {error && (
+            <div className="bg-red-500/20 border border-red-500/30 rounded-lg p-4 flex items-start gap-3">
+              <AlertCircle className="w-5 h-5 text-red-400 mt-0.5" />
+              <div>
+                <p className="font-medium text-red-200">{error.title || 'Error'}</p>
+                <p className="text-sm text-red-200/80">{error.message}</p>
+                {error.remediation && (
+                  <p className="text-sm text-slate-300 mt-1">{error.remediation}</p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {summary?.truncated && (
+            <div className="bg-yellow-500/20 border border-yellow-500/30 rounded-lg p-3 flex items-center gap-2">
+              <AlertCircle className="w-4 h-4 text-yellow-400" />
+              <span className="text-yellow-200 text-sm">
+                Only the most recent {summary.totalStatements} statements were loaded; older activity is not included.
+              </span>
+            </div>
+          )}
+
+          {hasData && courses.length === 0 && (
+            <div className="bg-white/10 backdrop-blur-lg rounded-xl p-8 border border-white/20 text-center text-slate-300">
+              No course activity found for {AgentIdentity.describeLearner(learnerId)}.
+            </div>
+          )}
+
+          {hasData && courses.length > 0 && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+                {statCards.map((card, index) => (
+                  <StatCard key={card.title} {...card} index={index} />
+                ))}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+                {courses.map((course, index) => (
+                  <CourseCard
+                    key={course.courseId}
+                    course={course}
+                    index={index}
+                    onOpenCourse={onOpenCourse}
+                  />
+                ))}
+              </div>
+
+              <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                <div className="lg:col-span-2">
+                  <CourseActivityChart data={chartData.activity} title="Last 30 Days" />
+                </div>
+                <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
+                  <h3 className="text-xl font-semibold mb-4">Recent Activity</h3>
+                  <ul className="space-y-3 max-h-64 overflow-y-auto pr-2">
+                    {recentActivity.map((item, index) => (
+                      <li key={index} className="text-sm">
+                        <div className="text-white">
+                          <span className="capitalize text-purple-300">{item.verb}</span> {item.name}
+                        </div>
+                        <div className="text-xs text-slate-400">
+                          {item.courseName} · {item.timestamp.toLocaleString()}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+};
+
+export default PortfolioView;
@@ -0,0 +1,75 @@
+import React, { useMemo, useState } from 'react';
+import DistributionChart from './charts/DistributionChart';
+
+const SCHEMES = [
+  { value: 'letter', label: 'Letter grades' },
+  { value: 'pass-fail', label: 'Pass / fail' },
+  { value: 'deciles', label: 'Deciles' }
+];
+
+const controlClass = 'px-2 py-1 bg-white/10 border border-white/20 rounded-lg text-sm text-white focus:outline-none focus:border-purple-500';
+
+/**
+ * Score distribution with selectable grade bands and an optional split by
+ * assessment type. `getDistribution` is useProcessedData's getScoreDistribution.
+ */
+const ScoreDistribution = ({ getDistribution, delay = 0 }) => {
+  const [scheme, setScheme] = useState('letter');
+  const [passThreshold, setPassThreshold] = useState(80);
+  const [splitByType, setSplitByType] = useState(false);
+
+  const data = useMemo(() => {
+    return getDistribution ? getDistribution({ scheme, passThreshold, splitByType }) : null;
+  }, [getDistribution, scheme, passThreshold, splitByType]);
+
+  return (
+    <DistributionChart
+      data={data}
+      title="Score Distribution"
+      unit="assessments"
+      emptyMessage="No scored assessments yet."
+      delay={delay}
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={scheme}
+          onChange={(e) => setScheme(e.target.value)}
+          className={controlClass}
+          aria-label="Grade bands"
+        >
+          {SCHEMES.map(option => (
+            <option key={option.value} value={option.value} className="bg-slate-800">
+              {option.label}
+            </option>
+          ))}
+        </select>
+        {scheme === 'pass-fail' && (
+          <label className="flex items-center gap-1 text-sm text-slate-300">
+            Pass at
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={passThreshold}
+              onChange={(e) => setPassThreshold(Math.min(Math.max(Number(e.target.value) || 1, 1), 100))}
+              className={`${controlClass} w-16`}
+            />
+            %
+          </label>
+        )}
+        <button
+          onClick={() => setSplitByType(!splitByType)}
+          className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+            splitByType
+              ? 'bg-purple-600 text-white'
+              : 'bg-white/10 text-slate-300 hover:text-white hover:bg-white/20'
+          }`}
+        >
+          By type
+        </button>
+      </div>
+    </DistributionChart>
+  );
+};
+
+export default ScoreDistribution;
@@ -1,6 +1,7 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { TrendingUp, TrendingDown, Minus } from 'lucide-react';
+import DeltaBadge from './DeltaBadge';
 
 const StatCard = ({ 
   icon: Icon, 
@@ -10,7 +11,8 @@ const StatCard = ({
   color = 'purple', 
   index = 0,
   trend,
-  change 
+  change,
+  changeLabel
 }) => {
   const colorClasses = {
     purple: 'from-purple-500/20 to-purple-600/20 border-purple-500/30 text-purple-400',
@@ -43,7 +45,7 @@ const StatCard = ({
         scale: 1.02,
         transition: { duration: 0.2 }
       }}
-      className={elative overflow-hidden bg-gradient-to-br \ backdrop-blur-lg rounded-xl p-6 border group cursor-pointer}
+      className={`relative overflow-hidden bg-gradient-to-br ${colorClasses[color]} backdrop-blur-lg rounded-xl p-6 border group cursor-pointer`}
     >
       {/* Background Pattern */}
       <div className="absolute inset-0 bg-gradient-to-br from-white/5 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300" />
@@ -54,7 +56,7 @@ const StatCard = ({
 
       <div className="relative z-10">
         <div className="flex items-center justify-between mb-4">
-          <div className={p-3 rounded-lg bg-gradient-to-br \ border}>
+          <div className={`p-3 rounded-lg bg-gradient-to-br ${colorClasses[color]} border`}>
             <Icon className="w-6 h-6" />
           </div>
           {getTrendIcon()}
@@ -71,10 +73,8 @@ const StatCard = ({
             >
               {value}
             </motion.p>
-            {change && (
-              <span className={	ext-xs font-medium \}>
-                {change > 0 ? '+' : ''}{change}%
-              </span>
+            {typeof change === 'number' && (
+              <DeltaBadge change={change} title={changeLabel} />
             )}
           </div>
           <p className="text-slate-400 text-xs">{subtitle}</p>
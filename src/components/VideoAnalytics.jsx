@@ -0,0 +1,182 @@
+import React from 'react';
+import { Bar } from 'react-chartjs-2';
+import { motion } from 'framer-motion';
+import { CheckCircle } from 'lucide-react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+  Legend
+);
+
+// Playhead position, e.g. 75.4 -> "1:15"
+const formatPosition = (seconds) => {
+  const total = Math.floor(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Deeper pink for parts of the video played more often
+const retentionColor = (views) => {
+  if (views <= 0) return 'rgba(255, 255, 255, 0.05)';
+  return `rgba(236, 72, 153, ${Math.min(0.25 + views * 0.35, 1)})`;
+};
+
+const Stat = ({ label, value }) => (
+  <div>
+    <div className="text-xs text-slate-400">{label}</div>
+    <div className="text-white font-semibold">{value}</div>
+  </div>
+);
+
+const RetentionStrip = ({ retention }) => (
+  <div className="flex gap-0.5 h-2 mt-2" aria-label="Views per tenth of the video">
+    {retention.map((views, index) => (
+      <div
+        key={index}
+        className="flex-1 rounded-sm"
+        style={{ backgroundColor: retentionColor(views) }}
+        title={`${index * 10}–${(index + 1) * 10}%: ${views}×`}
+      />
+    ))}
+  </div>
+);
+
+/**
+ * Per-video watching: how much of each video was seen, how much was
+ * re-watched, where unfinished videos were left and at what speed.
+ * `videos` is the dashboard summary's video analysis and `chartData` its
+ * videos chart.
+ */
+const VideoAnalytics = ({ videos, chartData, delay = 0 }) => {
+  if (!videos) {
+    return (
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
+        <div className="animate-pulse">
+          <div className="h-6 bg-white/20 rounded mb-4 w-1/3"></div>
+          <div className="h-48 bg-white/10 rounded"></div>
+        </div>
+      </div>
+    );
+  }
+
+  const { summary } = videos;
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'bottom',
+        labels: {
+          color: 'rgba(255, 255, 255, 0.8)',
+          boxWidth: 12,
+          font: { size: 11 }
+        }
+      },
+      tooltip: {
+        backgroundColor: 'rgba(0, 0, 0, 0.9)',
+        titleColor: 'white',
+        bodyColor: 'white',
+        borderColor: 'rgba(236, 72, 153, 1)',
+        borderWidth: 1,
+        cornerRadius: 8,
+        callbacks: {
+          label: function(context) {
+            return `${context.dataset.label}: ${context.parsed.y}%`;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        grid: { display: false },
+        ticks: { color: 'rgba(255, 255, 255, 0.7)', font: { size: 11 } }
+      },
+      y: {
+        beginAtZero: true,
+        grid: { color: 'rgba(255, 255, 255, 0.1)', drawBorder: false },
+        ticks: {
+          color: 'rgba(255, 255, 255, 0.7)',
+          font: { size: 11 },
+          callback: value => `${value}%`
+        }
+      }
+    },
+    animation: {
+      duration: 1500,
+      easing: 'easeInOutQuart'
+    }
+  };
+
+  const hasChart = chartData?.labels.length > 0;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.9 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ duration: 0.5, delay }}
+      className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20 hover:border-pink-500/30 transition-colors duration-300"
+    >
+      <h3 className="text-xl font-semibold text-white mb-4">Video Analytics</h3>
+
+      {summary.videoCount === 0 ? (
+        <p className="text-slate-400 text-sm">No video activity recorded</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-5 gap-4 mb-6">
+            <Stat label="Videos" value={`${summary.completed}/${summary.videoCount} completed`} />
+            <Stat label="Avg. Coverage" value={summary.averageCoverage !== null ? `${summary.averageCoverage}%` : '—'} />
+            <Stat label="Unique Watched" value={summary.watchedFormatted} />
+            <Stat label="Re-watch Ratio" value={summary.rewatchRatio !== null ? `${summary.rewatchRatio}×` : '—'} />
+            <Stat label="Avg. Speed" value={summary.averageSpeed !== null ? `${summary.averageSpeed}×` : '—'} />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {hasChart && (
+              <div className="relative h-64">
+                <Bar
+                  data={{
+                    ...chartData,
+                    datasets: chartData.datasets.map(dataset => ({ ...dataset, borderRadius: 6 }))
+                  }}
+                  options={options}
+                />
+              </div>
+            )}
+            <div className={`space-y-3 max-h-64 overflow-y-auto pr-1 ${hasChart ? '' : 'lg:col-span-2'}`}>
+              {videos.videos.map(video => (
+                <div key={video.activityId} className="p-3 bg-white/5 rounded-lg">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-sm text-white truncate" title={video.name}>{video.name}</span>
+                    {video.completed && <CheckCircle className="w-4 h-4 text-green-400 shrink-0" />}
+                  </div>
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 mt-1 text-xs text-slate-400">
+                    {video.coverage !== null && <span>{video.coverage}% watched</span>}
+                    {video.coverage === null && video.progress !== null && <span>{video.progress}% progress</span>}
+                    {video.rewatchRatio !== null && <span>{video.rewatchRatio}× played</span>}
+                    {video.dropOff !== null && <span>Left at {formatPosition(video.dropOff)}</span>}
+                    {video.averageSpeed !== null && <span>{video.averageSpeed}× speed</span>}
+                    <span>{video.sessions} {video.sessions === 1 ? 'session' : 'sessions'}</span>
+                  </div>
+                  {video.retention && <RetentionStrip retention={video.retention} />}
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default VideoAnalytics;
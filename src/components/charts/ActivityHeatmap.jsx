@@ -0,0 +1,129 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import DayTooltip from '../DayTooltip';
+
+const LEVEL_CLASSES = [
+  'bg-white/5',
+  'bg-purple-900',
+  'bg-purple-700',
+  'bg-purple-500',
+  'bg-purple-300'
+];
+
+const WEEKDAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+const dayOfWeek = date => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * Contribution-style heatmap of a year of daily activity
+ * `data` comes from ChartDataTransformer.transformHeatmapData and `calendar`
+ * from transformCalendarData, which supplies the per-day tooltip details.
+ */
+const ActivityHeatmap = ({ data, calendar, selectedDate, onSelectDate }) => {
+  const containerRef = useRef(null);
+  const [hovered, setHovered] = useState(null);
+
+  // Weeks run Sunday to Saturday; pad the first week so weekdays line up
+  const weeks = useMemo(() => {
+    if (!data || data.length === 0) return [];
+    const days = [...Array(dayOfWeek(data[0].date)).fill(null), ...data];
+    const result = [];
+    for (let i = 0; i < days.length; i += 7) {
+      result.push(days.slice(i, i + 7));
+    }
+    return result;
+  }, [data]);
+
+  const details = useMemo(() => {
+    return Object.values(calendar || {}).reduce((all, month) => ({ ...all, ...month.days }), {});
+  }, [calendar]);
+
+  if (!data) {
+    return (
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
+        <div className="animate-pulse">
+          <div className="h-6 bg-white/20 rounded mb-4 w-1/3"></div>
+          <div className="h-32 bg-white/10 rounded"></div>
+        </div>
+      </div>
+    );
+  }
+
+  // Label a column when its first day starts a new month
+  const monthLabels = weeks.map((week, index) => {
+    const first = week.find(Boolean);
+    const previous = index > 0 ? weeks[index - 1].find(Boolean) : null;
+    if (!first || (previous && previous.date.slice(0, 7) === first.date.slice(0, 7))) return '';
+    return new Date(`${first.date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' });
+  });
+
+  const activeDays = data.filter(day => day.count > 0).length;
+
+  const handleHover = (event, day) => {
+    const cell = event.currentTarget.getBoundingClientRect();
+    const container = containerRef.current.getBoundingClientRect();
+    setHovered({
+      date: day.date,
+      position: { x: cell.left - container.left + cell.width / 2, y: cell.top - container.top }
+    });
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20 hover:border-purple-500/30 transition-colors duration-300"
+    >
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-xl font-semibold text-white">Activity Heatmap</h3>
+        <span className="text-xs text-slate-400">{activeDays} active days in the last year</span>
+      </div>
+
+      <div ref={containerRef} className="relative">
+        <div className="overflow-x-auto pb-2">
+          <div className="inline-flex gap-1">
+            <div className="flex flex-col gap-[3px] pt-5 pr-1 text-[10px] text-slate-400">
+              {WEEKDAY_LABELS.map((label, index) => (
+                <div key={index} className="h-[11px] leading-[11px]">{label}</div>
+              ))}
+            </div>
+            {weeks.map((week, index) => (
+              <div key={index} className="flex flex-col gap-[3px]">
+                <div className="h-4 text-[10px] text-slate-400 whitespace-nowrap">{monthLabels[index]}</div>
+                {week.map((day, dayIndex) => day ? (
+                  <button
+                    key={day.date}
+                    aria-label={`${day.date}: ${day.count} activities`}
+                    onClick={() => onSelectDate?.(day.date === selectedDate ? null : day.date)}
+                    onMouseEnter={event => handleHover(event, day)}
+                    onMouseLeave={() => setHovered(null)}
+                    className={`w-[11px] h-[11px] rounded-sm ${LEVEL_CLASSES[day.level]} ${
+                      day.date === selectedDate ? 'ring-2 ring-pink-400' : 'hover:ring-1 hover:ring-white/60'
+                    }`}
+                  />
+                ) : (
+                  <div key={`pad-${dayIndex}`} className="w-[11px] h-[11px]" />
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {hovered && (
+          <DayTooltip date={hovered.date} details={details[hovered.date]} position={hovered.position} />
+        )}
+      </div>
+
+      <div className="flex items-center justify-end gap-1 mt-3 text-xs text-slate-400">
+        <span className="mr-1">Less</span>
+        {LEVEL_CLASSES.map(className => (
+          <div key={className} className={`w-[11px] h-[11px] rounded-sm ${className}`} />
+        ))}
+        <span className="ml-1">More</span>
+      </div>
+    </motion.div>
+  );
+};
+
+export default ActivityHeatmap;
@@ -0,0 +1,138 @@
+import React from 'react';
+import { Bar } from 'react-chartjs-2';
+import { motion } from 'framer-motion';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const DistributionChart = ({
+  data,
+  title = 'Distribution',
+  unit = 'learners',
+  emptyMessage = 'Nothing recorded yet.',
+  delay = 0,
+  children
+}) => {
+  // No data yet means loading; data whose bands are all zero has nothing to show
+  if (!data) {
+    return (
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
+        <div className="animate-pulse">
+          <div className="h-6 bg-white/20 rounded mb-4 w-1/3"></div>
+          <div className="h-48 bg-white/10 rounded"></div>
+        </div>
+      </div>
+    );
+  }
+
+  // Split distributions (one dataset per group) need a legend
+  const isSplit = data.datasets.length > 1;
+  const isEmpty = data.datasets.every(dataset => dataset.data.every(value => !value));
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: isSplit,
+        position: 'bottom',
+        labels: {
+          color: 'rgba(255, 255, 255, 0.8)',
+          boxWidth: 12,
+          font: { size: 11 }
+        }
+      },
+      tooltip: {
+        backgroundColor: 'rgba(0, 0, 0, 0.9)',
+        titleColor: 'white',
+        bodyColor: 'white',
+        borderColor: 'rgba(139, 92, 246, 1)',
+        borderWidth: 1,
+        cornerRadius: 8,
+        displayColors: isSplit,
+        callbacks: {
+          label: function(context) {
+            return isSplit
+              ? `${context.dataset.label}: ${context.parsed.y} ${unit}`
+              : `${context.parsed.y} ${unit}`;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        grid: {
+          display: false
+        },
+        ticks: {
+          color: 'rgba(255, 255, 255, 0.7)',
+          font: { size: 11 }
+        }
+      },
+      y: {
+        beginAtZero: true,
+        grid: {
+          color: 'rgba(255, 255, 255, 0.1)',
+          drawBorder: false
+        },
+        ticks: {
+          color: 'rgba(255, 255, 255, 0.7)',
+          font: { size: 11 },
+          precision: 0
+        }
+      }
+    },
+    animation: {
+      duration: 1500,
+      easing: 'easeInOutQuart'
+    }
+  };
+
+  const chartData = {
+    ...data,
+    datasets: data.datasets.map(dataset => ({
+      ...dataset,
+      borderRadius: 6
+    }))
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.9 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ duration: 0.5, delay }}
+      className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20 hover:border-purple-500/30 transition-colors duration-300"
+    >
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-6">
+        <h3 className="text-xl font-semibold text-white">{title}</h3>
+        {children}
+      </div>
+      {isEmpty ? (
+        <div className="h-48 flex items-center justify-center text-slate-400 text-sm">
+          {emptyMessage}
+        </div>
+      ) : (
+        <div className="relative h-48">
+          <Bar data={chartData} options={options} />
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default DistributionChart;
@@ -0,0 +1,124 @@
+import React from 'react';
+import { Radar } from 'react-chartjs-2';
+import { motion } from 'framer-motion';
+import {
+  Chart as ChartJS,
+  RadialLinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Tooltip,
+  Legend
+} from 'chart.js';
+
+ChartJS.register(
+  RadialLinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Tooltip,
+  Legend
+);
+
+const EngagementRadar = ({ data }) => {
+  if (!data) {
+    return (
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
+        <div className="animate-pulse">
+          <div className="h-6 bg-white/20 rounded mb-4 w-1/3"></div>
+          <div className="h-64 bg-white/10 rounded"></div>
+        </div>
+      </div>
+    );
+  }
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: false
+      },
+      tooltip: {
+        backgroundColor: 'rgba(0, 0, 0, 0.9)',
+        titleColor: 'white',
+        bodyColor: 'white',
+        borderColor: 'rgba(168, 85, 247, 1)',
+        borderWidth: 1,
+        cornerRadius: 8,
+        displayColors: false,
+        callbacks: {
+          label: function(context) {
+            return `${context.label}: ${Math.round(context.parsed.r)}/100`;
+          }
+        }
+      }
+    },
+    scales: {
+      r: {
+        min: 0,
+        max: 100,
+        angleLines: {
+          color: 'rgba(255, 255, 255, 0.1)'
+        },
+        grid: {
+          color: 'rgba(255, 255, 255, 0.1)'
+        },
+        pointLabels: {
+          color: 'rgba(255, 255, 255, 0.8)',
+          font: { size: 11 }
+        },
+        ticks: {
+          display: false,
+          stepSize: 25
+        }
+      }
+    },
+    elements: {
+      line: {
+        tension: 0.1
+      }
+    },
+    animation: {
+      duration: 1500,
+      easing: 'easeInOutQuart'
+    }
+  };
+
+  const chartData = {
+    ...data,
+    datasets: data.datasets.map(dataset => ({
+      ...dataset,
+      fill: true,
+      pointRadius: 4,
+      pointHoverRadius: 6
+    }))
+  };
+
+  const values = data.datasets[0]?.data || [];
+  const overall = values.length > 0
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : 0;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.9 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ duration: 0.5 }}
+      className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20 hover:border-purple-500/30 transition-colors duration-300"
+    >
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-xl font-semibold text-white">Engagement Profile</h3>
+        <div className="text-sm text-slate-300">
+          Overall <span className="text-purple-400 font-semibold">{overall}</span>/100
+        </div>
+      </div>
+
+      <div className="relative h-72">
+        <Radar data={chartData} options={options} />
+      </div>
+    </motion.div>
+  );
+};
+
+export default EngagementRadar;
@@ -69,7 +69,7 @@ const ProgressChart = ({ data, detailed = false }) => {
             const value = context.parsed;
             const total = context.dataset.data.reduce((a, b) => a + b, 0);
             const percentage = Math.round((value / total) * 100);
-            return \: \ (\%);
+            return `${label}: ${value} (${percentage}%)`;
           }
         }
       }
@@ -89,19 +89,19 @@ const ProgressChart = ({ data, detailed = false }) => {
       ctx.restore();
       
       const fontSize = (height / 114).toFixed(2);
-      ctx.font = old \em Inter;
+      ctx.font = `bold ${fontSize}em Inter`;
       ctx.textBaseline = 'middle';
       ctx.fillStyle = 'rgba(168, 85, 247, 1)';
       
       const percentage = data.centerText?.percentage || 0;
-      const text = \%;
+      const text = `${percentage}%`;
       const textX = Math.round((width - ctx.measureText(text).width) / 2);
       const textY = height / 2 - 10;
       
       ctx.fillText(text, textX, textY);
       
       // Label
-      ctx.font = \em Inter;
+      ctx.font = `${(fontSize / 2).toFixed(2)}em Inter`;
       ctx.fillStyle = 'rgba(148, 163, 184, 1)';
       const labelText = data.centerText?.label || 'Complete';
       const labelX = Math.round((width - ctx.measureText(labelText).width) / 2);
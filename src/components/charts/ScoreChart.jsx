@@ -57,10 +57,10 @@ const ScoreChart = ({ data, detailed = false }) => {
         displayColors: false,
         callbacks: {
           title: function(context) {
-            return Assessment: \;
+            return `Assessment: ${context[0].label}`;
           },
           label: function(context) {
-            return Score: \%;
+            return `Score: ${context.parsed.y}%`;
           }
         }
       }
@@ -0,0 +1,137 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import CourseraXAPIService from '../services/courseraXAPI';
+import xapiConfig from '../services/xapiConfig';
+import { CohortAnalyzer } from '../utils/cohortAnalyzer';
+import { TimeZone } from '../utils/timeZone';
+import { getStoredTimeZones } from './useTimeZoneSetting';
+import { ConfigurationError, DataProcessingError, toXAPIError } from '../services/xapiErrors';
+
+/**
+ * Hook for instructor cohort data
+ * Behind the LRS proxy, which only answers queries for one learner, nothing
+ * is fetched until a roster is given (`rosterRequired`).
+ * @param {string} courseId - Course ID
+ * @param {Array} roster - Learner identifiers to include (empty = every actor in the course)
+ * @returns {Object} - Cohort metrics, sorting and status; `error` is an XAPIError
+ */
+export const useCohortData = (courseId, roster = []) => {
+  const [cohortData, setCohortData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [sort, setSort] = useState({ key: 'name', direction: 'asc' });
+  const [xapiService, setXapiService] = useState(null);
+
+  useEffect(() => {
+    if (!xapiConfig.isConfigured()) {
+      setError(new ConfigurationError('xAPI configuration is incomplete. Please check your environment variables.'));
+      return;
+    }
+
+    try {
+      const config = xapiConfig.getConfig();
+      setXapiService(new CourseraXAPIService(
+        config.endpoint,
+        config.username,
+        config.password,
+        xapiConfig.getServiceOptions()
+      ));
+    } catch (err) {
+      setError(toXAPIError(err, 'configure the LRS connection'));
+    }
+  }, []);
+
+  // Stable dependency for the roster array
+  const rosterKey = roster.join('\n');
+  const proxyMode = xapiConfig.isProxyMode();
+  const rosterRequired = proxyMode && !rosterKey;
+
+  /**
+   * Fetch the cohort's statements
+   * @param {Object} options - Passed to getCohortData (e.g. { refresh: true })
+   */
+  const fetchData = useCallback(async (options = {}) => {
+    if (!xapiService || !courseId) {
+      return;
+    }
+
+    // A course-wide query without an agent would be refused by the proxy
+    if (rosterRequired) {
+      setCohortData(null);
+      setError(null);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const data = await xapiService.getCohortData(courseId, {
+        ...options,
+        roster: rosterKey ? rosterKey.split('\n') : []
+      });
+      setCohortData(data);
+    } catch (err) {
+      setError(toXAPIError(err, 'load cohort data'));
+      console.error('Failed to fetch cohort data:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [xapiService, courseId, rosterKey, rosterRequired]);
+
+  const refresh = useCallback(() => {
+    fetchData({ refresh: true });
+  }, [fetchData]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const processed = useMemo(() => {
+    if (!cohortData) return { summary: null, processingError: null };
+
+    try {
+      const summary = CohortAnalyzer.createCohortSummary(cohortData, {
+        overrides: getStoredTimeZones(),
+        fallback: TimeZone.getBrowserTimeZone()
+      });
+      return { summary, processingError: null };
+    } catch (err) {
+      console.error('Cohort processing error:', err);
+      return {
+        summary: null,
+        processingError: new DataProcessingError(`Cohort processing failed: ${err.message}`, { cause: err })
+      };
+    }
+  }, [cohortData]);
+
+  const learners = useMemo(() => {
+    if (!processed.summary) return [];
+    return CohortAnalyzer.sortLearners(processed.summary.learners, sort.key, sort.direction);
+  }, [processed, sort]);
+
+  /**
+   * Sort by a column, toggling direction when it is already the sort column
+   * @param {string} key - Learner metric to sort by
+   */
+  const sortBy = useCallback((key) => {
+    setSort(current => ({
+      key,
+      direction: current.key === key && current.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  }, []);
+
+  return {
+    learners,
+    summary: processed.summary?.summary || null,
+    distributions: processed.summary?.distributions || null,
+    chartData: processed.summary?.charts || {},
+    sort,
+    sortBy,
+    loading,
+    error: error || processed.processingError,
+    refresh,
+    proxyMode,
+    rosterRequired,
+    hasData: !!processed.summary
+  };
+};
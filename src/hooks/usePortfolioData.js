@@ -0,0 +1,100 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import CourseraXAPIService from '../services/courseraXAPI';
+import xapiConfig from '../services/xapiConfig';
+import { PortfolioAnalyzer } from '../utils/portfolioAnalyzer';
+import { TimeZone } from '../utils/timeZone';
+import { getStoredTimeZones } from './useTimeZoneSetting';
+import { ConfigurationError, DataProcessingError, toXAPIError } from '../services/xapiErrors';
+
+/**
+ * Hook for a learner's multi-course portfolio
+ * Not available behind the LRS proxy, which refuses queries without an
+ * activity; the hook then reports why instead of querying.
+ * @param {string} learnerId - Learner ID: email or other identifiers
+ * @returns {Object} - Per-course and combined metrics; `error` is an XAPIError
+ */
+export const usePortfolioData = (learnerId) => {
+  const [portfolio, setPortfolio] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [xapiService, setXapiService] = useState(null);
+
+  useEffect(() => {
+    if (xapiConfig.isProxyMode()) {
+      setError(new ConfigurationError('The portfolio is not available through the LRS proxy.', {
+        remediation: 'The proxy only serves one course at a time. Open each course from the learner dashboard instead.'
+      }));
+      return;
+    }
+
+    if (!xapiConfig.isConfigured()) {
+      setError(new ConfigurationError('xAPI configuration is incomplete. Please check your environment variables.'));
+      return;
+    }
+
+    try {
+      const config = xapiConfig.getConfig();
+      setXapiService(new CourseraXAPIService(
+        config.endpoint,
+        config.username,
+        config.password,
+        xapiConfig.getServiceOptions()
+      ));
+    } catch (err) {
+      setError(toXAPIError(err, 'configure the LRS connection'));
+    }
+  }, []);
+
+  const fetchData = useCallback(async () => {
+    if (!xapiService || !learnerId) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setPortfolio(await xapiService.getLearnerPortfolio(learnerId));
+    } catch (err) {
+      setError(toXAPIError(err, 'load learner portfolio'));
+      console.error('Failed to fetch portfolio data:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [xapiService, learnerId]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const processed = useMemo(() => {
+    if (!portfolio) return { summary: null, processingError: null };
+
+    try {
+      // Courses are most recent first, so their statements are close to newest first
+      const { timeZone } = TimeZone.resolve({
+        override: getStoredTimeZones()[learnerId],
+        statements: portfolio.courses.flatMap(course => course.classified.timeline),
+        fallback: TimeZone.getBrowserTimeZone()
+      });
+      return { summary: PortfolioAnalyzer.createPortfolioSummary(portfolio, timeZone), processingError: null };
+    } catch (err) {
+      console.error('Portfolio processing error:', err);
+      return {
+        summary: null,
+        processingError: new DataProcessingError(`Portfolio processing failed: ${err.message}`, { cause: err })
+      };
+    }
+  }, [portfolio, learnerId]);
+
+  return {
+    courses: processed.summary?.courses || [],
+    summary: processed.summary?.summary || null,
+    engagement: processed.summary?.engagement || null,
+    recentActivity: processed.summary?.recentActivity || [],
+    chartData: processed.summary?.charts || {},
+    loading,
+    error: error || processed.processingError,
+    refresh: fetchData,
+    hasData: !!processed.summary
+  };
+};
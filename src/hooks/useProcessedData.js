@@ -1,16 +1,28 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useCallback } from 'react';
 import { useXAPIData } from './useXAPIData';
 import { DataAggregator } from '../utils/dataAggregator';
+import { COMPARISON_PERIODS } from '../utils/dateRange';
 import { DataValidator } from '../utils/dataValidator';
+import { ModuleAnalyzer } from '../utils/moduleAnalyzer';
+import { CourseDataProcessor } from '../utils/dataProcessor';
+import { ChartDataTransformer } from '../utils/chartDataTransformer';
+import { DataProcessingError } from '../services/xapiErrors';
 
 /**
  * Hook for processed and validated dashboard data
- * @param {string} userEmail - User's email
+ * @param {string} learnerId - Learner ID: email or other identifiers
  * @param {string} courseId - Course ID
- * @returns {Object} - Processed data and utilities
+ * @param {Object} dateRange - { from, to } to scope every metric to (default: all time)
+ * @param {string} timeZone - Time zone override for day-level figures, optional
+ * @returns {Object} - Processed data and utilities; `error` is an XAPIError
  */
-export const useProcessedData = (userEmail, courseId) => {
-  const { data: rawData, loading, error, refresh, testConnection } = useXAPIData(userEmail, courseId);
+export const useProcessedData = (learnerId, courseId, dateRange = null, timeZone = null) => {
+  const { data: rawData, loading, error, refresh, testConnection, portfolioAvailable } = useXAPIData(
+    learnerId,
+    courseId,
+    dateRange,
+    timeZone
+  );
   const [processedData, setProcessedData] = useState(null);
   const [processingError, setProcessingError] = useState(null);
   const [dataQuality, setDataQuality] = useState(null);
@@ -28,7 +40,7 @@ export const useProcessedData = (userEmail, courseId) => {
       // Validate raw data
       const validation = DataValidator.validateDashboardData(rawData);
       if (!validation.isValid) {
-        throw new Error(Data validation failed: );
+        throw new DataProcessingError(`Data validation failed: ${validation.errors.join(', ')}`);
       }
 
       // Process and aggregate data
@@ -47,7 +59,9 @@ export const useProcessedData = (userEmail, courseId) => {
 
     } catch (err) {
       console.error('Data processing error:', err);
-      setProcessingError(err.message);
+      setProcessingError(err instanceof DataProcessingError
+        ? err
+        : new DataProcessingError(`Data processing failed: ${err.message}`, { cause: err }));
     }
   }, [rawData]);
 
@@ -65,12 +79,62 @@ export const useProcessedData = (userEmail, courseId) => {
 
     return {
       progress: processedData.progress,
+      moduleProgress: processedData.moduleProgress,
       scores: processedData.scores,
       engagement: processedData.engagement,
-      timeline: processedData.timeline
+      timeline: processedData.timeline,
+      videos: processedData.videos,
+      cmi5: processedData.cmi5
     };
   }, [processedData]);
 
+  // Per-item status for the module drill-down, built on demand
+  const getModuleDetail = useCallback((moduleId) => {
+    const module = processedData?.structure?.modules.find(m => m.id === moduleId);
+    if (!module) return null;
+
+    return ModuleAnalyzer.createModuleDetail(module, rawData?.statements || []);
+  }, [processedData, rawData]);
+
+  // Score distribution chart for a grade band scheme, optionally split by assessment type
+  const getScoreDistribution = useCallback(({ scheme = 'letter', passThreshold, splitByType = false } = {}) => {
+    // null means still loading; a learner without scores gets empty bands
+    if (!processedData) return null;
+    const scores = processedData.scores?.scores || [];
+
+    if (splitByType && scores.length > 0) {
+      return ChartDataTransformer.transformSplitDistributionChart(
+        CourseDataProcessor.calculateScoreDistributionByType(scores, scheme, { passThreshold })
+      );
+    }
+    return ChartDataTransformer.transformDistributionChart(
+      CourseDataProcessor.calculateScoreDistribution(scores.map(s => s.score), scheme, { passThreshold })
+    );
+  }, [processedData]);
+
+  // Periods the comparison can use; a date range with a start adds itself
+  const comparisonPeriods = useMemo(() => {
+    return rawData?.dateRange?.from
+      ? [...COMPARISON_PERIODS, { id: 'range', label: 'Date Range' }]
+      : COMPARISON_PERIODS;
+  }, [rawData]);
+
+  // Current vs previous period metrics and chart for a comparison period
+  const getPeriodComparison = useCallback((period = 'week') => {
+    if (!processedData) return null;
+    if (period === 'week') {
+      return { ...processedData.comparison, chart: processedData.charts.comparison };
+    }
+
+    const comparison = DataAggregator.createPeriodComparison(
+      rawData.history || rawData.statements,
+      comparisonPeriods.some(p => p.id === period) ? period : 'week',
+      rawData.dateRange,
+      rawData.timeZone
+    );
+    return { ...comparison, chart: ChartDataTransformer.transformPeriodComparisonChart(comparison) };
+  }, [processedData, rawData, comparisonPeriods]);
+
   // Utility functions
   const getInsightsByCategory = (category) => {
     return insights.filter(insight => insight.category === category);
@@ -126,6 +190,10 @@ export const useProcessedData = (userEmail, courseId) => {
     insights,
     chartData,
     dataQuality,
+    // The time zone day-level figures use, and whether it came from an
+    // 'override', the 'statements' or the browser ('default')
+    timeZone: rawData?.timeZone || null,
+    timeZoneSource: rawData?.timeZoneSource || null,
 
     // Status
     loading,
@@ -136,10 +204,15 @@ export const useProcessedData = (userEmail, courseId) => {
     testConnection,
     getInsightsByCategory,
     getMetricTrend,
+    getModuleDetail,
+    getScoreDistribution,
+    getPeriodComparison,
+    comparisonPeriods,
     exportData,
 
     // Flags
     hasData: !!processedData,
+    portfolioAvailable,
     hasAnomalies: processedData?.anomalies?.hasAnomalies || false,
     isStale: dataQuality?.freshness < 80
   };
@@ -147,13 +220,13 @@ export const useProcessedData = (userEmail, courseId) => {
 
 /**
  * Hook for specific metric data with processing
- * @param {string} userEmail - User's email
+ * @param {string} learnerId - Learner ID: email or other identifiers
  * @param {string} courseId - Course ID
  * @param {string} metric - Specific metric to focus on
  * @returns {Object} - Processed metric data
  */
-export const useMetricData = (userEmail, courseId, metric) => {
-  const { data, loading, error } = useProcessedData(userEmail, courseId);
+export const useMetricData = (learnerId, courseId, metric) => {
+  const { data, loading, error } = useProcessedData(learnerId, courseId);
   
   const metricData = useMemo(() => {
     if (!data) return null;
@@ -0,0 +1,53 @@
+import { useState, useCallback, useMemo } from 'react';
+import { TimeZone } from '../utils/timeZone';
+
+const STORAGE_KEY = 'xapi-dashboard:time-zones';
+
+/**
+ * Time zones chosen per learner, keyed by learner ID
+ * @returns {Object} - { [learnerId]: IANA time zone }; empty when storage is unavailable
+ */
+export const getStoredTimeZones = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Hook for a learner's time zone override, kept in local storage so it
+ * applies on every visit to that learner's dashboards
+ * @param {string} learnerId - Learner ID: email or other identifiers
+ * @returns {Object} - { override, setOverride(timeZone, id = learnerId),
+ *   timeZones }; a null time zone goes back to automatic, and `timeZones`
+ *   lists the choices
+ */
+export const useTimeZoneSetting = (learnerId) => {
+  const [overrides, setOverrides] = useState(getStoredTimeZones);
+
+  const setOverride = useCallback((timeZone, id = learnerId) => {
+    const next = { ...getStoredTimeZones() };
+    if (timeZone) {
+      next[id] = timeZone;
+    } else {
+      delete next[id];
+    }
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch (err) {
+      // Private browsing or full storage: keep it for this session only
+      console.warn('Could not save the time zone setting:', err);
+    }
+    setOverrides(next);
+  }, [learnerId]);
+
+  const timeZones = useMemo(() => TimeZone.getTimeZones(), []);
+
+  return {
+    override: overrides[learnerId] || null,
+    setOverride,
+    timeZones
+  };
+};
@@ -1,14 +1,19 @@
 import { useState, useEffect, useCallback } from 'react';
 import CourseraXAPIService from '../services/courseraXAPI';
 import xapiConfig from '../services/xapiConfig';
+import { ConfigurationError, toXAPIError } from '../services/xapiErrors';
 
 /**
  * Custom React hook for managing xAPI data
- * @param {string} userEmail - User's email address
+ * @param {string} learnerId - Learner ID: email or other identifiers
  * @param {string} courseId - Course ID to fetch data for
- * @returns {Object} - Hook state and methods
+ * @param {Object} dateRange - { from, to } YYYY-MM-DD days to scope the data
+ *   to; either may be null (default: all time)
+ * @param {string} timeZone - Time zone override for day-level figures
+ *   (default: the statements' time zone, else the browser's)
+ * @returns {Object} - Hook state and methods; `error` is an XAPIError
  */
-export const useXAPIData = (userEmail, courseId) => {
+export const useXAPIData = (learnerId, courseId, dateRange = null, timeZone = null) => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -17,25 +22,37 @@ export const useXAPIData = (userEmail, courseId) => {
   // Initialize xAPI service
   const [xapiService, setXapiService] = useState(null);
 
+  // Depend on the days rather than the object so a fresh but equal range
+  // doesn't refetch
+  const from = dateRange?.from || null;
+  const to = dateRange?.to || null;
+
   useEffect(() => {
     if (xapiConfig.isConfigured()) {
-      const config = xapiConfig.getConfig();
-      const service = new CourseraXAPIService(
-        config.endpoint,
-        config.username,
-        config.password
-      );
-      setXapiService(service);
+      try {
+        const config = xapiConfig.getConfig();
+        const service = new CourseraXAPIService(
+          config.endpoint,
+          config.username,
+          config.password,
+          xapiConfig.getServiceOptions()
+        );
+        setXapiService(service);
+      } catch (err) {
+        // e.g. an unsupported VITE_XAPI_AUTH_TYPE
+        setError(toXAPIError(err, 'configure the LRS connection'));
+      }
     } else {
-      setError('xAPI configuration is incomplete. Please check your environment variables.');
+      setError(new ConfigurationError('xAPI configuration is incomplete. Please check your environment variables.'));
     }
   }, []);
 
   /**
    * Fetch all dashboard data
+   * @param {Object} options - Passed to getDashboardData (e.g. { refresh: true })
    */
-  const fetchData = useCallback(async () => {
-    if (!xapiService || !userEmail || !courseId) {
+  const fetchData = useCallback(async (options = {}) => {
+    if (!xapiService || !learnerId || !courseId) {
       return;
     }
 
@@ -43,16 +60,20 @@ export const useXAPIData = (userEmail, courseId) => {
       setLoading(true);
       setError(null);
 
-      const dashboardData = await xapiService.getDashboardData(userEmail, courseId);
+      const dashboardData = await xapiService.getDashboardData(learnerId, courseId, {
+        ...options,
+        dateRange: { from, to },
+        timeZone
+      });
       setData(dashboardData);
       setLastFetch(new Date());
     } catch (err) {
-      setError(err.message);
+      setError(toXAPIError(err, 'load dashboard data'));
       console.error('Failed to fetch xAPI data:', err);
     } finally {
       setLoading(false);
     }
-  }, [xapiService, userEmail, courseId]);
+  }, [xapiService, learnerId, courseId, from, to, timeZone]);
 
   /**
    * Test xAPI connection
@@ -72,7 +93,7 @@ export const useXAPIData = (userEmail, courseId) => {
    * Refresh data
    */
   const refresh = useCallback(() => {
-    fetchData();
+    fetchData({ refresh: true });
   }, [fetchData]);
 
   // Auto-fetch data when dependencies change
@@ -87,20 +108,22 @@ export const useXAPIData = (userEmail, courseId) => {
     lastFetch,
     refresh,
     testConnection,
-    isConfigured: xapiConfig.isConfigured()
+    isConfigured: xapiConfig.isConfigured(),
+    // The portfolio's cross-course query is refused by the LRS proxy
+    portfolioAvailable: !xapiConfig.isProxyMode()
   };
 };
 
 /**
  * Hook for fetching specific xAPI data types
  */
-export const useXAPIQuery = (userEmail, courseId, queryType) => {
+export const useXAPIQuery = (learnerId, courseId, queryType) => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
   const fetchSpecificData = useCallback(async () => {
-    if (!xapiConfig.isConfigured() || !userEmail || !courseId) {
+    if (!xapiConfig.isConfigured() || !learnerId || !courseId) {
       return;
     }
 
@@ -112,38 +135,39 @@ export const useXAPIQuery = (userEmail, courseId, queryType) => {
       const service = new CourseraXAPIService(
         config.endpoint,
         config.username,
-        config.password
+        config.password,
+        xapiConfig.getServiceOptions()
       );
 
       let result;
       switch (queryType) {
         case 'modules':
-          result = await service.getModuleCompletions(userEmail, courseId);
+          result = await service.getModuleCompletions(learnerId, courseId);
           break;
         case 'quizzes':
-          result = await service.getQuizScores(userEmail, courseId);
+          result = await service.getQuizScores(learnerId, courseId);
           break;
         case 'videos':
-          result = await service.getVideoInteractions(userEmail, courseId);
+          result = await service.getVideoInteractions(learnerId, courseId);
           break;
         case 'assignments':
-          result = await service.getAssignmentData(userEmail, courseId);
+          result = await service.getAssignmentData(learnerId, courseId);
           break;
         case 'timeline':
-          result = await service.getLearningTimeline(userEmail, courseId);
+          result = await service.getLearningTimeline(learnerId, courseId);
           break;
         default:
-          throw new Error(Unknown query type: );
+          throw new Error(`Unknown query type: ${queryType}`);
       }
 
       setData(result);
     } catch (err) {
-      setError(err.message);
-      console.error(Failed to fetch  data:, err);
+      setError(toXAPIError(err, `load ${queryType} data`));
+      console.error(`Failed to fetch ${queryType} data:`, err);
     } finally {
       setLoading(false);
     }
-  }, [userEmail, courseId, queryType]);
+  }, [learnerId, courseId, queryType]);
 
   useEffect(() => {
     fetchSpecificData();
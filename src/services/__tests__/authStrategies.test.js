@@ -0,0 +1,213 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  BasicAuth,
+  BearerAuth,
+  NoAuth,
+  OAuth2ClientCredentials,
+  createAuthStrategy
+} from '../authStrategies.js';
+import { AuthenticationError, ConfigurationError } from '../xapiErrors.js';
+import XAPIService from '../xapiService.js';
+
+const oauthOptions = {
+  tokenUrl: 'https://auth.example.com/token',
+  clientId: 'dashboard',
+  clientSecret: 's3cret'
+};
+
+// Minimal stand-in for axios.post against a token endpoint
+const tokenEndpoint = (...tokens) => {
+  const post = vi.fn();
+  tokens.forEach(({ token, expiresIn }) => {
+    post.mockResolvedValueOnce({ status: 200, data: { access_token: token, token_type: 'Bearer', expires_in: expiresIn } });
+  });
+  return { post };
+};
+
+describe('createAuthStrategy', () => {
+  it('builds the strategy named by type, defaulting to basic', () => {
+    expect(createAuthStrategy({ username: 'key', password: 'secret' })).toBeInstanceOf(BasicAuth);
+    expect(createAuthStrategy({ type: 'none' })).toBeInstanceOf(NoAuth);
+    expect(createAuthStrategy({ type: 'bearer', token: 't' })).toBeInstanceOf(BearerAuth);
+    expect(createAuthStrategy({ type: 'oauth2', ...oauthOptions })).toBeInstanceOf(OAuth2ClientCredentials);
+  });
+
+  it('rejects unknown types and incomplete settings', () => {
+    expect(() => createAuthStrategy({ type: 'kerberos' })).toThrow(ConfigurationError);
+    expect(() => createAuthStrategy({ type: 'basic', username: 'key' })).toThrow(ConfigurationError);
+    expect(() => createAuthStrategy({ type: 'bearer' })).toThrow(ConfigurationError);
+    expect(() => createAuthStrategy({ type: 'oauth2', tokenUrl: oauthOptions.tokenUrl }))
+      .toThrow('OAuth2 authentication is missing: clientId, clientSecret');
+  });
+});
+
+describe('BasicAuth', () => {
+  it('encodes the key and secret', async () => {
+    const auth = new BasicAuth({ username: 'key', password: 'secret' });
+
+    expect(await auth.getHeaders()).toEqual({ 'Authorization': `Basic ${btoa('key:secret')}` });
+    expect(auth.canRefresh()).toBe(false);
+  });
+});
+
+describe('BearerAuth', () => {
+  it('sends a fixed token and cannot refresh it', async () => {
+    const auth = new BearerAuth({ token: 'abc' });
+
+    expect(await auth.getHeaders()).toEqual({ 'Authorization': 'Bearer abc' });
+    expect(auth.canRefresh()).toBe(false);
+  });
+
+  it('asks getToken again after invalidate', async () => {
+    const getToken = vi.fn().mockResolvedValueOnce('first').mockResolvedValueOnce('second');
+    const auth = new BearerAuth({ getToken });
+
+    expect(await auth.getHeaders()).toEqual({ 'Authorization': 'Bearer first' });
+    expect(await auth.getHeaders()).toEqual({ 'Authorization': 'Bearer first' });
+    auth.invalidate();
+    expect(await auth.getHeaders()).toEqual({ 'Authorization': 'Bearer second' });
+    expect(getToken).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('OAuth2ClientCredentials', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-03-10T12:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('requests a token with the client credentials grant', async () => {
+    const http = tokenEndpoint({ token: 'tok-1', expiresIn: 3600 });
+    const auth = new OAuth2ClientCredentials({ ...oauthOptions, scope: 'xapi:read', http });
+
+    expect(await auth.getHeaders()).toEqual({ 'Authorization': 'Bearer tok-1' });
+
+    const [url, body, config] = http.post.mock.calls[0];
+    expect(url).toBe(oauthOptions.tokenUrl);
+    expect(Object.fromEntries(new URLSearchParams(body))).toEqual({ grant_type: 'client_credentials', scope: 'xapi:read' });
+    expect(config.headers['Authorization']).toBe(`Basic ${btoa('dashboard:s3cret')}`);
+  });
+
+  it('can send the client credentials in the request body', async () => {
+    const http = tokenEndpoint({ token: 'tok-1', expiresIn: 3600 });
+    const auth = new OAuth2ClientCredentials({ ...oauthOptions, clientAuth: 'body', http });
+
+    await auth.getHeaders();
+
+    const [, body, config] = http.post.mock.calls[0];
+    expect(new URLSearchParams(body).get('client_secret')).toBe('s3cret');
+    expect(config.headers['Authorization']).toBeUndefined();
+  });
+
+  it('reuses the token until shortly before it expires', async () => {
+    const http = tokenEndpoint({ token: 'tok-1', expiresIn: 300 }, { token: 'tok-2', expiresIn: 300 });
+    const auth = new OAuth2ClientCredentials({ ...oauthOptions, http });
+
+    expect(await auth.getAccessToken()).toBe('tok-1');
+    vi.advanceTimersByTime(260 * 1000);
+    expect(await auth.getAccessToken()).toBe('tok-1');
+    vi.advanceTimersByTime(20 * 1000); // inside the 30 second renewal window
+    expect(await auth.getAccessToken()).toBe('tok-2');
+    expect(http.post).toHaveBeenCalledTimes(2);
+  });
+
+  it('shares one token request between concurrent callers', async () => {
+    const http = tokenEndpoint({ token: 'tok-1', expiresIn: 3600 });
+    const auth = new OAuth2ClientCredentials({ ...oauthOptions, http });
+
+    const tokens = await Promise.all([auth.getAccessToken(), auth.getAccessToken(), auth.getAccessToken()]);
+
+    expect(tokens).toEqual(['tok-1', 'tok-1', 'tok-1']);
+    expect(http.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports a rejected token request as an authentication error', async () => {
+    const http = {
+      post: vi.fn().mockRejectedValue(Object.assign(new Error('Request failed with status code 401'), {
+        config: { method: 'post', url: oauthOptions.tokenUrl },
+        response: { status: 401, data: { error: 'invalid_client' } }
+      }))
+    };
+    const auth = new OAuth2ClientCredentials({ ...oauthOptions, http });
+
+    await expect(auth.getHeaders()).rejects.toThrow(AuthenticationError);
+    await expect(auth.getHeaders()).rejects.toThrow('Failed to obtain an OAuth2 access token: 401 invalid_client');
+  });
+});
+
+describe('XAPIService authentication', () => {
+  const statementResult = { statements: [], more: '' };
+
+  const createService = (auth, adapter) => {
+    const service = new XAPIService('https://lrs.example.com/xapi/', null, null, { auth, retry: { maxRetries: 0 } });
+    service.client.defaults.adapter = adapter;
+    return service;
+  };
+
+  // Adapter that answers 401 to any token in `rejected` and 200 otherwise
+  const lrs = (rejected = []) => vi.fn(async (config) => {
+    const authorization = config.headers.get('Authorization');
+    if (rejected.includes(authorization)) {
+      return Promise.reject(Object.assign(new Error('Request failed with status code 401'), {
+        config,
+        response: { status: 401, data: { message: 'token expired' }, headers: {}, config }
+      }));
+    }
+    return { status: 200, statusText: 'OK', data: statementResult, headers: {}, config };
+  });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('falls back to Basic for username/password and no header without them', async () => {
+    const adapter = lrs();
+    const basic = new XAPIService('https://lrs.example.com/xapi/', 'key', 'secret');
+    basic.client.defaults.adapter = adapter;
+    const anonymous = createService(undefined, adapter);
+
+    await basic.getStatements();
+    await anonymous.getStatements();
+
+    expect(adapter.mock.calls[0][0].headers.get('Authorization')).toBe(`Basic ${btoa('key:secret')}`);
+    expect(adapter.mock.calls[1][0].headers.get('Authorization')).toBeUndefined();
+  });
+
+  it('renews an OAuth2 token once when the LRS answers 401', async () => {
+    const http = tokenEndpoint({ token: 'stale', expiresIn: 3600 }, { token: 'fresh', expiresIn: 3600 });
+    const adapter = lrs(['Bearer stale']);
+    const service = createService(new OAuth2ClientCredentials({ ...oauthOptions, http }), adapter);
+
+    await expect(service.getStatements()).resolves.toEqual(statementResult);
+
+    expect(adapter.mock.calls.map(([config]) => config.headers.get('Authorization'))).toEqual(['Bearer stale', 'Bearer fresh']);
+    expect(http.post).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up after one renewal and reports an authentication error', async () => {
+    const http = tokenEndpoint({ token: 'bad-1', expiresIn: 3600 }, { token: 'bad-2', expiresIn: 3600 });
+    const adapter = lrs(['Bearer bad-1', 'Bearer bad-2']);
+    const service = createService(new OAuth2ClientCredentials({ ...oauthOptions, http }), adapter);
+
+    await expect(service.getStatements()).rejects.toThrow(AuthenticationError);
+    expect(adapter).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not replay 401s for credentials that cannot be refreshed', async () => {
+    const adapter = lrs(['Bearer fixed']);
+    const service = createService({ type: 'bearer', token: 'fixed' }, adapter);
+
+    await expect(service.getStatements()).rejects.toThrow(AuthenticationError);
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+});
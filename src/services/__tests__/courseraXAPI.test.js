@@ -0,0 +1,404 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import axios from 'axios';
+import CourseraXAPIService from '../courseraXAPI.js';
+import { ConfigurationError } from '../xapiErrors.js';
+import { Vocabulary } from '../../utils/vocabulary.js';
+import { moduleCompleted, quizScored, videoWatched, cmi5Event } from '../../utils/__tests__/fixtures/statements.js';
+import { DataAggregator } from '../../utils/dataAggregator.js';
+import { AgentIdentity } from '../../utils/agentIdentity.js';
+import { RoutePaths } from '../../utils/routePaths.js';
+import { VideoAnalyzer, VIDEO_PROFILE } from '../../utils/videoAnalyzer.js';
+
+const COURSE_TYPE = 'http://coursera.org/xapi/activity-types/course';
+
+const createService = () => new CourseraXAPIService('https://lrs.example.com/xapi/', 'key', 'secret');
+
+// Inferred structures are shared by every service instance
+afterEach(() => CourseraXAPIService.clearInferredStructures());
+
+// Attach course context activities to a fixture statement
+const inCourse = (stmt, grouping) => ({
+  ...stmt,
+  context: { contextActivities: { grouping } }
+});
+
+describe('CourseraXAPIService.getStatementCourse', () => {
+  it('prefers an activity typed as a course', () => {
+    const service = createService();
+    const stmt = inCourse(moduleCompleted(1), [
+      { id: 'http://example.com/specialization/ds' },
+      { id: 'http://example.com/course/1', definition: { type: COURSE_TYPE } }
+    ]);
+
+    expect(service.getStatementCourse(stmt).id).toBe('http://example.com/course/1');
+  });
+
+  it('falls back to the last untyped grouping activity', () => {
+    const service = createService();
+    const stmt = inCourse(moduleCompleted(1), [
+      { id: 'http://example.com/specialization/ds' },
+      { id: 'http://example.com/course/1' }
+    ]);
+
+    expect(service.getStatementCourse(stmt).id).toBe('http://example.com/course/1');
+    expect(service.getStatementCourse(moduleCompleted(1))).toBeNull();
+  });
+});
+
+describe('CourseraXAPIService.classifyStatements', () => {
+  it('classifies ADL Video Profile statements as videos, like the video panel', () => {
+    const played = {
+      ...videoWatched(1, 'PT4M'),
+      verb: { id: VIDEO_PROFILE.verbs.PLAYED },
+      result: { extensions: { [VIDEO_PROFILE.extensions.TIME]: 0 } }
+    };
+    played.object = { ...played.object, definition: { ...played.object.definition, type: VIDEO_PROFILE.activityType } };
+
+    const { videos } = createService().classifyStatements([played]);
+
+    expect(videos).toEqual([played]);
+    expect(VideoAnalyzer.analyzeVideos([played]).videos.map(video => video.activityId)).toEqual([played.object.id]);
+  });
+});
+
+describe('CourseraXAPIService.getLearnerPortfolio', () => {
+  it('groups a learner\'s statements by course, most recent first', async () => {
+    const service = createService();
+    const ml = { id: 'http://example.com/course/ml', definition: { type: COURSE_TYPE, name: { 'en-US': 'Machine Learning' } } };
+    const stats = { id: 'http://example.com/course/stats' };
+
+    service.getAllStatements = vi.fn().mockResolvedValue({
+      statements: [
+        inCourse(quizScored(1, 0.9, '2025-03-09T11:00:00.000Z'), [ml]),
+        inCourse(moduleCompleted(1, '2025-03-05T10:00:00.000Z'), [stats]),
+        inCourse(moduleCompleted(1, '2025-03-01T10:00:00.000Z'), [ml]),
+        moduleCompleted(2, '2025-02-01T10:00:00.000Z')
+      ],
+      truncated: false
+    });
+
+    const portfolio = await service.getLearnerPortfolio('ada@example.com');
+
+    expect(JSON.parse(service.getAllStatements.mock.calls[0][0].agent).mbox).toBe('mailto:ada@example.com');
+    expect(portfolio.courses.map(c => [c.name, c.totalStatements])).toEqual([
+      ['Machine Learning', 2],
+      ['http://example.com/course/stats', 1]
+    ]);
+    expect(portfolio.courses[0].classified.quizzes).toHaveLength(1);
+    expect(portfolio.totalStatements).toBe(4);
+  });
+});
+
+describe('CourseraXAPIService.getAgentStatements', () => {
+  it('queries each of a learner\'s identifiers and merges the results', async () => {
+    const service = createService();
+    const shared = { ...moduleCompleted(1, '2025-03-10T10:00:00.000Z'), id: 's1' };
+    service.getAllStatements = vi.fn()
+      .mockResolvedValueOnce({ statements: [shared], pages: 1, truncated: false })
+      .mockResolvedValueOnce({
+        statements: [{ ...quizScored(1, 0.9, '2025-03-11T10:00:00.000Z'), id: 's2' }, shared],
+        pages: 2,
+        truncated: true
+      });
+
+    const result = await service.getActorActivityStatements(
+      'ada@example.com,https://www.coursera.org::ada-123',
+      'http://example.com/course/1'
+    );
+
+    const agents = service.getAllStatements.mock.calls.map(([params]) => JSON.parse(params.agent));
+    expect(agents).toEqual([
+      { objectType: 'Agent', mbox: 'mailto:ada@example.com' },
+      { objectType: 'Agent', account: { homePage: 'https://www.coursera.org', name: 'ada-123' } }
+    ]);
+    expect(service.getAllStatements.mock.calls[0][0].activity).toBe('http://example.com/course/1');
+    expect(result.statements.map(stmt => stmt.id)).toEqual(['s2', 's1']);
+    expect(result).toMatchObject({ pages: 3, truncated: true });
+  });
+
+  it('rejects a learner ID without a recognized identifier', async () => {
+    const service = createService();
+    service.getAllStatements = vi.fn();
+
+    await expect(service.getAgentStatements('ada')).rejects.toMatchObject({ name: 'InvalidLearnerError' });
+    expect(service.getAllStatements).not.toHaveBeenCalled();
+  });
+});
+
+describe('CourseraXAPIService.getCohortData', () => {
+  it('looks roster learners up by any identifier', async () => {
+    const service = createService();
+    service.getOptionalCourseStructure = vi.fn().mockResolvedValue(null);
+    service.getClassifiedCourseData = vi.fn().mockResolvedValue({ statements: [], truncated: false });
+
+    const cohort = await service.getCohortData('http://example.com/course/1', {
+      roster: ['ada@example.com', 'https://www.coursera.org::grace-7', 'not an identifier']
+    });
+
+    expect(service.getClassifiedCourseData.mock.calls.map(([learnerId]) => learnerId))
+      .toEqual(['ada@example.com', 'https://www.coursera.org::grace-7']);
+    expect(cohort.learners.map(({ learnerId, name, email }) => ({ learnerId, name, email }))).toEqual([
+      { learnerId: 'ada@example.com', name: 'ada@example.com', email: 'ada@example.com' },
+      { learnerId: 'https://www.coursera.org::grace-7', name: 'grace-7', email: null }
+    ]);
+  });
+
+  it('builds learner IDs that survive the route when an account name has a comma', async () => {
+    const actor = { objectType: 'Agent', account: { homePage: 'https://sso.example.com', name: 'Lovelace, Ada' } };
+    const service = createService();
+    service.getOptionalCourseStructure = vi.fn().mockResolvedValue(null);
+    service.getActivityStatements = vi.fn().mockResolvedValue({
+      statements: [{ ...quizScored(1, 0.9), actor }],
+      truncated: false
+    });
+    service.getClassifiedCourseData = vi.fn().mockResolvedValue({ statements: [], truncated: false });
+
+    const { learners: [learner] } = await service.getCohortData('http://example.com/course/1');
+    const { learners: [rostered] } = await service.getCohortData('http://example.com/course/1', {
+      roster: ['https://sso.example.com::Lovelace, Ada']
+    });
+
+    // The route carries the learner ID as one encoded path segment
+    const path = RoutePaths.learner(learner.learnerId, 'http://example.com/course/1');
+    const fromRoute = decodeURIComponent(path.split('/')[2]);
+
+    expect(AgentIdentity.toAgents(fromRoute)).toEqual([AgentIdentity.fromAgent(actor)]);
+    expect(rostered.learnerId).toBe(learner.learnerId);
+    expect(AgentIdentity.toAgents(service.getClassifiedCourseData.mock.calls[0][0])).toEqual([AgentIdentity.fromAgent(actor)]);
+  });
+});
+
+describe('CourseraXAPIService.getCourseStructure', () => {
+  it('infers the structure only from statements it is given, and shares it', async () => {
+    const cohortService = createService();
+    const dashboardService = createService();
+    const module1 = { id: 'http://example.com/course/1/module/1', definition: { type: 'http://coursera.org/xapi/activity-types/module' } };
+    const statements = [inCourse(quizScored(1, 0.9), [module1])];
+    dashboardService.getActivityStatements = vi.fn();
+
+    // A learner dashboard load doesn't query the whole course
+    await expect(dashboardService.getCourseStructure('http://example.com/course/1')).resolves.toBeNull();
+
+    const structure = await cohortService.getCourseStructure('http://example.com/course/1', { statements });
+
+    expect(structure).toMatchObject({ source: 'inferred', itemCount: 1 });
+    await expect(dashboardService.getCourseStructure('http://example.com/course/1')).resolves.toBe(structure);
+    expect(dashboardService.getActivityStatements).not.toHaveBeenCalled();
+  });
+
+  it('infers again for every cohort rather than reusing another roster\'s structure', async () => {
+    const service = createService();
+    const module1 = { id: 'http://example.com/course/1/module/1', definition: { type: 'http://coursera.org/xapi/activity-types/module' } };
+    const statementsFor = {
+      'ada@example.com': [inCourse(quizScored(1, 0.9), [module1])],
+      'grace@example.com': [inCourse(quizScored(1, 0.9), [module1]), inCourse(quizScored(2, 0.8), [module1])]
+    };
+    service.getActorActivityStatements = vi.fn(async learner => ({
+      statements: statementsFor[AgentIdentity.getEmail(AgentIdentity.toAgents(learner)[0])],
+      truncated: false
+    }));
+
+    const ada = await service.getCohortData('http://example.com/course/1', { roster: ['ada@example.com'] });
+    const grace = await service.getCohortData('http://example.com/course/1', { roster: ['grace@example.com'] });
+
+    expect(ada.structure.itemCount).toBe(1);
+    expect(grace.structure.itemCount).toBe(2);
+    await expect(createService().getCourseStructure('http://example.com/course/1')).resolves.toBe(grace.structure);
+  });
+
+  it('warns through the logger when the manifest cannot be loaded', async () => {
+    const logger = { log: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    const service = new CourseraXAPIService('https://lrs.example.com/xapi/', 'key', 'secret', {
+      courseManifestUrl: '/courses/{courseId}.json',
+      logger
+    });
+    service.getCourseManifest = vi.fn().mockRejectedValue(new Error('Not Found'));
+
+    await expect(service.getOptionalCourseStructure('http://example.com/course/1')).resolves.toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith('Course structure unavailable for http://example.com/course/1:', 'Not Found');
+  });
+
+  it('infers the cohort\'s structure from the roster\'s statements', async () => {
+    const service = createService();
+    const module1 = { id: 'http://example.com/course/1/module/1', definition: { type: 'http://coursera.org/xapi/activity-types/module' } };
+    service.getActivityStatements = vi.fn();
+    service.getActorActivityStatements = vi.fn().mockResolvedValue({
+      statements: [inCourse(quizScored(1, 0.9), [module1])],
+      truncated: false
+    });
+
+    const cohort = await service.getCohortData('http://example.com/course/1', { roster: ['ada@example.com'] });
+
+    expect(cohort.structure).toMatchObject({ source: 'inferred', itemCount: 1 });
+    expect(service.getActivityStatements).not.toHaveBeenCalled();
+  });
+
+  it('loads the manifest when a manifest URL is configured', async () => {
+    const service = new CourseraXAPIService('https://lrs.example.com/xapi/', 'key', 'secret', {
+      courseManifestUrl: '/courses/{courseId}.json'
+    });
+    service.getCourseManifest = vi.fn().mockResolvedValue({
+      modules: [{ id: 'm1', items: [{ id: 'q1' }, { id: 'q2' }] }]
+    });
+
+    const structure = await service.getCourseStructure('http://example.com/course/1');
+
+    expect(service.getCourseManifest).toHaveBeenCalledWith('http://example.com/course/1');
+    expect(structure).toMatchObject({ source: 'manifest', itemCount: 2 });
+  });
+
+  it('lets the dashboard fall back to touched activities when the structure is unavailable', async () => {
+    const service = createService();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    service.getActivityStatements = vi.fn().mockRejectedValue(new Error('activity queries are not allowed'));
+    service.getClassifiedCourseData = vi.fn().mockResolvedValue({
+      totalStatements: 0,
+      truncated: false,
+      classified: { modules: [], quizzes: [], videos: [], assignments: [], timeline: [] }
+    });
+
+    const data = await service.getDashboardData('ada@example.com', 'http://example.com/course/1');
+
+    expect(data.structure).toBeNull();
+    expect(service.structureCache.size).toBe(0);
+    console.warn.mockRestore();
+  });
+});
+
+describe('CourseraXAPIService.getDashboardData', () => {
+  it('scopes every section to the date range but keeps earlier history', async () => {
+    const service = createService();
+    service.getOptionalCourseStructure = vi.fn().mockResolvedValue(null);
+    service.getActorActivityStatements = vi.fn().mockResolvedValue({
+      statements: [
+        // Synced late: stored after the range, but it happened inside it
+        moduleCompleted(1, '2025-03-14T10:00:00.000Z'),
+        quizScored(1, 0.9, '2025-03-10T10:00:00.000Z'),
+        moduleCompleted(2, '2025-03-16T10:00:00.000Z'),
+        moduleCompleted(3, '2025-02-10T10:00:00.000Z')
+      ],
+      truncated: false
+    });
+
+    const data = await service.getDashboardData('ada@example.com', 'http://example.com/course/1', {
+      dateRange: { from: '2025-03-01', to: '2025-03-14' }
+    });
+
+    expect(service.getActorActivityStatements).toHaveBeenCalledWith(
+      'ada@example.com',
+      'http://example.com/course/1',
+      // Two quarters before the range ends, for the period comparison, and
+      // a day for the learner's time zone
+      { since: '2024-09-15T00:00:00.000Z' }
+    );
+    expect(data.overview.totalStatements).toBe(2);
+    expect(data.modules.completed).toHaveLength(1);
+    expect(data.assessments.quizzes).toHaveLength(1);
+    expect(data.dateRange).toEqual({ from: '2025-03-01', to: '2025-03-14' });
+    expect(data.history).toHaveLength(4);
+  });
+
+  it('counts the same video time as the engagement metrics', async () => {
+    const service = createService();
+    service.getOptionalCourseStructure = vi.fn().mockResolvedValue(null);
+    service.getActorActivityStatements = vi.fn().mockResolvedValue({
+      statements: [
+        videoWatched(1, 'PT1M30S', '2025-03-10T10:00:00.000Z'),
+        videoWatched(2, 'PT12.5S', '2025-03-11T10:00:00.000Z'),
+        videoWatched(3, 'P1DT1H', '2025-03-12T10:00:00.000Z')
+      ],
+      truncated: false
+    });
+
+    const data = await service.getDashboardData('ada@example.com', 'http://example.com/course/1');
+    const summary = DataAggregator.createDashboardSummary(data);
+
+    expect(data.engagement.totalVideoTime).toBe(90 + 12.5 + 25 * 3600);
+    expect(summary.engagement.totalVideoTime).toBe(data.engagement.totalVideoTime);
+  });
+
+  it('collects cmi5 session statements and reports their progress', async () => {
+    const service = createService();
+    service.getOptionalCourseStructure = vi.fn().mockResolvedValue(null);
+    service.getActorActivityStatements = vi.fn().mockResolvedValue({
+      statements: [
+        cmi5Event(service.verbs.ABANDONED, { timestamp: '2025-03-10T11:00:00.000Z', result: { duration: 'PT20M' } }),
+        cmi5Event(service.verbs.PASSED, { timestamp: '2025-03-10T10:20:00.000Z', result: { success: true } }),
+        cmi5Event(service.verbs.INITIALIZED, { timestamp: '2025-03-10T10:00:00.000Z' }),
+        moduleCompleted(1, '2025-03-09T10:00:00.000Z')
+      ],
+      truncated: false
+    });
+
+    const data = await service.getDashboardData('ada@example.com', 'http://example.com/course/1');
+    const summary = DataAggregator.createDashboardSummary(data);
+
+    expect(data.cmi5).toHaveLength(3);
+    expect(summary.cmi5.summary).toMatchObject({ ausSatisfied: 1, abandonedSessions: 1, totalTime: 1200 });
+    // The passed AU counts alongside the completed module
+    expect(summary.progress).toMatchObject({ completed: 2, total: 2 });
+    await expect(service.getCmi5Progress('ada@example.com', 'http://example.com/course/1'))
+      .resolves.toMatchObject({ summary: { sessionCount: 1 } });
+  });
+});
+
+describe('CourseraXAPIService.loadVocabulary', () => {
+  const VIEWED = 'https://example.com/verbs/viewed';
+  const CLIP = 'https://example.com/types/clip';
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    Vocabulary.reset();
+  });
+
+  const createVocabularyService = vocabularyUrl =>
+    new CourseraXAPIService('https://lrs.example.com/xapi/', 'key', 'secret', { vocabularyUrl });
+
+  it('classifies statements with the configured vocabulary, loading it once', async () => {
+    vi.spyOn(axios, 'get').mockResolvedValue({
+      data: { verbs: { view: [VIEWED] }, activityTypes: { video: [CLIP] } }
+    });
+    const service = createVocabularyService('/vocabulary.json');
+    const clip = { ...videoWatched(1, 'PT4M'), verb: { id: VIEWED } };
+    clip.object = { ...clip.object, definition: { ...clip.object.definition, type: CLIP } };
+    service.getActorActivityStatements = vi.fn().mockResolvedValue({ statements: [clip], truncated: false });
+
+    const { classified } = await service.getClassifiedCourseData('ada@example.com', 'http://example.com/course/1');
+    await createVocabularyService('/vocabulary.json').loadVocabulary();
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(axios.get).toHaveBeenCalledWith('/vocabulary.json', { timeout: 30000 });
+    expect(classified.videos).toEqual([clip]);
+  });
+
+  it('loads the vocabulary before inferring a course structure', async () => {
+    const UNIT = 'https://example.com/types/unit';
+    vi.spyOn(axios, 'get').mockResolvedValue({ data: { activityTypes: { module: [UNIT] } } });
+    const service = createVocabularyService('/units-vocabulary.json');
+    const unit = { id: 'http://example.com/course/1/unit/1', definition: { type: UNIT } };
+    const statements = [inCourse(quizScored(1, 0.9), [unit])];
+
+    const structure = await service.getCourseStructure('http://example.com/course/1', { statements });
+
+    expect(structure.modules.map(module => module.id)).toEqual([unit.id]);
+    expect(structure.itemCount).toBe(1);
+  });
+
+  it('reports an unusable vocabulary and retries on the next call', async () => {
+    vi.spyOn(axios, 'get')
+      .mockResolvedValueOnce({ data: { verbs: { finished: [VIEWED] } } })
+      .mockResolvedValueOnce({ data: { verbs: { view: [VIEWED] } } });
+    const service = createVocabularyService('/broken-vocabulary.json');
+
+    await expect(service.loadVocabulary()).rejects.toBeInstanceOf(ConfigurationError);
+    await expect(service.loadVocabulary()).resolves.toMatchObject({ verbs: { view: expect.arrayContaining([VIEWED]) } });
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the default vocabulary without a URL', async () => {
+    const spy = vi.spyOn(axios, 'get');
+
+    await expect(createService().loadVocabulary()).resolves.toBeNull();
+    expect(spy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import RetryPolicy from '../retryPolicy.js';
+
+// Minimal stand-in for a failed axios request
+const failure = (status, { method = 'get', headers = {}, code } = {}) => ({
+  config: { method },
+  code,
+  response: status ? { status, headers } : undefined
+});
+
+describe('RetryPolicy', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it('retries transient failures of idempotent requests', () => {
+    const policy = new RetryPolicy();
+
+    expect(policy.shouldRetry(failure(503), 0)).toBe(true);
+    expect(policy.shouldRetry(failure(null), 0)).toBe(true);
+    expect(policy.shouldRetry(failure(502, { method: 'PUT' }), 2)).toBe(true);
+    expect(policy.shouldRetry(failure(404), 0)).toBe(false);
+    expect(policy.shouldRetry(failure(401), 0)).toBe(false);
+  });
+
+  it('retries a POST only when the LRS rate-limited it', () => {
+    const policy = new RetryPolicy();
+
+    expect(policy.shouldRetry(failure(429, { method: 'post' }), 0)).toBe(true);
+    expect(policy.shouldRetry(failure(503, { method: 'post' }), 0)).toBe(false);
+    expect(policy.shouldRetry(failure(null, { method: 'post' }), 0)).toBe(false);
+  });
+
+  it('stops at maxRetries, cancelled requests and requests without a config', () => {
+    const policy = new RetryPolicy({ maxRetries: 2 });
+
+    expect(policy.shouldRetry(failure(503), 2)).toBe(false);
+    expect(policy.shouldRetry(failure(null, { code: 'ERR_CANCELED' }), 0)).toBe(false);
+    expect(policy.shouldRetry({ response: { status: 503 } }, 0)).toBe(false);
+  });
+
+  it('never retries with maxRetries 0', () => {
+    expect(new RetryPolicy({ maxRetries: 0 }).shouldRetry(failure(429), 0)).toBe(false);
+  });
+
+  it('waits as long as Retry-After asks, up to maxDelay', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-03-10T10:00:00.000Z'));
+    const policy = new RetryPolicy({ maxDelay: 10000 });
+
+    expect(policy.getDelay(failure(429, { headers: { 'retry-after': '2' } }), 1)).toBe(2000);
+    expect(policy.getDelay(failure(503, { headers: { 'retry-after': 'Mon, 10 Mar 2025 10:00:05 GMT' } }), 1)).toBe(5000);
+    expect(policy.getDelay(failure(429, { headers: { 'retry-after': '120' } }), 1)).toBe(10000);
+    expect(policy.parseRetryAfter('Mon, 10 Mar 2025 09:59:00 GMT')).toBe(0);
+    expect(policy.parseRetryAfter('soon')).toBeNull();
+  });
+
+  it('backs off exponentially with full jitter', () => {
+    const policy = new RetryPolicy({ baseDelay: 500, maxDelay: 3000 });
+    const random = vi.spyOn(Math, 'random').mockReturnValue(1);
+
+    expect([1, 2, 3, 4].map(attempt => policy.getDelay(failure(503), attempt))).toEqual([500, 1000, 2000, 3000]);
+
+    random.mockReturnValue(0.5);
+    expect(policy.getDelay(failure(503), 2)).toBe(500);
+
+    random.mockReturnValue(0);
+    expect(policy.getDelay(failure(503), 3)).toBe(0);
+  });
+});
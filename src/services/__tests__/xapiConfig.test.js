@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+// The config is a singleton read from the environment when first imported
+const loadConfig = async (env) => {
+  Object.entries(env).forEach(([key, value]) => vi.stubEnv(key, value));
+  vi.resetModules();
+  return (await import('../xapiConfig.js')).default;
+};
+
+const lrs = {
+  VITE_XAPI_ENDPOINT: 'https://lrs.example.com/xapi/',
+  VITE_XAPI_USERNAME: 'key',
+  VITE_XAPI_PASSWORD: 'secret'
+};
+
+describe('xapiConfig', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('keeps 0 as a setting for retries and statement caps', async () => {
+    const config = await loadConfig({ ...lrs, VITE_XAPI_MAX_RETRIES: '0', VITE_XAPI_MAX_STATEMENTS: '0' });
+
+    expect(config.getServiceOptions()).toMatchObject({ maxStatements: 0, retry: { maxRetries: 0 } });
+  });
+
+  it('falls back to the defaults for missing or unparseable values', async () => {
+    const config = await loadConfig({ ...lrs, VITE_XAPI_MAX_RETRIES: 'lots', VITE_XAPI_MAX_STATEMENTS: '' });
+
+    expect(config.getServiceOptions()).toMatchObject({
+      maxStatements: 5000,
+      maxCohortStatements: 50000,
+      retry: { maxRetries: 3 }
+    });
+  });
+
+  it('refuses OAuth2 client credentials, which would ship in the bundle', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const config = await loadConfig({
+      ...lrs,
+      VITE_XAPI_AUTH_TYPE: 'oauth2',
+      VITE_XAPI_OAUTH_CLIENT_SECRET: 's3cret'
+    });
+
+    expect(config.isConfigured()).toBe(false);
+    expect(JSON.stringify(config.getServiceOptions())).not.toContain('s3cret');
+    expect(warn.mock.calls[0][0]).toContain('LRS_AUTH_TYPE=oauth2');
+    warn.mockRestore();
+  });
+
+  it('uses a bearer token', async () => {
+    const config = await loadConfig({ ...lrs, VITE_XAPI_AUTH_TYPE: 'bearer', VITE_XAPI_TOKEN: 't0ken' });
+
+    expect(config.isConfigured()).toBe(true);
+    expect(config.getServiceOptions().auth).toEqual({ type: 'bearer', token: 't0ken' });
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, vi } from 'vitest';
+import XAPIService from '../xapiService.js';
+
+// An LRS serving `count` statements in pages of `pageSize`
+const pagedService = (count, pageSize, options = {}) => {
+  const service = new XAPIService('https://lrs.example.com/xapi/', 'key', 'secret', options);
+  const page = start => ({
+    statements: Array.from({ length: Math.min(pageSize, count - start) }, (_, i) => ({ id: `s${start + i}` })),
+    more: start + pageSize < count ? `/xapi/statements?more=${start + pageSize}` : ''
+  });
+  service.getStatements = vi.fn().mockResolvedValue(page(0));
+  service.getMoreStatements = vi.fn(more => Promise.resolve(page(Number(more.split('=')[1]))));
+  return service;
+};
+
+describe('XAPIService.getAllStatements', () => {
+  it('stops at maxStatements and flags the result as truncated', async () => {
+    const result = await pagedService(25, 10, { maxStatements: 15 }).getAllStatements();
+
+    expect(result.statements).toHaveLength(15);
+    expect(result.truncated).toBe(true);
+  });
+
+  it('follows every more link with maxStatements 0', async () => {
+    const service = pagedService(25, 10, { maxStatements: 0 });
+    const result = await service.getAllStatements();
+
+    expect(result).toMatchObject({ pages: 3, truncated: false });
+    expect(result.statements).toHaveLength(25);
+    expect(service.getMoreStatements).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('XAPIService.getAgentStatements', () => {
+  it('caps the statements merged across identifiers, keeping the newest', async () => {
+    const service = new XAPIService('https://lrs.example.com/xapi/', 'key', 'secret', { maxStatements: 3 });
+    const stored = (id, day) => ({ id, stored: `2025-03-${day}T10:00:00.000Z` });
+    const byAgent = {
+      'mailto:ada@example.com': [stored('a3', 14), stored('a2', 12), stored('a1', 10)],
+      ada: [stored('b3', 15), stored('b2', 13), stored('b1', 11)]
+    };
+    service.getStatements = vi.fn(async params => {
+      const agent = JSON.parse(params.agent);
+      return { statements: byAgent[agent.mbox || agent.account.name], more: '' };
+    });
+
+    const result = await service.getAgentStatements('ada@example.com,https://www.coursera.org::ada');
+
+    expect(result.statements.map(stmt => stmt.id)).toEqual(['b3', 'a3', 'b2']);
+    expect(result.truncated).toBe(true);
+  });
+});
+
+describe('XAPIService logging', () => {
+  it('logs through the logger option instead of the console', async () => {
+    const logger = { log: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const service = new XAPIService('https://lrs.example.com/xapi/', 'key', 'secret', { logger });
+    service.client.get = vi.fn().mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await expect(service.testConnection()).resolves.toBe(false);
+
+    expect(logger.error).toHaveBeenCalledWith('LRS connection test failed:', 'connect ECONNREFUSED');
+    expect(consoleError).not.toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,219 @@
+import axios from 'axios';
+import { AuthenticationError, ConfigurationError, toXAPIError } from './xapiErrors.js';
+
+/**
+ * LRS Authentication Strategies
+ * Each strategy supplies the Authorization header for LRS requests and,
+ * where the credential can expire, knows how to obtain a fresh one.
+ *
+ * Strategies share one interface used by XAPIService's interceptors:
+ *   getHeaders()  -> Promise<Object> headers to merge into each request
+ *   canRefresh()  -> true if a 401 may be fixed by invalidate() + retry
+ *   invalidate()  -> discard the current credential
+ */
+
+/**
+ * No Authorization header (e.g. behind the LRS proxy)
+ */
+export class NoAuth {
+  constructor() {
+    this.type = 'none';
+  }
+
+  async getHeaders() {
+    return {};
+  }
+
+  canRefresh() {
+    return false;
+  }
+
+  invalidate() {}
+}
+
+/**
+ * HTTP Basic authentication with an LRS key and secret
+ */
+export class BasicAuth {
+  constructor(options = {}) {
+    if (!options.username || !options.password) {
+      throw new ConfigurationError('Basic authentication requires a username and password');
+    }
+    this.type = 'basic';
+    this.header = `Basic ${btoa(`${options.username}:${options.password}`)}`;
+  }
+
+  async getHeaders() {
+    return { 'Authorization': this.header };
+  }
+
+  canRefresh() {
+    return false;
+  }
+
+  invalidate() {}
+}
+
+/**
+ * Bearer token authentication
+ * Takes either a fixed token or a getToken() callback for short-lived tokens
+ * issued by the host application; only the callback form can be refreshed.
+ */
+export class BearerAuth {
+  constructor(options = {}) {
+    if (!options.token && typeof options.getToken !== 'function') {
+      throw new ConfigurationError('Bearer authentication requires a token or a getToken function');
+    }
+    this.type = 'bearer';
+    this.token = options.token || null;
+    this.getToken = options.getToken || null;
+  }
+
+  async getHeaders() {
+    if (!this.token && this.getToken) {
+      this.token = await this.getToken();
+    }
+    return { 'Authorization': `Bearer ${this.token}` };
+  }
+
+  canRefresh() {
+    return !!this.getToken;
+  }
+
+  invalidate() {
+    if (this.getToken) {
+      this.token = null;
+    }
+  }
+}
+
+/**
+ * OAuth 2.0 client credentials grant (RFC 6749 section 4.4)
+ * Fetches an access token from the token endpoint, caches it until shortly
+ * before it expires and shares one in-flight request between concurrent calls.
+ */
+export class OAuth2ClientCredentials {
+  constructor(options = {}) {
+    const missing = ['tokenUrl', 'clientId', 'clientSecret'].filter(key => !options[key]);
+    if (missing.length > 0) {
+      throw new ConfigurationError(`OAuth2 authentication is missing: ${missing.join(', ')}`);
+    }
+
+    this.type = 'oauth2';
+    this.tokenUrl = options.tokenUrl;
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.scope = options.scope || null;
+    // 'basic' sends the client credentials in an Authorization header (the
+    // RFC's preferred form); 'body' sends them as form fields
+    this.clientAuth = options.clientAuth || 'basic';
+    this.expirySkew = options.expirySkew ?? 30000; // renew this many ms early
+    this.http = options.http || axios;
+
+    this.accessToken = null;
+    this.expiresAt = 0;
+    this.pendingToken = null;
+  }
+
+  async getHeaders() {
+    const token = await this.getAccessToken();
+    return { 'Authorization': `Bearer ${token}` };
+  }
+
+  canRefresh() {
+    return true;
+  }
+
+  invalidate() {
+    this.accessToken = null;
+    this.expiresAt = 0;
+  }
+
+  /**
+   * Return a cached access token, requesting a new one when it has expired
+   * @returns {Promise<string>} - Access token
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.expiresAt) {
+      return this.accessToken;
+    }
+
+    if (!this.pendingToken) {
+      this.pendingToken = this.requestToken().finally(() => {
+        this.pendingToken = null;
+      });
+    }
+
+    return this.pendingToken;
+  }
+
+  /**
+   * Request a new access token from the token endpoint
+   * @returns {Promise<string>} - Access token
+   */
+  async requestToken() {
+    const body = new URLSearchParams({ grant_type: 'client_credentials' });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    if (this.scope) {
+      body.set('scope', this.scope);
+    }
+    if (this.clientAuth === 'body') {
+      body.set('client_id', this.clientId);
+      body.set('client_secret', this.clientSecret);
+    } else {
+      headers['Authorization'] = `Basic ${btoa(`${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`)}`;
+    }
+
+    let response;
+    try {
+      response = await this.http.post(this.tokenUrl, body.toString(), { headers });
+    } catch (error) {
+      throw toXAPIError(error, 'obtain an OAuth2 access token');
+    }
+
+    const { access_token: accessToken, expires_in: expiresIn } = response.data || {};
+    if (!accessToken) {
+      throw new AuthenticationError('Failed to obtain an OAuth2 access token: no access_token in response', {
+        status: response.status,
+        data: response.data,
+        method: 'POST',
+        url: this.tokenUrl
+      });
+    }
+
+    this.accessToken = accessToken;
+    // Tokens without expires_in are kept until the LRS rejects them
+    this.expiresAt = expiresIn
+      ? Date.now() + expiresIn * 1000 - this.expirySkew
+      : Infinity;
+
+    return accessToken;
+  }
+}
+
+/**
+ * Build an authentication strategy from configuration
+ * @param {Object} auth - Auth settings: { type, username, password, token,
+ *   getToken, tokenUrl, clientId, clientSecret, scope, clientAuth }, or an
+ *   existing strategy instance
+ * @returns {Object} - Strategy instance
+ */
+export const createAuthStrategy = (auth = {}) => {
+  if (typeof auth.getHeaders === 'function') {
+    return auth;
+  }
+
+  switch (auth.type || 'basic') {
+    case 'none':
+      return new NoAuth();
+    case 'basic':
+      return new BasicAuth(auth);
+    case 'bearer':
+      return new BearerAuth(auth);
+    case 'oauth2':
+      return new OAuth2ClientCredentials(auth);
+    default:
+      throw new ConfigurationError(`Unknown LRS auth type: ${auth.type}`);
+  }
+};
@@ -1,233 +1,736 @@
+import axios from 'axios';
 import XAPIService from './xapiService.js';
+import { toXAPIError } from './xapiErrors.js';
+import { CourseStructure } from '../utils/courseStructure.js';
+import { DateRange, COMPARISON_PERIODS } from '../utils/dateRange.js';
+import { TimeZone } from '../utils/timeZone.js';
+import { AgentIdentity } from '../utils/agentIdentity.js';
+import { Duration } from '../utils/duration.js';
+import { Cmi5Analyzer, CMI5_PROFILE } from '../utils/cmi5Analyzer.js';
+import { Vocabulary, XAPI_VERBS, ACTIVITY_TYPES } from '../utils/vocabulary.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Vocabulary loads by URL, shared by every service instance since the
+// vocabulary in use is global
+const vocabularyLoads = new Map();
+
+// Structures inferred from course statements, by course ID, shared by every
+// service instance so learner dashboards can use the one the cohort view
+// inferred
+const inferredStructures = new Map();
 
 /**
  * Coursera-specific xAPI Service
  * Handles Coursera Enterprise xAPI data retrieval and processing
  */
 class CourseraXAPIService extends XAPIService {
-  constructor(endpoint, username, password) {
-    super(endpoint, username, password);
+  constructor(endpoint, username, password, options = {}) {
+    super(endpoint, username, password, options);
     
-    // Coursera-specific xAPI verb definitions
+    // Coursera-specific xAPI verb definitions. Statements are classified
+    // through the vocabulary, which also recognises other IRIs for them.
     this.verbs = {
-      COMPLETED: 'http://adlnet.gov/expapi/verbs/completed',
-      EXPERIENCED: 'http://adlnet.gov/expapi/verbs/experienced',
-      SCORED: 'http://adlnet.gov/expapi/verbs/scored',
-      ATTEMPTED: 'http://adlnet.gov/expapi/verbs/attempted',
-      ANSWERED: 'http://adlnet.gov/expapi/verbs/answered',
-      PROGRESSED: 'http://adlnet.gov/expapi/verbs/progressed'
+      ...XAPI_VERBS,
+      // cmi5 session and moveOn verbs, for courses launched through a cmi5 LMS
+      ...CMI5_PROFILE.verbs
     };
 
-    // Coursera activity types
+    // Coursera activity types, plus the cmi5 course and block types
     this.activityTypes = {
-      COURSE: 'http://coursera.org/xapi/activity-types/course',
-      MODULE: 'http://coursera.org/xapi/activity-types/module',
-      LESSON: 'http://coursera.org/xapi/activity-types/lesson',
-      VIDEO: 'http://coursera.org/xapi/activity-types/video',
-      QUIZ: 'http://coursera.org/xapi/activity-types/quiz',
-      ASSIGNMENT: 'http://coursera.org/xapi/activity-types/assignment',
-      PEER_REVIEW: 'http://coursera.org/xapi/activity-types/peer-review'
+      ...ACTIVITY_TYPES,
+      CMI5_COURSE: CMI5_PROFILE.activityTypes.COURSE,
+      CMI5_BLOCK: CMI5_PROFILE.activityTypes.BLOCK
     };
+
+    // JSON vocabulary extending the default verb and activity type mappings
+    // (see Vocabulary), loaded before the first statements are classified
+    this.vocabularyUrl = options.vocabularyUrl || null;
+
+    // Shared per-learner/course fetch results, reused by the per-type methods
+    this.courseDataCache = new Map();
+    this.cacheTtl = options.cacheTtl ?? 60 * 1000;
+
+    // Whole-course queries span every learner, so they get a larger cap
+    this.maxCohortStatements = options.maxCohortStatements ?? 50000;
+    this.rosterConcurrency = options.rosterConcurrency || 4;
+
+    // Course structures change rarely, so they are kept longer than statements;
+    // inferred ones are shared (see inferredStructures). `courseManifestUrl`
+    // may contain a {courseId} placeholder.
+    this.courseManifestUrl = options.courseManifestUrl || null;
+    this.structureCache = new Map();
+    this.structureTtl = options.structureTtl ?? 10 * 60 * 1000;
   }
 
   /**
    * Get all course progress data for a user
-   * @param {string} userEmail - User's email address
+   * @param {string} learnerId - Learner ID: email or other identifiers (see AgentIdentity)
    * @param {string} courseId - Coursera course ID
-   * @returns {Promise<Object>} - Complete course progress data
+   * @param {Object} options - Query options
+   * @param {string} options.since - Only statements stored after this ISO time
+   * @returns {Promise<Object>} - Complete course progress data; `truncated` is
+   *   set when the learner's history exceeded the configured statement cap
    */
-  async getCourseProgress(userEmail, courseId) {
+  async getCourseProgress(learnerId, courseId, options = {}) {
     try {
-      const statements = await this.getActorActivityStatements(userEmail, courseId);
+      const result = await this.getActorActivityStatements(
+        learnerId,
+        courseId,
+        options.since ? { since: options.since } : {}
+      );
       
       return {
-        totalStatements: statements.statements.length,
-        statements: statements.statements,
-        hasMore: statements.more,
-        raw: statements
+        totalStatements: result.statements.length,
+        statements: result.statements,
+        pages: result.pages,
+        truncated: result.truncated
       };
     } catch (error) {
-      throw new Error(Failed to get course progress: );
+      throw toXAPIError(error, 'get course progress');
+    }
+  }
+
+  /**
+   * Get the learner's statements for a course, classified by activity kind
+   * Statements are fetched once and shared by every per-type method; calls
+   * made while a fetch is in flight, or within `cacheTtl`, reuse the result.
+   * @param {string} learnerId - Learner ID: email or other identifiers (see AgentIdentity)
+   * @param {string} courseId - Course ID
+   * @param {Object} options - Fetch options
+   * @param {boolean} options.refresh - Bypass the shared result and refetch
+   * @param {string} options.since - Only statements stored after this ISO time
+   * @returns {Promise<Object>} - Course progress plus classified statements
+   */
+  async getClassifiedCourseData(learnerId, courseId, options = {}) {
+    await this.loadVocabulary();
+
+    const key = `${AgentIdentity.normalize(learnerId)}|${courseId}|${options.since || ''}`;
+    const cached = this.courseDataCache.get(key);
+
+    if (!options.refresh && cached && Date.now() - cached.fetchedAt < this.cacheTtl) {
+      return cached.promise;
     }
+
+    const promise = this.getCourseProgress(learnerId, courseId, options).then(courseProgress => ({
+      ...courseProgress,
+      classified: this.classifyStatements(courseProgress.statements)
+    }));
+
+    this.courseDataCache.set(key, { promise, fetchedAt: Date.now() });
+
+    // Drop failed fetches so the next call retries instead of replaying the error
+    promise.catch(() => {
+      if (this.courseDataCache.get(key)?.promise === promise) {
+        this.courseDataCache.delete(key);
+      }
+    });
+
+    return promise;
+  }
+
+  /**
+   * Classify statements into modules, quizzes, videos and assignments in one pass
+   * Statements from cmi5 sessions are also collected under `cmi5`, whatever
+   * their activity type.
+   * @param {Array} statements - xAPI statements for a course
+   * @returns {Object} - Classified statements and a newest-first timeline
+   */
+  classifyStatements(statements) {
+    const classified = {
+      modules: [],
+      quizzes: [],
+      videos: [],
+      assignments: [],
+      cmi5: [],
+      timeline: []
+    };
+
+    statements.forEach(stmt => {
+      const verbId = stmt.verb.id;
+
+      switch (Vocabulary.getTypeCategory(stmt.object.definition?.type)) {
+        case 'module':
+          if (Vocabulary.isVerb(verbId, 'completion')) {
+            classified.modules.push(stmt);
+          }
+          break;
+        case 'quiz':
+        case 'assessment':
+          if (Vocabulary.isVerb(verbId, 'score', 'response') && stmt.result?.score) {
+            classified.quizzes.push(stmt);
+          }
+          break;
+        case 'video':
+          // Coursera's `experienced` views and ADL Video Profile events
+          // (played, paused, ...) alike, as VideoAnalyzer reads them
+          classified.videos.push(stmt);
+          break;
+        case 'assignment':
+          if (Vocabulary.isVerb(verbId, 'completion', 'score')) {
+            classified.assignments.push(stmt);
+          }
+          break;
+        default:
+          break;
+      }
+
+      if (Cmi5Analyzer.isCmi5Statement(stmt)) {
+        classified.cmi5.push(stmt);
+      }
+      classified.timeline.push(stmt);
+    });
+
+    // Sort by timestamp (newest first)
+    classified.timeline.sort((a, b) => 
+      new Date(b.timestamp) - new Date(a.timestamp)
+    );
+
+    return classified;
   }
 
   /**
    * Get completed modules for a course
-   * @param {string} userEmail - User's email address
+   * @param {string} learnerId - Learner ID: email or other identifiers (see AgentIdentity)
    * @param {string} courseId - Course ID
    * @returns {Promise<Array>} - Array of completed module statements
    */
-  async getModuleCompletions(userEmail, courseId) {
+  async getModuleCompletions(learnerId, courseId) {
     try {
-      const courseData = await this.getCourseProgress(userEmail, courseId);
-      
-      return courseData.statements.filter(stmt => 
-        stmt.verb.id === this.verbs.COMPLETED &&
-        stmt.object.definition?.type === this.activityTypes.MODULE
-      );
+      const courseData = await this.getClassifiedCourseData(learnerId, courseId);
+      return courseData.classified.modules;
     } catch (error) {
-      throw new Error(Failed to get module completions: );
+      throw toXAPIError(error, 'get module completions');
     }
   }
 
   /**
    * Get quiz scores and attempts
-   * @param {string} userEmail - User's email address
+   * @param {string} learnerId - Learner ID: email or other identifiers (see AgentIdentity)
    * @param {string} courseId - Course ID
    * @returns {Promise<Array>} - Array of quiz score statements
    */
-  async getQuizScores(userEmail, courseId) {
+  async getQuizScores(learnerId, courseId) {
     try {
-      const courseData = await this.getCourseProgress(userEmail, courseId);
-      
-      return courseData.statements.filter(stmt => 
-        (stmt.verb.id === this.verbs.SCORED || stmt.verb.id === this.verbs.ANSWERED) &&
-        stmt.object.definition?.type === this.activityTypes.QUIZ &&
-        stmt.result?.score
-      );
+      const courseData = await this.getClassifiedCourseData(learnerId, courseId);
+      return courseData.classified.quizzes;
     } catch (error) {
-      throw new Error(Failed to get quiz scores: );
+      throw toXAPIError(error, 'get quiz scores');
     }
   }
 
   /**
    * Get video interaction data
-   * @param {string} userEmail - User's email address
+   * @param {string} learnerId - Learner ID: email or other identifiers (see AgentIdentity)
    * @param {string} courseId - Course ID
    * @returns {Promise<Array>} - Array of video interaction statements
    */
-  async getVideoInteractions(userEmail, courseId) {
+  async getVideoInteractions(learnerId, courseId) {
     try {
-      const courseData = await this.getCourseProgress(userEmail, courseId);
-      
-      return courseData.statements.filter(stmt => 
-        stmt.verb.id === this.verbs.EXPERIENCED &&
-        stmt.object.definition?.type === this.activityTypes.VIDEO
-      );
+      const courseData = await this.getClassifiedCourseData(learnerId, courseId);
+      return courseData.classified.videos;
     } catch (error) {
-      throw new Error(Failed to get video interactions: );
+      throw toXAPIError(error, 'get video interactions');
     }
   }
 
   /**
    * Get assignment submissions and grades
-   * @param {string} userEmail - User's email address
+   * @param {string} learnerId - Learner ID: email or other identifiers (see AgentIdentity)
    * @param {string} courseId - Course ID
    * @returns {Promise<Array>} - Array of assignment statements
    */
-  async getAssignmentData(userEmail, courseId) {
+  async getAssignmentData(learnerId, courseId) {
     try {
-      const courseData = await this.getCourseProgress(userEmail, courseId);
-      
-      return courseData.statements.filter(stmt => 
-        (stmt.verb.id === this.verbs.COMPLETED || stmt.verb.id === this.verbs.SCORED) &&
-        stmt.object.definition?.type === this.activityTypes.ASSIGNMENT
-      );
+      const courseData = await this.getClassifiedCourseData(learnerId, courseId);
+      return courseData.classified.assignments;
+    } catch (error) {
+      throw toXAPIError(error, 'get assignment data');
+    }
+  }
+
+  /**
+   * Get cmi5 progress: AU and block satisfaction and launch sessions
+   * @param {string} learnerId - Learner ID: email or other identifiers (see AgentIdentity)
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object|null>} - cmi5 analysis (see Cmi5Analyzer.analyze),
+   *   or null if the course wasn't launched through cmi5
+   */
+  async getCmi5Progress(learnerId, courseId) {
+    try {
+      const [courseData, structure] = await Promise.all([
+        this.getClassifiedCourseData(learnerId, courseId),
+        this.getOptionalCourseStructure(courseId)
+      ]);
+      return Cmi5Analyzer.analyze(courseData.classified.cmi5, structure);
     } catch (error) {
-      throw new Error(Failed to get assignment data: );
+      throw toXAPIError(error, 'get cmi5 progress');
     }
   }
 
   /**
    * Get learning timeline (chronological activity)
-   * @param {string} userEmail - User's email address
+   * @param {string} learnerId - Learner ID: email or other identifiers (see AgentIdentity)
    * @param {string} courseId - Course ID
-   * @param {number} days - Number of days to look back (default: 30)
+   * @param {Object} dateRange - { from, to } (default: the last 30 days)
+   * @param {string} timeZone - Time zone override for the range's days, optional
    * @returns {Promise<Array>} - Chronologically sorted statements
    */
-  async getLearningTimeline(userEmail, courseId, days = 30) {
+  async getLearningTimeline(learnerId, courseId, dateRange = DateRange.lastDays(30), timeZone = null) {
     try {
-      const since = new Date();
-      since.setDate(since.getDate() - days);
-      
-      const params = {
-        agent: JSON.stringify({
-          mbox: mailto:,
-          objectType: 'Agent'
-        }),
-        activity: courseId,
-        related_activities: true,
-        since: since.toISOString(),
-        limit: 200
-      };
-      
-      const statements = await this.getStatements(params);
-      
-      // Sort by timestamp (newest first)
-      return statements.statements.sort((a, b) => 
-        new Date(b.timestamp) - new Date(a.timestamp)
-      );
+      const courseData = await this.getClassifiedCourseData(learnerId, courseId, {
+        since: this.getRangeSince(dateRange)
+      });
+      const resolved = this.resolveTimeZone(timeZone, courseData.classified.timeline);
+      return DateRange.filterStatements(courseData.classified.timeline, dateRange, resolved.timeZone);
     } catch (error) {
-      throw new Error(Failed to get learning timeline: );
+      throw toXAPIError(error, 'get learning timeline');
     }
   }
 
+  /**
+   * The `since` query parameter for a date range
+   * The LRS filters `since` and `until` on when statements were stored, not
+   * when they happened. A statement is never stored before its timestamp, so
+   * `since` only narrows the query; `until` would drop activity that was
+   * synced after the range ended, so the end of the range is applied to
+   * timestamps afterwards instead.
+   * The range's days are in the learner's time zone, which isn't known until
+   * the statements are in. No time zone is a full day ahead of UTC, so the
+   * query starts a day early.
+   * @param {Object} dateRange - { from, to }, or null
+   * @returns {string|undefined} - ISO time, or undefined for an open start
+   */
+  getRangeSince(dateRange) {
+    const { start } = DateRange.getBounds(dateRange);
+    return start ? new Date(start - DAY_MS).toISOString() : undefined;
+  }
+
+  /**
+   * The time zone a learner's day-level figures use
+   * @param {string} override - Time zone chosen for the learner, optional
+   * @param {Array} statements - The learner's statements, newest first
+   * @returns {Object} - { timeZone, source }; falls back to the browser's time zone
+   */
+  resolveTimeZone(override, statements) {
+    return TimeZone.resolve({ override, statements, fallback: TimeZone.getBrowserTimeZone() });
+  }
+
+  /**
+   * The `since` query parameter for the dashboard's statements
+   * Reaches back far enough for the period comparison: two of the longest
+   * comparison period, or twice the date range, before the range ends, plus
+   * a day for the learner's time zone (see getRangeSince).
+   * @param {Object} dateRange - { from, to }, or null
+   * @returns {string|undefined} - ISO time, or undefined for an open start
+   */
+  getHistorySince(dateRange) {
+    const { start, end } = DateRange.getBounds(dateRange);
+    if (!start) return undefined;
+
+    const rangeEnd = end || new Date();
+    const longestPeriod = Math.max(...COMPARISON_PERIODS.map(p => p.days)) * DAY_MS;
+    const lookback = Math.max(rangeEnd - start, longestPeriod);
+    return new Date(rangeEnd - 2 * lookback - DAY_MS).toISOString();
+  }
+
   /**
    * Get comprehensive dashboard data
-   * @param {string} userEmail - User's email address
+   * @param {string} learnerId - Learner ID: email or other identifiers (see AgentIdentity)
    * @param {string} courseId - Course ID
+   * @param {Object} options - Fetch options
+   * @param {boolean} options.refresh - Refetch instead of reusing the shared result
+   * @param {Object} options.dateRange - { from, to } to scope every metric to
+   *   (default: all time); the period comparison also reads the days before it
+   * @param {string} options.timeZone - Time zone override for day-level
+   *   figures; otherwise the statements' time zone or the browser's
    * @returns {Promise<Object>} - Complete dashboard data
    */
-  async getDashboardData(userEmail, courseId) {
+  async getDashboardData(learnerId, courseId, options = {}) {
     try {
-      const [
-        courseProgress,
-        moduleCompletions,
-        quizScores,
-        videoInteractions,
-        assignmentData,
-        timeline
-      ] = await Promise.all([
-        this.getCourseProgress(userEmail, courseId),
-        this.getModuleCompletions(userEmail, courseId),
-        this.getQuizScores(userEmail, courseId),
-        this.getVideoInteractions(userEmail, courseId),
-        this.getAssignmentData(userEmail, courseId),
-        this.getLearningTimeline(userEmail, courseId)
+      const { dateRange = null, timeZone: timeZoneOverride = null, ...fetchOptions } = options;
+      const [courseData, structure] = await Promise.all([
+        this.getClassifiedCourseData(learnerId, courseId, {
+          ...fetchOptions,
+          since: this.getHistorySince(dateRange)
+        }),
+        // Not refreshed with the learner's data; without a manifest this is
+        // only a structure the cohort view already inferred, or null
+        this.getOptionalCourseStructure(courseId)
       ]);
+      const { timeZone, source: timeZoneSource } = this.resolveTimeZone(
+        timeZoneOverride,
+        courseData.classified.timeline
+      );
+      const inRange = DateRange.filterStatements(courseData.statements, dateRange, timeZone);
+      const classified = inRange === courseData.statements
+        ? courseData.classified
+        : this.classifyStatements(inRange);
+      const { modules, quizzes, videos, assignments, cmi5, timeline } = classified;
 
       return {
         overview: {
-          totalStatements: courseProgress.totalStatements,
+          totalStatements: timeline.length,
+          truncated: courseData.truncated,
           lastActivity: timeline[0]?.timestamp || null,
           courseId,
-          userEmail
+          learnerId
         },
         modules: {
-          completed: moduleCompletions,
-          completionCount: moduleCompletions.length
+          completed: modules,
+          completionCount: modules.length
         },
         assessments: {
-          quizzes: quizScores,
-          assignments: assignmentData,
-          totalAssessments: quizScores.length + assignmentData.length
+          quizzes,
+          assignments,
+          totalAssessments: quizzes.length + assignments.length
         },
         engagement: {
-          videoInteractions: videoInteractions,
-          totalVideoTime: this.calculateVideoTime(videoInteractions)
+          videoInteractions: videos,
+          totalVideoTime: this.calculateVideoTime(videos)
         },
-        timeline: timeline.slice(0, 50) // Latest 50 activities
+        // Launch sessions and moveOn statements of cmi5 courses
+        cmi5,
+        timeline: timeline.slice(0, 50), // Latest 50 activities
+        // Progress against the course structure needs every statement, not
+        // just the classified ones
+        statements: timeline,
+        structure,
+        dateRange,
+        timeZone,
+        timeZoneSource,
+        // Everything fetched, including activity before the date range, for
+        // the period comparison
+        history: courseData.classified.timeline
+      };
+    } catch (error) {
+      throw toXAPIError(error, 'get dashboard data');
+    }
+  }
+
+  /**
+   * Get classified statements for every learner in a course
+   * With a roster, each listed learner is fetched individually (and listed even
+   * without any statements); otherwise all course statements are fetched and
+   * grouped by actor.
+   * @param {string} courseId - Course ID
+   * @param {Object} options - Fetch options
+   * @param {Array} options.roster - Learner identifiers to include (default:
+   *   all actors); see AgentIdentity
+   * @param {boolean} options.refresh - Refetch instead of reusing shared results
+   * @returns {Promise<Object>} - { courseId, structure, learners: [{ key,
+   *   learnerId, agent, name, email, totalStatements, classified }], totalStatements,
+   *   truncated }
+   */
+  async getCohortData(courseId, options = {}) {
+    try {
+      await this.loadVocabulary();
+      const hasRoster = options.roster?.length > 0;
+      const learners = hasRoster
+        ? await this.getRosterLearners(courseId, options.roster, options)
+        : await this.getCourseLearners(courseId);
+      // Without a manifest, infer the structure from the statements just
+      // loaded: the whole course, or the roster's activity
+      const structure = await this.getOptionalCourseStructure(courseId, {
+        ...options,
+        statements: learners.flatMap(learner => learner.statements)
+      });
+
+      return {
+        courseId,
+        structure,
+        learners: learners.map(learner => ({
+          ...learner,
+          totalStatements: learner.statements.length,
+          classified: this.classifyStatements(learner.statements)
+        })),
+        totalStatements: learners.reduce((sum, learner) => sum + learner.statements.length, 0),
+        truncated: learners.some(learner => learner.truncated)
       };
     } catch (error) {
-      throw new Error(Failed to get dashboard data: );
+      throw toXAPIError(error, 'get cohort data');
     }
   }
 
+  /**
+   * Fetch a roster's statements, a few learners at a time
+   * @param {string} courseId - Course ID
+   * @param {Array} roster - Learner identifiers; unrecognized ones are skipped
+   * @param {Object} options - { refresh }
+   * @returns {Promise<Array>} - Learners with their statements
+   */
+  async getRosterLearners(courseId, roster, options = {}) {
+    const agents = AgentIdentity.toAgents(roster);
+    const learners = new Array(agents.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < agents.length) {
+        const index = next++;
+        const agent = agents[index];
+        const learnerId = AgentIdentity.format(agent);
+        const courseData = await this.getClassifiedCourseData(learnerId, courseId, options);
+
+        learners[index] = {
+          key: this.getAgentKey(agent),
+          learnerId,
+          agent,
+          name: courseData.statements[0]?.actor?.name || AgentIdentity.describe(agent),
+          email: AgentIdentity.getEmail(agent),
+          statements: courseData.statements,
+          truncated: courseData.truncated
+        };
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.rosterConcurrency, agents.length) }, worker));
+    return learners;
+  }
+
+  /**
+   * Fetch every statement for a course and group it by actor
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Array>} - Learners with their statements
+   */
+  async getCourseLearners(courseId) {
+    const result = await this.getActivityStatements(courseId, { maxStatements: this.maxCohortStatements });
+    const learners = new Map();
+
+    result.statements.forEach(stmt => {
+      const key = this.getAgentKey(stmt.actor);
+      // Groups and anonymous actors are not learners
+      if (!key || stmt.actor.objectType === 'Group') return;
+
+      if (!learners.has(key)) {
+        learners.set(key, {
+          key,
+          learnerId: AgentIdentity.format(stmt.actor),
+          agent: stmt.actor,
+          // Statements arrive newest first, so this is the learner's latest name
+          name: AgentIdentity.describe(stmt.actor),
+          email: AgentIdentity.getEmail(stmt.actor),
+          statements: [],
+          truncated: result.truncated
+        });
+      }
+      learners.get(key).statements.push(stmt);
+    });
+
+    return [...learners.values()];
+  }
+
+  /**
+   * Get the module → lesson → item structure of a course
+   * Loaded from the course manifest when `courseManifestUrl` is configured,
+   * otherwise inferred from course statements the caller already has (the
+   * cohort view's). Inference never fetches statements itself: a course-wide
+   * query on every dashboard load would cost the LRS far more than the
+   * learner's own statements.
+   * @param {string} courseId - Course ID
+   * @param {Object} options - Fetch options
+   * @param {boolean} options.refresh - Reload the manifest instead of reusing a cached one
+   * @param {Array} options.statements - Course statements to infer from
+   * @returns {Promise<Object|null>} - Course structure (see CourseStructure), or
+   *   null without a manifest, statements or a structure inferred earlier
+   */
+  async getCourseStructure(courseId, options = {}) {
+    if (!this.courseManifestUrl) {
+      return this.getInferredStructure(courseId, options.statements);
+    }
+
+    const cached = this.structureCache.get(courseId);
+    if (!options.refresh && cached && Date.now() - cached.fetchedAt < this.structureTtl) {
+      return cached.promise;
+    }
+
+    const promise = this.loadCourseStructure(courseId);
+    this.structureCache.set(courseId, { promise, fetchedAt: Date.now() });
+
+    promise.catch(() => {
+      if (this.structureCache.get(courseId)?.promise === promise) {
+        this.structureCache.delete(courseId);
+      }
+    });
+
+    return promise;
+  }
+
+  /**
+   * Load a course structure from its manifest
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object>} - Course structure
+   */
+  async loadCourseStructure(courseId) {
+    return CourseStructure.fromManifest(await this.getCourseManifest(courseId));
+  }
+
+  /**
+   * Infer a course structure, or reuse the one inferred last
+   * Statements are always inferred from afresh, so a cohort with a different
+   * roster never gets another roster's structure; the result replaces the
+   * shared one that calls without statements (learner dashboards, the
+   * portfolio) get for `structureTtl`.
+   * @param {string} courseId - Course ID
+   * @param {Array} statements - Course statements to infer from, optional
+   * @returns {Promise<Object|null>} - Course structure, or null without
+   *   statements or a fresh shared structure
+   */
+  async getInferredStructure(courseId, statements) {
+    if (!statements) {
+      const inferred = inferredStructures.get(courseId);
+      return inferred && Date.now() - inferred.inferredAt < this.structureTtl ? inferred.structure : null;
+    }
+
+    // Inference tells modules and lessons apart by the vocabulary's types
+    await this.loadVocabulary();
+    const structure = CourseStructure.inferFromStatements(statements, courseId);
+    inferredStructures.set(courseId, { structure, inferredAt: Date.now() });
+    return structure;
+  }
+
+  /**
+   * Forget every shared inferred structure, e.g. between tests
+   */
+  static clearInferredStructures() {
+    inferredStructures.clear();
+  }
+
+  /**
+   * Get the course structure, or null if it cannot be loaded
+   * Progress then falls back to the activities the learner has touched, so a
+   * missing or broken manifest doesn't break the dashboard.
+   * @param {string} courseId - Course ID
+   * @param {Object} options - See getCourseStructure
+   * @returns {Promise<Object|null>} - Course structure or null
+   */
+  async getOptionalCourseStructure(courseId, options = {}) {
+    try {
+      return await this.getCourseStructure(courseId, options);
+    } catch (error) {
+      this.logger.warn(`Course structure unavailable for ${courseId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a course manifest
+   * Manifests are static JSON served alongside the dashboard (or any other
+   * host), so they are fetched without the LRS credentials.
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object>} - Parsed manifest
+   */
+  async getCourseManifest(courseId) {
+    try {
+      const url = this.courseManifestUrl.replace('{courseId}', encodeURIComponent(courseId));
+      const response = await axios.get(url, { timeout: 30000 });
+      return response.data;
+    } catch (error) {
+      throw toXAPIError(error, 'load the course manifest');
+    }
+  }
+
+  /**
+   * Load the vocabulary at `vocabularyUrl` into the registry
+   * Like manifests, vocabularies are static JSON fetched without the LRS
+   * credentials. Each URL is loaded once; a failed load is retried on the
+   * next call.
+   * @returns {Promise<Object|null>} - The vocabulary in use, or null without `vocabularyUrl`
+   */
+  async loadVocabulary() {
+    if (!this.vocabularyUrl) return null;
+
+    const url = this.vocabularyUrl;
+    if (!vocabularyLoads.has(url)) {
+      const promise = axios.get(url, { timeout: 30000 })
+        .then(response => Vocabulary.load(response.data));
+      vocabularyLoads.set(url, promise);
+      promise.catch(() => vocabularyLoads.delete(url));
+    }
+
+    try {
+      return await vocabularyLoads.get(url);
+    } catch (error) {
+      throw toXAPIError(error, 'load the vocabulary');
+    }
+  }
+
+  /**
+   * Get a learner's statements across every course they have activity in
+   * @param {string} learnerId - Learner ID: email or other identifiers (see AgentIdentity)
+   * @returns {Promise<Object>} - { learnerId, courses: [{ courseId, name,
+   *   structure, totalStatements, classified }], totalStatements, truncated }; courses
+   *   are ordered by most recent activity
+   */
+  async getLearnerPortfolio(learnerId) {
+    try {
+      await this.loadVocabulary();
+      const result = await this.getAgentStatements(learnerId);
+      const courses = new Map();
+
+      result.statements.forEach(stmt => {
+        const course = this.getStatementCourse(stmt);
+        if (!course) return;
+
+        if (!courses.has(course.id)) {
+          courses.set(course.id, { courseId: course.id, name: null, statements: [] });
+        }
+        const entry = courses.get(course.id);
+        entry.name = entry.name || course.definition?.name?.['en-US'] || null;
+        entry.statements.push(stmt);
+      });
+
+      // The portfolio only has the learner's own statements, so without a
+      // manifest it uses structures the cohort view inferred, if any
+      const entries = [...courses.values()];
+      const structures = await Promise.all(entries.map(course =>
+        this.getOptionalCourseStructure(course.courseId)
+      ));
+
+      return {
+        learnerId,
+        courses: entries.map(({ statements, ...course }, index) => ({
+          ...course,
+          name: course.name || course.courseId,
+          structure: structures[index],
+          totalStatements: statements.length,
+          classified: this.classifyStatements(statements)
+        })),
+        totalStatements: result.statements.length,
+        truncated: result.truncated
+      };
+    } catch (error) {
+      throw toXAPIError(error, 'get learner portfolio');
+    }
+  }
+
+  /**
+   * Find the course a statement belongs to
+   * Prefers activities typed as a course (the object itself, then context
+   * activities); otherwise falls back to the outermost untyped grouping
+   * activity, which is how Coursera statements without definitions
+   * reference their course.
+   * @param {Object} stmt - xAPI statement
+   * @returns {Object|null} - Course activity ({ id, definition }) or null
+   */
+  getStatementCourse(stmt) {
+    const contextActivities = stmt.context?.contextActivities || {};
+    const grouping = [].concat(contextActivities.grouping || []);
+    const candidates = [stmt.object, ...grouping, ...[].concat(contextActivities.parent || [])];
+
+    const typed = candidates.find(activity => Vocabulary.isType(activity?.definition?.type, 'course'));
+    if (typed) return typed;
+
+    const untyped = grouping.filter(activity => !activity.definition?.type);
+    return untyped.length > 0 ? untyped[untyped.length - 1] : null;
+  }
+
   /**
    * Calculate total video watch time from interactions
    * @param {Array} videoInteractions - Video interaction statements
    * @returns {number} - Total time in seconds
    */
   calculateVideoTime(videoInteractions) {
-    return videoInteractions.reduce((total, stmt) => {
-      const duration = stmt.result?.duration;
-      if (duration) {
-        // Parse ISO 8601 duration (PT30S = 30 seconds)
-        const match = duration.match(/PT(\d+)S/);
-        return total + (match ? parseInt(match[1]) : 0);
-      }
-      return total;
-    }, 0);
+    return Duration.sum(videoInteractions);
   }
 }
 
@@ -0,0 +1,83 @@
+/**
+ * Retry Policy for LRS requests
+ * Decides which failed requests are worth repeating and how long to wait
+ */
+class RetryPolicy {
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelay = options.baseDelay ?? 500; // ms before the first retry
+    this.maxDelay = options.maxDelay ?? 30000; // ceiling for any single wait
+
+    // Transient LRS/gateway failures; everything else (400, 401, 403, 404,
+    // 409, 412, ...) will fail the same way again and is treated as fatal
+    this.retryableStatuses = options.retryableStatuses || [408, 429, 500, 502, 503, 504];
+
+    // Methods that can be repeated without side effects. POST /statements
+    // without ids would store duplicates, so it is only retried when the LRS
+    // explicitly rejected it with 429 (the statement was never stored).
+    this.idempotentMethods = ['get', 'head', 'options', 'put', 'delete'];
+  }
+
+  /**
+   * Check whether a failed request should be attempted again
+   * @param {Object} error - Axios error
+   * @param {number} attempt - Retries already made for this request
+   * @returns {boolean} - True if the request should be retried
+   */
+  shouldRetry(error, attempt) {
+    if (!error.config || attempt >= this.maxRetries) return false;
+    if (error.code === 'ERR_CANCELED') return false;
+
+    const status = error.response?.status;
+    const method = (error.config.method || 'get').toLowerCase();
+
+    if (status === 429) return true;
+    if (!this.idempotentMethods.includes(method)) return false;
+
+    // No response at all: network failure or client-side timeout
+    if (!error.response) return true;
+
+    return this.retryableStatuses.includes(status);
+  }
+
+  /**
+   * Compute how long to wait before the next attempt
+   * Uses the LRS's Retry-After header when present, otherwise exponential
+   * backoff with full jitter.
+   * @param {Object} error - Axios error
+   * @param {number} attempt - Retry number about to be made (1-based)
+   * @returns {number} - Delay in milliseconds
+   */
+  getDelay(error, attempt) {
+    const retryAfter = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelay);
+    }
+
+    const exponential = Math.min(this.baseDelay * 2 ** (attempt - 1), this.maxDelay);
+    return Math.round(Math.random() * exponential);
+  }
+
+  /**
+   * Parse a Retry-After header value
+   * @param {string} value - Delta seconds or an HTTP date
+   * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+}
+
+export default RetryPolicy;
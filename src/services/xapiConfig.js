@@ -1,25 +1,60 @@
+// Non-negative whole-number setting; 0 is a real value (no retries, no cap),
+// so only a missing or unparseable value falls back to the default
+const parseCount = (value, fallback) => {
+  const count = parseInt(value, 10);
+  return Number.isNaN(count) || count < 0 ? fallback : count;
+};
+
 /**
  * xAPI Configuration Manager
  * Handles environment variables and xAPI connection settings
  */
 class XAPIConfig {
   constructor() {
+    this.mockMode = import.meta.env.VITE_MOCK_DATA === 'true';
+    this.proxyMode = !this.mockMode && !!import.meta.env.VITE_XAPI_PROXY_URL;
+
+    // VITE_MOCK_DATA routes every service to the local mock LRS (npm run mock-lrs);
+    // VITE_XAPI_PROXY_URL routes them to the LRS proxy, which holds the credentials
+    let connection;
+    if (this.mockMode) {
+      connection = this.getMockConfig();
+    } else if (this.proxyMode) {
+      connection = this.getProxyConfig();
+    } else {
+      connection = {
+        endpoint: import.meta.env.VITE_XAPI_ENDPOINT,
+        username: import.meta.env.VITE_XAPI_USERNAME,
+        password: import.meta.env.VITE_XAPI_PASSWORD
+      };
+      connection.auth = this.getAuthConfig(connection);
+    }
+
     this.config = {
-      endpoint: import.meta.env.VITE_XAPI_ENDPOINT,
-      username: import.meta.env.VITE_XAPI_USERNAME,
-      password: import.meta.env.VITE_XAPI_PASSWORD,
-      courseraApiKey: import.meta.env.VITE_COURSERA_API_KEY
+      ...connection,
+      courseraApiKey: import.meta.env.VITE_COURSERA_API_KEY,
+      maxStatements: parseCount(import.meta.env.VITE_XAPI_MAX_STATEMENTS, 5000),
+      maxCohortStatements: parseCount(import.meta.env.VITE_XAPI_MAX_COHORT_STATEMENTS, 50000),
+      courseManifestUrl: import.meta.env.VITE_COURSE_MANIFEST_URL || null,
+      vocabularyUrl: import.meta.env.VITE_VOCABULARY_URL || null,
+      maxRetries: parseCount(import.meta.env.VITE_XAPI_MAX_RETRIES, 3)
     };
 
     this.validateConfig();
   }
 
   validateConfig() {
-    const required = ['endpoint', 'username', 'password'];
-    const missing = required.filter(key => !this.config[key]);
+    const missing = this.getMissingKeys();
+
+    if (this.config.auth.type === 'oauth2') {
+      console.warn(
+        'VITE_XAPI_AUTH_TYPE=oauth2 is not supported in the browser: VITE_* values are inlined into the ' +
+        'public bundle, so the client secret would be published. Run the LRS proxy with LRS_AUTH_TYPE=oauth2 instead.'
+      );
+    }
     
     if (missing.length > 0) {
-      console.warn(Missing xAPI configuration: );
+      console.warn(`Missing xAPI configuration: ${missing.join(', ')}`);
       console.warn('Please check your .env file and ensure all required variables are set.');
     }
   }
@@ -29,13 +64,54 @@ class XAPIConfig {
   }
 
   isConfigured() {
-    return !!(this.config.endpoint && this.config.username && this.config.password);
+    return this.getMissingKeys().length === 0;
+  }
+
+  // Settings the selected auth type needs; the proxy authenticates upstream
+  // itself, so the browser then needs no credentials at all. There is no
+  // oauth2 entry: client credentials only belong in the proxy.
+  getMissingKeys() {
+    const required = {
+      none: [],
+      basic: ['username', 'password'],
+      bearer: ['token']
+    }[this.config.auth.type];
+
+    if (!required) {
+      return [`a supported auth type (got ${this.config.auth.type})`];
+    }
+
+    return [
+      ...(this.config.endpoint ? [] : ['endpoint']),
+      ...required.filter(key => !this.config.auth[key])
+    ];
+  }
+
+  isMockMode() {
+    return this.mockMode;
+  }
+
+  isProxyMode() {
+    return this.proxyMode;
   }
 
   getEndpoint() {
     return this.config.endpoint;
   }
 
+  getServiceOptions() {
+    return {
+      maxStatements: this.config.maxStatements,
+      maxCohortStatements: this.config.maxCohortStatements,
+      courseManifestUrl: this.config.courseManifestUrl,
+      vocabularyUrl: this.config.vocabularyUrl,
+      auth: this.config.auth,
+      retry: {
+        maxRetries: this.config.maxRetries
+      }
+    };
+  }
+
   getCredentials() {
     return {
       username: this.config.username,
@@ -43,6 +119,41 @@ class XAPIConfig {
     };
   }
 
+  // VITE_XAPI_AUTH_TYPE selects basic (default) or bearer. oauth2 is refused
+  // (see validateConfig): its client secret would ship in the bundle.
+  getAuthConfig(connection) {
+    const type = import.meta.env.VITE_XAPI_AUTH_TYPE || 'basic';
+
+    switch (type) {
+      case 'bearer':
+        return { type, token: import.meta.env.VITE_XAPI_TOKEN };
+      case 'oauth2':
+        return { type };
+      default:
+        return { type, username: connection.username, password: connection.password };
+    }
+  }
+
+  // Local mock LRS started with `npm run mock-lrs` (accepts any credentials)
+  getMockConfig() {
+    return {
+      endpoint: import.meta.env.VITE_MOCK_LRS_ENDPOINT || 'http://localhost:8090/xapi/',
+      username: 'mock',
+      password: 'mock',
+      auth: { type: 'basic', username: 'mock', password: 'mock' }
+    };
+  }
+
+  // LRS proxy started with `npm run lrs-proxy` (credentials stay server-side)
+  getProxyConfig() {
+    return {
+      endpoint: import.meta.env.VITE_XAPI_PROXY_URL,
+      username: null,
+      password: null,
+      auth: { type: 'none' }
+    };
+  }
+
   // Default test configuration for development
   getTestConfig() {
     return {
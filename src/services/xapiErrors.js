@@ -0,0 +1,213 @@
+/**
+ * xAPI Error Model
+ * Typed errors for LRS failures, carrying the HTTP status, LRS error body and
+ * request details so the UI can explain what went wrong and how to fix it
+ */
+export class XAPIError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'XAPIError';
+    this.status = details.status ?? null;
+    this.data = details.data ?? null;
+    this.method = details.method ?? null;
+    this.url = details.url ?? null;
+    this.params = details.params ?? null;
+    this.attempts = details.attempts ?? 1;
+    this.cause = details.cause;
+
+    this.title = 'LRS Error';
+    this.remediation = 'The Learning Record Store returned an unexpected error. Try again later.';
+    this.retryable = this.status === null || this.status >= 500;
+  }
+}
+
+export class AuthenticationError extends XAPIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthenticationError';
+    this.title = 'Authentication Failed';
+    this.remediation = 'Check the LRS credentials in your environment configuration.';
+    this.retryable = false;
+  }
+}
+
+export class NotFoundError extends XAPIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+    this.title = 'Not Found';
+    this.remediation = 'Check the LRS endpoint URL and the course ID.';
+    this.retryable = false;
+  }
+}
+
+export class VersionMismatchError extends XAPIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'VersionMismatchError';
+    this.title = 'Unsupported xAPI Version';
+    this.remediation = 'This dashboard speaks xAPI 1.0.3. Make sure the LRS supports that version.';
+    this.retryable = false;
+  }
+}
+
+export class TimeoutError extends XAPIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TimeoutError';
+    this.title = 'LRS Timed Out';
+    this.remediation = 'The LRS took too long to respond. It may be under heavy load; try again shortly.';
+    this.retryable = true;
+  }
+}
+
+export class RateLimitError extends XAPIError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.title = 'Rate Limited';
+    this.remediation = 'The LRS is throttling requests. Wait a moment before refreshing.';
+    this.retryable = true;
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+export class NetworkError extends XAPIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+    this.title = 'LRS Unreachable';
+    this.remediation = 'Check your network connection and that the LRS endpoint is online.';
+    this.retryable = true;
+  }
+}
+
+export class MalformedResponseError extends XAPIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'MalformedResponseError';
+    this.title = 'Malformed LRS Response';
+    this.remediation = 'The LRS returned data that is not a valid xAPI response. Check that the endpoint points at the xAPI root.';
+    this.retryable = false;
+  }
+}
+
+export class ConfigurationError extends XAPIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ConfigurationError';
+    this.title = 'Configuration Incomplete';
+    this.remediation = details?.remediation
+      || 'Set the VITE_XAPI_* variables in your .env file and restart the dev server.';
+    this.retryable = false;
+  }
+}
+
+export class InvalidLearnerError extends XAPIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'InvalidLearnerError';
+    this.title = 'Unrecognized Learner';
+    this.remediation = 'Look the learner up by email, or by account as homePage::name, under Settings.';
+    this.retryable = false;
+  }
+}
+
+export class DataProcessingError extends XAPIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'DataProcessingError';
+    this.title = 'Data Processing Error';
+    this.remediation = 'The statements were fetched but could not be turned into dashboard data. Check them for missing or invalid fields.';
+    this.retryable = false;
+  }
+}
+
+/**
+ * Convert an axios (or other) error into the matching XAPIError subclass
+ * @param {Error} error - Original error
+ * @param {string} operation - What was being attempted, used as message prefix
+ * @returns {XAPIError} - Typed error; XAPIErrors are returned unchanged
+ */
+export const toXAPIError = (error, operation) => {
+  if (error instanceof XAPIError) {
+    return error;
+  }
+
+  const response = error.response;
+  const details = {
+    status: response?.status ?? null,
+    data: response?.data ?? null,
+    method: error.config?.method?.toUpperCase() ?? null,
+    url: error.config?.url ?? null,
+    params: error.config?.params ?? null,
+    attempts: error.attempts,
+    cause: error
+  };
+  const message = `Failed to ${operation}: ${describeLRSError(error)}`;
+
+  // Not an HTTP failure at all (e.g. a bug while processing statements)
+  if (!error.config) {
+    return new XAPIError(message, details);
+  }
+
+  if (!response) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new TimeoutError(message, details);
+    }
+    return new NetworkError(message, details);
+  }
+
+  switch (response.status) {
+    case 401:
+    case 403:
+      return new AuthenticationError(message, details);
+    case 404:
+      return new NotFoundError(message, details);
+    case 408:
+      return new TimeoutError(message, details);
+    case 429:
+      return new RateLimitError(message, {
+        ...details,
+        retryAfter: response.headers?.['retry-after'] ?? null
+      });
+    case 400:
+      if (isVersionError(response)) {
+        return new VersionMismatchError(message, details);
+      }
+      return new XAPIError(message, details);
+    default:
+      return new XAPIError(message, details);
+  }
+};
+
+/**
+ * Build a readable description from the LRS error body when there is one
+ * @param {Error} error - Axios error
+ * @returns {string} - Description
+ */
+const describeLRSError = (error) => {
+  const data = error.response?.data;
+  const lrsMessage = typeof data === 'string' ? data : data?.message || data?.error;
+
+  if (error.response) {
+    return lrsMessage
+      ? `${error.response.status} ${lrsMessage}`
+      : `${error.response.status} ${error.response.statusText || error.message}`;
+  }
+
+  return error.message;
+};
+
+/**
+ * Detect a 400 caused by an unsupported X-Experience-API-Version header
+ * @param {Object} response - Axios response
+ * @returns {boolean} - True if the LRS rejected the xAPI version
+ */
+const isVersionError = (response) => {
+  const body = typeof response.data === 'string'
+    ? response.data
+    : JSON.stringify(response.data || '');
+
+  return /version/i.test(body);
+};
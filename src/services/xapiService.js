@@ -1,27 +1,45 @@
 import axios from 'axios';
+import RetryPolicy from './retryPolicy.js';
+import { createAuthStrategy } from './authStrategies.js';
+import { InvalidLearnerError, MalformedResponseError, toXAPIError } from './xapiErrors.js';
+import { AgentIdentity } from '../utils/agentIdentity.js';
 
 /**
  * Base xAPI Service for handling Learning Record Store (LRS) communication
  * Follows xAPI 1.0.3 specification
  */
 class XAPIService {
-  constructor(endpoint, username, password) {
+  constructor(endpoint, username, password, options = {}) {
     this.endpoint = endpoint;
     this.username = username;
     this.password = password;
+
+    // Paging limits: statements per LRS page and overall cap per query
+    // (0 follows every `more` link)
+    this.pageSize = options.pageSize || 100;
+    this.maxStatements = options.maxStatements ?? 5000;
+
+    // Retry transient LRS failures (429/5xx/network) with backoff
+    this.retryPolicy = new RetryPolicy(options.retry);
+
+    // Request, response and retry logging; { log, warn, error } like console
+    this.logger = options.logger || console;
     
-    // Create base64 encoded auth string
-    this.auth = btoa(${username}:);
+    // Authorization strategy (Basic, bearer, OAuth2). Without explicit auth
+    // options, credentials mean Basic and no credentials mean none (the LRS
+    // proxy adds them server-side).
+    this.authStrategy = createAuthStrategy(
+      options.auth || (username ? { type: 'basic', username, password } : { type: 'none' })
+    );
     
     // Configure axios client with xAPI headers
     this.client = axios.create({
       baseURL: endpoint,
       headers: {
-        'Authorization': Basic ,
         'Content-Type': 'application/json',
         'X-Experience-API-Version': '1.0.3'
       },
-      timeout: 10000 // 10 second timeout
+      timeout: options.timeout || 10000 // 10 second timeout per attempt
     });
 
     // Add request/response interceptors for debugging
@@ -29,18 +47,23 @@ class XAPIService {
   }
 
   setupInterceptors() {
-    // Request interceptor
+    // Request interceptor: attach the current credential, which may require
+    // fetching or renewing a token first
     this.client.interceptors.request.use(
-      (config) => {
-        console.log('xAPI Request:', {
+      async (config) => {
+        const authHeaders = await this.authStrategy.getHeaders();
+        Object.entries(authHeaders).forEach(([name, value]) => config.headers.set(name, value));
+
+        this.logger.log('xAPI Request:', {
           method: config.method,
           url: config.url,
-          params: config.params
+          params: config.params,
+          attempt: (config.retryAttempt || 0) + 1
         });
         return config;
       },
       (error) => {
-        console.error('xAPI Request Error:', error);
+        this.logger.error('xAPI Request Error:', error);
         return Promise.reject(error);
       }
     );
@@ -48,18 +71,46 @@ class XAPIService {
     // Response interceptor
     this.client.interceptors.response.use(
       (response) => {
-        console.log('xAPI Response:', {
+        this.logger.log('xAPI Response:', {
           status: response.status,
-          data: response.data
+          data: response.data,
+          attempts: (response.config.retryAttempt || 0) + 1
         });
         return response;
       },
-      (error) => {
-        console.error('xAPI Response Error:', {
+      async (error) => {
+        const attempt = error.config?.retryAttempt || 0;
+
+        this.logger.error('xAPI Response Error:', {
           status: error.response?.status,
           message: error.message,
-          data: error.response?.data
+          data: error.response?.data,
+          attempts: attempt + 1
         });
+
+        // Expired or revoked token: drop it and replay the request once with
+        // a fresh one. This does not count against the retry budget.
+        if (error.response?.status === 401 && error.config && !error.config.authRefreshed && this.authStrategy.canRefresh()) {
+          this.logger.warn('xAPI Auth Refresh:', { url: error.config.url, auth: this.authStrategy.type });
+          this.authStrategy.invalidate();
+          return this.client({ ...error.config, authRefreshed: true });
+        }
+
+        if (this.retryPolicy.shouldRetry(error, attempt)) {
+          const delay = this.retryPolicy.getDelay(error, attempt + 1);
+          this.logger.warn('xAPI Retry:', {
+            url: error.config.url,
+            status: error.response?.status,
+            retry: attempt + 1,
+            maxRetries: this.retryPolicy.maxRetries,
+            delay
+          });
+
+          await new Promise(resolve => setTimeout(resolve, delay));
+          return this.client({ ...error.config, retryAttempt: attempt + 1 });
+        }
+
+        error.attempts = attempt + 1;
         return Promise.reject(error);
       }
     );
@@ -73,12 +124,139 @@ class XAPIService {
   async getStatements(params = {}) {
     try {
       const response = await this.client.get('/statements', { params });
-      return response.data;
+      return this.validateStatementResult(response, params);
     } catch (error) {
-      throw new Error(Failed to fetch xAPI statements: );
+      throw toXAPIError(error, 'fetch xAPI statements');
     }
   }
 
+  /**
+   * Follow an xAPI `more` IRI to fetch the next page of statements
+   * @param {string} moreUrl - `more` IRI returned by the LRS (relative or absolute)
+   * @returns {Promise<Object>} - Statement result object
+   */
+  async getMoreStatements(moreUrl) {
+    try {
+      const response = await this.client.get(this.resolveMoreUrl(moreUrl));
+      return this.validateStatementResult(response);
+    } catch (error) {
+      throw toXAPIError(error, 'fetch more xAPI statements');
+    }
+  }
+
+  /**
+   * Ensure a response body is an xAPI StatementResult
+   * @param {Object} response - Axios response
+   * @param {Object} params - Query parameters the request was made with
+   * @returns {Object} - Statement result object
+   */
+  validateStatementResult(response, params = null) {
+    if (!Array.isArray(response.data?.statements)) {
+      throw new MalformedResponseError(
+        'Failed to fetch xAPI statements: response is not a StatementResult',
+        {
+          status: response.status,
+          data: response.data,
+          method: 'GET',
+          url: response.config?.url,
+          params
+        }
+      );
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Resolve a `more` IRI against the LRS endpoint
+   * The spec allows the LRS to return a path relative to its host, so it is
+   * resolved against the endpoint origin rather than the axios baseURL.
+   * @param {string} moreUrl - `more` IRI from a statement result
+   * @returns {string} - Absolute URL
+   */
+  resolveMoreUrl(moreUrl) {
+    return new URL(moreUrl, this.endpoint).toString();
+  }
+
+  /**
+   * Iterate over every page of statements matching a query
+   * @param {Object} params - Query parameters for filtering statements
+   * @param {Object} options - Paging options
+   * @param {number} options.maxStatements - Stop after this many statements (0: no cap)
+   * @returns {AsyncGenerator<Array>} - Yields one array of statements per page,
+   *   returns { truncated } once the result set is exhausted or capped
+   */
+  async *iterateStatementPages(params = {}, options = {}) {
+    const cap = options.maxStatements ?? this.maxStatements;
+    const maxStatements = cap > 0 ? cap : Infinity;
+    let fetched = 0;
+    let page = await this.getStatements({ limit: this.pageSize, ...params });
+
+    while (page) {
+      const pageStatements = page.statements || [];
+      const statements = pageStatements.slice(0, maxStatements - fetched);
+      fetched += statements.length;
+
+      if (statements.length > 0) {
+        yield statements;
+      }
+
+      if (statements.length < pageStatements.length) {
+        return { truncated: true };
+      }
+
+      if (!page.more) {
+        return { truncated: false };
+      }
+
+      if (fetched >= maxStatements) {
+        return { truncated: true };
+      }
+
+      page = await this.getMoreStatements(page.more);
+    }
+  }
+
+  /**
+   * Iterate over every statement matching a query, following `more` links
+   * @param {Object} params - Query parameters for filtering statements
+   * @param {Object} options - Paging options (see iterateStatementPages)
+   * @returns {AsyncGenerator<Object>} - Yields individual statements
+   */
+  async *iterateStatements(params = {}, options = {}) {
+    for await (const statements of this.iterateStatementPages(params, options)) {
+      yield* statements;
+    }
+  }
+
+  /**
+   * Get the full result set for a query by following `more` links
+   * @param {Object} params - Query parameters for filtering statements
+   * @param {Object} options - Paging options
+   * @param {number} options.maxStatements - Cap on statements collected (0: no cap)
+   * @returns {Promise<Object>} - { statements, pages, truncated }
+   */
+  async getAllStatements(params = {}, options = {}) {
+    const maxStatements = options.maxStatements ?? this.maxStatements;
+    const statements = [];
+    let pages = 0;
+
+    // Step the iterator manually so its return value (truncation flag) is kept
+    const iterator = this.iterateStatementPages(params, { maxStatements });
+    let step = await iterator.next();
+    while (!step.done) {
+      statements.push(...step.value);
+      pages++;
+      step = await iterator.next();
+    }
+
+    return {
+      statements,
+      pages,
+      truncated: step.value?.truncated || false
+    };
+  }
+
   /**
    * Send a single xAPI statement to LRS
    * @param {Object} statement - xAPI statement object
@@ -89,28 +267,88 @@ class XAPIService {
       const response = await this.client.post('/statements', statement);
       return response.data;
     } catch (error) {
-      throw new Error(Failed to send xAPI statement: );
+      throw toXAPIError(error, 'send xAPI statement');
+    }
+  }
+
+  /**
+   * Get all statements for a learner, under every agent they are recorded as
+   * The LRS's `agent` filter takes a single agent, so each identifier is
+   * queried separately and the results merged.
+   * @param {string|Object|Array} learner - Learner ID, agent, or an array of
+   *   either (see AgentIdentity)
+   * @param {Object} params - Other query parameters
+   * @param {Object} options - Paging options; maxStatements caps the merged
+   *   statements, keeping the most recently stored
+   * @returns {Promise<Object>} - { statements, pages, truncated }
+   */
+  async getAgentStatements(learner, params = {}, options = {}) {
+    const agents = AgentIdentity.toAgents(learner);
+    if (agents.length === 0) {
+      throw new InvalidLearnerError(`Unrecognized learner identifier: ${JSON.stringify(learner)}`);
     }
+
+    const results = await Promise.all(agents.map(agent =>
+      this.getAllStatements({ ...params, agent: JSON.stringify(agent) }, options)
+    ));
+    if (results.length === 1) return results[0];
+
+    // Each identifier fetched up to the cap, so its newest statements are all
+    // there; the merged list keeps the newest of them
+    const cap = options.maxStatements ?? this.maxStatements;
+    const merged = AgentIdentity.mergeStatements(results.map(result => result.statements));
+    const statements = cap > 0 ? merged.slice(0, cap) : merged;
+
+    return {
+      statements,
+      pages: results.reduce((sum, result) => sum + result.pages, 0),
+      truncated: statements.length < merged.length || results.some(result => result.truncated)
+    };
   }
 
   /**
-   * Get statements for a specific actor and activity
-   * @param {string} actorEmail - Actor's email address
+   * Get all statements for a specific actor and activity
+   * @param {string|Object|Array} learner - Learner ID, agent, or an array of
+   *   either (see AgentIdentity)
    * @param {string} activityId - Activity ID (course/module)
-   * @returns {Promise<Object>} - Filtered statements
+   * @param {Object} options - Extra query params and paging options
+   * @returns {Promise<Object>} - { statements, pages, truncated }
    */
-  async getActorActivityStatements(actorEmail, activityId) {
+  async getActorActivityStatements(learner, activityId, options = {}) {
+    const { maxStatements, ...extraParams } = options;
     const params = {
-      agent: JSON.stringify({
-        mbox: mailto:,
-        objectType: 'Agent'
-      }),
       activity: activityId,
       related_activities: true,
-      limit: 100
+      ...extraParams
     };
     
-    return await this.getStatements(params);
+    return await this.getAgentStatements(learner, params, { maxStatements });
+  }
+
+  /**
+   * Get all statements for an activity, across every actor
+   * @param {string} activityId - Activity ID (course/module)
+   * @param {Object} options - Extra query params and paging options
+   * @returns {Promise<Object>} - { statements, pages, truncated }
+   */
+  async getActivityStatements(activityId, options = {}) {
+    const { maxStatements, ...extraParams } = options;
+    const params = {
+      activity: activityId,
+      related_activities: true,
+      ...extraParams
+    };
+
+    return await this.getAllStatements(params, { maxStatements });
+  }
+
+  /**
+   * Build a stable key identifying an agent by its inverse functional identifier
+   * @param {Object} agent - xAPI Agent
+   * @returns {string|null} - Key, or null if the agent has no identifier
+   */
+  getAgentKey(agent) {
+    return AgentIdentity.getKey(agent);
   }
 
   /**
@@ -122,7 +360,7 @@ class XAPIService {
       await this.client.get('/about');
       return true;
     } catch (error) {
-      console.error('LRS connection test failed:', error.message);
+      this.logger.error('LRS connection test failed:', error.message);
       return false;
     }
   }
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { AgentIdentity } from '../agentIdentity.js';
+import { moduleCompleted } from './fixtures/statements.js';
+
+const SHA1 = 'a'.repeat(40);
+
+// A fixture statement with an LRS id and stored time
+const stored = (id, time) => ({ ...moduleCompleted(1, time), id, stored: time });
+
+describe('AgentIdentity', () => {
+  it('parses every kind of identifier', () => {
+    expect(AgentIdentity.parse('ada@example.com')).toEqual({ objectType: 'Agent', mbox: 'mailto:ada@example.com' });
+    expect(AgentIdentity.parse(' mailto:ada@example.com ')).toEqual({ objectType: 'Agent', mbox: 'mailto:ada@example.com' });
+    expect(AgentIdentity.parse('https://www.coursera.org::ada-123')).toEqual({
+      objectType: 'Agent',
+      account: { homePage: 'https://www.coursera.org', name: 'ada-123' }
+    });
+    expect(AgentIdentity.parse(`sha1:${SHA1.toUpperCase()}`)).toEqual({ objectType: 'Agent', mbox_sha1sum: SHA1 });
+    expect(AgentIdentity.parse('https://openid.example.com/ada')).toEqual({ objectType: 'Agent', openid: 'https://openid.example.com/ada' });
+  });
+
+  it('rejects identifiers it cannot place', () => {
+    expect(AgentIdentity.parse('ada')).toBeNull();
+    expect(AgentIdentity.parse('sha1:1234')).toBeNull();
+    expect(AgentIdentity.parse('https://www.coursera.org::')).toBeNull();
+    expect(AgentIdentity.parse('')).toBeNull();
+    expect(AgentIdentity.getInvalid('ada@example.com, ada, sha1:xyz')).toEqual(['ada', 'sha1:xyz']);
+  });
+
+  it('reads a learner ID with several identifiers, without duplicates', () => {
+    const agents = AgentIdentity.toAgents('ada@example.com, https://www.coursera.org::ada-123, mailto:ada@example.com');
+
+    expect(agents.map(agent => AgentIdentity.getKey(agent))).toEqual([
+      'mailto:ada@example.com',
+      'https://www.coursera.org::ada-123'
+    ]);
+    expect(AgentIdentity.format(agents)).toBe('ada@example.com,https://www.coursera.org::ada-123');
+    expect(AgentIdentity.normalize('mailto:ada@example.com')).toBe('ada@example.com');
+  });
+
+  it('escapes commas inside identifiers', () => {
+    const agents = [
+      { account: { homePage: 'https://sso.example.com', name: 'Lovelace, Ada' } },
+      { openid: 'https://openid.example.com/ada,lovelace' }
+    ];
+    const learnerId = AgentIdentity.format(agents);
+
+    expect(learnerId).toBe('https://sso.example.com::Lovelace\\, Ada,https://openid.example.com/ada\\,lovelace');
+    expect(AgentIdentity.split(learnerId)).toEqual([
+      'https://sso.example.com::Lovelace, Ada',
+      'https://openid.example.com/ada,lovelace'
+    ]);
+    expect(AgentIdentity.toAgents(learnerId).map(agent => AgentIdentity.getKey(agent))).toEqual([
+      'https://sso.example.com::Lovelace, Ada',
+      'https://openid.example.com/ada,lovelace'
+    ]);
+  });
+
+  it('normalizes agents to their identifier', () => {
+    const actor = { name: 'Ada', objectType: 'Agent', account: { homePage: 'https://www.coursera.org', name: 'ada-123' } };
+
+    expect(AgentIdentity.toAgents([actor])).toEqual([
+      { objectType: 'Agent', account: { homePage: 'https://www.coursera.org', name: 'ada-123' } }
+    ]);
+    expect(AgentIdentity.toIdentifier(actor)).toBe('https://www.coursera.org::ada-123');
+    expect(AgentIdentity.toIdentifier({ mbox: 'mailto:ada@example.com' })).toBe('ada@example.com');
+  });
+
+  it('describes agents and learner IDs', () => {
+    expect(AgentIdentity.describe({ name: 'Ada', mbox: 'mailto:ada@example.com' })).toBe('Ada');
+    expect(AgentIdentity.describe({ account: { homePage: 'https://www.coursera.org', name: 'ada-123' } })).toBe('ada-123');
+    expect(AgentIdentity.describe({ mbox_sha1sum: SHA1 })).toBe('sha1:aaaaaaaa…');
+    expect(AgentIdentity.describeLearner('ada@example.com,https://www.coursera.org::ada-123')).toBe('ada@example.com (+1)');
+  });
+
+  it('merges statement lists, dropping duplicates and keeping the LRS order', () => {
+    const merged = AgentIdentity.mergeStatements([
+      [stored('s3', '2025-03-12T10:00:00.000Z'), stored('s1', '2025-03-10T10:00:00.000Z')],
+      [stored('s2', '2025-03-11T10:00:00.000Z'), stored('s1', '2025-03-10T10:00:00.000Z')]
+    ]);
+
+    expect(merged.map(stmt => stmt.id)).toEqual(['s3', 's2', 's1']);
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { ChartDataTransformer } from '../chartDataTransformer.js';
+
+const day = (date, totalActivities, extra = {}) => ({
+  date,
+  totalActivities,
+  completions: 0,
+  averageScore: null,
+  videoTimeFormatted: '0s',
+  ...extra
+});
+
+describe('ChartDataTransformer', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('transforms progress into doughnut data', () => {
+    const chart = ChartDataTransformer.transformProgressChart({ completed: 3, remaining: 1, percentage: 75 });
+
+    expect(chart.labels).toEqual(['Completed', 'Remaining']);
+    expect(chart.datasets[0].data).toEqual([3, 1]);
+    expect(chart.centerText).toEqual({ percentage: 75, label: 'Complete' });
+  });
+
+  it('plots scores in chronological order', () => {
+    const chart = ChartDataTransformer.transformScoreChart({
+      scores: [
+        { score: 90, timestamp: new Date('2025-03-12T10:00:00.000Z') },
+        { score: 70, timestamp: new Date('2025-03-10T10:00:00.000Z') }
+      ]
+    });
+
+    expect(chart.labels).toEqual(['Mar 10', 'Mar 12']);
+    expect(chart.datasets[0].data).toEqual([70, 90]);
+  });
+
+  it('limits the timeline chart to the last 30 days', () => {
+    const timeline = Array.from({ length: 40 }, (_, i) =>
+      day(new Date(Date.UTC(2025, 0, i + 1)).toISOString().split('T')[0], i, { completions: 1 })
+    );
+
+    const chart = ChartDataTransformer.transformTimelineChart(timeline);
+
+    expect(chart.labels).toHaveLength(30);
+    expect(chart.labels[0]).toBe('Jan 11');
+    expect(chart.datasets[0].data[29]).toBe(39);
+    expect(chart.datasets[1].data.every(value => value === 1)).toBe(true);
+  });
+
+  it('shows every day of a date range, including inactive ones', () => {
+    const timeline = [
+      day('2025-02-20', 4),
+      day('2025-03-02', 3, { completions: 1 }),
+      day('2025-03-04', 1)
+    ];
+
+    const chart = ChartDataTransformer.transformTimelineChart(timeline, { from: '2025-03-01', to: '2025-03-05' });
+
+    expect(chart.labels).toEqual(['Mar 1', 'Mar 2', 'Mar 3', 'Mar 4', 'Mar 5']);
+    expect(chart.datasets[0].data).toEqual([0, 3, 0, 1, 0]);
+    expect(chart.datasets[1].data).toEqual([0, 1, 0, 0, 0]);
+  });
+
+  it('handles an empty timeline', () => {
+    const chart = ChartDataTransformer.transformTimelineChart([]);
+
+    expect(chart.labels).toEqual([]);
+    expect(chart.datasets[0].data).toEqual([]);
+  });
+
+  it('turns a distribution into bar data', () => {
+    const chart = ChartDataTransformer.transformDistributionChart({ A: 2, B: 0, C: 1 });
+
+    expect(chart.labels).toEqual(['A', 'B', 'C']);
+    expect(chart.datasets[0].data).toEqual([2, 0, 1]);
+  });
+
+  it('colours grade bands from green to red whatever their number', () => {
+    expect(ChartDataTransformer.getBandColors(5)).toEqual([
+      '34, 197, 94', '59, 130, 246', '251, 191, 36', '249, 115, 22', '239, 68, 68'
+    ]);
+    expect(ChartDataTransformer.getBandColors(2)).toEqual(['34, 197, 94', '239, 68, 68']);
+
+    const deciles = ChartDataTransformer.getBandColors(10);
+    expect(deciles).toHaveLength(10);
+    expect(deciles[0]).toBe('34, 197, 94');
+    expect(deciles[9]).toBe('239, 68, 68');
+  });
+
+  it('turns per-type distributions into one dataset per type', () => {
+    const chart = ChartDataTransformer.transformSplitDistributionChart({
+      quiz: { Pass: 3, Fail: 1 },
+      assignment: { Pass: 1, Fail: 2 }
+    });
+
+    expect(chart.labels).toEqual(['Pass', 'Fail']);
+    expect(chart.datasets.map(dataset => dataset.label)).toEqual(['Quizzes', 'Assignments']);
+    expect(chart.datasets[1].data).toEqual([1, 2]);
+  });
+
+  it('puts the previous and current period side by side', () => {
+    const chart = ChartDataTransformer.transformPeriodComparisonChart({
+      period: 'month',
+      current: { totalActivities: 12, completions: 3, assessments: 2, uniqueDays: 5, averageScore: 80 },
+      previous: { totalActivities: 8, completions: 1, assessments: 2, uniqueDays: 4, averageScore: 70 }
+    });
+
+    expect(chart.labels).toEqual(['Activities', 'Completions', 'Assessments', 'Active Days']);
+    expect(chart.datasets.map(d => [d.label, d.data])).toEqual([
+      ['Previous month', [8, 1, 2, 4]],
+      ['This month', [12, 3, 2, 5]]
+    ]);
+  });
+
+  it('normalises engagement metrics to 0-100 for the radar', () => {
+    const chart = ChartDataTransformer.transformEngagementRadar({
+      totalVideoTime: 3600,
+      studySessions: 100,
+      currentStreak: 15,
+      totalActiveDays: 20
+    });
+
+    expect(chart.datasets[0].data.slice(0, 4)).toEqual([50, 100, 50, 20]);
+  });
+
+  it('builds a year of heatmap days with intensity levels', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-03-15T12:00:00.000Z'));
+
+    const heatmap = ChartDataTransformer.transformHeatmapData([
+      day('2025-03-14', 4),
+      day('2025-03-15', 12)
+    ]);
+
+    expect(heatmap[0].date).toBe('2024-03-15');
+    expect(heatmap).toHaveLength(366);
+    expect(heatmap.at(-2)).toEqual({ date: '2025-03-14', count: 4, level: 2 });
+    expect(heatmap.at(-1)).toEqual({ date: '2025-03-15', count: 12, level: 4 });
+  });
+
+  it('limits the heatmap to a date range', () => {
+    const heatmap = ChartDataTransformer.transformHeatmapData(
+      [day('2025-02-28', 2), day('2025-03-02', 6)],
+      { from: '2025-03-01', to: '2025-03-03' }
+    );
+
+    expect(heatmap.map(d => [d.date, d.count])).toEqual([
+      ['2025-03-01', 0],
+      ['2025-03-02', 6],
+      ['2025-03-03', 0]
+    ]);
+  });
+
+  it('maps activity counts to heatmap levels', () => {
+    expect([0, 1, 2, 3, 5, 6, 10, 11].map(count => ChartDataTransformer.getHeatmapLevel(count)))
+      .toEqual([0, 1, 1, 2, 2, 3, 3, 4]);
+  });
+
+  it('charts watched and played time for videos with a known length', () => {
+    const chart = ChartDataTransformer.transformVideoChart([
+      { name: 'Intro', length: 100, coverage: 50, playedSeconds: 70 },
+      { name: 'Coursera video', length: null, coverage: null, playedSeconds: 120 }
+    ]);
+
+    expect(chart.labels).toEqual(['Intro']);
+    expect(chart.datasets.map(dataset => [dataset.label, dataset.data])).toEqual([
+      ['Watched %', [50]],
+      ['Played %', [70]]
+    ]);
+  });
+
+  it('groups calendar days by month', () => {
+    const calendar = ChartDataTransformer.transformCalendarData([
+      day('2025-02-28', 1),
+      day('2025-03-01', 3, { completions: 2, averageScore: 80, videoTimeFormatted: '5m 0s' })
+    ]);
+
+    expect(Object.keys(calendar)).toEqual(['2025-02', '2025-03']);
+    expect(calendar['2025-03'].month).toBe('March 2025');
+    expect(calendar['2025-03'].days['2025-03-01']).toEqual({
+      activities: 3,
+      completions: 2,
+      averageScore: 80,
+      videoTime: '5m 0s',
+      level: 2
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { Cmi5Analyzer, CMI5_PROFILE } from '../cmi5Analyzer.js';
+import { CourseStructure } from '../courseStructure.js';
+import { cmi5Event, moduleCompleted } from './fixtures/statements.js';
+
+const { verbs: VERBS, activityTypes: TYPES, extensions: EXT } = CMI5_PROFILE;
+
+const at = (hour, minute = 0) => new Date(Date.UTC(2025, 2, 10, hour, minute)).toISOString();
+const au = n => `http://example.com/course/1/au/${n}`;
+const block = n => `http://example.com/course/1/block/${n}`;
+
+const blockSatisfied = (n, timestamp) => cmi5Event(VERBS.SATISFIED, {
+  activityId: block(n),
+  type: TYPES.BLOCK,
+  session: `lms-${n}`,
+  timestamp
+});
+
+// Blocks 1 and 2: AU 1 must be completed and passed, AU 2 passed, AU 3
+// has no criteria; AU 4 must be completed
+const manifest = {
+  id: 'http://example.com/course/1',
+  modules: [
+    {
+      id: block(1),
+      items: [
+        { id: au(1), moveOn: 'CompletedAndPassed' },
+        { id: au(2), moveOn: 'Passed' },
+        { id: au(3), moveOn: 'NotApplicable' }
+      ]
+    },
+    { id: block(2), items: [{ id: au(4), moveOn: 'Completed' }] }
+  ]
+};
+
+describe('Cmi5Analyzer', () => {
+  it('ignores courses not launched through cmi5', () => {
+    expect(Cmi5Analyzer.analyze([moduleCompleted(1)])).toBeNull();
+  });
+
+  it('times sessions from initialized to terminated and flags abandoned ones', () => {
+    const statements = [
+      cmi5Event(VERBS.LAUNCHED, { session: 's1', timestamp: at(10), extensions: { [EXT.LAUNCH_MODE]: 'Normal' } }),
+      cmi5Event(VERBS.INITIALIZED, { session: 's1', timestamp: at(10, 1) }),
+      cmi5Event(VERBS.COMPLETED, { session: 's1', timestamp: at(10, 20) }),
+      cmi5Event(VERBS.TERMINATED, { session: 's1', timestamp: at(10, 31), result: { duration: 'PT29M' } }),
+      cmi5Event(VERBS.LAUNCHED, { au: 2, session: 's2', timestamp: at(11) }),
+      cmi5Event(VERBS.INITIALIZED, { au: 2, session: 's2', timestamp: at(11, 1) }),
+      // The LMS gives up on the session an hour later; the AU was last heard from after 15 minutes
+      cmi5Event(VERBS.ABANDONED, { au: 2, session: 's2', timestamp: at(12, 1), result: { duration: 'PT15M' } }),
+      cmi5Event(VERBS.LAUNCHED, { au: 3, session: 's3', timestamp: at(13) }),
+      cmi5Event(VERBS.INITIALIZED, { au: 3, session: 's3', timestamp: at(13, 1) }),
+      cmi5Event(VERBS.PASSED, { au: 3, session: 's3', timestamp: at(13, 11), result: { score: { scaled: 0.8 }, success: true } })
+    ];
+
+    const analysis = Cmi5Analyzer.analyze([...statements].reverse());
+
+    expect(analysis.sessions.map(session => [session.id, session.status, session.duration])).toEqual([
+      ['s3', 'open', 600],
+      ['s2', 'abandoned', 900],
+      ['s1', 'terminated', 1800]
+    ]);
+    expect(analysis.sessions[2]).toMatchObject({ auId: au(1), launchMode: 'Normal', registration: 'registration-1' });
+    expect(analysis.summary).toMatchObject({
+      sessionCount: 3,
+      abandonedSessions: 1,
+      openSessions: 1,
+      totalTime: 3300,
+      totalTimeFormatted: '55m 0s'
+    });
+    expect(analysis.registrations).toEqual(['registration-1']);
+  });
+
+  it('satisfies AUs by their moveOn criteria, and blocks once all their AUs are', () => {
+    const structure = CourseStructure.fromManifest(manifest);
+    const statements = [
+      cmi5Event(VERBS.COMPLETED, { au: 1, timestamp: at(10) }),
+      cmi5Event(VERBS.FAILED, { au: 2, timestamp: at(10, 10), result: { score: { scaled: 0.4 }, success: false } }),
+      cmi5Event(VERBS.PASSED, { au: 2, timestamp: at(10, 20), result: { score: { scaled: 0.9 }, success: true } }),
+      cmi5Event(VERBS.WAIVED, { au: 4, session: 'lms-waiver', timestamp: at(11), result: { success: true, completion: true } })
+    ];
+
+    const analysis = Cmi5Analyzer.analyze(statements, structure);
+
+    expect(analysis.aus.map(unit => [unit.id, unit.satisfied])).toEqual([
+      [au(1), false],
+      [au(2), true],
+      [au(3), true],
+      [au(4), true]
+    ]);
+    expect(analysis.aus[1]).toMatchObject({ passed: true, failed: false, score: 90 });
+    expect(analysis.blocks.map(unit => [unit.id, unit.satisfied, unit.ausSatisfied, unit.auCount])).toEqual([
+      [block(1), false, 2, 3],
+      [block(2), true, 1, 1]
+    ]);
+    expect(analysis.courseSatisfied).toBe(false);
+    // The waiver isn't a launch
+    expect(analysis.sessions).toEqual([]);
+
+    const satisfied = Cmi5Analyzer.analyze([...statements, blockSatisfied(1, at(12))], structure);
+    expect(satisfied.blocks.every(unit => unit.satisfied)).toBe(true);
+    expect(satisfied.courseSatisfied).toBe(true);
+  });
+
+  it('without a course structure, needs a completion or pass and the LMS for blocks', () => {
+    const statements = [
+      cmi5Event(VERBS.INITIALIZED, { au: 1, timestamp: at(10) }),
+      cmi5Event(VERBS.FAILED, { au: 2, session: 's2', timestamp: at(11), result: { success: false } }),
+      cmi5Event(VERBS.COMPLETED, { au: 3, session: 's3', timestamp: at(12) }),
+      blockSatisfied(1, at(13))
+    ];
+
+    const analysis = Cmi5Analyzer.analyze(statements);
+
+    expect(analysis.aus.map(unit => [unit.id, unit.satisfied, unit.failed])).toEqual([
+      [au(1), false, false],
+      [au(2), false, true],
+      [au(3), true, false]
+    ]);
+    expect(analysis.blocks).toEqual([
+      { id: block(1), name: 'block 1', satisfied: true, auCount: null, ausSatisfied: null }
+    ]);
+    expect(Cmi5Analyzer.getSatisfiedIds(statements)).toEqual(new Set([au(3), block(1)]));
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CohortAnalyzer } from '../cohortAnalyzer.js';
+import { classified, moduleCompleted, quizScored, videoWatched } from './fixtures/statements.js';
+
+/**
+ * Build a learner as returned by CourseraXAPIService.getCohortData
+ */
+const learner = (name, statements) => {
+  const email = `${name.toLowerCase()}@example.com`;
+  const sets = classified(statements);
+  return {
+    key: `mailto:${email}`,
+    learnerId: email,
+    name,
+    email,
+    totalStatements: sets.timeline.length,
+    classified: sets
+  };
+};
+
+const ada = () => learner('Ada', {
+  modules: [moduleCompleted(1, '2025-03-08T10:00:00.000Z'), moduleCompleted(2, '2025-03-09T10:00:00.000Z')],
+  quizzes: [quizScored(1, 0.9, '2025-03-08T11:00:00.000Z'), quizScored(2, 0.8, '2025-03-09T11:00:00.000Z')],
+  videos: [videoWatched(1, 'PT10M', '2025-03-08T09:00:00.000Z')]
+});
+
+const grace = () => learner('Grace', {
+  modules: [moduleCompleted(1, '2025-02-20T10:00:00.000Z')],
+  quizzes: [quizScored(1, 0.5, '2025-02-20T11:00:00.000Z')]
+});
+
+const linus = () => learner('Linus');
+
+describe('CohortAnalyzer', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-03-10T12:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('calculateLearnerMetrics', () => {
+    it('computes progress, scores and engagement per learner', () => {
+      expect(CohortAnalyzer.calculateLearnerMetrics(ada())).toEqual({
+        key: 'mailto:ada@example.com',
+        learnerId: 'ada@example.com',
+        name: 'Ada',
+        email: 'ada@example.com',
+        progress: 40,
+        modulesCompleted: 2,
+        averageScore: 85,
+        passRate: 100,
+        assessments: 2,
+        scoreTrend: 'declining',
+        videoTime: 600,
+        videoTimeFormatted: '10m 0s',
+        studySessions: 2,
+        activeDays: 2,
+        currentStreak: 2,
+        totalStatements: 5,
+        lastActivity: new Date('2025-03-09T11:00:00.000Z')
+      });
+    });
+
+    it('leaves score metrics empty for learners without assessments', () => {
+      const metrics = CohortAnalyzer.calculateLearnerMetrics(linus());
+
+      expect(metrics.averageScore).toBeNull();
+      expect(metrics.passRate).toBeNull();
+      expect(metrics.progress).toBe(0);
+      expect(metrics.lastActivity).toBeNull();
+    });
+
+    it('does not reorder the learner timeline', () => {
+      const data = ada();
+      const before = data.classified.timeline.map(stmt => stmt.timestamp);
+
+      CohortAnalyzer.calculateLearnerMetrics(data);
+
+      expect(data.classified.timeline.map(stmt => stmt.timestamp)).toEqual(before);
+    });
+  });
+
+  describe('createCohortSummary', () => {
+    it('summarizes the cohort and buckets learners', () => {
+      const result = CohortAnalyzer.createCohortSummary({
+        courseId: 'http://example.com/course/1',
+        learners: [ada(), grace(), linus()],
+        totalStatements: 7,
+        truncated: false
+      });
+
+      expect(result.summary).toEqual({
+        learnerCount: 3,
+        averageProgress: 30,
+        averageScore: 68,
+        activeThisWeek: 1,
+        inactive: 2,
+        courseId: 'http://example.com/course/1',
+        progressSource: null,
+        totalStatements: 7,
+        truncated: false
+      });
+      expect(result.distributions.progress).toEqual({
+        '80-100%': 0, '60-79%': 0, '40-59%': 2, '20-39%': 0, '0-19%': 1
+      });
+      expect(result.distributions.scores).toEqual({
+        'A (90-100)': 0, 'B (80-89)': 1, 'C (70-79)': 0, 'D (60-69)': 0, 'F (0-59)': 1
+      });
+      expect(result.distributions.activity).toEqual({
+        'Last 7 days': 1, '8-14 days ago': 0, '15-30 days ago': 1, 'Over 30 days ago': 0, 'No activity': 1
+      });
+      expect(result.charts.activity.labels).toEqual(Object.keys(result.distributions.activity));
+      expect(result.charts.activity.datasets[0]).toMatchObject({ label: 'Learners', data: [1, 0, 1, 0, 1] });
+    });
+
+    it('handles an empty cohort', () => {
+      const result = CohortAnalyzer.createCohortSummary({ courseId: 'c', learners: [], totalStatements: 0, truncated: false });
+
+      expect(result.learners).toEqual([]);
+      expect(result.summary).toMatchObject({ learnerCount: 0, averageProgress: 0, averageScore: null });
+    });
+  });
+
+  describe('sortLearners', () => {
+    const rows = () => [ada(), grace(), linus()].map(l => CohortAnalyzer.calculateLearnerMetrics(l));
+
+    it('sorts numbers and strings in either direction', () => {
+      expect(CohortAnalyzer.sortLearners(rows(), 'name', 'desc').map(r => r.name)).toEqual(['Linus', 'Grace', 'Ada']);
+      expect(CohortAnalyzer.sortLearners(rows(), 'progress', 'asc').map(r => r.name)).toEqual(['Linus', 'Ada', 'Grace']);
+    });
+
+    it('keeps learners without a value last', () => {
+      expect(CohortAnalyzer.sortLearners(rows(), 'averageScore', 'asc').map(r => r.name)).toEqual(['Grace', 'Ada', 'Linus']);
+      expect(CohortAnalyzer.sortLearners(rows(), 'averageScore', 'desc').map(r => r.name)).toEqual(['Ada', 'Grace', 'Linus']);
+      expect(CohortAnalyzer.sortLearners(rows(), 'lastActivity', 'desc').map(r => r.name)).toEqual(['Ada', 'Grace', 'Linus']);
+    });
+
+    it('returns a new array', () => {
+      const original = rows();
+      expect(CohortAnalyzer.sortLearners(original, 'name')).not.toBe(original);
+    });
+  });
+});
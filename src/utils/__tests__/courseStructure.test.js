@@ -0,0 +1,194 @@
+import { describe, it, expect } from 'vitest';
+import { CourseStructure } from '../courseStructure.js';
+import { CourseDataProcessor } from '../dataProcessor.js';
+import { LearnerDataGenerator } from '../learnerDataGenerator.js';
+import { ConfigurationError } from '../../services/xapiErrors.js';
+import { Cmi5Analyzer } from '../cmi5Analyzer.js';
+import { cmi5Event, moduleCompleted, quizScored, statement, TYPES, VERBS } from './fixtures/statements.js';
+
+const manifest = {
+  id: 'http://example.com/course/1',
+  name: 'Machine Learning',
+  modules: [
+    {
+      id: 'http://example.com/course/1/module/1',
+      name: 'Module 1',
+      lessons: [{
+        id: 'http://example.com/course/1/module/1/lesson/1',
+        name: 'Lesson 1',
+        items: [
+          { id: 'http://example.com/course/1/video/1', name: 'Video 1' },
+          { id: 'http://example.com/course/1/video/2', name: 'Video 2' }
+        ]
+      }],
+      items: [{ id: 'http://example.com/course/1/quiz/1', name: 'Quiz 1' }]
+    },
+    {
+      id: 'http://example.com/course/1/module/2',
+      name: 'Module 2',
+      items: [{ id: 'http://example.com/course/1/quiz/2', name: 'Quiz 2' }]
+    }
+  ]
+};
+
+const videoDone = (n) => statement({
+  verb: VERBS.EXPERIENCED,
+  activityId: `http://example.com/course/1/video/${n}`,
+  result: { completion: true }
+});
+
+// Statement whose course placement is only given by untyped context activities
+const untyped = (activityId, parent, grouping) => ({
+  actor: { mbox: 'mailto:learner@example.com' },
+  verb: { id: VERBS.COMPLETED },
+  object: { id: activityId },
+  context: { contextActivities: { parent: [{ id: parent }], grouping: grouping.map(id => ({ id })) } },
+  timestamp: '2025-03-10T10:00:00.000Z'
+});
+
+describe('CourseStructure', () => {
+  describe('fromManifest', () => {
+    it('normalizes the manifest and counts items', () => {
+      const structure = CourseStructure.fromManifest(manifest);
+
+      expect(structure.source).toBe('manifest');
+      expect(structure.itemCount).toBe(4);
+      expect(structure.modules.map(m => m.itemCount)).toEqual([3, 1]);
+      expect(structure.modules[1].lessons).toEqual([]);
+    });
+
+    it('keeps the moveOn criterion of cmi5 AUs', () => {
+      const structure = CourseStructure.fromManifest({
+        modules: [{ id: 'block', items: [{ id: 'au', moveOn: 'CompletedAndPassed' }] }]
+      });
+
+      expect(structure.modules[0].items).toEqual([{ id: 'au', name: 'au', type: null, moveOn: 'CompletedAndPassed' }]);
+    });
+
+    it('rejects manifests without modules or ids', () => {
+      expect(() => CourseStructure.fromManifest({})).toThrow(ConfigurationError);
+      expect(() => CourseStructure.fromManifest({ modules: [{ name: 'No id' }] }))
+        .toThrow('Course manifest module 0 is missing an "id".');
+      expect(() => CourseStructure.fromManifest({ modules: [{ id: 'm', items: [{}] }] }))
+        .toThrow('Course manifest item at 0.0 is missing an "id".');
+    });
+  });
+
+  describe('inferFromStatements', () => {
+    it('rebuilds the generated course tree from a cohort\'s statements', () => {
+      const generator = new LearnerDataGenerator({ seed: 3 });
+      const course = generator.createCourse({ modules: 3, lessonsPerModule: 2, videosPerLesson: 2 });
+      const statements = generator.generateCohort(course, 20, {
+        startDate: new Date('2025-01-01T00:00:00.000Z'),
+        days: 120
+      }).flatMap(({ statements }) => statements);
+
+      const inferred = CourseStructure.inferFromStatements(statements, course.id);
+      const expected = CourseStructure.fromManifest(generator.createManifest(course));
+
+      expect(inferred.source).toBe('inferred');
+      expect(inferred.name).toBe(course.name);
+      expect(inferred.modules.map(m => m.id)).toEqual(expected.modules.map(m => m.id));
+      expect(inferred.modules.map(m => m.lessons.map(l => l.items.length)))
+        .toEqual(expected.modules.map(m => m.lessons.map(l => l.items.length)));
+      expect(inferred.itemCount).toBe(expected.itemCount);
+    });
+
+    it('places untyped activities by their position in the context', () => {
+      const course = 'http://example.com/course/1';
+      const structure = CourseStructure.inferFromStatements([
+        untyped(`${course}/m1/l1/v1`, `${course}/m1/l1`, [`${course}/m1`, course]),
+        untyped(`${course}/m1/quiz`, `${course}/m1`, [course]),
+        untyped(`${course}/m2/quiz`, `${course}/m2`, [course])
+      ], course);
+
+      expect(structure.modules.map(m => m.id)).toEqual([`${course}/m1`, `${course}/m2`]);
+      expect(structure.modules[0].lessons.map(l => l.id)).toEqual([`${course}/m1/l1`]);
+      expect(structure.modules[0].items.map(i => i.id)).toEqual([`${course}/m1/quiz`]);
+      expect(structure.itemCount).toBe(3);
+    });
+
+    it('leaves out activities outside any module', () => {
+      expect(CourseStructure.inferFromStatements([moduleCompleted(1)]).itemCount).toBe(0);
+    });
+  });
+
+  describe('calculateProgress', () => {
+    it('measures progress against every item in the course', () => {
+      const structure = CourseStructure.fromManifest(manifest);
+      const progress = CourseStructure.calculateProgress(structure, [
+        videoDone(1),
+        videoDone(2),
+        quizScored(1, 0.9)
+      ]);
+
+      expect(progress).toMatchObject({ completed: 3, total: 4, percentage: 75, remaining: 1, source: 'manifest' });
+      expect(progress.modules).toEqual([
+        { id: manifest.modules[0].id, name: 'Module 1', completed: 3, total: 3, percentage: 100, isComplete: true },
+        { id: manifest.modules[1].id, name: 'Module 2', completed: 0, total: 1, percentage: 0, isComplete: false }
+      ]);
+    });
+
+    it('does not count failed attempts or unfinished videos', () => {
+      const structure = CourseStructure.fromManifest(manifest);
+      const progress = CourseStructure.calculateProgress(structure, [
+        quizScored(1, 0.4),
+        statement({ verb: VERBS.EXPERIENCED, activityId: 'http://example.com/course/1/video/1', result: { completion: false } })
+      ]);
+
+      expect(progress.completed).toBe(0);
+    });
+
+    it('counts cmi5 AUs the LMS satisfied or waived', () => {
+      const structure = CourseStructure.fromManifest(manifest);
+      const progress = CourseStructure.calculateProgress(structure, [
+        statement({ verb: 'https://w3id.org/xapi/adl/verbs/waived', activityId: 'http://example.com/course/1/quiz/1' }),
+        statement({ verb: 'https://w3id.org/xapi/adl/verbs/satisfied', activityId: 'http://example.com/course/1/module/2' })
+      ]);
+
+      expect(progress.completed).toBe(1);
+      expect(progress.modules.map(m => m.isComplete)).toEqual([false, true]);
+    });
+
+    it('counts AUs with a moveOn once it is met, agreeing with Cmi5Analyzer', () => {
+      const au = n => `http://example.com/course/1/au/${n}`;
+      const structure = CourseStructure.fromManifest({
+        modules: [{
+          id: 'http://example.com/course/1/block/1',
+          items: [
+            { id: au(1), moveOn: 'CompletedAndPassed' },
+            { id: au(2), moveOn: 'Passed' },
+            { id: au(3) }
+          ]
+        }]
+      });
+      const statements = [
+        cmi5Event(VERBS.COMPLETED, { au: 1, session: 's1' }),
+        cmi5Event('http://adlnet.gov/expapi/verbs/passed', { au: 2, session: 's2' }),
+        cmi5Event(VERBS.COMPLETED, { au: 3, session: 's3' })
+      ];
+
+      const progress = CourseStructure.calculateProgress(structure, statements);
+
+      expect(progress).toMatchObject({ completed: 2, total: 3 });
+      expect(progress.modules[0].isComplete).toBe(false);
+      expect(Cmi5Analyzer.analyze(statements, structure).summary.ausSatisfied).toBe(progress.completed);
+    });
+
+    it('is used by CourseDataProcessor.calculateProgress when a structure is given', () => {
+      const structure = CourseStructure.fromManifest(manifest);
+      const statements = [1, 2].map(n => statement({
+        activityId: `http://example.com/course/1/video/${n}`,
+        type: TYPES.VIDEO
+      }));
+
+      // Without a structure only the two touched videos count
+      expect(CourseDataProcessor.calculateProgress(statements).percentage).toBe(100);
+
+      const progress = CourseDataProcessor.calculateProgress(statements, structure);
+      expect(progress.percentage).toBe(50);
+      expect(progress.modules).toHaveLength(2);
+      expect(progress.moduleCompletions).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,265 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { DataAggregator } from '../dataAggregator.js';
+import { LearnerDataGenerator } from '../learnerDataGenerator.js';
+import { CourseStructure } from '../courseStructure.js';
+import { moduleCompleted, quizScored, videoWatched, TYPES, VERBS } from './fixtures/statements.js';
+
+const timelineDays = (count, totalActivities) =>
+  Array.from({ length: count }, (_, i) => ({ date: `2025-03-0${i + 1}`, totalActivities }));
+
+describe('DataAggregator', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('generateInsights', () => {
+    it('celebrates strong progress, improving scores, streaks and video time', () => {
+      const insights = DataAggregator.generateInsights({
+        progress: { percentage: 85 },
+        scores: { trend: 'improving', average: 88 },
+        engagement: { currentStreak: 8, totalVideoTime: 4000, totalVideoTimeFormatted: '1h 6m' },
+        timeline: timelineDays(7, 6)
+      });
+
+      expect(insights.map(i => i.title)).toEqual([
+        'Excellent Progress!',
+        'Improving Performance',
+        'Amazing Streak!',
+        'Great Study Habits',
+        'Video Learner'
+      ]);
+      expect(insights[0].message).toBe("You've completed 85% of the course. Keep up the great work!");
+      expect(insights[3].message).toBe("You're averaging 6.0 activities per day this week.");
+    });
+
+    it('nudges learners who are behind and sorts by priority', () => {
+      const insights = DataAggregator.generateInsights({
+        progress: { percentage: 10 },
+        scores: { trend: 'declining', average: 50 },
+        engagement: { currentStreak: 0, totalVideoTime: 0 },
+        timeline: timelineDays(3, 1)
+      });
+
+      expect(insights.map(i => [i.title, i.priority])).toEqual([
+        ['Performance Dip', 'high'],
+        ["Let's Get Moving", 'medium'],
+        ['Time to Resume', 'medium']
+      ]);
+    });
+
+    it('does not fail on an empty timeline', () => {
+      const insights = DataAggregator.generateInsights({
+        progress: { percentage: 50 },
+        scores: { trend: 'stable' },
+        engagement: { currentStreak: 2, totalVideoTime: 0 },
+        timeline: []
+      });
+
+      expect(insights).toEqual([]);
+    });
+  });
+
+  describe('assessDataQuality', () => {
+    it('flags missing data', () => {
+      expect(DataAggregator.assessDataQuality([])).toEqual({
+        score: 0,
+        issues: ['No activity data available', 'Some activities missing result data'],
+        completeness: 0,
+        freshness: 0
+      });
+    });
+
+    it('scores fresh, complete data at 100', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2025-03-11T12:00:00.000Z'));
+
+      const quality = DataAggregator.assessDataQuality([
+        moduleCompleted(1, '2025-03-10T10:00:00.000Z'),
+        quizScored(1, 0.8, '2025-03-11T10:00:00.000Z')
+      ]);
+
+      expect(quality).toEqual({ score: 100, issues: [], completeness: 100, freshness: 100 });
+    });
+
+    it('reduces freshness for data older than a week', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2025-03-20T10:00:00.000Z'));
+
+      const quality = DataAggregator.assessDataQuality([moduleCompleted(1, '2025-03-10T10:00:00.000Z')]);
+
+      expect(quality.freshness).toBe(70);
+      expect(quality.issues).toContain('Data is more than a week old');
+    });
+  });
+
+  describe('createPeriodComparison', () => {
+    it('compares the current week against the previous one', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2025-03-15T12:00:00.000Z'));
+
+      const comparison = DataAggregator.createPeriodComparison([
+        moduleCompleted(1, '2025-03-14T10:00:00.000Z'),
+        moduleCompleted(2, '2025-03-13T10:00:00.000Z'),
+        quizScored(1, 0.9, '2025-03-13T11:00:00.000Z'),
+        moduleCompleted(3, '2025-03-05T10:00:00.000Z'),
+        quizScored(2, 0.6, '2025-03-05T11:00:00.000Z'),
+        moduleCompleted(4, '2025-02-01T10:00:00.000Z')
+      ], 'week');
+
+      expect(comparison.period).toBe('week');
+      expect(comparison.current).toEqual({
+        totalActivities: 3, completions: 2, averageScore: 90, uniqueDays: 2, assessments: 1, videoTime: 0
+      });
+      expect(comparison.previous).toEqual({
+        totalActivities: 2, completions: 1, averageScore: 60, uniqueDays: 1, assessments: 1, videoTime: 0
+      });
+      expect(comparison.changes).toEqual({
+        totalActivities: 50, completions: 100, averageScore: 50, uniqueDays: 100, assessments: 0, videoTime: 0
+      });
+    });
+
+    it('falls back to a week for unknown periods', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2025-03-15T12:00:00.000Z'));
+
+      const comparison = DataAggregator.createPeriodComparison([
+        moduleCompleted(1, '2025-03-05T10:00:00.000Z')
+      ], 'fortnight');
+
+      expect(comparison.current.totalActivities).toBe(0);
+      expect(comparison.previous.totalActivities).toBe(1);
+    });
+
+    it('compares a date range with the same number of days before it', () => {
+      const comparison = DataAggregator.createPeriodComparison([
+        moduleCompleted(1, '2025-03-20T10:00:00.000Z'),
+        moduleCompleted(2, '2025-03-10T10:00:00.000Z'),
+        moduleCompleted(3, '2025-03-04T10:00:00.000Z'),
+        moduleCompleted(4, '2025-02-28T10:00:00.000Z'),
+        moduleCompleted(5, '2025-02-20T10:00:00.000Z')
+      ], 'range', { from: '2025-03-01', to: '2025-03-14' });
+
+      expect(comparison.current.totalActivities).toBe(2);
+      expect(comparison.previous.totalActivities).toBe(2);
+    });
+  });
+
+  describe('calculateChanges', () => {
+    it('reports 100% growth from zero and 0% when both are zero', () => {
+      const zero = { totalActivities: 0, completions: 0, averageScore: 0, uniqueDays: 0, assessments: 0, videoTime: 0 };
+      const some = { totalActivities: 4, completions: 0, averageScore: 70, uniqueDays: 2, assessments: 1, videoTime: 0 };
+
+      expect(DataAggregator.calculateChanges(some, zero)).toEqual({
+        totalActivities: 100,
+        completions: 0,
+        averageScore: 100,
+        uniqueDays: 100,
+        assessments: 100,
+        videoTime: 0
+      });
+    });
+  });
+
+  describe('createDashboardSummary', () => {
+    const rawData = (statements) => {
+      const byType = (type, verbs) => statements.filter(s =>
+        s.object.definition?.type === type && verbs.includes(s.verb.id)
+      );
+      return {
+        overview: { totalStatements: statements.length, courseId: 'http://example.com/course/1' },
+        modules: { completed: byType(TYPES.MODULE, [VERBS.COMPLETED]) },
+        assessments: {
+          quizzes: byType(TYPES.QUIZ, [VERBS.SCORED]),
+          assignments: byType(TYPES.ASSIGNMENT, [VERBS.COMPLETED, VERBS.SCORED])
+        },
+        engagement: { videoInteractions: byType(TYPES.VIDEO, [VERBS.EXPERIENCED]) },
+        timeline: statements
+      };
+    };
+
+    it('builds every dashboard section from a generated learner history', () => {
+      const generator = new LearnerDataGenerator({ seed: 11 });
+      const course = generator.createCourse({ modules: 4 });
+      const [{ statements }] = generator.generateCohort(course, 1, {
+        startDate: '2025-01-01T00:00:00.000Z',
+        days: 60
+      });
+
+      const summary = DataAggregator.createDashboardSummary(rawData(statements));
+
+      expect(summary.progress.total).toBeGreaterThan(0);
+      expect(summary.scores.scores.length).toBeGreaterThan(0);
+      expect(summary.timeline.length).toBeGreaterThan(0);
+      expect(summary.overview.dataQuality).toHaveProperty('score');
+      expect(Object.keys(summary.charts)).toEqual([
+        'progress', 'scores', 'timeline', 'distribution', 'engagement', 'heatmap', 'calendar', 'comparison', 'videos'
+      ]);
+      const calendarDays = Object.values(summary.charts.calendar).flatMap(month => Object.keys(month.days));
+      expect(calendarDays).toEqual(summary.timeline.map(day => day.date));
+    });
+
+    it('measures progress against a course structure when one is provided', () => {
+      const generator = new LearnerDataGenerator({ seed: 11 });
+      const course = generator.createCourse({ modules: 4 });
+      const [{ statements }] = generator.generateCohort(course, 1, {
+        startDate: '2025-01-01T00:00:00.000Z',
+        days: 60
+      });
+      const structure = CourseStructure.fromManifest(generator.createManifest(course));
+
+      const summary = DataAggregator.createDashboardSummary({
+        ...rawData(statements),
+        statements,
+        structure
+      });
+
+      expect(summary.progress.total).toBe(structure.itemCount);
+      expect(summary.progress.source).toBe('manifest');
+      expect(summary.moduleProgress).toHaveLength(4);
+      expect(summary.structure).toBe(structure);
+    });
+
+    it('lists the learner\'s own modules when there is no course structure', () => {
+      const summary = DataAggregator.createDashboardSummary(rawData([
+        { ...quizScored(1, 0.9), context: { contextActivities: { parent: [{ id: 'http://example.com/course/1/module/1' }] } } }
+      ]));
+
+      expect(summary.progress.source).toBeNull();
+      expect(summary.moduleProgress).toEqual([
+        expect.objectContaining({ id: 'http://example.com/course/1/module/1', completed: 1, total: 1 })
+      ]);
+    });
+
+    it('handles a learner with no activity', () => {
+      const summary = DataAggregator.createDashboardSummary(rawData([]));
+
+      expect(summary.progress.percentage).toBe(0);
+      expect(summary.scores.average).toBe(0);
+      expect(summary.timeline).toEqual([]);
+      expect(summary.overview.dataQuality.freshness).toBe(0);
+    });
+
+    it('compares the last week of the date range using the longer history', () => {
+      const inRange = [moduleCompleted(1, '2025-03-12T10:00:00.000Z')];
+      const history = [...inRange, moduleCompleted(2, '2025-02-28T10:00:00.000Z')];
+
+      const summary = DataAggregator.createDashboardSummary({
+        ...rawData(inRange),
+        history,
+        dateRange: { from: '2025-03-06', to: '2025-03-12' }
+      });
+
+      expect(summary.comparison.current.completions).toBe(1);
+      expect(summary.comparison.previous.completions).toBe(1);
+      expect(summary.charts.comparison.datasets.map(d => d.label)).toEqual(['Previous week', 'This week']);
+    });
+
+    it('counts video time from video interactions', () => {
+      const summary = DataAggregator.createDashboardSummary(rawData([
+        videoWatched(1, 'PT20M', '2025-03-10T10:00:00.000Z')
+      ]));
+
+      expect(summary.engagement.totalVideoTime).toBe(1200);
+    });
+  });
+});
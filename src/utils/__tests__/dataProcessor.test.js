@@ -0,0 +1,382 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { CourseDataProcessor } from '../dataProcessor.js';
+import { Vocabulary } from '../vocabulary.js';
+import { moduleCompleted, quizScored, videoWatched, statement, cmi5Event, TYPES, VERBS } from './fixtures/statements.js';
+
+describe('CourseDataProcessor', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    Vocabulary.reset();
+  });
+
+  describe('calculateProgress', () => {
+    it('returns zeroed progress for empty input', () => {
+      const progress = CourseDataProcessor.calculateProgress([]);
+
+      expect(progress).toMatchObject({ completed: 0, total: 0, percentage: 0, remaining: 0, lastActivity: null });
+      expect(progress.moduleCompletions).toEqual([]);
+    });
+
+    it('counts completed and touched activities', () => {
+      const progress = CourseDataProcessor.calculateProgress([
+        moduleCompleted(1, '2025-03-10T10:00:00.000Z'),
+        videoWatched(1, 'PT5M', '2025-03-10T11:00:00.000Z'),
+        moduleCompleted(2, '2025-03-11T10:00:00.000Z')
+      ]);
+
+      expect(progress.completed).toBe(2);
+      expect(progress.total).toBe(3);
+      expect(progress.percentage).toBe(67);
+      expect(progress.remaining).toBe(1);
+    });
+
+    it('counts satisfied cmi5 AUs as completed', () => {
+      const progress = CourseDataProcessor.calculateProgress([
+        cmi5Event('http://adlnet.gov/expapi/verbs/passed', { au: 1, result: { success: true } }),
+        cmi5Event('https://w3id.org/xapi/adl/verbs/waived', { au: 2, session: 'lms' }),
+        cmi5Event('http://adlnet.gov/expapi/verbs/initialized', { au: 3 })
+      ]);
+
+      expect(progress.completed).toBe(2);
+      expect(progress.total).toBe(3);
+    });
+
+    it('counts verbs and types the vocabulary maps to completion and module', () => {
+      const finished = 'https://example.com/verbs/finished';
+      const unit = 'https://example.com/types/unit';
+      const stmt = statement({ verb: finished, type: unit });
+
+      expect(CourseDataProcessor.calculateProgress([stmt]).completed).toBe(0);
+
+      Vocabulary.load({ verbs: { completion: [finished] }, activityTypes: { module: [unit] } });
+      const progress = CourseDataProcessor.calculateProgress([stmt]);
+
+      expect(progress.completed).toBe(1);
+      expect(progress.moduleCompletions.map(m => m.name)).toEqual(['Module 1']);
+    });
+
+    it('lists module completions newest first', () => {
+      const progress = CourseDataProcessor.calculateProgress([
+        moduleCompleted(1, '2025-03-10T10:00:00.000Z'),
+        moduleCompleted(2, '2025-03-11T10:00:00.000Z')
+      ]);
+
+      expect(progress.moduleCompletions.map(m => m.name)).toEqual(['Module 2', 'Module 1']);
+    });
+
+    it('falls back to a default name when definition.name is missing', () => {
+      const progress = CourseDataProcessor.calculateProgress([statement({ name: null })]);
+
+      expect(progress.moduleCompletions[0].name).toBe('Unknown Module');
+    });
+  });
+
+  describe('aggregateScores', () => {
+    it('returns defaults for empty input', () => {
+      expect(CourseDataProcessor.aggregateScores([])).toEqual({
+        scores: [],
+        average: 0,
+        highest: 0,
+        lowest: 0,
+        totalAttempts: 0,
+        passRate: 0,
+        trend: 'stable',
+        distribution: { 'A (90-100)': 0, 'B (80-89)': 0, 'C (70-79)': 0, 'D (60-69)': 0, 'F (0-59)': 0 }
+      });
+    });
+
+    it('groups attempts per assessment and keeps the latest score', () => {
+      const result = CourseDataProcessor.aggregateScores([
+        quizScored(1, 0.6, '2025-03-10T10:00:00.000Z'),
+        quizScored(1, 0.9, '2025-03-11T10:00:00.000Z'),
+        quizScored(2, 0.8, '2025-03-12T10:00:00.000Z')
+      ]);
+
+      const quiz1 = result.scores.find(s => s.activity === 'Quiz 1');
+      expect(quiz1.score).toBe(90);
+      expect(quiz1.attempts).toBe(2);
+      expect(quiz1.bestScore).toBe(90);
+      expect(result.totalAttempts).toBe(3);
+      expect(result.average).toBe(85);
+      expect(result.highest).toBe(90);
+      expect(result.lowest).toBe(80);
+      expect(result.passRate).toBe(100);
+      expect(result.distribution).toMatchObject({ 'A (90-100)': 1, 'B (80-89)': 1 });
+    });
+
+    it('ignores statements without a score', () => {
+      const result = CourseDataProcessor.aggregateScores([
+        quizScored(1, 0.5, '2025-03-10T10:00:00.000Z'),
+        moduleCompleted(1, '2025-03-10T11:00:00.000Z')
+      ]);
+
+      expect(result.totalAttempts).toBe(1);
+      expect(result.passRate).toBe(0);
+    });
+
+    it('names assessments without definition.name', () => {
+      const result = CourseDataProcessor.aggregateScores([
+        statement({ verb: VERBS.SCORED, type: TYPES.QUIZ, name: null, result: { score: { scaled: 0.5 } } })
+      ]);
+
+      expect(result.scores[0].activity).toBe('Unknown Assessment');
+    });
+  });
+
+  describe('calculateScoreTrend', () => {
+    const scores = values => values.map((score, i) => ({ score, timestamp: new Date(2025, 2, i + 1) }));
+
+    it('is stable with fewer than two scores', () => {
+      expect(CourseDataProcessor.calculateScoreTrend(scores([50]))).toBe('stable');
+    });
+
+    it('detects improving and declining scores', () => {
+      expect(CourseDataProcessor.calculateScoreTrend(scores([50, 60, 80, 90]))).toBe('improving');
+      expect(CourseDataProcessor.calculateScoreTrend(scores([90, 85, 60, 55]))).toBe('declining');
+    });
+
+    it('treats differences within 5 points as stable', () => {
+      expect(CourseDataProcessor.calculateScoreTrend(scores([80, 82, 83, 84]))).toBe('stable');
+    });
+  });
+
+  describe('calculateScoreDistribution', () => {
+    it('buckets scores into letter grades', () => {
+      expect(CourseDataProcessor.calculateScoreDistribution([95, 90, 85, 72, 61, 10])).toEqual({
+        'A (90-100)': 2,
+        'B (80-89)': 1,
+        'C (70-79)': 1,
+        'D (60-69)': 1,
+        'F (0-59)': 1
+      });
+    });
+
+    it('supports pass/fail bands with a configurable threshold', () => {
+      expect(CourseDataProcessor.calculateScoreDistribution([95, 70, 69, 10], 'pass-fail', { passThreshold: 70 }))
+        .toEqual({ 'Pass (70-100)': 2, 'Fail (0-69)': 2 });
+    });
+
+    it('supports deciles and custom bands', () => {
+      const deciles = CourseDataProcessor.calculateScoreDistribution([100, 95, 5, 0], 'deciles');
+
+      expect(Object.keys(deciles)).toHaveLength(10);
+      expect(deciles['90-100']).toBe(2);
+      expect(deciles['0-9']).toBe(2);
+
+      expect(CourseDataProcessor.calculateScoreDistribution([40, 75], [
+        { label: 'Low', min: 0 },
+        { label: 'High', min: 50 }
+      ])).toEqual({ High: 1, Low: 1 });
+    });
+
+    it('rejects an unknown scheme', () => {
+      expect(() => CourseDataProcessor.calculateScoreDistribution([50], 'percentiles'))
+        .toThrow('Unknown grade scheme "percentiles".');
+    });
+  });
+
+  describe('calculateScoreDistributionByType', () => {
+    it('splits latest scores by assessment type', () => {
+      const { scores } = CourseDataProcessor.aggregateScores([
+        quizScored(1, 0.95, '2025-03-10T10:00:00.000Z'),
+        quizScored(2, 0.5, '2025-03-11T10:00:00.000Z'),
+        statement({
+          verb: VERBS.SCORED,
+          activityId: 'http://example.com/course/1/assignment/1',
+          type: TYPES.ASSIGNMENT,
+          timestamp: '2025-03-12T10:00:00.000Z',
+          result: { score: { scaled: 0.85 }, success: true }
+        })
+      ]);
+
+      expect(CourseDataProcessor.calculateScoreDistributionByType(scores, 'pass-fail')).toEqual({
+        assignment: { 'Pass (80-100)': 1, 'Fail (0-79)': 0 },
+        quiz: { 'Pass (80-100)': 1, 'Fail (0-79)': 1 }
+      });
+    });
+  });
+
+  describe('generateTimelineData', () => {
+    it('returns an empty timeline for empty input', () => {
+      expect(CourseDataProcessor.generateTimelineData([])).toEqual([]);
+      expect(CourseDataProcessor.generateTimelineData(null)).toEqual([]);
+    });
+
+    it('groups activity by day with completions, scores and video time', () => {
+      const timeline = CourseDataProcessor.generateTimelineData([
+        videoWatched(1, 'PT10M', '2025-03-11T09:00:00.000Z'),
+        moduleCompleted(1, '2025-03-10T10:00:00.000Z'),
+        quizScored(1, 0.8, '2025-03-10T11:00:00.000Z')
+      ]);
+
+      expect(timeline.map(day => day.date)).toEqual(['2025-03-10', '2025-03-11']);
+      expect(timeline[0]).toMatchObject({ totalActivities: 2, completions: 1, averageScore: 80, videoTime: 0 });
+      expect(timeline[1]).toMatchObject({
+        totalActivities: 1,
+        averageScore: null,
+        videoTime: 600,
+        videoTimeFormatted: '10m 0s',
+        activityTypes: { video: 1 }
+      });
+    });
+
+    it('handles statements without definition.name or verb display', () => {
+      const stmt = statement({ name: null });
+      delete stmt.verb.display;
+
+      const [day] = CourseDataProcessor.generateTimelineData([stmt]);
+
+      expect(day.activities[0].name).toBe('Unknown Activity');
+      expect(day.activities[0].verb).toBe('completed');
+    });
+
+    it('buckets days in the given time zone', () => {
+      const statements = [
+        moduleCompleted(2, '2025-03-11T04:00:00.000Z'),
+        moduleCompleted(1, '2025-03-10T18:00:00.000Z')
+      ];
+
+      expect(CourseDataProcessor.generateTimelineData(statements).map(day => day.date))
+        .toEqual(['2025-03-10', '2025-03-11']);
+      expect(CourseDataProcessor.generateTimelineData(statements, 'America/Los_Angeles').map(day => day.date))
+        .toEqual(['2025-03-10']);
+    });
+  });
+
+  describe('parseDuration / formatDuration', () => {
+    it('parses hours, minutes and seconds', () => {
+      expect(CourseDataProcessor.parseDuration('PT1H2M3S')).toBe(3723);
+      expect(CourseDataProcessor.parseDuration('PT45S')).toBe(45);
+      expect(CourseDataProcessor.parseDuration('not a duration')).toBe(0);
+    });
+
+    it('formats the largest two units', () => {
+      expect(CourseDataProcessor.formatDuration(3723)).toBe('1h 2m');
+      expect(CourseDataProcessor.formatDuration(125)).toBe('2m 5s');
+      expect(CourseDataProcessor.formatDuration(45)).toBe('45s');
+    });
+  });
+
+  describe('calculateStudySessions', () => {
+    it('returns no sessions for empty input', () => {
+      expect(CourseDataProcessor.calculateStudySessions([])).toEqual([]);
+    });
+
+    it('splits sessions on gaps longer than an hour', () => {
+      const sessions = CourseDataProcessor.calculateStudySessions([
+        moduleCompleted(1, '2025-03-10T10:00:00.000Z'),
+        moduleCompleted(2, '2025-03-10T10:30:00.000Z'),
+        moduleCompleted(3, '2025-03-10T12:00:00.000Z')
+      ]);
+
+      expect(sessions).toHaveLength(2);
+      expect(sessions[0]).toMatchObject({ activities: 2, duration: 1800 });
+      expect(sessions[1]).toMatchObject({ activities: 1, duration: 0 });
+    });
+
+    it('keeps a session that crosses midnight together', () => {
+      const sessions = CourseDataProcessor.calculateStudySessions([
+        moduleCompleted(1, '2025-03-10T23:30:00.000Z'),
+        moduleCompleted(2, '2025-03-10T23:50:00.000Z'),
+        moduleCompleted(3, '2025-03-11T00:20:00.000Z')
+      ]);
+
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0]).toMatchObject({ activities: 3, duration: 3000 });
+    });
+  });
+
+  describe('calculateLearningStreak', () => {
+    const activeOn = dates => dates.map((date, i) => moduleCompleted(i, `${date}T12:00:00.000Z`));
+
+    it('returns zeros for empty input', () => {
+      expect(CourseDataProcessor.calculateLearningStreak([])).toEqual({ current: 0, longest: 0, totalDays: 0 });
+    });
+
+    it('computes current and longest streaks', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2025-03-12T18:00:00.000Z'));
+
+      const streak = CourseDataProcessor.calculateLearningStreak(activeOn([
+        '2025-03-01', '2025-03-02', '2025-03-03', '2025-03-04',
+        '2025-03-10', '2025-03-11', '2025-03-12'
+      ]));
+
+      expect(streak).toEqual({ current: 3, longest: 4, totalDays: 7 });
+    });
+
+    it('resets the current streak after a missed day', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2025-03-12T18:00:00.000Z'));
+
+      const streak = CourseDataProcessor.calculateLearningStreak(activeOn(['2025-03-08', '2025-03-09']));
+
+      expect(streak.current).toBe(0);
+      expect(streak.longest).toBe(2);
+    });
+
+    it('counts several statements on one day once', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2025-03-10T18:00:00.000Z'));
+
+      const streak = CourseDataProcessor.calculateLearningStreak([
+        moduleCompleted(1, '2025-03-10T08:00:00.000Z'),
+        moduleCompleted(2, '2025-03-10T20:00:00.000Z')
+      ]);
+
+      expect(streak).toEqual({ current: 1, longest: 1, totalDays: 1 });
+    });
+
+    it('counts days and today in the given time zone', () => {
+      vi.useFakeTimers();
+      // Evening of 2025-03-11 in Los Angeles, already 2025-03-12 in UTC
+      vi.setSystemTime(new Date('2025-03-12T03:00:00.000Z'));
+
+      // Local days 2025-03-10 and 2025-03-11; UTC days 2025-03-10 and 2025-03-12
+      const statements = [
+        moduleCompleted(1, '2025-03-10T20:00:00.000Z'),
+        moduleCompleted(2, '2025-03-12T02:00:00.000Z')
+      ];
+
+      expect(CourseDataProcessor.calculateLearningStreak(statements))
+        .toEqual({ current: 1, longest: 1, totalDays: 2 });
+      expect(CourseDataProcessor.calculateLearningStreak(statements, 'America/Los_Angeles'))
+        .toEqual({ current: 2, longest: 2, totalDays: 2 });
+    });
+  });
+
+  describe('calculateEngagementMetrics', () => {
+    it('summarises video time, sessions and streaks', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2025-03-11T18:00:00.000Z'));
+
+      const metrics = CourseDataProcessor.calculateEngagementMetrics([
+        videoWatched(1, 'PT10M', '2025-03-10T10:00:00.000Z'),
+        videoWatched(2, 'PT5M', '2025-03-10T10:20:00.000Z'),
+        moduleCompleted(1, '2025-03-11T10:00:00.000Z')
+      ]);
+
+      expect(metrics).toMatchObject({
+        totalVideoTime: 900,
+        totalVideoTimeFormatted: '15m 0s',
+        videoInteractions: 2,
+        studySessions: 2,
+        currentStreak: 2,
+        longestStreak: 2,
+        totalActiveDays: 2
+      });
+    });
+
+    it('handles empty input', () => {
+      const metrics = CourseDataProcessor.calculateEngagementMetrics([]);
+
+      expect(metrics).toMatchObject({
+        totalVideoTime: 0,
+        studySessions: 0,
+        averageSessionLength: '0m',
+        longestSession: '0m',
+        currentStreak: 0
+      });
+    });
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, expect } from 'vitest';
+import { DataValidator } from '../dataValidator.js';
+import { moduleCompleted, quizScored } from './fixtures/statements.js';
+
+describe('DataValidator', () => {
+  describe('validateStatement', () => {
+    it('accepts a well-formed statement', () => {
+      expect(DataValidator.validateStatement(moduleCompleted(1, '2025-03-10T10:00:00.000Z'))).toEqual({
+        isValid: true,
+        errors: [],
+        warnings: []
+      });
+    });
+
+    it('reports missing actor, verb and object', () => {
+      const result = DataValidator.validateStatement({});
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Missing required field: actor',
+        'Missing required field: verb',
+        'Missing required field: object'
+      ]);
+      expect(result.warnings).toEqual(['Missing timestamp - will be set by LRS']);
+    });
+
+    it('requires an actor identifier and verb/object ids', () => {
+      const result = DataValidator.validateStatement({
+        actor: { name: 'No Identifier' },
+        verb: {},
+        object: {},
+        timestamp: '2025-03-10T10:00:00.000Z'
+      });
+
+      expect(result.errors).toEqual(['Actor must have an mbox, mbox_sha1sum, openid or account', 'Verb must have id', 'Object must have id']);
+    });
+
+    it('accepts any inverse functional identifier for the actor', () => {
+      const actors = [
+        { account: { homePage: 'https://sso.example.com', name: 'ada' } },
+        { mbox_sha1sum: 'ab'.repeat(20) },
+        { openid: 'https://openid.example.com/ada' }
+      ];
+
+      actors.forEach(actor => {
+        const result = DataValidator.validateStatement({ ...moduleCompleted(1), actor });
+        expect(result.errors).toEqual([]);
+      });
+    });
+
+    it('rejects out-of-range scores', () => {
+      const stmt = quizScored(1, 0.5, '2025-03-10T10:00:00.000Z');
+      stmt.result.score = { scaled: 1.5, raw: 12, max: 10 };
+
+      expect(DataValidator.validateStatement(stmt).errors).toEqual([
+        'Scaled score must be between -1 and 1',
+        'Raw score cannot exceed max score'
+      ]);
+    });
+  });
+
+  describe('sanitizeStatement', () => {
+    it('normalises timestamps and trims display strings', () => {
+      const stmt = moduleCompleted(1, '2025-03-10T10:00:00+02:00');
+      stmt.verb.display['en-US'] = ' completed ';
+      stmt.object.definition.name['en-US'] = '  Module 1 ';
+
+      const sanitized = DataValidator.sanitizeStatement(stmt);
+
+      expect(sanitized.timestamp).toBe('2025-03-10T08:00:00.000Z');
+      expect(sanitized.verb.display['en-US']).toBe('completed');
+      expect(sanitized.object.definition.name['en-US']).toBe('Module 1');
+    });
+
+    it('drops unparseable timestamps', () => {
+      const stmt = moduleCompleted(1, 'yesterday');
+
+      expect(DataValidator.sanitizeStatement(stmt)).not.toHaveProperty('timestamp');
+    });
+  });
+
+  describe('validateDashboardData', () => {
+    const valid = {
+      overview: { totalStatements: 2, learnerId: 'learner@example.com,https://sso.example.com::learner' },
+      modules: { completed: [], completionCount: 0 },
+      assessments: {},
+      engagement: {},
+      timeline: [{ date: '2025-03-10', totalActivities: 2 }]
+    };
+
+    it('accepts the dashboard data shape', () => {
+      expect(DataValidator.validateDashboardData(valid)).toEqual({ isValid: true, errors: [], warnings: [] });
+    });
+
+    it('reports missing sections and bad values', () => {
+      const result = DataValidator.validateDashboardData({
+        overview: { learnerId: 'not-an-email' },
+        modules: { completed: null },
+        timeline: [{ date: 'nope', totalActivities: '2' }]
+      });
+
+      expect(result.errors).toEqual([
+        'Missing required section: assessments',
+        'Missing required section: engagement',
+        'Invalid learner identifier in overview',
+        'modules.completed must be an array'
+      ]);
+      expect(result.warnings).toEqual([
+        'Invalid totalStatements in overview',
+        'Invalid completionCount in modules',
+        'Invalid date in timeline[0]',
+        'Invalid totalActivities in timeline[0]'
+      ]);
+    });
+  });
+
+  describe('cleanScoreData', () => {
+    it('drops invalid scores and rounds the rest', () => {
+      const cleaned = DataValidator.cleanScoreData([
+        { score: 84.6, timestamp: '2025-03-10T10:00:00.000Z' },
+        { score: null },
+        { score: NaN },
+        { score: 120 },
+        { score: -5 }
+      ]);
+
+      expect(cleaned).toHaveLength(1);
+      expect(cleaned[0].score).toBe(85);
+      expect(cleaned[0].timestamp).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('cleanTimelineData', () => {
+    it('drops invalid days, coerces counts and sorts by date', () => {
+      const cleaned = DataValidator.cleanTimelineData([
+        { date: '2025-03-11', totalActivities: '3', completions: -1, videoTime: 'x' },
+        { date: 'bad' },
+        { date: '2025-03-10', totalActivities: 1, completions: 1, videoTime: 60 }
+      ]);
+
+      expect(cleaned.map(day => [day.date, day.totalActivities, day.completions, day.videoTime])).toEqual([
+        ['2025-03-10', 1, 1, 60],
+        ['2025-03-11', 3, 0, 0]
+      ]);
+    });
+  });
+
+  describe('detectAnomalies', () => {
+    it('reports nothing for ordinary data', () => {
+      expect(DataValidator.detectAnomalies({
+        scores: { scores: [{ score: 70 }, { score: 80 }] },
+        timeline: [{ totalActivities: 2 }, { totalActivities: 3 }]
+      })).toEqual({ hasAnomalies: false, anomalies: [], riskLevel: 'none' });
+    });
+
+    it('flags all-perfect scores, large jumps and activity spikes', () => {
+      const perfect = DataValidator.detectAnomalies({
+        scores: { scores: Array.from({ length: 6 }, () => ({ score: 100 })) }
+      });
+      expect(perfect.anomalies.map(a => a.type)).toEqual(['suspicious_scores']);
+      expect(perfect.riskLevel).toBe('medium');
+
+      const jumpy = DataValidator.detectAnomalies({
+        scores: { scores: [{ score: 20 }, { score: 95 }] },
+        timeline: [...Array.from({ length: 9 }, () => ({ totalActivities: 1 })), { totalActivities: 40 }]
+      });
+      expect(jumpy.anomalies.map(a => a.message)).toEqual([
+        'Score improved by 75% - verify data accuracy',
+        'Unusually high activity day (40 activities)'
+      ]);
+      expect(jumpy.riskLevel).toBe('low');
+    });
+
+    it('handles an empty timeline', () => {
+      expect(DataValidator.detectAnomalies({ timeline: [] }).hasAnomalies).toBe(false);
+    });
+  });
+
+  describe('calculateRiskLevel', () => {
+    it('escalates with severity', () => {
+      expect(DataValidator.calculateRiskLevel([])).toBe('none');
+      expect(DataValidator.calculateRiskLevel([{ severity: 'low' }])).toBe('low');
+      expect(DataValidator.calculateRiskLevel([{ severity: 'medium' }])).toBe('medium');
+      expect(DataValidator.calculateRiskLevel([{ severity: 'medium' }, { severity: 'medium' }])).toBe('high');
+      expect(DataValidator.calculateRiskLevel([{ severity: 'high' }])).toBe('high');
+    });
+  });
+
+  describe('isValidEmail / isValidDate', () => {
+    it('validates emails and dates', () => {
+      expect(DataValidator.isValidEmail('learner@example.com')).toBe(true);
+      expect(DataValidator.isValidEmail('learner@example')).toBe(false);
+      expect(DataValidator.isValidDate('2025-03-10')).toBe(true);
+      expect(DataValidator.isValidDate('tomorrow')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { DateRange } from '../dateRange.js';
+import { moduleCompleted } from './fixtures/statements.js';
+
+const NOW = new Date('2025-03-15T12:00:00.000Z');
+
+describe('DateRange', () => {
+  it('builds preset ranges that include today', () => {
+    expect(DateRange.fromPreset('7d', NOW)).toEqual({ from: '2025-03-09', to: '2025-03-15' });
+    expect(DateRange.fromPreset('all', NOW)).toEqual({ from: null, to: null });
+    expect(DateRange.fromPreset('unknown', NOW)).toEqual({ from: null, to: null });
+  });
+
+  it('recognises preset ranges and treats anything else as custom', () => {
+    expect(DateRange.getPresetId({ from: '2025-02-14', to: '2025-03-15' }, NOW)).toBe('30d');
+    expect(DateRange.getPresetId({ from: null, to: null }, NOW)).toBe('all');
+    expect(DateRange.getPresetId(null, NOW)).toBe('all');
+    expect(DateRange.getPresetId({ from: '2025-03-01', to: '2025-03-15' }, NOW)).toBeNull();
+  });
+
+  it('keeps statements from the first to the last day inclusive', () => {
+    const statements = [
+      moduleCompleted(1, '2025-02-28T23:59:59.000Z'),
+      moduleCompleted(2, '2025-03-01T00:00:00.000Z'),
+      moduleCompleted(3, '2025-03-31T23:59:59.000Z'),
+      moduleCompleted(4, '2025-04-01T00:00:00.000Z')
+    ];
+
+    const inMarch = DateRange.filterStatements(statements, { from: '2025-03-01', to: '2025-03-31' });
+    const sinceMarch = DateRange.filterStatements(statements, { from: '2025-03-01', to: null });
+
+    expect(inMarch).toEqual([statements[1], statements[2]]);
+    expect(sinceMarch).toHaveLength(3);
+    expect(DateRange.filterStatements(statements, null)).toBe(statements);
+  });
+
+  it('uses whole local days when given a time zone', () => {
+    const bounds = DateRange.getBounds({ from: '2025-03-09', to: '2025-03-09' }, 'America/Los_Angeles');
+    const evening = moduleCompleted(1, '2025-03-10T05:00:00.000Z');
+
+    // The day clocks go forward is 23 hours long
+    expect(bounds.start.toISOString()).toBe('2025-03-09T08:00:00.000Z');
+    expect(bounds.end.toISOString()).toBe('2025-03-10T07:00:00.000Z');
+    expect(DateRange.filterStatements([evening], { from: '2025-03-09', to: '2025-03-09' }, 'America/Los_Angeles'))
+      .toEqual([evening]);
+    expect(DateRange.lastDays(1, new Date('2025-03-15T03:00:00.000Z'), 'America/Los_Angeles'))
+      .toEqual({ from: '2025-03-14', to: '2025-03-14' });
+  });
+
+  it('lists every day of a range across month ends', () => {
+    expect(DateRange.getDays({ from: '2025-02-27', to: '2025-03-02' }))
+      .toEqual(['2025-02-27', '2025-02-28', '2025-03-01', '2025-03-02']);
+  });
+
+  it('describes open and closed ranges', () => {
+    expect(DateRange.describe({ from: '2025-03-01', to: '2025-03-31' })).toBe('Mar 1, 2025 – Mar 31, 2025');
+    expect(DateRange.describe({ from: '2025-03-01', to: null })).toBe('Since Mar 1, 2025');
+    expect(DateRange.describe({ from: null, to: null })).toBe('All time');
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { Duration } from '../duration.js';
+import { videoWatched } from './fixtures/statements.js';
+
+describe('Duration', () => {
+  it('parses time components, including fractional seconds', () => {
+    expect(Duration.parse('PT1M30S')).toBe(90);
+    expect(Duration.parse('PT12.5S')).toBe(12.5);
+    expect(Duration.parse('PT0,25S')).toBe(0.25);
+    expect(Duration.parse('PT1H2M3S')).toBe(3723);
+    expect(Duration.parse('PT1.5H')).toBe(5400);
+  });
+
+  it('parses date components', () => {
+    expect(Duration.parse('P1DT2H')).toBe(26 * 3600);
+    expect(Duration.parse('P2W')).toBe(14 * 24 * 3600);
+    expect(Duration.parse('P1M')).toBe(30 * 24 * 3600);
+    expect(Duration.parse('P1Y')).toBe(365 * 24 * 3600);
+  });
+
+  it('treats missing and malformed durations as zero', () => {
+    ['', 'P', 'PT', 'P1DT', '30S', 'PT1S2M', 'not a duration', null, undefined, 30].forEach(value => {
+      expect(Duration.parse(value)).toBe(0);
+    });
+  });
+
+  it('sums statement durations', () => {
+    const statements = [videoWatched(1, 'PT1M30S'), videoWatched(2, 'PT12.5S'), videoWatched(3, undefined)];
+    expect(Duration.sum(statements)).toBe(102.5);
+  });
+
+  it('formats seconds for display, rounding fractions', () => {
+    expect(Duration.format(3723)).toBe('1h 2m');
+    expect(Duration.format(102.5)).toBe('1m 43s');
+    expect(Duration.format(59.6)).toBe('1m 0s');
+    expect(Duration.format(26 * 3600)).toBe('26h 0m');
+  });
+
+  it('round-trips through ISO 8601', () => {
+    expect(Duration.toISO(750)).toBe('PT12M30S');
+    expect(Duration.toISO(3600.5)).toBe('PT1H0.5S');
+    expect(Duration.toISO(0)).toBe('PT0S');
+    [90, 12.5, 3723, 93600.25].forEach(seconds => {
+      expect(Duration.parse(Duration.toISO(seconds))).toBe(seconds);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Statement fixtures for the data processing tests
+ */
+export const VERBS = {
+  COMPLETED: 'http://adlnet.gov/expapi/verbs/completed',
+  EXPERIENCED: 'http://adlnet.gov/expapi/verbs/experienced',
+  SCORED: 'http://adlnet.gov/expapi/verbs/scored'
+};
+
+export const TYPES = {
+  MODULE: 'http://coursera.org/xapi/activity-types/module',
+  VIDEO: 'http://coursera.org/xapi/activity-types/video',
+  QUIZ: 'http://coursera.org/xapi/activity-types/quiz',
+  ASSIGNMENT: 'http://coursera.org/xapi/activity-types/assignment'
+};
+
+/**
+ * Build a statement with sensible defaults
+ * @param {Object} options - verb, activityId, type, name, timestamp, result
+ * @returns {Object} - xAPI statement
+ */
+export const statement = ({
+  verb = VERBS.COMPLETED,
+  activityId = 'http://example.com/course/1/module/1',
+  type = TYPES.MODULE,
+  name = 'Module 1',
+  timestamp = '2025-03-10T10:00:00.000Z',
+  result
+} = {}) => ({
+  actor: { name: 'Test Learner', mbox: 'mailto:learner@example.com', objectType: 'Agent' },
+  verb: { id: verb, display: { 'en-US': verb.split('/').pop() } },
+  object: {
+    id: activityId,
+    objectType: 'Activity',
+    definition: {
+      ...(name !== null && { name: { 'en-US': name } }),
+      type
+    }
+  },
+  ...(result && { result }),
+  timestamp
+});
+
+export const moduleCompleted = (n, timestamp) => statement({
+  activityId: `http://example.com/course/1/module/${n}`,
+  name: `Module ${n}`,
+  timestamp,
+  result: { completion: true, success: true }
+});
+
+export const quizScored = (n, scaled, timestamp) => statement({
+  verb: VERBS.SCORED,
+  activityId: `http://example.com/course/1/quiz/${n}`,
+  type: TYPES.QUIZ,
+  name: `Quiz ${n}`,
+  timestamp,
+  result: {
+    score: { scaled, raw: scaled * 10, max: 10, min: 0 },
+    success: scaled >= 0.7,
+    completion: true
+  }
+});
+
+export const videoWatched = (n, duration, timestamp) => statement({
+  verb: VERBS.EXPERIENCED,
+  activityId: `http://example.com/course/1/video/${n}`,
+  type: TYPES.VIDEO,
+  name: `Video ${n}`,
+  timestamp,
+  result: { completion: true, duration }
+});
+
+export const CMI5_CATEGORY = 'https://w3id.org/xapi/cmi5/context/categories/cmi5';
+export const CMI5_SESSION_ID = 'https://w3id.org/xapi/cmi5/context/extensions/sessionid';
+
+/**
+ * A statement from a cmi5 launch session of an AU
+ * @param {string} verb - Verb ID
+ * @param {Object} options - au (number), session, timestamp, result,
+ *   activityId and type (for block and course statements), extensions
+ * @returns {Object} - xAPI statement
+ */
+export const cmi5Event = (verb, {
+  au = 1,
+  session = 's1',
+  timestamp = '2025-03-10T10:00:00.000Z',
+  result,
+  activityId = `http://example.com/course/1/au/${au}`,
+  type = 'http://adlnet.gov/expapi/activities/lesson',
+  extensions = {}
+} = {}) => ({
+  ...statement({ verb, activityId, type, name: activityId.split('/').slice(-2).join(' '), timestamp, result }),
+  context: {
+    registration: 'registration-1',
+    contextActivities: { category: [{ id: CMI5_CATEGORY }] },
+    extensions: { [CMI5_SESSION_ID]: session, ...extensions }
+  }
+});
+
+/**
+ * Statements classified as CourseraXAPIService.classifyStatements does
+ * @param {Object} sets - modules, quizzes, videos and assignments, each optional
+ * @returns {Object} - Classified statements with a newest-first timeline
+ */
+export const classified = ({ modules = [], quizzes = [], videos = [], assignments = [] } = {}) => ({
+  modules,
+  quizzes,
+  videos,
+  assignments,
+  timeline: [...modules, ...quizzes, ...videos, ...assignments]
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+});
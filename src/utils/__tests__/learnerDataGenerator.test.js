@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { LearnerDataGenerator, createRandom } from '../learnerDataGenerator.js';
+import { DataValidator } from '../dataValidator.js';
+
+const simulate = (seed) => {
+  const generator = new LearnerDataGenerator({ seed });
+  const course = generator.createCourse({ modules: 3 });
+  return {
+    course,
+    cohort: generator.generateCohort(course, 4, { startDate: new Date('2025-01-06T00:00:00.000Z'), days: 60 })
+  };
+};
+
+describe('LearnerDataGenerator', () => {
+  it('yields the same course and statements for the same seed', () => {
+    expect(simulate(7)).toEqual(simulate(7));
+  });
+
+  it('yields different histories for different seeds', () => {
+    const [a, b] = [simulate(7), simulate(8)];
+
+    expect(a.cohort.map(({ learner }) => learner.email)).not.toEqual(b.cohort.map(({ learner }) => learner.email));
+    expect(a.cohort.flatMap(({ statements }) => statements.map(stmt => stmt.id)))
+      .not.toEqual(b.cohort.flatMap(({ statements }) => statements.map(stmt => stmt.id)));
+  });
+
+  it('keeps each learner\'s statements valid, unique and in order', () => {
+    const { cohort } = simulate(3);
+    const statements = cohort.flatMap(entry => entry.statements);
+
+    expect(statements.length).toBeGreaterThan(0);
+    expect(new Set(statements.map(stmt => stmt.id)).size).toBe(statements.length);
+    cohort.forEach(({ statements: own }) => {
+      const times = own.map(stmt => new Date(stmt.timestamp).getTime());
+      expect(times).toEqual([...times].sort((a, b) => a - b));
+    });
+    expect(statements.every(stmt => DataValidator.validateStatement(stmt).isValid)).toBe(true);
+  });
+
+  it('draws a repeatable sequence from a seed', () => {
+    const [a, b] = [createRandom(42), createRandom(42)];
+    const draws = Array.from({ length: 5 }, () => a());
+
+    expect(Array.from({ length: 5 }, () => b())).toEqual(draws);
+    expect(draws.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { ModuleAnalyzer } from '../moduleAnalyzer.js';
+import { CourseStructure } from '../courseStructure.js';
+import { quizScored, statement, TYPES, VERBS } from './fixtures/statements.js';
+
+const COURSE = 'http://example.com/course/1';
+
+const structure = CourseStructure.fromManifest({
+  id: COURSE,
+  modules: [{
+    id: `${COURSE}/module/1`,
+    name: 'Module 1',
+    lessons: [{
+      id: `${COURSE}/module/1/lesson/1`,
+      name: 'Lesson 1',
+      items: [
+        { id: `${COURSE}/video/1`, name: 'Video 1', type: TYPES.VIDEO },
+        { id: `${COURSE}/video/2`, name: 'Video 2', type: TYPES.VIDEO },
+        { id: `${COURSE}/video/3`, name: 'Video 3', type: TYPES.VIDEO }
+      ]
+    }],
+    items: [
+      { id: `${COURSE}/quiz/1`, name: 'Quiz 1', type: TYPES.QUIZ },
+      { id: `${COURSE}/quiz/2`, name: 'Quiz 2', type: TYPES.QUIZ },
+      { id: `${COURSE}/assignment/1`, name: 'Assignment 1', type: TYPES.ASSIGNMENT }
+    ]
+  }]
+});
+
+const video = (n, completion, duration, timestamp) => statement({
+  verb: VERBS.EXPERIENCED,
+  activityId: `${COURSE}/video/${n}`,
+  type: TYPES.VIDEO,
+  timestamp,
+  result: { completion, duration }
+});
+
+const withDuration = (stmt, duration) => ({ ...stmt, result: { ...stmt.result, duration } });
+
+const statements = [
+  video(1, true, 'PT5M', '2025-03-01T10:00:00.000Z'),
+  video(2, false, 'PT2M', '2025-03-01T10:10:00.000Z'),
+  withDuration(quizScored(1, 0.5, '2025-03-02T10:00:00.000Z'), 'PT10M'),
+  withDuration(quizScored(1, 0.9, '2025-03-03T10:00:00.000Z'), 'PT8M'),
+  withDuration(quizScored(2, 0.4, '2025-03-04T10:00:00.000Z'), 'PT12M'),
+  // Submitted (with its duration) and then graded as failing
+  statement({
+    activityId: `${COURSE}/assignment/1`,
+    type: TYPES.ASSIGNMENT,
+    timestamp: '2025-03-05T10:00:00.000Z',
+    result: { completion: true, duration: 'PT1H' }
+  }),
+  statement({
+    verb: VERBS.SCORED,
+    activityId: `${COURSE}/assignment/1`,
+    type: TYPES.ASSIGNMENT,
+    timestamp: '2025-03-05T11:00:00.000Z',
+    result: { score: { scaled: 0.6 }, success: false, completion: true, duration: 'PT1H' }
+  })
+];
+
+describe('ModuleAnalyzer', () => {
+  const detail = ModuleAnalyzer.createModuleDetail(structure.modules[0], statements);
+  const byName = Object.fromEntries(
+    [...detail.lessons.flatMap(lesson => lesson.items), ...detail.items].map(item => [item.name, item])
+  );
+
+  it('gives every item a status', () => {
+    expect(Object.fromEntries(Object.entries(byName).map(([name, item]) => [name, item.status]))).toEqual({
+      'Video 1': 'completed',
+      'Video 2': 'in-progress',
+      'Video 3': 'not-started',
+      'Quiz 1': 'passed',
+      'Quiz 2': 'failed',
+      'Assignment 1': 'failed'
+    });
+  });
+
+  it('reports attempts and best scores from aggregateScores', () => {
+    expect(byName['Quiz 1']).toMatchObject({ attempts: 2, bestScore: 90, latestScore: 90 });
+    expect(byName['Quiz 2']).toMatchObject({ attempts: 1, bestScore: 40 });
+    expect(byName['Video 1']).toMatchObject({ attempts: 0, bestScore: null, kind: 'video' });
+  });
+
+  it('sums time spent without counting a graded attempt twice', () => {
+    expect(byName['Quiz 1'].timeSpent).toBe(18 * 60);
+    expect(byName['Assignment 1'].timeSpent).toBe(3600);
+    expect(byName['Video 2'].timeSpent).toBe(120);
+    expect(detail.timeSpent).toBe(5 * 60 + 2 * 60 + 18 * 60 + 12 * 60 + 3600);
+  });
+
+  it('tracks the last activity per item', () => {
+    expect(byName['Quiz 1'].lastActivity).toEqual(new Date('2025-03-03T10:00:00.000Z'));
+    expect(byName['Video 3'].lastActivity).toBeNull();
+  });
+
+  it('summarizes the module consistently with structure progress', () => {
+    const progress = CourseStructure.calculateProgress(structure, statements);
+
+    expect(detail).toMatchObject({ completed: 2, total: 6, percentage: 33 });
+    expect(progress.modules[0]).toMatchObject({ completed: 2, total: 6, percentage: 33 });
+  });
+});
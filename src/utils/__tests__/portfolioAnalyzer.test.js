@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PortfolioAnalyzer } from '../portfolioAnalyzer.js';
+import { classified, moduleCompleted, quizScored, videoWatched } from './fixtures/statements.js';
+
+/**
+ * Build a course as returned by CourseraXAPIService.getLearnerPortfolio
+ */
+const course = (courseId, name, statements) => {
+  const sets = classified(statements);
+  return { courseId, name, totalStatements: sets.timeline.length, classified: sets };
+};
+
+const portfolio = () => ({
+  learnerId: 'ada@example.com',
+  totalStatements: 6,
+  truncated: false,
+  courses: [
+    course('http://example.com/course/ml', 'Machine Learning', {
+      modules: [moduleCompleted(1, '2025-03-08T10:00:00.000Z'), moduleCompleted(2, '2025-03-09T10:00:00.000Z')],
+      quizzes: [quizScored(1, 0.9, '2025-03-09T11:00:00.000Z')],
+      videos: [videoWatched(1, 'PT10M', '2025-03-08T09:00:00.000Z')]
+    }),
+    course('http://example.com/course/stats', 'Statistics', {
+      modules: [moduleCompleted(1, '2025-02-01T10:00:00.000Z')],
+      quizzes: [quizScored(1, 0.6, '2025-02-01T11:00:00.000Z')]
+    })
+  ]
+});
+
+describe('PortfolioAnalyzer', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-03-10T12:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('computes metrics for each course', () => {
+    const { courses } = PortfolioAnalyzer.createPortfolioSummary(portfolio());
+
+    expect(courses.map(c => c.name)).toEqual(['Machine Learning', 'Statistics']);
+    expect(courses[0]).toMatchObject({
+      courseId: 'http://example.com/course/ml',
+      progress: 50,
+      modulesCompleted: 2,
+      averageScore: 90,
+      videoTime: 600,
+      totalStatements: 4
+    });
+    expect(courses[1]).toMatchObject({ progress: 50, averageScore: 60 });
+  });
+
+  it('summarizes the portfolio as a whole', () => {
+    const { summary } = PortfolioAnalyzer.createPortfolioSummary(portfolio());
+
+    expect(summary).toEqual({
+      courseCount: 2,
+      activeCourses: 1,
+      completedModules: 3,
+      averageProgress: 50,
+      averageScore: 75,
+      learnerId: 'ada@example.com',
+      totalStatements: 6,
+      truncated: false
+    });
+  });
+
+  it('ignores courses without scores when averaging scores', () => {
+    const data = portfolio();
+    data.courses.push(course('http://example.com/course/empty', 'Empty'));
+
+    const { summary } = PortfolioAnalyzer.createPortfolioSummary(data);
+
+    expect(summary.averageScore).toBe(75);
+    expect(summary.averageProgress).toBe(33);
+  });
+
+  it('counts streaks across all courses', () => {
+    const data = portfolio();
+    data.courses.push(course('http://example.com/course/python', 'Python', {
+      modules: [moduleCompleted(1, '2025-03-10T08:00:00.000Z')]
+    }));
+
+    const { engagement } = PortfolioAnalyzer.createPortfolioSummary(data);
+
+    expect(engagement.currentStreak).toBe(3);
+  });
+
+  it('merges recent activity from every course, newest first', () => {
+    const activity = PortfolioAnalyzer.getRecentActivity(portfolio().courses, 3);
+
+    expect(activity).toHaveLength(3);
+    expect(activity.map(a => a.courseName)).toEqual(['Machine Learning', 'Machine Learning', 'Machine Learning']);
+    expect(activity[0].timestamp).toEqual(new Date('2025-03-09T11:00:00.000Z'));
+  });
+
+  it('builds one stacked dataset per course', () => {
+    const { charts } = PortfolioAnalyzer.createPortfolioSummary(portfolio());
+
+    expect(charts.activity.labels).toHaveLength(30);
+    expect(charts.activity.datasets.map(d => d.label)).toEqual(['Machine Learning', 'Statistics']);
+    expect(charts.activity.datasets[0].data.reduce((a, b) => a + b, 0)).toBe(4);
+    // Statistics activity is older than the 30-day window
+    expect(charts.activity.datasets[1].data.reduce((a, b) => a + b, 0)).toBe(0);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { RoutePaths } from '../routePaths.js';
+
+describe('RoutePaths', () => {
+  it('encodes the learner and course into single path segments', () => {
+    expect(RoutePaths.learner('user@example.com', 'http://example.com/course/1', 'progress'))
+      .toBe('/learner/user%40example.com/course/http%3A%2F%2Fexample.com%2Fcourse%2F1/progress');
+  });
+
+  it('falls back to the overview tab for unknown tabs', () => {
+    expect(RoutePaths.getTab('performance')).toBe('performance');
+    expect(RoutePaths.getTab('settings')).toBe('overview');
+    expect(RoutePaths.getTab(undefined)).toBe('overview');
+    expect(RoutePaths.learner('a@b.c', 'course', 'settings')).toBe('/learner/a%40b.c/course/course/overview');
+  });
+
+  it('carries the date range in the query string', () => {
+    expect(RoutePaths.learner('a@b.c', 'course', 'overview', { from: '2025-01-01', to: '2025-01-31' }))
+      .toBe('/learner/a%40b.c/course/course/overview?from=2025-01-01&to=2025-01-31');
+    expect(RoutePaths.learner('a@b.c', 'course', 'overview', { from: null, to: '2025-01-31' }))
+      .toBe('/learner/a%40b.c/course/course/overview?to=2025-01-31');
+  });
+
+  it('reads only well-formed dates from the query string', () => {
+    expect(RoutePaths.getDateRange('?from=2025-01-01&to=2025-01-31'))
+      .toEqual({ from: '2025-01-01', to: '2025-01-31' });
+    expect(RoutePaths.getDateRange('?from=last-week&to=2025-13-45')).toEqual({ from: null, to: null });
+    expect(RoutePaths.getDateRange(new URLSearchParams({ to: '2025-02-01' })))
+      .toEqual({ from: null, to: '2025-02-01' });
+  });
+
+  it('builds portfolio and cohort paths', () => {
+    expect(RoutePaths.portfolio('user@example.com')).toBe('/learner/user%40example.com/portfolio');
+    expect(RoutePaths.cohort('http://example.com/course/1'))
+      .toBe('/course/http%3A%2F%2Fexample.com%2Fcourse%2F1/cohort');
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { TimeZone, TIMEZONE_EXTENSION } from '../timeZone.js';
+import { moduleCompleted } from './fixtures/statements.js';
+
+const withTimeZone = (stmt, timeZone) => ({
+  ...stmt,
+  context: { extensions: { [TIMEZONE_EXTENSION]: timeZone } }
+});
+
+describe('TimeZone', () => {
+  it('puts an evening instant on the local day', () => {
+    // 8pm in Los Angeles is already the next day in UTC
+    expect(TimeZone.getDay('2025-03-11T04:00:00.000Z', 'UTC')).toBe('2025-03-11');
+    expect(TimeZone.getDay('2025-03-11T04:00:00.000Z', 'America/Los_Angeles')).toBe('2025-03-10');
+    expect(TimeZone.getDay('2025-03-10T20:00:00.000Z', 'Asia/Tokyo')).toBe('2025-03-11');
+  });
+
+  it('finds local midnight on both sides of a DST change', () => {
+    // Clocks go forward on 2025-03-09 in Los Angeles: PST (-8) to PDT (-7)
+    expect(TimeZone.startOfDay('2025-03-09', 'America/Los_Angeles').toISOString()).toBe('2025-03-09T08:00:00.000Z');
+    expect(TimeZone.startOfDay('2025-03-10', 'America/Los_Angeles').toISOString()).toBe('2025-03-10T07:00:00.000Z');
+    expect(TimeZone.atLocalTime('2025-03-09', 12 * 60, 'America/Los_Angeles').toISOString()).toBe('2025-03-09T19:00:00.000Z');
+    expect(TimeZone.startOfDay('2025-03-09').toISOString()).toBe('2025-03-09T00:00:00.000Z');
+  });
+
+  it('reports offsets in minutes ahead of UTC', () => {
+    expect(TimeZone.getOffset(new Date('2025-01-15T12:00:00.000Z'), 'America/New_York')).toBe(-300);
+    expect(TimeZone.getOffset(new Date('2025-07-15T12:00:00.000Z'), 'America/New_York')).toBe(-240);
+    expect(TimeZone.getOffset(new Date('2025-01-15T12:00:00.000Z'), 'Asia/Kolkata')).toBe(330);
+  });
+
+  it('reads the newest valid time zone from statement extensions', () => {
+    const statements = [
+      moduleCompleted(3, '2025-03-12T10:00:00.000Z'),
+      withTimeZone(moduleCompleted(2, '2025-03-11T10:00:00.000Z'), 'Not/AZone'),
+      withTimeZone(moduleCompleted(1, '2025-03-10T10:00:00.000Z'), 'Europe/Berlin')
+    ];
+
+    expect(TimeZone.fromStatements(statements)).toBe('Europe/Berlin');
+    expect(TimeZone.fromStatements([moduleCompleted(1)])).toBeNull();
+  });
+
+  it('prefers an override, then the statements, then the fallback', () => {
+    const statements = [withTimeZone(moduleCompleted(1), 'Europe/Berlin')];
+
+    expect(TimeZone.resolve({ override: 'Asia/Tokyo', statements, fallback: 'UTC' }))
+      .toEqual({ timeZone: 'Asia/Tokyo', source: 'override' });
+    expect(TimeZone.resolve({ override: 'Bad/Zone', statements }))
+      .toEqual({ timeZone: 'Europe/Berlin', source: 'statements' });
+    expect(TimeZone.resolve({ fallback: 'America/Chicago' }))
+      .toEqual({ timeZone: 'America/Chicago', source: 'default' });
+    expect(TimeZone.resolve({ fallback: 'Bad/Zone' }))
+      .toEqual({ timeZone: 'UTC', source: 'default' });
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import { VideoAnalyzer, VIDEO_PROFILE } from '../videoAnalyzer.js';
+import { moduleCompleted, videoWatched } from './fixtures/statements.js';
+
+const { verbs: VERBS, extensions: EXT } = VIDEO_PROFILE;
+const VIDEO_ID = 'http://example.com/course/1/video/intro';
+
+/**
+ * An ADL Video Profile statement
+ * @param {string} verb - Verb ID
+ * @param {number} minute - Minutes after 10:00 on 2025-03-10
+ * @param {Object} result - Result extensions
+ * @param {Object} context - Context extensions, length 100s by default
+ */
+const videoEvent = (verb, minute, result = {}, context = {}) => ({
+  actor: { name: 'Test Learner', mbox: 'mailto:learner@example.com', objectType: 'Agent' },
+  verb: { id: verb, display: { 'en-US': verb.split('/').pop() } },
+  object: {
+    id: VIDEO_ID,
+    objectType: 'Activity',
+    definition: { name: { 'en-US': 'Intro Video' }, type: VIDEO_PROFILE.activityType }
+  },
+  result: { extensions: result },
+  context: { extensions: { [EXT.LENGTH]: 100, ...context } },
+  timestamp: new Date(Date.UTC(2025, 2, 10, 10, minute)).toISOString()
+});
+
+describe('VideoAnalyzer', () => {
+  it('parses and merges played segments', () => {
+    expect(VideoAnalyzer.parseSegments('0[.]12.5[,]30[.]45[,]bad[,]9[.]3')).toEqual([[0, 12.5], [30, 45]]);
+    expect(VideoAnalyzer.parseSegments('')).toEqual([]);
+    expect(VideoAnalyzer.mergeSegments([[30, 50], [0, 30], [20, 40], [60, 70]])).toEqual([[0, 50], [60, 70]]);
+  });
+
+  it('rebuilds coverage, re-watching and drop-off from play, pause and seek events', () => {
+    const statements = [
+      videoEvent(VERBS.INITIALIZED, 0),
+      videoEvent(VERBS.PLAYED, 1, { [EXT.TIME]: 0 }),
+      videoEvent(VERBS.PAUSED, 2, { [EXT.TIME]: 30 }),
+      videoEvent(VERBS.PLAYED, 3, { [EXT.TIME]: 30 }),
+      // Jumps back while playing, then carries on from 20
+      videoEvent(VERBS.SEEKED, 4, { [EXT.TIME_FROM]: 50, [EXT.TIME_TO]: 20 }),
+      videoEvent(VERBS.PAUSED, 5, { [EXT.TIME]: 40 })
+    ];
+
+    const [video] = VideoAnalyzer.analyzeVideos([...statements].reverse()).videos;
+
+    expect(video).toMatchObject({
+      name: 'Intro Video',
+      length: 100,
+      sessions: 1,
+      watchedSeconds: 50,
+      playedSeconds: 70,
+      coverage: 50,
+      rewatchRatio: 1.4,
+      progress: 50,
+      completed: false,
+      dropOff: 40
+    });
+    expect(video.retention).toEqual([1, 1, 2, 2, 1, 0, 0, 0, 0, 0]);
+  });
+
+  it('uses the latest cumulative played segments of each session', () => {
+    const statements = [
+      videoEvent(VERBS.PAUSED, 1, { [EXT.TIME]: 40, [EXT.PLAYED_SEGMENTS]: '0[.]40' }, { [EXT.SESSION_ID]: 'a' }),
+      videoEvent(VERBS.PAUSED, 2, { [EXT.TIME]: 60, [EXT.PLAYED_SEGMENTS]: '0[.]40[,]40[.]60' }, { [EXT.SESSION_ID]: 'a' }),
+      videoEvent(VERBS.INTERACTED, 3, { [EXT.SPEED]: '1.5x' }, { [EXT.SESSION_ID]: 'b' }),
+      videoEvent(VERBS.COMPLETED, 4, { [EXT.TIME]: 100, [EXT.PLAYED_SEGMENTS]: '50[.]100', [EXT.PROGRESS]: 1 }, { [EXT.SESSION_ID]: 'b' })
+    ];
+
+    const [video] = VideoAnalyzer.analyzeVideos(statements).videos;
+
+    expect(video).toMatchObject({
+      sessions: 2,
+      watchedSeconds: 100,
+      playedSeconds: 110,
+      coverage: 100,
+      rewatchRatio: 1.1,
+      completed: true,
+      dropOff: null,
+      averageSpeed: 1.5
+    });
+  });
+
+  it('splits viewings within one registration on initialized', () => {
+    const registration = '6f1c2d3e-4a5b-4c6d-8e7f-8091a2b3c4d5';
+    const statements = [
+      videoEvent(VERBS.INITIALIZED, 0),
+      videoEvent(VERBS.PAUSED, 1, { [EXT.TIME]: 40, [EXT.PLAYED_SEGMENTS]: '0[.]40' }),
+      videoEvent(VERBS.INITIALIZED, 10),
+      videoEvent(VERBS.PAUSED, 11, { [EXT.TIME]: 30, [EXT.PLAYED_SEGMENTS]: '0[.]30' })
+    ].map(stmt => ({ ...stmt, context: { ...stmt.context, registration } }));
+
+    const [video] = VideoAnalyzer.analyzeVideos(statements).videos;
+
+    expect(video).toMatchObject({ sessions: 2, watchedSeconds: 40, playedSeconds: 70, dropOff: 30 });
+  });
+
+  it('completes a video at its completion threshold', () => {
+    const statements = [
+      videoEvent(VERBS.PLAYED, 1, { [EXT.TIME]: 0 }, { [EXT.COMPLETION_THRESHOLD]: 0.9 }),
+      videoEvent(VERBS.TERMINATED, 2, { [EXT.TIME]: 95, [EXT.PROGRESS]: 0.95 }, { [EXT.COMPLETION_THRESHOLD]: 0.9 })
+    ];
+
+    const [video] = VideoAnalyzer.analyzeVideos(statements).videos;
+
+    expect(video.progress).toBe(95);
+    expect(video.completed).toBe(true);
+    expect(video.dropOff).toBeNull();
+  });
+
+  it('counts Coursera watch time as played, without coverage', () => {
+    const statements = [
+      videoWatched(1, 'PT1M30S', '2025-03-10T10:00:00.000Z'),
+      videoWatched(1, 'PT30S', '2025-03-11T10:00:00.000Z'),
+      moduleCompleted(1, '2025-03-11T11:00:00.000Z')
+    ];
+
+    const { videos, summary } = VideoAnalyzer.analyzeVideos(statements);
+
+    expect(videos).toHaveLength(1);
+    expect(videos[0]).toMatchObject({
+      sessions: 2,
+      watchedSeconds: 0,
+      playedSeconds: 120,
+      coverage: null,
+      rewatchRatio: null,
+      completed: true,
+      retention: null
+    });
+    expect(summary).toMatchObject({ videoCount: 1, completed: 1, averageCoverage: null, playedFormatted: '2m 0s' });
+  });
+
+  it('summarizes videos, most recently watched first', () => {
+    const statements = [
+      videoEvent(VERBS.PLAYED, 1, { [EXT.TIME]: 0 }),
+      videoEvent(VERBS.PAUSED, 2, { [EXT.TIME]: 50 }),
+      videoWatched(2, 'PT1M', '2025-03-11T10:00:00.000Z')
+    ];
+
+    const { videos, summary } = VideoAnalyzer.analyzeVideos(statements);
+
+    expect(videos.map(video => video.name)).toEqual(['Video 2', 'Intro Video']);
+    expect(summary).toMatchObject({
+      videoCount: 2,
+      averageCoverage: 50,
+      watchedSeconds: 50,
+      playedSeconds: 110,
+      // Only the video with positions shows re-watching
+      rewatchRatio: 1
+    });
+  });
+});
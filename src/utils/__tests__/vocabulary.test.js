@@ -0,0 +1,66 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { Vocabulary, DEFAULT_VOCABULARY, XAPI_VERBS, ACTIVITY_TYPES } from '../vocabulary.js';
+import { ConfigurationError } from '../../services/xapiErrors.js';
+
+const FINISHED = 'https://example.com/verbs/finished';
+const VIDEO_OBJECT = 'https://schema.org/VideoObject';
+
+describe('Vocabulary', () => {
+  afterEach(() => {
+    Vocabulary.reset();
+  });
+
+  it('maps the Coursera and ADL IRIs by default', () => {
+    expect(Vocabulary.getVerbCategory(XAPI_VERBS.COMPLETED)).toBe('completion');
+    expect(Vocabulary.isVerb(XAPI_VERBS.PASSED, 'completion', 'success')).toBe(true);
+    expect(Vocabulary.isVerb(XAPI_VERBS.ATTEMPTED, 'completion')).toBe(false);
+    expect(Vocabulary.getTypeCategory(ACTIVITY_TYPES.PEER_REVIEW)).toBe('peer-review');
+    expect(Vocabulary.getTypeCategory(undefined)).toBeNull();
+  });
+
+  it('adds IRIs to categories, moving them out of their default one', () => {
+    const definition = Vocabulary.load({
+      verbs: { completion: [FINISHED, ` ${FINISHED} `], view: [XAPI_VERBS.COMPLETED] },
+      activityTypes: { video: [VIDEO_OBJECT] }
+    });
+
+    expect(definition.verbs.completion).toEqual([FINISHED]);
+    expect(Vocabulary.isVerb(FINISHED, 'completion')).toBe(true);
+    expect(Vocabulary.getVerbCategory(XAPI_VERBS.COMPLETED)).toBe('view');
+    expect(Vocabulary.isType(VIDEO_OBJECT, 'video')).toBe(true);
+    expect(Vocabulary.isType(ACTIVITY_TYPES.VIDEO, 'video')).toBe(true);
+    expect(Vocabulary.getDefinition()).toBe(definition);
+  });
+
+  it('starts each load from the defaults and can be reset', () => {
+    Vocabulary.load({ verbs: { completion: [FINISHED] } });
+    Vocabulary.load({ activityTypes: { video: [VIDEO_OBJECT] } });
+
+    expect(Vocabulary.getVerbCategory(FINISHED)).toBeNull();
+
+    Vocabulary.reset();
+    expect(Vocabulary.getTypeCategory(VIDEO_OBJECT)).toBeNull();
+    expect(Vocabulary.getDefinition()).toBe(DEFAULT_VOCABULARY);
+  });
+
+  it('rejects vocabularies it cannot use', () => {
+    expect(() => Vocabulary.load(null)).toThrow(ConfigurationError);
+    expect(() => Vocabulary.load([])).toThrow(ConfigurationError);
+    expect(() => Vocabulary.load({ verbs: { finished: [FINISHED] } })).toThrow(/Unknown verbs category "finished"/);
+    expect(() => Vocabulary.load({ activityTypes: { video: VIDEO_OBJECT } })).toThrow(/activityTypes\.video/);
+    expect(() => Vocabulary.load({ verbs: { completion: [''] } })).toThrow(ConfigurationError);
+
+    // A rejected vocabulary leaves the one in use alone
+    expect(Vocabulary.getDefinition()).toBe(DEFAULT_VOCABULARY);
+  });
+
+  it('names activity kinds by category, then by IRI', () => {
+    Vocabulary.load({ activityTypes: { assessment: ['https://example.com/types/exam'] } });
+
+    expect(Vocabulary.getKind(ACTIVITY_TYPES.QUIZ)).toBe('quiz');
+    expect(Vocabulary.getKind('https://example.com/types/exam')).toBe('assessment');
+    expect(Vocabulary.getKind('http://adlnet.gov/expapi/activities/media')).toBe('media');
+    expect(Vocabulary.getKind(undefined)).toBe('activity');
+    expect(Vocabulary.getKind(null, 'assessment')).toBe('assessment');
+  });
+});
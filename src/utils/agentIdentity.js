@@ -0,0 +1,244 @@
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+const SHA1_PATTERN = /^[0-9a-f]{40}$/i;
+const OPENID_PATTERN = /^https?:\/\//i;
+
+// Separates the identifiers of one person recorded under several agents;
+// account names and OpenID URLs can contain one, so it's escaped as `\,`
+const LIST_SEPARATOR = ',';
+const ESCAPE = '\\';
+
+/**
+ * Agent Identity Utilities
+ * An xAPI Agent is identified by exactly one inverse functional identifier
+ * (IFI): `mbox`, `mbox_sha1sum`, `openid` or `account`. Learners are looked
+ * up by a learner ID, a string of one or more identifiers separated by
+ * commas, so it fits in a URL and a text field:
+ *   ada@example.com                   mbox (mailto: is optional)
+ *   https://sso.example.com::ada      account, as homePage::name
+ *   sha1:<40 hex digits>              mbox_sha1sum
+ *   https://openid.example.com/ada    openid
+ * Several identifiers are the same person recorded under different agents,
+ * e.g. `ada@example.com,https://sso.example.com::ada`, and their statements
+ * are merged. A comma inside an identifier is written `\,` (and a
+ * backslash `\\`).
+ */
+export class AgentIdentity {
+
+  /**
+   * Parse a single identifier
+   * @param {string} identifier - Identifier in one of the forms above
+   * @returns {Object|null} - xAPI Agent with one IFI, or null if unrecognized
+   */
+  static parse(identifier) {
+    const value = typeof identifier === 'string' ? identifier.trim() : '';
+    if (!value) return null;
+
+    if (/^mailto:/i.test(value)) {
+      const email = value.slice('mailto:'.length);
+      return EMAIL_PATTERN.test(email) ? { objectType: 'Agent', mbox: `mailto:${email}` } : null;
+    }
+
+    if (/^sha1:/i.test(value)) {
+      const hash = value.slice('sha1:'.length);
+      return SHA1_PATTERN.test(hash) ? { objectType: 'Agent', mbox_sha1sum: hash.toLowerCase() } : null;
+    }
+
+    // Checked before openid: account home pages are URLs too
+    const separator = value.indexOf('::');
+    if (separator !== -1) {
+      return this.fromAccount(value.slice(0, separator), value.slice(separator + 2));
+    }
+
+    if (OPENID_PATTERN.test(value)) return { objectType: 'Agent', openid: value };
+    if (EMAIL_PATTERN.test(value)) return { objectType: 'Agent', mbox: `mailto:${value}` };
+    return null;
+  }
+
+  /**
+   * Build an account agent
+   * @param {string} homePage - URL of the system the account is on
+   * @param {string} name - Account name or ID on that system
+   * @returns {Object|null} - xAPI Agent, or null if either part is missing
+   */
+  static fromAccount(homePage, name) {
+    const home = homePage?.trim();
+    const account = name?.trim();
+    if (!home || !account) return null;
+    return { objectType: 'Agent', account: { homePage: home, name: account } };
+  }
+
+  /**
+   * Normalize an agent to its identifier, dropping name and other properties
+   * @param {Object} agent - xAPI Agent (or anything with an IFI)
+   * @returns {Object|null} - xAPI Agent with one IFI, or null if it has none
+   */
+  static fromAgent(agent) {
+    if (!agent) return null;
+    if (agent.mbox) return { objectType: 'Agent', mbox: agent.mbox };
+    if (agent.mbox_sha1sum) return { objectType: 'Agent', mbox_sha1sum: agent.mbox_sha1sum };
+    if (agent.openid) return { objectType: 'Agent', openid: agent.openid };
+    if (agent.account) return this.fromAccount(agent.account.homePage, agent.account.name);
+    return null;
+  }
+
+  /**
+   * The agents a learner is recorded under
+   * @param {string|Object|Array} learner - Learner ID, agent, or an array of either
+   * @returns {Array} - Agents with one IFI each, without duplicates;
+   *   unrecognized identifiers are skipped
+   */
+  static toAgents(learner) {
+    const entries = Array.isArray(learner)
+      ? learner
+      : typeof learner === 'string' ? this.split(learner) : [learner];
+    const agents = new Map();
+
+    entries.forEach(entry => {
+      const agent = typeof entry === 'string' ? this.parse(entry) : this.fromAgent(entry);
+      if (agent && !agents.has(this.getKey(agent))) {
+        agents.set(this.getKey(agent), agent);
+      }
+    });
+
+    return [...agents.values()];
+  }
+
+  /**
+   * The identifiers in a learner ID that aren't recognized
+   * @param {string} learnerId - Learner ID
+   * @returns {Array} - Unrecognized identifiers, as typed
+   */
+  static getInvalid(learnerId) {
+    return this.split(learnerId).filter(identifier => !this.parse(identifier));
+  }
+
+  /**
+   * Split a learner ID into its identifiers
+   * @param {string} learnerId - Learner ID
+   * @returns {Array} - Trimmed, non-empty identifiers
+   */
+  static split(learnerId) {
+    const parts = [''];
+    const value = learnerId || '';
+
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === ESCAPE && i + 1 < value.length) {
+        parts[parts.length - 1] += value[++i];
+      } else if (value[i] === LIST_SEPARATOR) {
+        parts.push('');
+      } else {
+        parts[parts.length - 1] += value[i];
+      }
+    }
+
+    return parts.map(part => part.trim()).filter(Boolean);
+  }
+
+  /**
+   * Escape an identifier for a learner ID, so split() reads it back whole
+   * @param {string} identifier - Identifier
+   * @returns {string} - Identifier with separators and backslashes escaped
+   */
+  static escape(identifier) {
+    return identifier.replace(/[\\,]/g, char => ESCAPE + char);
+  }
+
+  /**
+   * Build the learner ID for a set of agents
+   * @param {Array|Object} agents - Agents, or a single agent
+   * @returns {string} - Learner ID ('' if none have an IFI)
+   */
+  static format(agents) {
+    return this.toAgents([].concat(agents || []))
+      .map(agent => this.escape(this.toIdentifier(agent)))
+      .join(LIST_SEPARATOR);
+  }
+
+  /**
+   * The canonical learner ID for any learner form, e.g. for cache keys
+   * @param {string|Object|Array} learner - Learner ID, agent, or an array of either
+   * @returns {string} - Learner ID
+   */
+  static normalize(learner) {
+    return this.format(this.toAgents(learner));
+  }
+
+  /**
+   * The identifier of a single agent, as written in a learner ID
+   * @param {Object} agent - xAPI Agent
+   * @returns {string|null} - Bare email for mbox agents, otherwise the agent key
+   */
+  static toIdentifier(agent) {
+    return this.getEmail(agent) || this.getKey(agent);
+  }
+
+  /**
+   * Build a stable key identifying an agent by its inverse functional identifier
+   * @param {Object} agent - xAPI Agent
+   * @returns {string|null} - Key, or null if the agent has no identifier
+   */
+  static getKey(agent) {
+    if (!agent) return null;
+    if (agent.mbox) return agent.mbox;
+    if (agent.mbox_sha1sum) return `sha1:${agent.mbox_sha1sum}`;
+    if (agent.openid) return agent.openid;
+    if (agent.account) return `${agent.account.homePage}::${agent.account.name}`;
+    return null;
+  }
+
+  /**
+   * The email address of an mbox agent
+   * @param {Object} agent - xAPI Agent
+   * @returns {string|null} - Email, or null for other identifiers
+   */
+  static getEmail(agent) {
+    return agent?.mbox ? agent.mbox.replace(/^mailto:/i, '') : null;
+  }
+
+  /**
+   * Short human-readable label for an agent
+   * @param {Object} agent - xAPI Agent
+   * @returns {string} - Name, email, account name or identifier
+   */
+  static describe(agent) {
+    if (!agent) return 'Unknown learner';
+    if (agent.name) return agent.name;
+    if (agent.account) return agent.account.name;
+    if (agent.mbox_sha1sum) return `sha1:${agent.mbox_sha1sum.slice(0, 8)}…`;
+    return this.getEmail(agent) || agent.openid || 'Unknown learner';
+  }
+
+  /**
+   * Short human-readable label for a learner ID
+   * @param {string} learnerId - Learner ID
+   * @returns {string} - Label of its first identifier, plus how many others
+   */
+  static describeLearner(learnerId) {
+    const [first, ...others] = this.toAgents(learnerId);
+    if (!first) return learnerId || 'Unknown learner';
+    return others.length > 0 ? `${this.describe(first)} (+${others.length})` : this.describe(first);
+  }
+
+  /**
+   * Merge statement lists fetched for one person's different agents
+   * A statement can match more than one agent (e.g. as actor under one and
+   * as context instructor under another), so duplicates are dropped by id.
+   * @param {Array} lists - Arrays of xAPI statements
+   * @returns {Array} - Statements, most recently stored first like an LRS
+   */
+  static mergeStatements(lists) {
+    const seen = new Set();
+    const merged = [];
+
+    lists.flat().forEach(stmt => {
+      if (stmt.id) {
+        if (seen.has(stmt.id)) return;
+        seen.add(stmt.id);
+      }
+      merged.push(stmt);
+    });
+
+    const storedAt = stmt => new Date(stmt.stored || stmt.timestamp).getTime();
+    return merged.sort((a, b) => storedAt(b) - storedAt(a));
+  }
+}
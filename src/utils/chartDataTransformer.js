@@ -1,3 +1,6 @@
+import { DateRange } from './dateRange.js';
+import { TimeZone } from './timeZone.js';
+
 /**
  * Chart Data Transformer
  * Converts processed data into chart-specific formats
@@ -35,15 +38,14 @@ export class ChartDataTransformer {
   /**
    * Transform score data for line chart
    * @param {Object} scoreData - Score analytics
+   * @param {string} timeZone - Time zone to label days in (default: 'UTC')
    * @returns {Object} - Chart.js compatible data
    */
-  static transformScoreChart(scoreData) {
+  static transformScoreChart(scoreData, timeZone = 'UTC') {
     const sortedScores = scoreData.scores.sort((a, b) => a.timestamp - b.timestamp);
     
     return {
-      labels: sortedScores.map(score => 
-        score.timestamp.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
-      ),
+      labels: sortedScores.map(score => this.formatDay(TimeZone.getDay(score.timestamp, timeZone))),
       datasets: [{
         label: 'Quiz Scores',
         data: sortedScores.map(score => score.score),
@@ -76,16 +78,20 @@ export class ChartDataTransformer {
 
   /**
    * Transform timeline data for activity chart
+   * With a date range that has a start, every day of the range gets a bar,
+   * including inactive ones; otherwise the last 30 active days are shown.
    * @param {Array} timelineData - Timeline activities
+   * @param {Object} dateRange - { from, to }, or null
+   * @param {string} timeZone - Time zone of the timeline's days (default: 'UTC')
    * @returns {Object} - Chart.js compatible data
    */
-  static transformTimelineChart(timelineData) {
-    const last30Days = timelineData.slice(-30);
+  static transformTimelineChart(timelineData, dateRange = null, timeZone = 'UTC') {
+    const last30Days = dateRange?.from
+      ? this.fillRangeDays(timelineData, dateRange, timeZone)
+      : timelineData.slice(-30);
     
     return {
-      labels: last30Days.map(day => 
-        new Date(day.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
-      ),
+      labels: last30Days.map(day => this.formatDay(day.date)),
       datasets: [
         {
           label: 'Total Activities',
@@ -105,36 +111,167 @@ export class ChartDataTransformer {
     };
   }
 
+  /**
+   * One timeline entry per day of a range, zero-filled where there was no activity
+   * @param {Array} timelineData - Timeline activities
+   * @param {Object} dateRange - { from, to }; an open end runs to today
+   * @param {string} timeZone - Time zone that decides which day today is (default: 'UTC')
+   * @returns {Array} - Timeline entries, oldest first
+   */
+  static fillRangeDays(timelineData, dateRange, timeZone = 'UTC') {
+    const byDate = new Map(timelineData.map(day => [day.date, day]));
+    const to = dateRange.to || TimeZone.getDay(new Date(), timeZone);
+
+    return DateRange.getDays({ from: dateRange.from, to }).map(date =>
+      byDate.get(date) || { date, totalActivities: 0, completions: 0 }
+    );
+  }
+
+  /**
+   * Short label for a calendar day
+   * Days are already in the learner's time zone, so they're formatted as UTC
+   * to keep the viewer's own time zone from shifting them.
+   * @param {string} date - YYYY-MM-DD
+   * @returns {string} - e.g. "Mar 5"
+   */
+  static formatDay(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+      month: 'short', day: 'numeric', timeZone: 'UTC'
+    });
+  }
+
   /**
    * Transform score distribution for bar chart
-   * @param {Object} distribution - Score distribution data
+   * @param {Object} distribution - Score distribution data (best band first)
+   * @param {string} label - Dataset label
    * @returns {Object} - Chart.js compatible data
    */
-  static transformDistributionChart(distribution) {
+  static transformDistributionChart(distribution, label = 'Number of Scores') {
+    const colors = this.getBandColors(Object.keys(distribution).length);
+
     return {
       labels: Object.keys(distribution),
       datasets: [{
-        label: 'Number of Scores',
+        label,
         data: Object.values(distribution),
-        backgroundColor: [
-          'rgba(34, 197, 94, 0.8)',   // A - Green
-          'rgba(59, 130, 246, 0.8)',  // B - Blue
-          'rgba(251, 191, 36, 0.8)',  // C - Yellow
-          'rgba(249, 115, 22, 0.8)',  // D - Orange
-          'rgba(239, 68, 68, 0.8)'    // F - Red
-        ],
-        borderColor: [
-          'rgba(34, 197, 94, 1)',
-          'rgba(59, 130, 246, 1)',
-          'rgba(251, 191, 36, 1)',
-          'rgba(249, 115, 22, 1)',
-          'rgba(239, 68, 68, 1)'
-        ],
+        backgroundColor: colors.map(color => `rgba(${color}, 0.8)`),
+        borderColor: colors.map(color => `rgba(${color}, 1)`),
         borderWidth: 2
       }]
     };
   }
 
+  /**
+   * Transform per-type score distributions for a grouped bar chart
+   * @param {Object} distributions - Type -> distribution, all with the same bands
+   * @returns {Object} - Chart.js compatible data, one dataset per type
+   */
+  static transformSplitDistributionChart(distributions) {
+    const typeColors = {
+      quiz: '59, 130, 246',           // Blue
+      assignment: '236, 72, 153',     // Pink
+      'peer-review': '34, 197, 94'    // Green
+    };
+    const typeLabels = {
+      quiz: 'Quizzes',
+      assignment: 'Assignments',
+      'peer-review': 'Peer Reviews'
+    };
+    const [first = {}] = Object.values(distributions);
+
+    return {
+      labels: Object.keys(first),
+      datasets: Object.entries(distributions).map(([type, distribution]) => {
+        const color = typeColors[type] || '168, 85, 247';
+        return {
+          label: typeLabels[type] || type,
+          data: Object.values(distribution),
+          backgroundColor: `rgba(${color}, 0.7)`,
+          borderColor: `rgba(${color}, 1)`,
+          borderWidth: 2
+        };
+      })
+    };
+  }
+
+  /**
+   * Transform a period comparison into side-by-side bars, previous period first
+   * Only the count metrics are plotted; scores and video time use other scales.
+   * @param {Object} comparison - DataAggregator.createPeriodComparison result
+   * @returns {Object} - Chart.js compatible data
+   */
+  static transformPeriodComparisonChart(comparison) {
+    const metrics = {
+      totalActivities: 'Activities',
+      completions: 'Completions',
+      assessments: 'Assessments',
+      uniqueDays: 'Active Days'
+    };
+    const periodName = comparison.period === 'range' ? 'period' : comparison.period;
+    const dataset = (label, values, color) => ({
+      label,
+      data: Object.keys(metrics).map(key => values[key]),
+      backgroundColor: `rgba(${color}, 0.7)`,
+      borderColor: `rgba(${color}, 1)`,
+      borderWidth: 2
+    });
+
+    return {
+      labels: Object.values(metrics),
+      datasets: [
+        dataset(`Previous ${periodName}`, comparison.previous, '148, 163, 184'), // Slate
+        dataset(`This ${periodName}`, comparison.current, '168, 85, 247')         // Purple
+      ]
+    };
+  }
+
+  /**
+   * Transform video analytics for a per-video bar chart
+   * Only videos with a known length are charted; played time above 100%
+   * means parts were re-watched.
+   * @param {Array} videos - VideoAnalyzer video results
+   * @returns {Object} - Chart.js compatible data, as % of each video's length
+   */
+  static transformVideoChart(videos) {
+    const charted = videos.filter(video => video.coverage !== null);
+    const dataset = (label, data, color) => ({
+      label,
+      data,
+      backgroundColor: `rgba(${color}, 0.7)`,
+      borderColor: `rgba(${color}, 1)`,
+      borderWidth: 2
+    });
+
+    return {
+      labels: charted.map(video => video.name),
+      datasets: [
+        dataset('Watched %', charted.map(video => video.coverage), '236, 72, 153'), // Pink
+        dataset('Played %', charted.map(video => Math.round((video.playedSeconds / video.length) * 100)), '148, 163, 184') // Slate
+      ]
+    };
+  }
+
+  /**
+   * Colours for grade bands, best (green) to worst (red)
+   * @param {number} count - Number of bands
+   * @returns {Array} - RGB triplets
+   */
+  static getBandColors(count) {
+    const palette = [
+      '34, 197, 94',   // A - Green
+      '59, 130, 246',  // B - Blue
+      '251, 191, 36',  // C - Yellow
+      '249, 115, 22',  // D - Orange
+      '239, 68, 68'    // F - Red
+    ];
+    if (count <= 1) return palette.slice(0, count);
+
+    // Spread the bands across the palette so the best is green and the worst red
+    return Array.from({ length: count }, (_, i) =>
+      palette[Math.round((i * (palette.length - 1)) / (count - 1))]
+    );
+  }
+
   /**
    * Transform engagement data for radar chart
    * @param {Object} engagementData - Engagement metrics
@@ -173,29 +310,64 @@ export class ChartDataTransformer {
     };
   }
 
+  /**
+   * Transform per-course daily activity for a stacked bar chart
+   * @param {Array} courses - [{ name, statements }]
+   * @param {number} days - Number of days to show, ending today
+   * @param {string} timeZone - Time zone whose calendar days to group by (default: 'UTC')
+   * @returns {Object} - Chart.js compatible data
+   */
+  static transformCourseActivityChart(courses, days = 30, timeZone = 'UTC') {
+    const palette = [
+      '168, 85, 247',  // Purple
+      '59, 130, 246',  // Blue
+      '236, 72, 153',  // Pink
+      '34, 197, 94',   // Green
+      '251, 191, 36',  // Yellow
+      '249, 115, 22'   // Orange
+    ];
+
+    const dates = DateRange.getDays(DateRange.lastDays(days, new Date(), timeZone));
+
+    return {
+      labels: dates.map(date => this.formatDay(date)),
+      datasets: courses.map((course, index) => {
+        const counts = {};
+        course.statements.forEach(stmt => {
+          const date = TimeZone.getDay(stmt.timestamp, timeZone);
+          counts[date] = (counts[date] || 0) + 1;
+        });
+        const color = palette[index % palette.length];
+
+        return {
+          label: course.name,
+          data: dates.map(date => counts[date] || 0),
+          backgroundColor: `rgba(${color}, 0.7)`,
+          borderColor: `rgba(${color}, 1)`,
+          borderWidth: 1
+        };
+      })
+    };
+  }
+
   /**
    * Transform data for heatmap visualization
+   * Covers the date range, or the year up to its end (default: today) when
+   * the range has no start.
    * @param {Array} timelineData - Timeline data
+   * @param {Object} dateRange - { from, to }, or null
+   * @param {string} timeZone - Time zone that decides which day today is (default: 'UTC')
    * @returns {Array} - Heatmap data points
    */
-  static transformHeatmapData(timelineData) {
-    const heatmapData = [];
-    const today = new Date();
-    const oneYearAgo = new Date(today.getFullYear() - 1, today.getMonth(), today.getDate());
-    
-    // Create data points for each day in the past year
-    for (let d = new Date(oneYearAgo); d <= today; d.setDate(d.getDate() + 1)) {
-      const dateString = d.toISOString().split('T')[0];
-      const dayData = timelineData.find(day => day.date === dateString);
-      
-      heatmapData.push({
-        date: dateString,
-        count: dayData ? dayData.totalActivities : 0,
-        level: this.getHeatmapLevel(dayData ? dayData.totalActivities : 0)
-      });
-    }
-    
-    return heatmapData;
+  static transformHeatmapData(timelineData, dateRange = null, timeZone = 'UTC') {
+    const to = dateRange?.to || TimeZone.getDay(new Date(), timeZone);
+    const from = dateRange?.from || DateRange.addDays(to, -365);
+    const byDate = new Map(timelineData.map(day => [day.date, day]));
+
+    return DateRange.getDays({ from, to }).map(date => {
+      const count = byDate.get(date)?.totalActivities || 0;
+      return { date, count, level: this.getHeatmapLevel(count) };
+    });
   }
 
   /**
@@ -220,12 +392,13 @@ export class ChartDataTransformer {
     const calendarData = {};
     
     timelineData.forEach(day => {
-      const date = new Date(day.date);
-      const monthKey = ${date.getFullYear()}-;
+      const monthKey = day.date.slice(0, 7);
       
       if (!calendarData[monthKey]) {
         calendarData[monthKey] = {
-          month: date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+          month: new Date(`${day.date}T00:00:00Z`).toLocaleDateString('en-US', {
+            month: 'long', year: 'numeric', timeZone: 'UTC'
+          }),
           days: {}
         };
       }
@@ -0,0 +1,327 @@
+import { Duration } from './duration.js';
+import { CourseStructure } from './courseStructure.js';
+
+/**
+ * cmi5 profile identifiers
+ * https://github.com/AICC/CMI-5_Spec_Current
+ */
+export const CMI5_PROFILE = {
+  categories: {
+    CMI5: 'https://w3id.org/xapi/cmi5/context/categories/cmi5',
+    MOVE_ON: 'https://w3id.org/xapi/cmi5/context/categories/moveon'
+  },
+  verbs: {
+    LAUNCHED: 'http://adlnet.gov/expapi/verbs/launched',
+    INITIALIZED: 'http://adlnet.gov/expapi/verbs/initialized',
+    COMPLETED: 'http://adlnet.gov/expapi/verbs/completed',
+    PASSED: 'http://adlnet.gov/expapi/verbs/passed',
+    FAILED: 'http://adlnet.gov/expapi/verbs/failed',
+    ABANDONED: 'https://w3id.org/xapi/adl/verbs/abandoned',
+    WAIVED: 'https://w3id.org/xapi/adl/verbs/waived',
+    TERMINATED: 'http://adlnet.gov/expapi/verbs/terminated',
+    SATISFIED: 'https://w3id.org/xapi/adl/verbs/satisfied'
+  },
+  activityTypes: {
+    COURSE: 'https://w3id.org/xapi/cmi5/activitytype/course',
+    BLOCK: 'https://w3id.org/xapi/cmi5/activitytype/block'
+  },
+  extensions: {
+    SESSION_ID: 'https://w3id.org/xapi/cmi5/context/extensions/sessionid',
+    LAUNCH_MODE: 'https://w3id.org/xapi/cmi5/context/extensions/launchmode',
+    MASTERY_SCORE: 'https://w3id.org/xapi/cmi5/context/extensions/masteryscore'
+  }
+};
+
+// What an AU needs for the LMS to consider it satisfied, by the course
+// structure's `moveOn`
+const MOVE_ON_CRITERIA = {
+  Completed: au => au.completed,
+  Passed: au => au.passed,
+  CompletedAndPassed: au => au.completed && au.passed,
+  CompletedOrPassed: au => au.completed || au.passed,
+  NotApplicable: () => true
+};
+
+// The spec's default is NotApplicable, but without the course structure
+// that would count every AU as satisfied
+const DEFAULT_MOVE_ON = 'CompletedOrPassed';
+
+const { verbs: VERBS, activityTypes: TYPES, extensions: EXT } = CMI5_PROFILE;
+
+/**
+ * cmi5 Analytics
+ * Courses launched through a cmi5 LMS report each launch of an assignable
+ * unit (AU) as a session: `launched` by the LMS, `initialized` to
+ * `terminated` by the AU, or `abandoned` by the LMS when the AU never
+ * terminated. Every statement of a session carries its session ID, and
+ * `context.registration` ties a learner's sessions of one course together.
+ * An AU is satisfied once its moveOn criteria are met, or when it is waived;
+ * a block or course is satisfied when the LMS says so or all its AUs are.
+ */
+export class Cmi5Analyzer {
+
+  /**
+   * Whether a statement belongs to a cmi5 session
+   * @param {Object} stmt - xAPI statement
+   * @returns {boolean} - True for statements with a cmi5 category or session ID
+   */
+  static isCmi5Statement(stmt) {
+    const categories = stmt.context?.contextActivities?.category || [];
+    return categories.some(category =>
+      category.id === CMI5_PROFILE.categories.CMI5 || category.id === CMI5_PROFILE.categories.MOVE_ON
+    ) || Boolean(stmt.context?.extensions?.[EXT.SESSION_ID]);
+  }
+
+  /**
+   * Whether a statement is about a block or the course rather than an AU
+   * @param {Object} stmt - xAPI statement
+   * @returns {boolean} - True for block and course objects
+   */
+  static isContainer(stmt) {
+    const type = stmt.object.definition?.type;
+    return type === TYPES.BLOCK || type === TYPES.COURSE;
+  }
+
+  /**
+   * Analyze a learner's cmi5 activity in a course
+   * @param {Array} statements - The learner's statements for the course, in any order
+   * @param {Object} structure - Course structure, optional; its modules are
+   *   the blocks, its items the AUs, and items may carry a `moveOn`
+   * @returns {Object|null} - { registrations, aus, blocks, courseSatisfied,
+   *   sessions, summary }, or null if no statement is from cmi5
+   */
+  static analyze(statements, structure = null) {
+    const cmi5Statements = statements
+      .filter(stmt => this.isCmi5Statement(stmt))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    if (cmi5Statements.length === 0) return null;
+
+    const sessions = this.getSessions(cmi5Statements);
+    const aus = this.getAUStatus(cmi5Statements, sessions, structure);
+    const satisfiedIds = this.getLmsSatisfiedIds(cmi5Statements);
+    const blocks = this.getBlockStatus(cmi5Statements, aus, satisfiedIds, structure);
+    const courseSatisfied = cmi5Statements.some(stmt =>
+      stmt.verb.id === VERBS.SATISFIED && stmt.object.definition?.type === TYPES.COURSE
+    ) || (structure !== null && blocks.length > 0 && blocks.every(block => block.satisfied));
+
+    const totalTime = sessions.reduce((sum, session) => sum + session.duration, 0);
+
+    return {
+      registrations: [...new Set(cmi5Statements.map(stmt => stmt.context?.registration).filter(Boolean))],
+      aus,
+      blocks,
+      courseSatisfied,
+      sessions: [...sessions].reverse(),
+      summary: {
+        auCount: aus.length,
+        ausSatisfied: aus.filter(au => au.satisfied).length,
+        blockCount: blocks.length,
+        blocksSatisfied: blocks.filter(block => block.satisfied).length,
+        sessionCount: sessions.length,
+        abandonedSessions: sessions.filter(session => session.status === 'abandoned').length,
+        openSessions: sessions.filter(session => session.status === 'open').length,
+        totalTime,
+        totalTimeFormatted: Duration.format(totalTime),
+        averageSessionFormatted: Duration.format(sessions.length > 0 ? totalTime / sessions.length : 0)
+      }
+    };
+  }
+
+  /**
+   * Rebuild launch sessions from their statements
+   * A session's time runs from `initialized` to `terminated`. Abandoned
+   * sessions use the duration the LMS reported, or run to their last
+   * statement; sessions that are neither terminated nor abandoned are
+   * still open (or the LMS hasn't noticed they ended).
+   * @param {Array} statements - cmi5 statements, oldest first
+   * @returns {Array} - [{ id, registration, auId, name, launchMode, launchedAt,
+   *   initializedAt, startedAt, endedAt, status: 'terminated' | 'abandoned' |
+   *   'open', duration, statements }], oldest first; duration is in seconds
+   */
+  static getSessions(statements) {
+    const bySession = new Map();
+
+    statements.forEach(stmt => {
+      const id = stmt.context?.extensions?.[EXT.SESSION_ID];
+      if (!id) return;
+      if (!bySession.has(id)) bySession.set(id, []);
+      bySession.get(id).push(stmt);
+    });
+
+    const sessions = [];
+
+    bySession.forEach((sessionStatements, id) => {
+      const find = verb => sessionStatements.find(stmt => stmt.verb.id === verb);
+      const launched = find(VERBS.LAUNCHED);
+      const initialized = find(VERBS.INITIALIZED);
+      const terminated = find(VERBS.TERMINATED);
+      const abandoned = find(VERBS.ABANDONED);
+      // The LMS records waivers and block satisfaction outside any launch
+      if (!launched && !initialized && !terminated && !abandoned) return;
+
+      const au = sessionStatements.find(stmt => !this.isContainer(stmt)) || sessionStatements[0];
+      const last = sessionStatements[sessionStatements.length - 1];
+
+      const startedAt = initialized?.timestamp || launched?.timestamp || sessionStatements[0].timestamp;
+      const elapsed = until => Math.max(0, (new Date(until) - new Date(startedAt)) / 1000);
+
+      let status = 'open';
+      let duration = elapsed(last.timestamp);
+      if (terminated) {
+        status = 'terminated';
+        duration = initialized ? elapsed(terminated.timestamp) : Duration.parse(terminated.result?.duration);
+      } else if (abandoned) {
+        status = 'abandoned';
+        duration = abandoned.result?.duration ? Duration.parse(abandoned.result.duration) : elapsed(abandoned.timestamp);
+      }
+
+      sessions.push({
+        id,
+        registration: au.context?.registration || null,
+        auId: au.object.id,
+        name: au.object.definition?.name?.['en-US'] || au.object.id,
+        launchMode: launched?.context?.extensions?.[EXT.LAUNCH_MODE] || null,
+        launchedAt: launched?.timestamp || null,
+        initializedAt: initialized?.timestamp || null,
+        startedAt,
+        endedAt: (terminated || abandoned)?.timestamp || null,
+        status,
+        duration: Math.round(duration),
+        statements: sessionStatements.length
+      });
+    });
+
+    return sessions;
+  }
+
+  /**
+   * Status of every AU the learner launched, or the structure lists
+   * @param {Array} statements - cmi5 statements, oldest first
+   * @param {Array} sessions - getSessions results
+   * @param {Object} structure - Course structure, optional
+   * @returns {Array} - [{ id, name, moveOn, attempted, sessions, completed,
+   *   passed, failed, waived, satisfied, score }]; failed means failed
+   *   without passing since, score is the latest as a percentage
+   */
+  static getAUStatus(statements, sessions, structure = null) {
+    const aus = new Map();
+    const add = (id, name, moveOn = null) => {
+      if (!aus.has(id)) {
+        aus.set(id, {
+          id, name, moveOn, attempted: false, sessions: 0, completed: false,
+          passed: false, failed: false, waived: false, satisfied: false, score: null
+        });
+      }
+      return aus.get(id);
+    };
+
+    structure?.modules.forEach(module => {
+      CourseStructure.getModuleItems(module).forEach(item => add(item.id, item.name, item.moveOn || null));
+    });
+
+    statements.filter(stmt => !this.isContainer(stmt)).forEach(stmt => {
+      const au = add(stmt.object.id, stmt.object.definition?.name?.['en-US'] || stmt.object.id);
+      au.attempted = true;
+
+      switch (stmt.verb.id) {
+        case VERBS.COMPLETED:
+          au.completed = true;
+          break;
+        case VERBS.PASSED:
+          au.passed = true;
+          au.failed = false;
+          break;
+        case VERBS.FAILED:
+          au.failed = !au.passed;
+          break;
+        case VERBS.WAIVED:
+          au.waived = true;
+          break;
+        case VERBS.SATISFIED:
+          au.satisfied = true;
+          break;
+        default:
+          break;
+      }
+
+      if ((stmt.verb.id === VERBS.PASSED || stmt.verb.id === VERBS.FAILED) && stmt.result?.score?.scaled !== undefined) {
+        au.score = Math.round(stmt.result.score.scaled * 100);
+      }
+    });
+
+    sessions.forEach(session => {
+      if (aus.has(session.auId)) aus.get(session.auId).sessions++;
+    });
+
+    return [...aus.values()].map(au => {
+      const criteria = MOVE_ON_CRITERIA[au.moveOn] || MOVE_ON_CRITERIA[DEFAULT_MOVE_ON];
+      return { ...au, satisfied: au.satisfied || au.waived || criteria(au) };
+    });
+  }
+
+  /**
+   * Status of each block
+   * With a structure, its modules are the blocks; without one, only blocks
+   * the LMS issued statements about are known.
+   * @param {Array} statements - cmi5 statements
+   * @param {Array} aus - getAUStatus results
+   * @param {Set} satisfiedIds - IDs the LMS marked satisfied
+   * @param {Object} structure - Course structure, optional
+   * @returns {Array} - [{ id, name, satisfied, auCount, ausSatisfied }];
+   *   the AU counts are null without a structure
+   */
+  static getBlockStatus(statements, aus, satisfiedIds, structure = null) {
+    if (structure) {
+      const byId = new Map(aus.map(au => [au.id, au]));
+
+      return structure.modules.map(module => {
+        const items = CourseStructure.getModuleItems(module);
+        const ausSatisfied = items.filter(item => byId.get(item.id)?.satisfied).length;
+        return {
+          id: module.id,
+          name: module.name,
+          satisfied: satisfiedIds.has(module.id) || (items.length > 0 && ausSatisfied === items.length),
+          auCount: items.length,
+          ausSatisfied
+        };
+      });
+    }
+
+    const blocks = new Map();
+    statements
+      .filter(stmt => stmt.object.definition?.type === TYPES.BLOCK)
+      .forEach(stmt => {
+        blocks.set(stmt.object.id, {
+          id: stmt.object.id,
+          name: stmt.object.definition?.name?.['en-US'] || stmt.object.id,
+          satisfied: satisfiedIds.has(stmt.object.id),
+          auCount: null,
+          ausSatisfied: null
+        });
+      });
+
+    return [...blocks.values()];
+  }
+
+  /**
+   * IDs of the activities the LMS issued `satisfied` for
+   * @param {Array} statements - cmi5 statements
+   * @returns {Set} - Activity IDs
+   */
+  static getLmsSatisfiedIds(statements) {
+    return new Set(statements.filter(stmt => stmt.verb.id === VERBS.SATISFIED).map(stmt => stmt.object.id));
+  }
+
+  /**
+   * IDs of the AUs and blocks a learner has satisfied
+   * @param {Array} statements - The learner's statements
+   * @param {Object} structure - Course structure, optional
+   * @returns {Set} - Activity IDs; empty without cmi5 statements
+   */
+  static getSatisfiedIds(statements, structure = null) {
+    const analysis = this.analyze(statements, structure);
+    if (!analysis) return new Set();
+
+    return new Set([...analysis.aus, ...analysis.blocks].filter(unit => unit.satisfied).map(unit => unit.id));
+  }
+}
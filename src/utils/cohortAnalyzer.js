@@ -0,0 +1,165 @@
+import { CourseDataProcessor } from './dataProcessor.js';
+import { DataAggregator } from './dataAggregator.js';
+import { ChartDataTransformer } from './chartDataTransformer.js';
+import { TimeZone } from './timeZone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cohort Analytics
+ * Per-learner metrics and distributions for the instructor cohort view,
+ * computed with the same CourseDataProcessor functions as the learner dashboard
+ */
+export class CohortAnalyzer {
+
+  /**
+   * Build the full cohort summary from fetched cohort data
+   * @param {Object} cohortData - Result of CourseraXAPIService.getCohortData
+   * @param {Object} timeZones - How to pick each learner's time zone
+   * @param {Object} timeZones.overrides - Time zones chosen per learner ID
+   * @param {string} timeZones.fallback - Time zone for learners whose
+   *   statements don't record one (default: 'UTC')
+   * @returns {Object} - { learners, summary, distributions, charts }
+   */
+  static createCohortSummary(cohortData, { overrides = {}, fallback = 'UTC' } = {}) {
+    const learners = cohortData.learners.map(learner => {
+      // Each learner's streaks and active days use their own calendar days
+      const { timeZone } = TimeZone.resolve({
+        override: learner.learnerId ? overrides[learner.learnerId] : null,
+        statements: learner.classified.timeline,
+        fallback
+      });
+      return this.calculateLearnerMetrics(learner, cohortData.structure, timeZone);
+    });
+    const distributions = this.calculateDistributions(learners);
+
+    return {
+      learners,
+      summary: {
+        ...this.summarizeCohort(learners),
+        courseId: cohortData.courseId,
+        progressSource: cohortData.structure?.source || null,
+        totalStatements: cohortData.totalStatements,
+        truncated: cohortData.truncated
+      },
+      distributions,
+      charts: {
+        progress: ChartDataTransformer.transformDistributionChart(distributions.progress, 'Learners'),
+        scores: ChartDataTransformer.transformDistributionChart(distributions.scores, 'Learners'),
+        activity: ChartDataTransformer.transformDistributionChart(distributions.activity, 'Learners')
+      }
+    };
+  }
+
+  /**
+   * Calculate one learner's row for the cohort table
+   * @param {Object} learner - { key, learnerId, name, email, totalStatements, classified }
+   * @param {Object} structure - Course structure, optional
+   * @param {string} timeZone - Learner's time zone (default: 'UTC')
+   * @returns {Object} - Learner metrics
+   */
+  static calculateLearnerMetrics(learner, structure = null, timeZone = 'UTC') {
+    return {
+      key: learner.key,
+      learnerId: learner.learnerId,
+      name: learner.name,
+      email: learner.email,
+      ...DataAggregator.calculateCourseMetrics(learner.classified, structure, timeZone),
+      totalStatements: learner.totalStatements
+    };
+  }
+
+  /**
+   * Summarize the cohort as a whole
+   * @param {Array} learners - Learner metrics
+   * @returns {Object} - Cohort averages and activity counts
+   */
+  static summarizeCohort(learners) {
+    const now = Date.now();
+    const scored = learners.filter(l => l.averageScore !== null);
+    const daysSince = l => l.lastActivity ? (now - l.lastActivity.getTime()) / DAY_MS : Infinity;
+
+    return {
+      learnerCount: learners.length,
+      averageProgress: learners.length > 0
+        ? Math.round(learners.reduce((sum, l) => sum + l.progress, 0) / learners.length)
+        : 0,
+      averageScore: scored.length > 0
+        ? Math.round(scored.reduce((sum, l) => sum + l.averageScore, 0) / scored.length)
+        : null,
+      activeThisWeek: learners.filter(l => daysSince(l) <= 7).length,
+      inactive: learners.filter(l => daysSince(l) > 14).length
+    };
+  }
+
+  /**
+   * Bucket learners by progress, average score and recency of activity
+   * Buckets run best to worst to match the distribution chart's colours.
+   * @param {Array} learners - Learner metrics
+   * @returns {Object} - { progress, scores, activity } label -> learner count
+   */
+  static calculateDistributions(learners) {
+    const now = Date.now();
+
+    const progress = {
+      '80-100%': 0,
+      '60-79%': 0,
+      '40-59%': 0,
+      '20-39%': 0,
+      '0-19%': 0
+    };
+    const activity = {
+      'Last 7 days': 0,
+      '8-14 days ago': 0,
+      '15-30 days ago': 0,
+      'Over 30 days ago': 0,
+      'No activity': 0
+    };
+
+    learners.forEach(learner => {
+      if (learner.progress >= 80) progress['80-100%']++;
+      else if (learner.progress >= 60) progress['60-79%']++;
+      else if (learner.progress >= 40) progress['40-59%']++;
+      else if (learner.progress >= 20) progress['20-39%']++;
+      else progress['0-19%']++;
+
+      const days = learner.lastActivity ? (now - learner.lastActivity.getTime()) / DAY_MS : null;
+      if (days === null) activity['No activity']++;
+      else if (days <= 7) activity['Last 7 days']++;
+      else if (days <= 14) activity['8-14 days ago']++;
+      else if (days <= 30) activity['15-30 days ago']++;
+      else activity['Over 30 days ago']++;
+    });
+
+    const scores = CourseDataProcessor.calculateScoreDistribution(
+      learners.filter(l => l.averageScore !== null).map(l => l.averageScore)
+    );
+
+    return { progress, scores, activity };
+  }
+
+  /**
+   * Sort learner rows by a column
+   * Learners without a value (no scores, no activity) always sort last.
+   * @param {Array} learners - Learner metrics
+   * @param {string} key - Column to sort by
+   * @param {string} direction - 'asc' or 'desc'
+   * @returns {Array} - New sorted array
+   */
+  static sortLearners(learners, key, direction = 'asc') {
+    const factor = direction === 'desc' ? -1 : 1;
+
+    return [...learners].sort((a, b) => {
+      const aValue = a[key];
+      const bValue = b[key];
+
+      if (aValue === null || aValue === undefined) return bValue === null || bValue === undefined ? 0 : 1;
+      if (bValue === null || bValue === undefined) return -1;
+
+      if (typeof aValue === 'string') {
+        return aValue.localeCompare(bValue) * factor;
+      }
+      return (aValue - bValue) * factor;
+    });
+  }
+}
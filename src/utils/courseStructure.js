@@ -0,0 +1,310 @@
+import { ConfigurationError } from '../services/xapiErrors.js';
+import { Vocabulary } from './vocabulary.js';
+import { Cmi5Analyzer } from './cmi5Analyzer.js';
+
+// Verb categories that mark an activity done; `satisfaction` is a cmi5 LMS
+// deciding an AU, block or course is satisfied or waived
+const COMPLETION_CATEGORIES = ['completion', 'success', 'satisfaction'];
+
+/**
+ * Course Structure Model
+ * A module → lesson → item tree describing everything a course contains, so
+ * progress can be measured against the whole course rather than only the
+ * activities a learner has touched.
+ *
+ * Structure shape:
+ *   { id, name, source: 'manifest' | 'inferred', itemCount,
+ *     modules: [{ id, name, itemCount,
+ *       items: [{ id, name, type }],
+ *       lessons: [{ id, name, items: [{ id, name, type }] }] }] }
+ *
+ * Items directly under a module are typically its graded quiz, assignments
+ * and peer reviews; lesson items are videos and readings. For a cmi5 course
+ * the modules are its blocks and the items its AUs, which may carry their
+ * `moveOn` criterion.
+ */
+export class CourseStructure {
+
+  /**
+   * Build a structure from a JSON course manifest
+   * The manifest uses the structure shape above; `source` and the item counts
+   * are filled in, and `lessons`/`items` may be omitted.
+   * @param {Object} manifest - Parsed manifest
+   * @returns {Object} - Course structure
+   */
+  static fromManifest(manifest) {
+    if (!manifest || !Array.isArray(manifest.modules)) {
+      throw new ConfigurationError('Course manifest must have a "modules" array.');
+    }
+
+    const toItem = (item, path) => {
+      if (!item?.id) {
+        throw new ConfigurationError(`Course manifest item at ${path} is missing an "id".`);
+      }
+      return {
+        id: item.id,
+        name: item.name || item.id,
+        type: item.type || null,
+        ...(item.moveOn && { moveOn: item.moveOn })
+      };
+    };
+
+    const modules = manifest.modules.map((module, m) => {
+      if (!module?.id) {
+        throw new ConfigurationError(`Course manifest module ${m} is missing an "id".`);
+      }
+
+      return {
+        id: module.id,
+        name: module.name || module.id,
+        lessons: (module.lessons || []).map((lesson, l) => {
+          if (!lesson?.id) {
+            throw new ConfigurationError(`Course manifest lesson ${m}.${l} is missing an "id".`);
+          }
+          return {
+            id: lesson.id,
+            name: lesson.name || lesson.id,
+            items: (lesson.items || []).map((item, i) => toItem(item, `${m}.${l}.${i}`))
+          };
+        }),
+        items: (module.items || []).map((item, i) => toItem(item, `${m}.${i}`))
+      };
+    });
+
+    return this.withCounts({
+      id: manifest.id || null,
+      name: manifest.name || manifest.id || null,
+      source: 'manifest',
+      modules
+    });
+  }
+
+  /**
+   * Infer a structure from the context activities of many learners' statements
+   * Each statement places its object in the tree through
+   * `contextActivities.parent` (its lesson or module) and `grouping` (its
+   * module and course). Without activity types, the grouping entry below the
+   * course is taken as the module and any other parent as the lesson. Items
+   * that cannot be placed under a module are left out. The result only
+   * contains items somebody has interacted with, so infer from the whole
+   * cohort rather than one learner.
+   * @param {Array} statements - xAPI statements for the course
+   * @param {string} courseId - Course activity ID
+   * @returns {Object} - Course structure
+   */
+  static inferFromStatements(statements, courseId = null) {
+    const modules = new Map();
+    const lessons = new Map();
+    const items = new Map();
+    let courseName = null;
+
+    const nameOf = activity => activity.definition?.name?.['en-US'] || null;
+    const isCourse = activity =>
+      Vocabulary.isType(activity.definition?.type, 'course') || (courseId && activity.id === courseId);
+
+    const ensureModule = (activity) => {
+      if (!modules.has(activity.id)) {
+        modules.set(activity.id, { id: activity.id, name: null, lessons: new Set(), items: new Set() });
+      }
+      const module = modules.get(activity.id);
+      module.name = module.name || nameOf(activity);
+      return module;
+    };
+
+    const ensureLesson = (activity, module) => {
+      if (!lessons.has(activity.id)) {
+        lessons.set(activity.id, { id: activity.id, name: null, items: new Set() });
+      }
+      const lesson = lessons.get(activity.id);
+      lesson.name = lesson.name || nameOf(activity);
+      module.lessons.add(activity.id);
+      return lesson;
+    };
+
+    statements.forEach(stmt => {
+      const object = stmt.object;
+      if (!object?.id || (object.objectType && object.objectType !== 'Activity')) return;
+
+      const contextActivities = stmt.context?.contextActivities || {};
+      const parents = [].concat(contextActivities.parent || []).filter(a => a?.id && !isCourse(a));
+      const grouping = [].concat(contextActivities.grouping || []);
+      const related = [...parents, ...grouping.filter(a => a?.id && !isCourse(a))];
+
+      const course = [...grouping, ...[].concat(contextActivities.parent || [])].find(a => a?.id && isCourse(a));
+      if (course) courseName = courseName || nameOf(course);
+
+      const type = object.definition?.type;
+      if (isCourse(object)) {
+        courseName = courseName || nameOf(object);
+        return;
+      }
+      if (Vocabulary.isType(type, 'module')) {
+        ensureModule(object);
+        return;
+      }
+
+      let moduleRef = related.find(a => Vocabulary.isType(a.definition?.type, 'module'));
+      let lessonRef = related.find(a => Vocabulary.isType(a.definition?.type, 'lesson'));
+
+      // Fall back to position for activities without a type: a grouping entry
+      // below the course is the module, and a different parent is the lesson
+      const untypedParent = parents.find(a => !a.definition?.type);
+      if (!moduleRef) {
+        moduleRef = grouping.find(a => a?.id && !isCourse(a) && !a.definition?.type) || untypedParent;
+      }
+      if (!lessonRef && untypedParent && moduleRef && untypedParent.id !== moduleRef.id) {
+        lessonRef = untypedParent;
+      }
+
+      if (!moduleRef) return;
+      const module = ensureModule(moduleRef);
+
+      if (Vocabulary.isType(type, 'lesson')) {
+        ensureLesson(object, module);
+        return;
+      }
+
+      if (!items.has(object.id)) {
+        items.set(object.id, { id: object.id, name: null, type: type || null });
+      }
+      const item = items.get(object.id);
+      item.name = item.name || nameOf(object);
+
+      if (lessonRef) {
+        ensureLesson(lessonRef, module).items.add(object.id);
+      } else {
+        module.items.add(object.id);
+      }
+    });
+
+    // Statements don't record course order, so order by name ("Module 2" before "Module 10")
+    const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true });
+    const toItems = ids => [...ids].map(id => ({ ...items.get(id), name: items.get(id).name || id })).sort(byName);
+
+    // An activity seen both as a lesson and directly under a module stays a lesson
+    const lessonIds = new Set(lessons.keys());
+
+    return this.withCounts({
+      id: courseId,
+      name: courseName || courseId,
+      source: 'inferred',
+      modules: [...modules.values()]
+        .map(module => ({
+          id: module.id,
+          name: module.name || module.id,
+          lessons: [...module.lessons]
+            .map(id => lessons.get(id))
+            .map(lesson => ({ id: lesson.id, name: lesson.name || lesson.id, items: toItems(lesson.items) }))
+            .sort(byName),
+          items: toItems([...module.items].filter(id => !lessonIds.has(id)))
+        }))
+        .sort(byName)
+    });
+  }
+
+  /**
+   * Every countable item in a module, lesson items first
+   * @param {Object} module - Structure module
+   * @returns {Array} - Items
+   */
+  static getModuleItems(module) {
+    return [...module.lessons.flatMap(lesson => lesson.items), ...module.items];
+  }
+
+  /**
+   * Whether a statement shows its object was completed
+   * Completion, passing and mastery count; a failed attempt never does, even
+   * when the attempt itself was finished.
+   * @param {Object} stmt - xAPI statement
+   * @returns {boolean} - True if the object counts as completed
+   */
+  static isCompletion(stmt) {
+    if (stmt.result?.success === false) return false;
+    return Vocabulary.isVerb(stmt.verb.id, ...COMPLETION_CATEGORIES) || stmt.result?.completion === true;
+  }
+
+  /**
+   * IDs of the activities a learner has completed
+   * Graded items are only complete once an attempt has passed; submitting
+   * an assignment that then fails doesn't count.
+   * @param {Array} statements - The learner's statements
+   * @returns {Set} - Completed activity IDs
+   */
+  static getCompletedIds(statements) {
+    const scored = new Set();
+    const passed = new Set();
+    const completed = new Set();
+
+    statements.forEach(stmt => {
+      const id = stmt.object.id;
+      if (stmt.result?.score) {
+        scored.add(id);
+        if (stmt.result.success === true) passed.add(id);
+      }
+      if (this.isCompletion(stmt)) completed.add(id);
+    });
+
+    return new Set([...completed].filter(id => !scored.has(id) || passed.has(id)));
+  }
+
+  /**
+   * Measure a learner's progress against a course structure
+   * Items carrying a cmi5 `moveOn` count once it is met, as Cmi5Analyzer
+   * decides, so a CompletedAndPassed AU that was only completed isn't done.
+   * @param {Object} structure - Course structure
+   * @param {Array} statements - The learner's statements for the course
+   * @returns {Object} - { completed, total, percentage, remaining, source,
+   *   modules: [{ id, name, completed, total, percentage, isComplete }] }
+   */
+  static calculateProgress(structure, statements) {
+    const completedIds = this.getCompletedIds(statements);
+    const hasMoveOn = structure.modules.some(module => this.getModuleItems(module).some(item => item.moveOn));
+    const satisfiedIds = hasMoveOn ? Cmi5Analyzer.getSatisfiedIds(statements, structure) : new Set();
+    const isDone = item => (item.moveOn ? satisfiedIds : completedIds).has(item.id);
+
+    const modules = structure.modules.map(module => {
+      const moduleItems = this.getModuleItems(module);
+      const completed = moduleItems.filter(isDone).length;
+      const total = moduleItems.length;
+
+      return {
+        id: module.id,
+        name: module.name,
+        completed,
+        total,
+        percentage: total > 0 ? Math.round((completed / total) * 100) : 0,
+        isComplete: completedIds.has(module.id) || satisfiedIds.has(module.id) || (total > 0 && completed === total)
+      };
+    });
+
+    const completed = modules.reduce((sum, module) => sum + module.completed, 0);
+    const total = modules.reduce((sum, module) => sum + module.total, 0);
+
+    return {
+      completed,
+      total,
+      percentage: total > 0 ? Math.round((completed / total) * 100) : 0,
+      remaining: total - completed,
+      source: structure.source,
+      modules
+    };
+  }
+
+  /**
+   * Fill in the item counts of a structure
+   * @param {Object} structure - Course structure without counts
+   * @returns {Object} - Course structure
+   */
+  static withCounts(structure) {
+    const modules = structure.modules.map(module => ({
+      ...module,
+      itemCount: this.getModuleItems(module).length
+    }));
+
+    return {
+      ...structure,
+      modules,
+      itemCount: modules.reduce((sum, module) => sum + module.itemCount, 0)
+    };
+  }
+}
@@ -1,3 +1,5 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Data Aggregation Utilities
  * Advanced aggregation and statistical analysis
@@ -10,24 +12,48 @@ export class DataAggregator {
    * @returns {Object} - Processed dashboard summary
    */
   static createDashboardSummary(rawData) {
-    const { overview, modules, assessments, engagement, timeline } = rawData;
+    const {
+      overview, modules, assessments, engagement, timeline, statements, structure = null, dateRange = null,
+      history = null, timeZone = 'UTC', cmi5 = []
+    } = rawData;
     
-    // Process all statement types
-    const allStatements = [
+    // Process all statement types; a cmi5 statement can also be in one of
+    // the Coursera sets, so each is counted once
+    const allStatements = [...new Set([
       ...modules.completed,
       ...assessments.quizzes,
       ...assessments.assignments,
-      ...engagement.videoInteractions
-    ];
+      ...engagement.videoInteractions,
+      ...cmi5
+    ])];
 
     // Calculate comprehensive metrics
-    const progressData = CourseDataProcessor.calculateProgress(allStatements);
+    // Progress against a course structure also counts items that aren't
+    // classified above, such as peer reviews
+    const courseStatements = statements || allStatements;
+    const progressData = structure
+      ? CourseDataProcessor.calculateProgress(courseStatements, structure)
+      : CourseDataProcessor.calculateProgress(allStatements);
+    // Without a course structure, the module list and drill-down are built
+    // from the modules the learner's own statements reference
+    const moduleStructure = structure
+      || CourseStructure.inferFromStatements(courseStatements, overview?.courseId || null);
+    const moduleProgress = structure
+      ? progressData.modules
+      : CourseStructure.calculateProgress(moduleStructure, courseStatements).modules;
     const scoreData = CourseDataProcessor.aggregateScores([
       ...assessments.quizzes,
       ...assessments.assignments
     ]);
-    const timelineData = CourseDataProcessor.generateTimelineData(allStatements);
-    const engagementMetrics = CourseDataProcessor.calculateEngagementMetrics(allStatements);
+    // Day-level figures use the learner's calendar days
+    const timelineData = CourseDataProcessor.generateTimelineData(allStatements, timeZone);
+    const engagementMetrics = CourseDataProcessor.calculateEngagementMetrics(allStatements, timeZone);
+    // The previous period usually starts before the date range, so compare
+    // over the longer history when the service fetched one
+    const comparison = this.createPeriodComparison(history || courseStatements, 'week', dateRange, timeZone);
+    const videos = VideoAnalyzer.analyzeVideos(courseStatements);
+    // Only a course-wide structure can tell a cmi5 course's blocks apart
+    const cmi5Progress = CourseDataProcessor.calculateCmi5Progress(courseStatements, structure);
 
     // Generate insights
     const insights = this.generateInsights({
@@ -44,20 +70,70 @@ export class DataAggregator {
         dataQuality: this.assessDataQuality(allStatements)
       },
       progress: progressData,
+      dateRange,
+      timeZone,
+      structure: moduleStructure,
+      moduleProgress,
       scores: scoreData,
       timeline: timelineData,
       engagement: engagementMetrics,
+      comparison,
+      videos,
+      cmi5: cmi5Progress,
       insights,
       charts: {
         progress: ChartDataTransformer.transformProgressChart(progressData),
-        scores: ChartDataTransformer.transformScoreChart(scoreData),
-        timeline: ChartDataTransformer.transformTimelineChart(timelineData),
+        scores: ChartDataTransformer.transformScoreChart(scoreData, timeZone),
+        timeline: ChartDataTransformer.transformTimelineChart(timelineData, dateRange, timeZone),
         distribution: ChartDataTransformer.transformDistributionChart(scoreData.distribution),
-        engagement: ChartDataTransformer.transformEngagementRadar(engagementMetrics)
+        engagement: ChartDataTransformer.transformEngagementRadar(engagementMetrics),
+        heatmap: ChartDataTransformer.transformHeatmapData(timelineData, dateRange, timeZone),
+        calendar: ChartDataTransformer.transformCalendarData(timelineData),
+        comparison: ChartDataTransformer.transformPeriodComparisonChart(comparison),
+        videos: ChartDataTransformer.transformVideoChart(videos.videos)
       }
     };
   }
 
+  /**
+   * Calculate headline metrics for one learner's classified course statements
+   * Uses the same statement sets as createDashboardSummary so cohort and
+   * portfolio figures match the learner's own dashboard.
+   * @param {Object} classified - { modules, quizzes, assignments, videos, cmi5, timeline }
+   * @param {Object} structure - Course structure to measure progress against, optional
+   * @param {string} timeZone - Learner's time zone for streaks and active days (default: 'UTC')
+   * @returns {Object} - Progress, score and engagement metrics
+   */
+  static calculateCourseMetrics(classified, structure = null, timeZone = 'UTC') {
+    const { modules, quizzes, assignments, videos, cmi5 = [], timeline } = classified;
+
+    // The processor sorts its input in place, so give it copies
+    const allStatements = [...new Set([...modules, ...quizzes, ...assignments, ...videos, ...cmi5])];
+    const progress = structure
+      ? CourseDataProcessor.calculateProgress([...timeline], structure)
+      : CourseDataProcessor.calculateProgress([...allStatements]);
+    const scores = CourseDataProcessor.aggregateScores([...quizzes, ...assignments]);
+    const engagement = CourseDataProcessor.calculateEngagementMetrics([...allStatements], timeZone);
+    const hasScores = scores.scores.length > 0;
+
+    return {
+      progress: progress.percentage,
+      modulesCompleted: structure
+        ? progress.modules.filter(module => module.isComplete).length
+        : progress.moduleCompletions.length,
+      averageScore: hasScores ? scores.average : null,
+      passRate: hasScores ? scores.passRate : null,
+      assessments: scores.scores.length,
+      scoreTrend: scores.trend,
+      videoTime: engagement.totalVideoTime,
+      videoTimeFormatted: engagement.totalVideoTimeFormatted,
+      studySessions: engagement.studySessions,
+      activeDays: engagement.totalActiveDays,
+      currentStreak: engagement.currentStreak,
+      lastActivity: timeline.length > 0 ? new Date(timeline[0].timestamp) : null
+    };
+  }
+
   /**
    * Generate actionable insights from data
    * @param {Object} data - Processed data object
@@ -72,7 +148,7 @@ export class DataAggregator {
         type: 'success',
         category: 'progress',
         title: 'Excellent Progress!',
-        message: You've completed % of the course. Keep up the great work!,
+        message: `You've completed ${data.progress.percentage}% of the course. Keep up the great work!`,
         priority: 'high'
       });
     } else if (data.progress.percentage < 30) {
@@ -91,7 +167,7 @@ export class DataAggregator {
         type: 'success',
         category: 'performance',
         title: 'Improving Performance',
-        message: Your scores are trending upward! Average: %,
+        message: `Your scores are trending upward! Average: ${data.scores.average}%`,
         priority: 'high'
       });
     } else if (data.scores.trend === 'declining') {
@@ -110,7 +186,7 @@ export class DataAggregator {
         type: 'success',
         category: 'engagement',
         title: 'Amazing Streak!',
-        message: ${data.engagement.currentStreak} days of consistent learning. You're on fire!,
+        message: `${data.engagement.currentStreak} days of consistent learning. You're on fire!`,
         priority: 'high'
       });
     } else if (data.engagement.currentStreak === 0) {
@@ -132,7 +208,7 @@ export class DataAggregator {
         type: 'success',
         category: 'habits',
         title: 'Great Study Habits',
-        message: You're averaging  activities per day this week.,
+        message: `You're averaging ${avgDailyActivities.toFixed(1)} activities per day this week.`,
         priority: 'medium'
       });
     }
@@ -143,7 +219,7 @@ export class DataAggregator {
         type: 'info',
         category: 'engagement',
         title: 'Video Learner',
-        message: You've watched  of video content. Great visual learning!,
+        message: `You've watched ${data.engagement.totalVideoTimeFormatted} of video content. Great visual learning!`,
         priority: 'low'
       });
     }
@@ -198,45 +274,54 @@ export class DataAggregator {
 
   /**
    * Create comparison data for multiple time periods
+   * Periods end now, or at the end of the date range when it has one. The
+   * 'range' period compares the date range with the same number of days
+   * before it.
    * @param {Array} statements - All statements
-   * @param {string} period - 'week', 'month', 'quarter'
-   * @returns {Object} - Comparison data
+   * @param {string} period - A COMPARISON_PERIODS ID or 'range'
+   * @param {Object} dateRange - { from, to }, or null
+   * @param {string} timeZone - Time zone of the range's days and active days (default: 'UTC')
+   * @returns {Object} - Comparison data; `windows` holds each period's
+   *   { start, end } (end exclusive)
    */
-  static createPeriodComparison(statements, period = 'week') {
-    const now = new Date();
-    let periodMs;
-    
-    switch (period) {
-      case 'week':
-        periodMs = 7 * 24 * 60 * 60 * 1000;
-        break;
-      case 'month':
-        periodMs = 30 * 24 * 60 * 60 * 1000;
-        break;
-      case 'quarter':
-        periodMs = 90 * 24 * 60 * 60 * 1000;
-        break;
-      default:
-        periodMs = 7 * 24 * 60 * 60 * 1000;
-    }
+  static createPeriodComparison(statements, period = 'week', dateRange = null, timeZone = 'UTC') {
+    const { start, end } = DateRange.getBounds(dateRange, timeZone);
+    const now = end || new Date();
+    const isRange = period === 'range' && start;
+    // Unknown periods, and a range without a start, fall back to a week
+    const preset = COMPARISON_PERIODS.find(p => p.id === period) || COMPARISON_PERIODS[0];
+    let currentPeriodStart;
+    let previousPeriodStart;
 
-    const currentPeriodStart = new Date(now - periodMs);
-    const previousPeriodStart = new Date(now - (2 * periodMs));
+    if (dateRange?.to) {
+      // Whole calendar days in the learner's time zone; DST makes some 23 or 25 hours
+      const days = isRange ? DateRange.getDays(dateRange).length : preset.days;
+      currentPeriodStart = TimeZone.startOfDay(DateRange.addDays(dateRange.to, 1 - days), timeZone);
+      previousPeriodStart = TimeZone.startOfDay(DateRange.addDays(dateRange.to, 1 - 2 * days), timeZone);
+    } else {
+      const periodMs = isRange ? now - start : preset.days * DAY_MS;
+      currentPeriodStart = new Date(now - periodMs);
+      previousPeriodStart = new Date(now - (2 * periodMs));
+    }
 
     const currentPeriodStatements = statements.filter(s => 
-      new Date(s.timestamp) >= currentPeriodStart
+      new Date(s.timestamp) >= currentPeriodStart && new Date(s.timestamp) < now
     );
     const previousPeriodStatements = statements.filter(s => 
       new Date(s.timestamp) >= previousPeriodStart && new Date(s.timestamp) < currentPeriodStart
     );
 
-    const currentMetrics = this.calculatePeriodMetrics(currentPeriodStatements);
-    const previousMetrics = this.calculatePeriodMetrics(previousPeriodStatements);
+    const currentMetrics = this.calculatePeriodMetrics(currentPeriodStatements, timeZone);
+    const previousMetrics = this.calculatePeriodMetrics(previousPeriodStatements, timeZone);
 
     return {
       current: currentMetrics,
       previous: previousMetrics,
       changes: this.calculateChanges(currentMetrics, previousMetrics),
+      windows: {
+        current: { start: currentPeriodStart, end: now },
+        previous: { start: previousPeriodStart, end: currentPeriodStart }
+      },
       period
     };
   }
@@ -244,11 +329,12 @@ export class DataAggregator {
   /**
    * Calculate metrics for a specific period
    * @param {Array} statements - Statements for the period
+   * @param {string} timeZone - Time zone whose calendar days count as active days (default: 'UTC')
    * @returns {Object} - Period metrics
    */
-  static calculatePeriodMetrics(statements) {
+  static calculatePeriodMetrics(statements, timeZone = 'UTC') {
     const completions = statements.filter(s => 
-      s.verb.id === 'http://adlnet.gov/expapi/verbs/completed'
+      Vocabulary.isVerb(s.verb.id, 'completion')
     ).length;
 
     const scores = statements
@@ -259,13 +345,18 @@ export class DataAggregator {
       ? scores.reduce((sum, score) => sum + score, 0) / scores.length 
       : 0;
 
+    // Same measure as the engagement metrics' video time
+    const videoTime = Duration.sum(statements.filter(s =>
+      Vocabulary.isType(s.object.definition?.type, 'video')
+    ));
+
     return {
       totalActivities: statements.length,
       completions,
       averageScore: Math.round(averageScore),
-      uniqueDays: new Set(statements.map(s => 
-        new Date(s.timestamp).toISOString().split('T')[0]
-      )).size
+      uniqueDays: new Set(statements.map(s => TimeZone.getDay(s.timestamp, timeZone))).size,
+      assessments: scores.length,
+      videoTime
     };
   }
 
@@ -285,11 +376,19 @@ export class DataAggregator {
       totalActivities: calculateChange(current.totalActivities, previous.totalActivities),
       completions: calculateChange(current.completions, previous.completions),
       averageScore: calculateChange(current.averageScore, previous.averageScore),
-      uniqueDays: calculateChange(current.uniqueDays, previous.uniqueDays)
+      uniqueDays: calculateChange(current.uniqueDays, previous.uniqueDays),
+      assessments: calculateChange(current.assessments, previous.assessments),
+      videoTime: calculateChange(current.videoTime, previous.videoTime)
     };
   }
 }
 
 // Import the CourseDataProcessor and ChartDataTransformer
 import { CourseDataProcessor } from './dataProcessor.js';
-import { ChartDataTransformer } from './chartDataTransformer.js';
\ No newline at end of file
+import { ChartDataTransformer } from './chartDataTransformer.js';
+import { CourseStructure } from './courseStructure.js';
+import { DateRange, COMPARISON_PERIODS } from './dateRange.js';
+import { TimeZone } from './timeZone.js';
+import { Duration } from './duration.js';
+import { VideoAnalyzer } from './videoAnalyzer.js';
+import { Vocabulary } from './vocabulary.js';
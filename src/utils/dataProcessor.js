@@ -1,3 +1,31 @@
+import { CourseStructure } from './courseStructure.js';
+import { TimeZone } from './timeZone.js';
+import { Duration } from './duration.js';
+import { Cmi5Analyzer } from './cmi5Analyzer.js';
+import { Vocabulary } from './vocabulary.js';
+
+/**
+ * Grade band schemes for score distributions, best band first
+ * A score falls in the first band whose `min` it reaches.
+ */
+const GRADE_SCHEMES = {
+  letter: () => [
+    { label: 'A (90-100)', min: 90 },
+    { label: 'B (80-89)', min: 80 },
+    { label: 'C (70-79)', min: 70 },
+    { label: 'D (60-69)', min: 60 },
+    { label: 'F (0-59)', min: 0 }
+  ],
+  'pass-fail': ({ passThreshold = 80 }) => [
+    { label: `Pass (${passThreshold}-100)`, min: passThreshold },
+    { label: `Fail (0-${passThreshold - 1})`, min: 0 }
+  ],
+  deciles: () => Array.from({ length: 10 }, (_, i) => {
+    const min = 90 - i * 10;
+    return { label: min === 90 ? '90-100' : `${min}-${min + 9}`, min };
+  })
+};
+
 /**
  * Core Data Processor for xAPI Statements
  * Transforms raw xAPI data into dashboard-ready formats
@@ -6,11 +34,16 @@ export class CourseDataProcessor {
   
   /**
    * Calculate overall course progress from statements
+   * Without a course structure the total is the number of distinct activities
+   * the learner has touched; with one, it is every item in the course and the
+   * result also carries per-module completion. cmi5 AUs count as completed
+   * once satisfied.
    * @param {Array} statements - Array of xAPI statements
+   * @param {Object} structure - Course structure (see CourseStructure), optional
    * @returns {Object} - Progress statistics
    */
-  static calculateProgress(statements) {
-    const completedActivities = new Set();
+  static calculateProgress(statements, structure = null) {
+    const completedActivities = new Set(structure ? [] : Cmi5Analyzer.getSatisfiedIds(statements));
     const totalActivities = new Set();
     const moduleCompletions = [];
     
@@ -22,14 +55,14 @@ export class CourseDataProcessor {
       totalActivities.add(activityId);
       
       // Track completed activities
-      if (stmt.verb.id === 'http://adlnet.gov/expapi/verbs/completed') {
+      if (Vocabulary.isVerb(stmt.verb.id, 'completion')) {
         completedActivities.add(activityId);
         
         // Track module completions specifically
-        if (activityType === 'http://coursera.org/xapi/activity-types/module') {
+        if (Vocabulary.isType(activityType, 'module')) {
           moduleCompletions.push({
             id: activityId,
-            name: stmt.object.definition.name['en-US'] || 'Unknown Module',
+            name: stmt.object.definition.name?.['en-US'] || 'Unknown Module',
             completedAt: new Date(stmt.timestamp),
             actor: stmt.actor.name
           });
@@ -40,17 +73,40 @@ export class CourseDataProcessor {
     const completed = completedActivities.size;
     const total = totalActivities.size;
     const percentage = total > 0 ? Math.round((completed / total) * 100) : 0;
+    const details = {
+      moduleCompletions: moduleCompletions.sort((a, b) => b.completedAt - a.completedAt),
+      lastActivity: statements.length > 0 ? new Date(statements[0].timestamp) : null
+    };
+
+    if (structure) {
+      return {
+        ...CourseStructure.calculateProgress(structure, statements),
+        ...details
+      };
+    }
     
     return {
       completed,
       total,
       percentage,
       remaining: total - completed,
-      moduleCompletions: moduleCompletions.sort((a, b) => b.completedAt - a.completedAt),
-      lastActivity: statements.length > 0 ? new Date(statements[0].timestamp) : null
+      source: null,
+      modules: [],
+      ...details
     };
   }
 
+  /**
+   * Calculate cmi5 progress: AU and block satisfaction and launch sessions
+   * @param {Array} statements - The learner's statements for the course
+   * @param {Object} structure - Course structure (see CourseStructure), optional
+   * @returns {Object|null} - cmi5 analysis (see Cmi5Analyzer.analyze), or null
+   *   if the course wasn't launched through cmi5
+   */
+  static calculateCmi5Progress(statements, structure = null) {
+    return Cmi5Analyzer.analyze(statements, structure);
+  }
+
   /**
    * Aggregate and analyze quiz/assessment scores
    * @param {Array} scoreStatements - Array of score-related statements
@@ -65,19 +121,21 @@ export class CourseDataProcessor {
         lowest: 0,
         totalAttempts: 0,
         passRate: 0,
-        trend: 'stable'
+        trend: 'stable',
+        distribution: this.calculateScoreDistribution([])
       };
     }
 
     const scores = scoreStatements
       .filter(stmt => stmt.result?.score)
       .map(stmt => ({
-        activity: stmt.object.definition?.name['en-US'] || 'Unknown Assessment',
+        activity: stmt.object.definition?.name?.['en-US'] || 'Unknown Assessment',
         activityId: stmt.object.id,
         score: Math.round(stmt.result.score.scaled * 100),
         rawScore: stmt.result.score.raw,
         maxScore: stmt.result.score.max,
         success: stmt.result.success,
+        type: Vocabulary.getKind(stmt.object.definition?.type, 'assessment'),
         timestamp: new Date(stmt.timestamp),
         attempts: 1 // Will be aggregated later
       }));
@@ -147,37 +205,73 @@ export class CourseDataProcessor {
     return 'stable';
   }
 
+  /**
+   * Resolve a grade band scheme
+   * @param {string|Array} scheme - 'letter', 'pass-fail', 'deciles', or custom
+   *   bands as [{ label, min }]
+   * @param {Object} options - { passThreshold } for 'pass-fail' (default 80)
+   * @returns {Array} - Bands, best first
+   */
+  static getGradeBands(scheme = 'letter', options = {}) {
+    if (Array.isArray(scheme)) {
+      return [...scheme].sort((a, b) => b.min - a.min);
+    }
+    if (!GRADE_SCHEMES[scheme]) {
+      throw new Error(`Unknown grade scheme "${scheme}".`);
+    }
+    return GRADE_SCHEMES[scheme](options);
+  }
+
   /**
    * Calculate score distribution for charts
    * @param {Array} scoreValues - Array of score numbers
-   * @returns {Object} - Distribution data
+   * @param {string|Array} scheme - Grade band scheme (see getGradeBands)
+   * @param {Object} options - Scheme options
+   * @returns {Object} - Distribution data, band label -> count, best band first
    */
-  static calculateScoreDistribution(scoreValues) {
-    const ranges = {
-      'A (90-100)': 0,
-      'B (80-89)': 0,
-      'C (70-79)': 0,
-      'D (60-69)': 0,
-      'F (0-59)': 0
-    };
+  static calculateScoreDistribution(scoreValues, scheme = 'letter', options = {}) {
+    const bands = this.getGradeBands(scheme, options);
+    const ranges = Object.fromEntries(bands.map(band => [band.label, 0]));
 
     scoreValues.forEach(score => {
-      if (score >= 90) ranges['A (90-100)']++;
-      else if (score >= 80) ranges['B (80-89)']++;
-      else if (score >= 70) ranges['C (70-79)']++;
-      else if (score >= 60) ranges['D (60-69)']++;
-      else ranges['F (0-59)']++;
+      // Scores below every band's minimum fall in the lowest band
+      const band = bands.find(b => score >= b.min) || bands[bands.length - 1];
+      ranges[band.label]++;
     });
 
     return ranges;
   }
 
+  /**
+   * Calculate a score distribution per assessment type
+   * @param {Array} scores - Processed scores from aggregateScores
+   * @param {string|Array} scheme - Grade band scheme (see getGradeBands)
+   * @param {Object} options - Scheme options
+   * @returns {Object} - Type (e.g. 'quiz', 'assignment') -> distribution
+   */
+  static calculateScoreDistributionByType(scores, scheme = 'letter', options = {}) {
+    const byType = scores.reduce((groups, score) => {
+      const type = score.type || 'assessment';
+      if (!groups[type]) groups[type] = [];
+      groups[type].push(score.score);
+      return groups;
+    }, {});
+
+    return Object.fromEntries(
+      Object.entries(byType).map(([type, values]) => [
+        type,
+        this.calculateScoreDistribution(values, scheme, options)
+      ])
+    );
+  }
+
   /**
    * Generate learning timeline with activity clustering
    * @param {Array} statements - All xAPI statements
+   * @param {string} timeZone - Time zone whose calendar days to group by (default: 'UTC')
    * @returns {Array} - Timeline data for visualization
    */
-  static generateTimelineData(statements) {
+  static generateTimelineData(statements, timeZone = 'UTC') {
     if (!statements || statements.length === 0) return [];
 
     // Sort statements by timestamp
@@ -189,7 +283,7 @@ export class CourseDataProcessor {
     const dailyActivities = {};
     
     sortedStatements.forEach(stmt => {
-      const date = new Date(stmt.timestamp).toISOString().split('T')[0];
+      const date = TimeZone.getDay(stmt.timestamp, timeZone);
       
       if (!dailyActivities[date]) {
         dailyActivities[date] = {
@@ -204,9 +298,9 @@ export class CourseDataProcessor {
 
       const activity = {
         id: stmt.object.id,
-        name: stmt.object.definition?.name['en-US'] || 'Unknown Activity',
-        verb: stmt.verb.display['en-US'] || stmt.verb.id.split('/').pop(),
-        type: stmt.object.definition?.type?.split('/').pop() || 'activity',
+        name: stmt.object.definition?.name?.['en-US'] || 'Unknown Activity',
+        verb: stmt.verb.display?.['en-US'] || stmt.verb.id.split('/').pop(),
+        type: Vocabulary.getKind(stmt.object.definition?.type),
         timestamp: new Date(stmt.timestamp),
         success: stmt.result?.success,
         score: stmt.result?.score ? Math.round(stmt.result.score.scaled * 100) : null
@@ -216,7 +310,7 @@ export class CourseDataProcessor {
       dailyActivities[date].totalActivities++;
 
       // Count completions
-      if (stmt.verb.id === 'http://adlnet.gov/expapi/verbs/completed') {
+      if (Vocabulary.isVerb(stmt.verb.id, 'completion')) {
         dailyActivities[date].completions++;
       }
 
@@ -226,10 +320,8 @@ export class CourseDataProcessor {
       }
 
       // Calculate video time
-      if (stmt.object.definition?.type === 'http://coursera.org/xapi/activity-types/video' && 
-          stmt.result?.duration) {
-        const duration = this.parseDuration(stmt.result.duration);
-        dailyActivities[date].videoTime += duration;
+      if (Vocabulary.isType(stmt.object.definition?.type, 'video') && stmt.result?.duration) {
+        dailyActivities[date].videoTime += Duration.parse(stmt.result.duration);
       }
     });
 
@@ -245,38 +337,21 @@ export class CourseDataProcessor {
   }
 
   /**
-   * Parse ISO 8601 duration to seconds
+   * Parse ISO 8601 duration to seconds (see Duration.parse)
    * @param {string} duration - ISO 8601 duration string
    * @returns {number} - Duration in seconds
    */
   static parseDuration(duration) {
-    const match = duration.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
-    if (!match) return 0;
-    
-    const hours = parseInt(match[1]) || 0;
-    const minutes = parseInt(match[2]) || 0;
-    const seconds = parseInt(match[3]) || 0;
-    
-    return hours * 3600 + minutes * 60 + seconds;
+    return Duration.parse(duration);
   }
 
   /**
-   * Format duration seconds to human readable
+   * Format duration seconds to human readable (see Duration.format)
    * @param {number} seconds - Duration in seconds
    * @returns {string} - Formatted duration
    */
   static formatDuration(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
-    
-    if (hours > 0) {
-      return ${hours}h m;
-    } else if (minutes > 0) {
-      return ${minutes}m s;
-    } else {
-      return ${secs}s;
-    }
+    return Duration.format(seconds);
   }
 
   /**
@@ -294,25 +369,21 @@ export class CourseDataProcessor {
   /**
    * Calculate engagement metrics
    * @param {Array} statements - All xAPI statements
+   * @param {string} timeZone - Time zone whose calendar days streaks count (default: 'UTC')
    * @returns {Object} - Engagement analytics
    */
-  static calculateEngagementMetrics(statements) {
+  static calculateEngagementMetrics(statements, timeZone = 'UTC') {
     const videoStatements = statements.filter(stmt => 
-      stmt.object.definition?.type === 'http://coursera.org/xapi/activity-types/video'
+      Vocabulary.isType(stmt.object.definition?.type, 'video')
     );
 
-    const totalVideoTime = videoStatements.reduce((total, stmt) => {
-      if (stmt.result?.duration) {
-        return total + this.parseDuration(stmt.result.duration);
-      }
-      return total;
-    }, 0);
+    const totalVideoTime = Duration.sum(videoStatements);
 
     // Calculate study sessions (activities within 1 hour of each other)
     const sessions = this.calculateStudySessions(statements);
     
     // Calculate streak (consecutive days with activity)
-    const streak = this.calculateLearningStreak(statements);
+    const streak = this.calculateLearningStreak(statements, timeZone);
 
     return {
       totalVideoTime: totalVideoTime,
@@ -381,16 +452,17 @@ export class CourseDataProcessor {
   /**
    * Calculate learning streak
    * @param {Array} statements - All xAPI statements
+   * @param {string} timeZone - Time zone whose calendar days count (default: 'UTC')
    * @returns {Object} - Streak information
    */
-  static calculateLearningStreak(statements) {
+  static calculateLearningStreak(statements, timeZone = 'UTC') {
     if (statements.length === 0) {
       return { current: 0, longest: 0, totalDays: 0 };
     }
 
     // Get unique activity dates
     const activityDates = [...new Set(
-      statements.map(stmt => new Date(stmt.timestamp).toISOString().split('T')[0])
+      statements.map(stmt => TimeZone.getDay(stmt.timestamp, timeZone))
     )].sort();
 
     let currentStreak = 0;
@@ -413,7 +485,7 @@ export class CourseDataProcessor {
     longestStreak = Math.max(longestStreak, streakCount);
 
     // Calculate current streak (from most recent activity to today)
-    const today = new Date().toISOString().split('T')[0];
+    const today = TimeZone.getDay(new Date(), timeZone);
     const lastActivityDate = activityDates[activityDates.length - 1];
     const daysSinceLastActivity = (new Date(today) - new Date(lastActivityDate)) / (1000 * 60 * 60 * 24);
 
@@ -1,3 +1,5 @@
+import { AgentIdentity } from './agentIdentity.js';
+
 /**
  * Data Validation Utilities
  * Validates and sanitizes xAPI data
@@ -17,8 +19,8 @@ export class DataValidator {
     if (!statement.actor) {
       errors.push('Missing required field: actor');
     } else {
-      if (!statement.actor.mbox && !statement.actor.account) {
-        errors.push('Actor must have mbox or account');
+      if (!AgentIdentity.getKey(statement.actor)) {
+        errors.push('Actor must have an mbox, mbox_sha1sum, openid or account');
       }
     }
 
@@ -107,7 +109,7 @@ export class DataValidator {
     const requiredSections = ['overview', 'modules', 'assessments', 'engagement', 'timeline'];
     requiredSections.forEach(section => {
       if (!data[section]) {
-        errors.push(Missing required section: );
+        errors.push(`Missing required section: ${section}`);
       }
     });
 
@@ -116,8 +118,8 @@ export class DataValidator {
       if (typeof data.overview.totalStatements !== 'number') {
         warnings.push('Invalid totalStatements in overview');
       }
-      if (data.overview.userEmail && !this.isValidEmail(data.overview.userEmail)) {
-        errors.push('Invalid email format in overview');
+      if (data.overview.learnerId && AgentIdentity.getInvalid(data.overview.learnerId).length > 0) {
+        errors.push('Invalid learner identifier in overview');
       }
     }
 
@@ -135,10 +137,10 @@ export class DataValidator {
     if (data.timeline && Array.isArray(data.timeline)) {
       data.timeline.forEach((day, index) => {
         if (!day.date || !this.isValidDate(day.date)) {
-          warnings.push(Invalid date in timeline[]);
+          warnings.push(`Invalid date in timeline[${index}]`);
         }
         if (typeof day.totalActivities !== 'number') {
-          warnings.push(Invalid totalActivities in timeline[]);
+          warnings.push(`Invalid totalActivities in timeline[${index}]`);
         }
       });
     }
@@ -203,7 +205,8 @@ export class DataValidator {
         ...day,
         totalActivities: Math.max(0, parseInt(day.totalActivities) || 0),
         completions: Math.max(0, parseInt(day.completions) || 0),
-        videoTime: Math.max(0, parseInt(day.videoTime) || 0)
+        // Seconds, possibly fractional (see Duration)
+        videoTime: Math.max(0, Number(day.videoTime) || 0)
       }))
       .sort((a, b) => new Date(a.date) - new Date(b.date));
   }
@@ -236,7 +239,7 @@ export class DataValidator {
         if (improvement > 50) {
           anomalies.push({
             type: 'large_improvement',
-            message: Score improved by % - verify data accuracy,
+            message: `Score improved by ${improvement}% - verify data accuracy`,
             severity: 'low'
           });
         }
@@ -252,7 +255,7 @@ export class DataValidator {
       if (maxActivities > avgActivities * 5) {
         anomalies.push({
           type: 'activity_spike',
-          message: Unusually high activity day ( activities),
+          message: `Unusually high activity day (${maxActivities} activities)`,
           severity: 'low'
         });
       }
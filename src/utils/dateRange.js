@@ -0,0 +1,159 @@
+import { TimeZone } from './timeZone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DATE_RANGE_PRESETS = [
+  { id: '7d', label: 'Last 7 days', days: 7 },
+  { id: '30d', label: 'Last 30 days', days: 30 },
+  { id: '90d', label: 'Last 90 days', days: 90 },
+  { id: '365d', label: 'Last year', days: 365 },
+  { id: 'all', label: 'All time', days: null }
+];
+
+// Periods the dashboard compares against the one before it
+export const COMPARISON_PERIODS = [
+  { id: 'week', label: 'Week', days: 7 },
+  { id: 'month', label: 'Month', days: 30 },
+  { id: 'quarter', label: 'Quarter', days: 90 }
+];
+
+/**
+ * Date Range Utilities
+ * A date range is `{ from, to }`, each an inclusive YYYY-MM-DD calendar day
+ * or null for an open end; `{ from: null, to: null }` (or no range at all)
+ * means all time. Days are calendar days in the learner's time zone (UTC
+ * unless given), matching the timeline's day buckets.
+ */
+export class DateRange {
+
+  /**
+   * The range covering the last `days` days, today included
+   * @param {number} days - Number of days
+   * @param {Date} now - Reference time (default: now)
+   * @param {string} timeZone - Time zone that decides which day today is (default: 'UTC')
+   * @returns {Object} - { from, to }
+   */
+  static lastDays(days, now = new Date(), timeZone = 'UTC') {
+    const today = TimeZone.getDay(now, timeZone);
+    return { from: this.addDays(today, -(days - 1)), to: today };
+  }
+
+  /**
+   * The range a preset selects
+   * @param {string} id - Preset ID from DATE_RANGE_PRESETS
+   * @param {Date} now - Reference time (default: now)
+   * @param {string} timeZone - Time zone that decides which day today is (default: 'UTC')
+   * @returns {Object} - { from, to }
+   */
+  static fromPreset(id, now = new Date(), timeZone = 'UTC') {
+    const preset = DATE_RANGE_PRESETS.find(p => p.id === id);
+    if (!preset || !preset.days) return { from: null, to: null };
+    return this.lastDays(preset.days, now, timeZone);
+  }
+
+  /**
+   * The preset a range matches, if any
+   * @param {Object} range - { from, to }
+   * @param {Date} now - Reference time (default: now)
+   * @param {string} timeZone - Time zone that decides which day today is (default: 'UTC')
+   * @returns {string|null} - Preset ID, or null for a custom range
+   */
+  static getPresetId(range, now = new Date(), timeZone = 'UTC') {
+    if (this.isAllTime(range)) return 'all';
+
+    const preset = DATE_RANGE_PRESETS.find(p => {
+      if (!p.days) return false;
+      const candidate = this.lastDays(p.days, now, timeZone);
+      return candidate.from === range.from && candidate.to === range.to;
+    });
+    return preset ? preset.id : null;
+  }
+
+  /**
+   * Whether a range is unbounded on both ends
+   * @param {Object} range - { from, to }, or null
+   * @returns {boolean} - True for all time
+   */
+  static isAllTime(range) {
+    return !range || (!range.from && !range.to);
+  }
+
+  /**
+   * The instants a range starts and ends at
+   * @param {Object} range - { from, to }, or null
+   * @param {string} timeZone - Time zone the days are in (default: 'UTC')
+   * @returns {Object} - { start, end } Dates; `end` is exclusive (midnight
+   *   after `to`); either is null for an open end
+   */
+  static getBounds(range, timeZone = 'UTC') {
+    return {
+      start: range?.from ? TimeZone.startOfDay(range.from, timeZone) : null,
+      end: range?.to ? TimeZone.startOfDay(this.addDays(range.to, 1), timeZone) : null
+    };
+  }
+
+  /**
+   * Keep the statements whose timestamp falls in a range
+   * @param {Array} statements - xAPI statements
+   * @param {Object} range - { from, to }, or null for all time
+   * @param {string} timeZone - Time zone the days are in (default: 'UTC')
+   * @returns {Array} - Statements inside the range, in their original order
+   */
+  static filterStatements(statements, range, timeZone = 'UTC') {
+    if (this.isAllTime(range)) return statements;
+
+    const { start, end } = this.getBounds(range, timeZone);
+    return statements.filter(stmt => {
+      const time = new Date(stmt.timestamp);
+      return (!start || time >= start) && (!end || time < end);
+    });
+  }
+
+  /**
+   * Every day in a range, oldest first
+   * @param {Object} range - { from, to }; both ends are required
+   * @returns {Array} - YYYY-MM-DD strings
+   */
+  static getDays(range) {
+    const days = [];
+    for (let day = range.from; day <= range.to; day = this.addDays(day, 1)) {
+      days.push(day);
+    }
+    return days;
+  }
+
+  /**
+   * Short human-readable description of a range
+   * @param {Object} range - { from, to }, or null
+   * @returns {string} - e.g. "Mar 1, 2025 – Mar 31, 2025" or "All time"
+   */
+  static describe(range) {
+    if (this.isAllTime(range)) return 'All time';
+
+    const format = day => new Date(`${day}T00:00:00.000Z`).toLocaleDateString('en-US', {
+      month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+    });
+    if (!range.from) return `Until ${format(range.to)}`;
+    if (!range.to) return `Since ${format(range.from)}`;
+    return `${format(range.from)} – ${format(range.to)}`;
+  }
+
+  /**
+   * The UTC calendar day of an instant
+   * @param {Date} date - Instant
+   * @returns {string} - YYYY-MM-DD
+   */
+  static toDay(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Shift a calendar day
+   * @param {string} day - YYYY-MM-DD
+   * @param {number} days - Days to add (negative to go back)
+   * @returns {string} - YYYY-MM-DD
+   */
+  static addDays(day, days) {
+    return this.toDay(new Date(new Date(`${day}T00:00:00.000Z`).getTime() + days * DAY_MS));
+  }
+}
@@ -0,0 +1,91 @@
+// Nominal lengths for the calendar units; xAPI durations are elapsed time,
+// so a year or month in one has no start date to be measured from
+const UNIT_SECONDS = {
+  Y: 365 * 24 * 3600,
+  M: 30 * 24 * 3600,
+  W: 7 * 24 * 3600,
+  D: 24 * 3600,
+  H: 3600,
+  TM: 60,
+  S: 1
+};
+
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+const DURATION_PATTERN = new RegExp(
+  `^P(?:${NUMBER}Y)?(?:${NUMBER}M)?(?:${NUMBER}W)?(?:${NUMBER}D)?` +
+  `(?:T(?:${NUMBER}H)?(?:${NUMBER}M)?(?:${NUMBER}S)?)?$`
+);
+const DURATION_UNITS = ['Y', 'M', 'W', 'D', 'H', 'TM', 'S'];
+
+/**
+ * Duration Utilities
+ * Parses and formats the ISO 8601 durations in xAPI `result.duration`
+ * (e.g. PT1M30S, PT12.5S, P1DT2H, P2W). Every module that reads a duration
+ * goes through here, so the same statements always add up to the same time.
+ */
+export class Duration {
+
+  /**
+   * Parse an ISO 8601 duration
+   * Any component may be fractional, with a dot or a comma. Years and months
+   * count as 365 and 30 days.
+   * @param {string} duration - ISO 8601 duration, e.g. "PT1H2M3.5S"
+   * @returns {number} - Seconds (possibly fractional); 0 if missing or invalid
+   */
+  static parse(duration) {
+    if (typeof duration !== 'string') return 0;
+
+    const value = duration.trim().toUpperCase();
+    const match = value.match(DURATION_PATTERN);
+    // "P" and "P1DT" match the pattern but have no component after P or T
+    if (!match || value === 'P' || value.endsWith('T')) return 0;
+
+    return DURATION_UNITS.reduce((total, unit, index) => {
+      const amount = match[index + 1];
+      return amount ? total + parseFloat(amount.replace(',', '.')) * UNIT_SECONDS[unit] : total;
+    }, 0);
+  }
+
+  /**
+   * Total duration of a set of statements
+   * @param {Array} statements - xAPI statements; ones without a duration count as 0
+   * @returns {number} - Seconds
+   */
+  static sum(statements) {
+    return statements.reduce((total, stmt) => total + this.parse(stmt.result?.duration), 0);
+  }
+
+  /**
+   * Format seconds for display
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} - e.g. "1h 2m", "2m 5s" or "45s"
+   */
+  static format(seconds) {
+    const total = Math.round(seconds) || 0;
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+
+    if (hours > 0) {
+      return `${hours}h ${minutes}m`;
+    } else if (minutes > 0) {
+      return `${minutes}m ${secs}s`;
+    } else {
+      return `${secs}s`;
+    }
+  }
+
+  /**
+   * Format seconds as an ISO 8601 duration
+   * Seconds are kept to the hundredth, the precision xAPI requires LRSs to store.
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} - e.g. "PT12M30S" or "PT1H0.5S"
+   */
+  static toISO(seconds) {
+    const hundredths = Math.max(0, Math.round(seconds * 100));
+    const h = Math.floor(hundredths / 360000);
+    const m = Math.floor((hundredths % 360000) / 6000);
+    const s = (hundredths % 6000) / 100;
+    return `PT${h ? `${h}H` : ''}${m ? `${m}M` : ''}${s || (!h && !m) ? `${s}S` : ''}`;
+  }
+}
@@ -0,0 +1,409 @@
+import { XAPIStatementBuilder } from './xapiStatementBuilder.js';
+import { TimeZone, TIMEZONE_EXTENSION } from './timeZone.js';
+import { Duration } from './duration.js';
+import { XAPI_VERBS, ACTIVITY_TYPES } from './vocabulary.js';
+
+export { TIMEZONE_EXTENSION };
+
+const TIMEZONES = [
+  'America/Los_Angeles',
+  'America/New_York',
+  'America/Sao_Paulo',
+  'Europe/London',
+  'Europe/Berlin',
+  'Africa/Lagos',
+  'Asia/Kolkata',
+  'Asia/Shanghai',
+  'Asia/Tokyo',
+  'Australia/Sydney'
+];
+
+const FIRST_NAMES = ['Ada', 'Ben', 'Chen', 'Dara', 'Elif', 'Femi', 'Grace', 'Hiro', 'Ines', 'Jonas', 'Kavya', 'Luis', 'Mei', 'Noor', 'Omar', 'Priya'];
+const LAST_NAMES = ['Adeyemi', 'Berg', 'Costa', 'Dubois', 'Evans', 'Fischer', 'Gupta', 'Haddad', 'Ito', 'Kim', 'Lopez', 'Moreau', 'Nakamura', 'Okafor', 'Singh', 'Wang'];
+
+const TOPICS = ['Foundations', 'Data Preparation', 'Regression', 'Classification', 'Model Evaluation', 'Neural Networks', 'Unsupervised Learning', 'Deployment'];
+
+/**
+ * Synthetic Coursera Learner Data Generator
+ * Produces reproducible xAPI statement histories for demos, load tests and
+ * regression tests. The same seed always yields the same statements.
+ */
+export class LearnerDataGenerator {
+  constructor(options = {}) {
+    this.seed = options.seed ?? 1;
+    this.random = createRandom(this.seed);
+  }
+
+  /**
+   * Build a course structure: modules → lessons → videos, plus a graded quiz
+   * per module and assignments/peer reviews on some modules
+   * @param {Object} options - Course options
+   * @param {string} options.courseId - Course activity IRI
+   * @param {string} options.name - Course name
+   * @param {number} options.modules - Number of modules
+   * @param {number} options.lessonsPerModule - Lessons per module
+   * @param {number} options.videosPerLesson - Videos per lesson
+   * @returns {Object} - Course structure
+   */
+  createCourse(options = {}) {
+    const courseId = options.courseId || 'http://example.com/course/1';
+    const moduleCount = options.modules || 6;
+    const lessonsPerModule = options.lessonsPerModule || 2;
+    const videosPerLesson = options.videosPerLesson || 3;
+
+    const modules = Array.from({ length: moduleCount }, (_, m) => {
+      const moduleId = `${courseId}/module/${m + 1}`;
+      const topic = TOPICS[m % TOPICS.length];
+
+      const lessons = Array.from({ length: lessonsPerModule }, (_, l) => ({
+        id: `${moduleId}/lesson/${l + 1}`,
+        name: `${topic}: Lesson ${l + 1}`,
+        videos: Array.from({ length: videosPerLesson }, (_, v) => ({
+          id: `${moduleId}/lesson/${l + 1}/video/${v + 1}`,
+          name: `${topic} ${l + 1}.${v + 1}`,
+          // Lecture videos run 3–18 minutes
+          durationSeconds: this.integer(180, 1080)
+        }))
+      }));
+
+      return {
+        id: moduleId,
+        name: `Module ${m + 1}: ${topic}`,
+        lessons,
+        quiz: {
+          id: `${moduleId}/quiz/1`,
+          name: `${topic} Graded Quiz`,
+          maxScore: 10,
+          passingScore: 0.8
+        },
+        // Every other module ends with a programming assignment and peer review
+        assignment: m % 2 === 1 ? {
+          id: `${moduleId}/assignment/1`,
+          name: `${topic} Programming Assignment`,
+          maxScore: 100,
+          passingScore: 0.7
+        } : null,
+        peerReview: m % 2 === 1 ? {
+          id: `${moduleId}/peer-review/1`,
+          name: `${topic} Peer Review`
+        } : null
+      };
+    });
+
+    return {
+      id: courseId,
+      name: options.name || 'Machine Learning Fundamentals',
+      modules
+    };
+  }
+
+  /**
+   * Describe a course as a course manifest (see CourseStructure.fromManifest)
+   * @param {Object} course - Course structure from createCourse
+   * @returns {Object} - Course manifest
+   */
+  createManifest(course) {
+    const item = (activity, type) => ({ id: activity.id, name: activity.name, type });
+
+    return {
+      id: course.id,
+      name: course.name,
+      modules: course.modules.map(module => ({
+        id: module.id,
+        name: module.name,
+        lessons: module.lessons.map(lesson => ({
+          id: lesson.id,
+          name: lesson.name,
+          items: lesson.videos.map(video => item(video, ACTIVITY_TYPES.VIDEO))
+        })),
+        items: [
+          item(module.quiz, ACTIVITY_TYPES.QUIZ),
+          ...(module.assignment ? [item(module.assignment, ACTIVITY_TYPES.ASSIGNMENT)] : []),
+          ...(module.peerReview ? [item(module.peerReview, ACTIVITY_TYPES.PEER_REVIEW)] : [])
+        ]
+      }))
+    };
+  }
+
+  /**
+   * Create a learner profile with a timezone and study habits
+   * @param {number} index - Learner index (used for the email address)
+   * @returns {Object} - Learner profile
+   */
+  createLearner(index) {
+    const first = this.pick(FIRST_NAMES);
+    const last = this.pick(LAST_NAMES);
+
+    return {
+      name: `${first} ${last}`,
+      email: `${first}.${last}.${index}@example.com`.toLowerCase(),
+      timezone: this.pick(TIMEZONES),
+      // Probability of studying on any given day
+      diligence: 0.25 + this.random() * 0.6,
+      // Baseline quiz accuracy before practice effects
+      skill: 0.45 + this.random() * 0.5,
+      // Items completed per study session
+      pace: this.integer(2, 7),
+      // Local hour at which study sessions usually start
+      preferredHour: this.pick([7, 12, 19, 21, 22, 23]),
+      // Chance of dropping out after each module
+      dropoutRisk: this.random() * 0.12
+    };
+  }
+
+  /**
+   * Simulate one learner working through a course
+   * @param {Object} course - Course structure from createCourse
+   * @param {Object} learner - Learner profile from createLearner
+   * @param {Object} options - Simulation options
+   * @param {Date} options.startDate - First possible study day
+   * @param {number} options.days - Length of the simulated window
+   * @returns {Array} - Chronologically ordered xAPI statements
+   */
+  generateLearnerStatements(course, learner, options = {}) {
+    const startDate = new Date(options.startDate || Date.now() - 90 * DAY_MS);
+    const days = options.days || 90;
+    const queue = this.buildItemQueue(course);
+    const statements = [];
+
+    for (let day = 0; day < days && queue.length > 0; day++) {
+      if (this.random() > learner.diligence) continue;
+
+      // Occasional long breaks (travel, exams) break streaks
+      if (this.random() < 0.04) {
+        day += this.integer(3, 10);
+        continue;
+      }
+
+      const dayStart = new Date(startDate.getTime() + day * DAY_MS);
+      let minuteOfDay = learner.preferredHour * 60 + this.integer(-45, 45);
+      const itemsToday = this.integer(1, learner.pace);
+
+      for (let i = 0; i < itemsToday && queue.length > 0; i++) {
+        const item = queue[0];
+        const at = TimeZone.atLocalTime(dayStart.toISOString().split('T')[0], minuteOfDay, learner.timezone);
+        const { statements: produced, done, minutes } = this.studyItem(course, learner, item, at);
+
+        statements.push(...produced);
+        minuteOfDay += minutes + this.integer(1, 10);
+
+        // Retakes and unfinished videos are picked up on a later day
+        if (!done) break;
+        queue.shift();
+
+        // Learners sometimes give up after finishing a module
+        if (item.kind === 'module' && this.random() < learner.dropoutRisk) {
+          return statements;
+        }
+      }
+    }
+
+    return statements;
+  }
+
+  /**
+   * Generate statement histories for a cohort of learners
+   * @param {Object} course - Course structure from createCourse
+   * @param {number} count - Number of learners
+   * @param {Object} options - Simulation options (see generateLearnerStatements)
+   * @returns {Array} - [{ learner, statements }]
+   */
+  generateCohort(course, count, options = {}) {
+    return Array.from({ length: count }, (_, index) => {
+      const learner = this.createLearner(index + 1);
+      return {
+        learner,
+        statements: this.generateLearnerStatements(course, learner, options)
+      };
+    });
+  }
+
+  /**
+   * Flatten a course into the ordered list of items a learner works through
+   * @param {Object} course - Course structure
+   * @returns {Array} - Items with their parent module
+   */
+  buildItemQueue(course) {
+    return course.modules.flatMap(module => [
+      ...module.lessons.flatMap(lesson =>
+        lesson.videos.map(video => ({ kind: 'video', activity: video, module, lesson }))
+      ),
+      { kind: 'quiz', activity: module.quiz, module, attempts: 0 },
+      ...(module.assignment ? [{ kind: 'assignment', activity: module.assignment, module, attempts: 0 }] : []),
+      ...(module.peerReview ? [{ kind: 'peer-review', activity: module.peerReview, module }] : []),
+      { kind: 'module', activity: module, module }
+    ]);
+  }
+
+  /**
+   * Produce the statements for one attempt at an item
+   * @returns {Object} - { statements, done, minutes }
+   */
+  studyItem(course, learner, item, at) {
+    const context = this.contextFor(course, learner, item);
+
+    switch (item.kind) {
+      case 'video': {
+        // Most views finish the video; some stop part-way and come back
+        const fraction = this.random() < 0.85 ? 1 : 0.3 + this.random() * 0.6;
+        const watched = Math.round(item.activity.durationSeconds * fraction);
+        const statement = this.builder(learner, at, context)
+          .setVerb(XAPI_VERBS.EXPERIENCED, 'experienced')
+          .setObject(item.activity.id, item.activity.name, `Video: ${item.activity.name}`, ACTIVITY_TYPES.VIDEO)
+          .setResult({ completion: fraction === 1, duration: Duration.toISO(watched) })
+          .build();
+        return { statements: [statement], done: fraction === 1, minutes: Math.ceil(watched / 60) };
+      }
+      case 'quiz':
+      case 'assignment': {
+        item.attempts++;
+        const { maxScore, passingScore } = item.activity;
+        // Each retake benefits from review of the previous attempt
+        const accuracy = clamp(learner.skill + 0.12 * (item.attempts - 1) + (this.random() - 0.5) * 0.3, 0, 1);
+        const raw = Math.round(accuracy * maxScore);
+        const passed = raw / maxScore >= passingScore;
+        const type = item.kind === 'quiz' ? ACTIVITY_TYPES.QUIZ : ACTIVITY_TYPES.ASSIGNMENT;
+        const minutes = item.kind === 'quiz' ? this.integer(8, 25) : this.integer(40, 120);
+        const statements = [];
+
+        if (item.kind === 'assignment') {
+          statements.push(this.builder(learner, at, context)
+            .setVerb(XAPI_VERBS.COMPLETED, 'completed')
+            .setObject(item.activity.id, item.activity.name, `Assignment: ${item.activity.name}`, type)
+            .setResult({ completion: true, duration: Duration.toISO(minutes * 60) })
+            .build());
+        }
+
+        statements.push(this.builder(learner, new Date(at.getTime() + minutes * 60000), context)
+          .setVerb(XAPI_VERBS.SCORED, 'scored')
+          .setObject(item.activity.id, item.activity.name, `Assessment: ${item.activity.name}`, type)
+          .setResult({
+            score: raw,
+            maxScore,
+            success: passed,
+            completion: true,
+            duration: Duration.toISO(minutes * 60)
+          })
+          .build());
+
+        // Give up on retakes after three attempts and move on
+        return { statements, done: passed || item.attempts >= 3, minutes };
+      }
+      case 'peer-review': {
+        const minutes = this.integer(15, 40);
+        const statement = this.builder(learner, at, context)
+          .setVerb(XAPI_VERBS.COMPLETED, 'completed')
+          .setObject(item.activity.id, item.activity.name, `Peer review: ${item.activity.name}`, ACTIVITY_TYPES.PEER_REVIEW)
+          .setResult({ completion: true, duration: Duration.toISO(minutes * 60) })
+          .build();
+        return { statements: [statement], done: true, minutes };
+      }
+      case 'module':
+      default: {
+        const statement = this.builder(learner, at, context)
+          .setVerb(XAPI_VERBS.COMPLETED, 'completed')
+          .setObject(item.activity.id, item.activity.name, `Completed module: ${item.activity.name}`, ACTIVITY_TYPES.MODULE)
+          .setResult({ completion: true, success: true })
+          .build();
+        return { statements: [statement], done: true, minutes: 0 };
+      }
+    }
+  }
+
+  /**
+   * Start a statement with actor, id and a timestamp in the learner's timezone
+   */
+  builder(learner, at, context) {
+    return new XAPIStatementBuilder()
+      .setId(this.uuid())
+      .setActor(learner.name, learner.email)
+      .setContext(context)
+      .setTimestamp(formatInTimezone(at, learner.timezone));
+  }
+
+  /**
+   * Context placing an item in the course tree: videos sit under their lesson,
+   * other items under their module, and modules directly under the course
+   */
+  contextFor(course, learner, item) {
+    const activityRef = (activity, type) => ({
+      id: activity.id,
+      objectType: 'Activity',
+      definition: { type, name: { 'en-US': activity.name } }
+    });
+    const courseRef = activityRef(course, ACTIVITY_TYPES.COURSE);
+    const moduleRef = activityRef(item.module, ACTIVITY_TYPES.MODULE);
+
+    let contextActivities;
+    if (item.kind === 'module') {
+      contextActivities = { parent: [courseRef], grouping: [courseRef] };
+    } else if (item.kind === 'video') {
+      contextActivities = {
+        parent: [activityRef(item.lesson, ACTIVITY_TYPES.LESSON)],
+        grouping: [moduleRef, courseRef]
+      };
+    } else {
+      contextActivities = { parent: [moduleRef], grouping: [courseRef] };
+    }
+
+    return {
+      contextActivities,
+      extensions: {
+        [TIMEZONE_EXTENSION]: learner.timezone
+      }
+    };
+  }
+
+  integer(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  pick(values) {
+    return values[Math.floor(this.random() * values.length)];
+  }
+
+  /**
+   * Deterministic RFC 4122 version 4 UUID drawn from the seeded generator
+   */
+  uuid() {
+    const hex = Array.from({ length: 32 }, () => Math.floor(this.random() * 16).toString(16));
+    hex[12] = '4';
+    hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    const s = hex.join('');
+    return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(16, 20)}-${s.slice(20)}`;
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Format an instant as ISO 8601 with the timezone's UTC offset
+ * (e.g. 2025-06-02T21:15:00-07:00)
+ */
+const formatInTimezone = (date, timeZone) => {
+  const offset = TimeZone.getOffset(date, timeZone);
+  const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  const hh = String(Math.floor(abs / 60)).padStart(2, '0');
+  const mm = String(abs % 60).padStart(2, '0');
+  return `${local}${sign}${hh}:${mm}`;
+};
@@ -0,0 +1,120 @@
+import { CourseDataProcessor } from './dataProcessor.js';
+import { CourseStructure } from './courseStructure.js';
+import { Duration } from './duration.js';
+import { Vocabulary } from './vocabulary.js';
+
+/**
+ * Module Drill-down Analytics
+ * Per-item status for every lesson, video, quiz and assignment in a module
+ */
+export class ModuleAnalyzer {
+
+  /**
+   * Build the detail view of one module
+   * @param {Object} module - Module from a course structure
+   * @param {Array} statements - The learner's statements for the course
+   * @returns {Object} - { id, name, completed, total, percentage, timeSpent,
+   *   timeSpentFormatted, lessons: [{ id, name, items }], items }
+   */
+  static createModuleDetail(module, statements) {
+    const itemIds = new Set(CourseStructure.getModuleItems(module).map(item => item.id));
+    const byItem = new Map();
+
+    statements.forEach(stmt => {
+      if (!itemIds.has(stmt.object.id)) return;
+      if (!byItem.has(stmt.object.id)) byItem.set(stmt.object.id, []);
+      byItem.get(stmt.object.id).push(stmt);
+    });
+
+    // Attempts and best scores come from the same aggregation as the Performance tab
+    const scoreStatements = [...byItem.values()].flat().filter(stmt => stmt.result?.score);
+    const scores = new Map(
+      CourseDataProcessor.aggregateScores(scoreStatements).scores.map(score => [score.activityId, score])
+    );
+
+    const toDetail = item => this.calculateItemDetail(item, byItem.get(item.id) || [], scores.get(item.id));
+    const lessons = module.lessons.map(lesson => ({
+      id: lesson.id,
+      name: lesson.name,
+      items: lesson.items.map(toDetail)
+    }));
+    const items = module.items.map(toDetail);
+
+    const allItems = [...lessons.flatMap(lesson => lesson.items), ...items];
+    const completed = allItems.filter(item => item.status === 'completed' || item.status === 'passed').length;
+    const timeSpent = allItems.reduce((sum, item) => sum + item.timeSpent, 0);
+
+    return {
+      id: module.id,
+      name: module.name,
+      completed,
+      total: allItems.length,
+      percentage: allItems.length > 0 ? Math.round((completed / allItems.length) * 100) : 0,
+      timeSpent,
+      timeSpentFormatted: CourseDataProcessor.formatDuration(timeSpent),
+      lessons,
+      items
+    };
+  }
+
+  /**
+   * Work out an item's status from the learner's statements about it
+   * @param {Object} item - Structure item ({ id, name, type })
+   * @param {Array} statements - Statements whose object is the item
+   * @param {Object} score - The item's entry from aggregateScores, if scored
+   * @returns {Object} - Item detail
+   */
+  static calculateItemDetail(item, statements, score) {
+    const type = item.type || statements[0]?.object.definition?.type || null;
+    const lastActivity = statements.length > 0
+      ? new Date(Math.max(...statements.map(stmt => new Date(stmt.timestamp).getTime())))
+      : null;
+    const timeSpent = this.calculateTimeSpent(statements, !!score);
+
+    return {
+      id: item.id,
+      name: item.name,
+      type,
+      kind: Vocabulary.getKind(type),
+      status: this.getItemStatus(statements, !!score),
+      attempts: score ? score.attempts : 0,
+      bestScore: score ? score.bestScore : null,
+      latestScore: score ? score.score : null,
+      timeSpent,
+      timeSpentFormatted: CourseDataProcessor.formatDuration(timeSpent),
+      lastActivity
+    };
+  }
+
+  /**
+   * Item status: not-started, in-progress, completed, passed or failed
+   * Scored items are passed once any attempt succeeded and failed while every
+   * attempt so far failed; other items are completed on their first completion.
+   * @param {Array} statements - Statements whose object is the item
+   * @param {boolean} isScored - Whether the item has scored attempts
+   * @returns {string} - Status
+   */
+  static getItemStatus(statements, isScored) {
+    if (statements.length === 0) return 'not-started';
+
+    if (isScored) {
+      const attempts = statements.filter(stmt => stmt.result?.score);
+      if (attempts.some(stmt => stmt.result.success === true)) return 'passed';
+      if (attempts.some(stmt => stmt.result.success === false)) return 'failed';
+    }
+
+    return statements.some(stmt => CourseStructure.isCompletion(stmt)) ? 'completed' : 'in-progress';
+  }
+
+  /**
+   * Total time spent on an item from result durations
+   * A graded attempt may report its duration on both a completion and a score
+   * statement, so scored items only count the score statements.
+   * @param {Array} statements - Statements whose object is the item
+   * @param {boolean} isScored - Whether the item has scored attempts
+   * @returns {number} - Seconds
+   */
+  static calculateTimeSpent(statements, isScored) {
+    return Duration.sum(statements.filter(stmt => stmt.result?.duration && (!isScored || stmt.result.score)));
+  }
+}
@@ -0,0 +1,106 @@
+import { CourseDataProcessor } from './dataProcessor.js';
+import { DataAggregator } from './dataAggregator.js';
+import { ChartDataTransformer } from './chartDataTransformer.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Portfolio Analytics
+ * Per-course cards and combined activity for a learner enrolled in several
+ * courses (e.g. a specialization)
+ */
+export class PortfolioAnalyzer {
+
+  /**
+   * Build the portfolio summary from fetched portfolio data
+   * @param {Object} portfolio - Result of CourseraXAPIService.getLearnerPortfolio
+   * @param {string} timeZone - Learner's time zone for day-level figures (default: 'UTC')
+   * @returns {Object} - { courses, summary, engagement, timeline, recentActivity, charts }
+   */
+  static createPortfolioSummary(portfolio, timeZone = 'UTC') {
+    const courses = portfolio.courses.map(course => ({
+      courseId: course.courseId,
+      name: course.name,
+      ...DataAggregator.calculateCourseMetrics(course.classified, course.structure, timeZone),
+      totalStatements: course.totalStatements
+    }));
+
+    const statementsByCourse = portfolio.courses.map(course => ({
+      name: course.name,
+      statements: this.getTrackedStatements(course.classified)
+    }));
+    const allStatements = statementsByCourse.flatMap(course => course.statements);
+
+    return {
+      courses,
+      summary: {
+        ...this.summarizePortfolio(courses),
+        learnerId: portfolio.learnerId,
+        totalStatements: portfolio.totalStatements,
+        truncated: portfolio.truncated
+      },
+      // Streaks and sessions count activity in any course
+      engagement: CourseDataProcessor.calculateEngagementMetrics([...allStatements], timeZone),
+      timeline: CourseDataProcessor.generateTimelineData([...allStatements], timeZone),
+      recentActivity: this.getRecentActivity(portfolio.courses),
+      charts: {
+        activity: ChartDataTransformer.transformCourseActivityChart(statementsByCourse, 30, timeZone)
+      }
+    };
+  }
+
+  /**
+   * Statements the dashboard counts towards metrics
+   * @param {Object} classified - Classified course statements
+   * @returns {Array} - Module, quiz, assignment and video statements
+   */
+  static getTrackedStatements(classified) {
+    return [
+      ...classified.modules,
+      ...classified.quizzes,
+      ...classified.assignments,
+      ...classified.videos
+    ];
+  }
+
+  /**
+   * Summarize the portfolio as a whole
+   * @param {Array} courses - Per-course metrics
+   * @returns {Object} - Course counts and averages
+   */
+  static summarizePortfolio(courses) {
+    const now = Date.now();
+    const scored = courses.filter(c => c.averageScore !== null);
+
+    return {
+      courseCount: courses.length,
+      activeCourses: courses.filter(c => c.lastActivity && (now - c.lastActivity.getTime()) / DAY_MS <= 14).length,
+      completedModules: courses.reduce((sum, c) => sum + c.modulesCompleted, 0),
+      averageProgress: courses.length > 0
+        ? Math.round(courses.reduce((sum, c) => sum + c.progress, 0) / courses.length)
+        : 0,
+      averageScore: scored.length > 0
+        ? Math.round(scored.reduce((sum, c) => sum + c.averageScore, 0) / scored.length)
+        : null
+    };
+  }
+
+  /**
+   * Merge the newest statements from every course into one feed
+   * @param {Array} courses - Portfolio courses with classified statements
+   * @param {number} limit - Maximum number of entries
+   * @returns {Array} - Newest first, each tagged with its course
+   */
+  static getRecentActivity(courses, limit = 20) {
+    return courses
+      .flatMap(course => course.classified.timeline.slice(0, limit).map(stmt => ({
+        courseId: course.courseId,
+        courseName: course.name,
+        name: stmt.object.definition?.name?.['en-US'] || 'Unknown Activity',
+        verb: stmt.verb.display?.['en-US'] || stmt.verb.id.split('/').pop(),
+        timestamp: new Date(stmt.timestamp)
+      })))
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,86 @@
+export const DASHBOARD_TABS = ['overview', 'progress', 'performance', 'engagement'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Route Paths
+ * Builds and reads the dashboard's deep links:
+ *   /learner/:learnerId/course/:courseId/:tab?from=&to=
+ *   /learner/:learnerId/portfolio
+ *   /course/:courseId/cohort
+ * Learner IDs (an email or other identifiers, see AgentIdentity) and course
+ * IDs (which are URLs themselves) are URL-encoded into a single path segment
+ * each.
+ */
+export class RoutePaths {
+
+  /**
+   * Path to a learner's course dashboard
+   * @param {string} learnerId - Learner ID
+   * @param {string} courseId - Course activity ID
+   * @param {string} tab - Dashboard tab
+   * @param {Object} dateRange - { from, to } as YYYY-MM-DD, either optional
+   * @returns {string} - Path with query string
+   */
+  static learner(learnerId, courseId, tab = 'overview', dateRange = {}) {
+    const path = `/learner/${encodeURIComponent(learnerId)}/course/${encodeURIComponent(courseId)}/${this.getTab(tab)}`;
+    return path + this.toSearch(dateRange);
+  }
+
+  /**
+   * Path to a learner's multi-course portfolio
+   * @param {string} learnerId - Learner ID
+   * @returns {string} - Path
+   */
+  static portfolio(learnerId) {
+    return `/learner/${encodeURIComponent(learnerId)}/portfolio`;
+  }
+
+  /**
+   * Path to the instructor cohort view of a course
+   * @param {string} courseId - Course activity ID
+   * @returns {string} - Path
+   */
+  static cohort(courseId) {
+    return `/course/${encodeURIComponent(courseId)}/cohort`;
+  }
+
+  /**
+   * Normalize a tab route parameter
+   * @param {string} tab - Tab from the URL, possibly missing or unknown
+   * @returns {string} - A dashboard tab, 'overview' if the input isn't one
+   */
+  static getTab(tab) {
+    return DASHBOARD_TABS.includes(tab) ? tab : 'overview';
+  }
+
+  /**
+   * Read the date range from a query string
+   * Values that aren't YYYY-MM-DD dates are ignored.
+   * @param {string|URLSearchParams} search - Query string or parsed params
+   * @returns {Object} - { from, to }, each a YYYY-MM-DD string or null
+   */
+  static getDateRange(search) {
+    const params = search instanceof URLSearchParams ? search : new URLSearchParams(search);
+    const read = key => {
+      const value = params.get(key);
+      return value && DATE_PATTERN.test(value) && !isNaN(new Date(value)) ? value : null;
+    };
+
+    return { from: read('from'), to: read('to') };
+  }
+
+  /**
+   * Build the query string for a date range
+   * @param {Object} dateRange - { from, to }, either optional
+   * @returns {string} - '?from=...&to=...', or '' for an open range
+   */
+  static toSearch({ from, to } = {}) {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+
+    const search = params.toString();
+    return search ? `?${search}` : '';
+  }
+}
@@ -0,0 +1,149 @@
+export const TIMEZONE_EXTENSION = 'http://coursera.org/xapi/extensions/timezone';
+
+// Intl formatters are slow to create and day bucketing calls them per statement
+const dayFormatters = new Map();
+const partFormatters = new Map();
+
+const getFormatter = (cache, timeZone, options) => {
+  if (!cache.has(timeZone)) {
+    cache.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, ...options }));
+  }
+  return cache.get(timeZone);
+};
+
+/**
+ * Time Zone Utilities
+ * Calendar days for day-level aggregation (timelines, streaks, active days)
+ * are days in the learner's IANA time zone, so late-evening study counts
+ * towards the day it happened. Daylight saving time is handled by Intl.
+ */
+export class TimeZone {
+
+  /**
+   * Whether a string is an IANA time zone this runtime knows
+   * @param {string} timeZone - Candidate time zone
+   * @returns {boolean} - True if usable
+   */
+  static isValid(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * The browser's time zone
+   * @returns {string} - IANA time zone, 'UTC' if unknown
+   */
+  static getBrowserTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+
+  /**
+   * Every time zone this runtime knows, for a picker
+   * @returns {Array} - IANA time zone names
+   */
+  static getTimeZones() {
+    return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : ['UTC'];
+  }
+
+  /**
+   * The time zone recorded in statement context extensions
+   * @param {Array} statements - xAPI statements, newest first
+   * @returns {string|null} - The newest valid time zone, or null
+   */
+  static fromStatements(statements) {
+    for (const stmt of statements || []) {
+      const timeZone = stmt.context?.extensions?.[TIMEZONE_EXTENSION];
+      if (this.isValid(timeZone)) return timeZone;
+    }
+    return null;
+  }
+
+  /**
+   * Pick the time zone to aggregate a learner's activity in
+   * An override wins, then the time zone in the learner's statements, then
+   * the fallback.
+   * @param {Object} options - Resolution options
+   * @param {string} options.override - Time zone chosen for this learner, optional
+   * @param {Array} options.statements - The learner's statements, newest first
+   * @param {string} options.fallback - Time zone when nothing else applies (default: 'UTC')
+   * @returns {Object} - { timeZone, source } with source 'override', 'statements' or 'default'
+   */
+  static resolve({ override = null, statements = [], fallback = 'UTC' } = {}) {
+    if (this.isValid(override)) return { timeZone: override, source: 'override' };
+
+    const fromStatements = this.fromStatements(statements);
+    if (fromStatements) return { timeZone: fromStatements, source: 'statements' };
+
+    return { timeZone: this.isValid(fallback) ? fallback : 'UTC', source: 'default' };
+  }
+
+  /**
+   * The calendar day an instant falls on in a time zone
+   * @param {Date|string} date - Instant
+   * @param {string} timeZone - IANA time zone (default: 'UTC')
+   * @returns {string} - YYYY-MM-DD
+   */
+  static getDay(date, timeZone = 'UTC') {
+    const instant = new Date(date);
+    if (timeZone === 'UTC') return instant.toISOString().split('T')[0];
+
+    const parts = Object.fromEntries(
+      getFormatter(dayFormatters, timeZone, { year: 'numeric', month: '2-digit', day: '2-digit' })
+        .formatToParts(instant)
+        .map(part => [part.type, part.value])
+    );
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+
+  /**
+   * Offset of a time zone from UTC at an instant
+   * @param {Date} date - Instant
+   * @param {string} timeZone - IANA time zone
+   * @returns {number} - Minutes ahead of UTC (negative west of Greenwich)
+   */
+  static getOffset(date, timeZone) {
+    const parts = Object.fromEntries(
+      getFormatter(partFormatters, timeZone, {
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }).formatToParts(date).map(part => [part.type, part.value])
+    );
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUTC - date.getTime()) / 60000);
+  }
+
+  /**
+   * The instant a wall-clock time occurs on a calendar day in a time zone
+   * @param {string} day - YYYY-MM-DD
+   * @param {number} minuteOfDay - Local minutes after midnight (may exceed 1440)
+   * @param {string} timeZone - IANA time zone (default: 'UTC')
+   * @returns {Date} - Instant
+   */
+  static atLocalTime(day, minuteOfDay, timeZone = 'UTC') {
+    const wallClock = new Date(`${day}T00:00:00.000Z`).getTime() + minuteOfDay * 60000;
+    // Two passes settle the offset across DST transitions
+    let instant = wallClock - this.getOffset(new Date(wallClock), timeZone) * 60000;
+    instant = wallClock - this.getOffset(new Date(instant), timeZone) * 60000;
+    return new Date(instant);
+  }
+
+  /**
+   * The instant a calendar day starts in a time zone
+   * @param {string} day - YYYY-MM-DD
+   * @param {string} timeZone - IANA time zone (default: 'UTC')
+   * @returns {Date} - Local midnight
+   */
+  static startOfDay(day, timeZone = 'UTC') {
+    return this.atLocalTime(day, 0, timeZone);
+  }
+}
@@ -0,0 +1,337 @@
+import { Duration } from './duration.js';
+import { Vocabulary, VIDEO_PROFILE_TYPE } from './vocabulary.js';
+
+const VIDEO_EXTENSION = 'https://w3id.org/xapi/video/extensions';
+
+/**
+ * ADL xAPI Video Profile identifiers
+ * https://w3id.org/xapi/video
+ */
+export const VIDEO_PROFILE = {
+  activityType: VIDEO_PROFILE_TYPE,
+  verbs: {
+    INITIALIZED: 'http://adlnet.gov/expapi/verbs/initialized',
+    PLAYED: 'https://w3id.org/xapi/video/verbs/played',
+    PAUSED: 'https://w3id.org/xapi/video/verbs/paused',
+    SEEKED: 'https://w3id.org/xapi/video/verbs/seeked',
+    INTERACTED: 'http://adlnet.gov/expapi/verbs/interacted',
+    COMPLETED: 'http://adlnet.gov/expapi/verbs/completed',
+    TERMINATED: 'http://adlnet.gov/expapi/verbs/terminated'
+  },
+  extensions: {
+    TIME: `${VIDEO_EXTENSION}/time`,
+    TIME_FROM: `${VIDEO_EXTENSION}/time-from`,
+    TIME_TO: `${VIDEO_EXTENSION}/time-to`,
+    PLAYED_SEGMENTS: `${VIDEO_EXTENSION}/played-segments`,
+    PROGRESS: `${VIDEO_EXTENSION}/progress`,
+    LENGTH: `${VIDEO_EXTENSION}/length`,
+    SPEED: `${VIDEO_EXTENSION}/speed`,
+    SESSION_ID: `${VIDEO_EXTENSION}/session-id`,
+    COMPLETION_THRESHOLD: `${VIDEO_EXTENSION}/completion-threshold`
+  }
+};
+
+// Parts of a video the retention strip is split into
+const RETENTION_BUCKETS = 10;
+
+const { verbs: VERBS, extensions: EXT } = VIDEO_PROFILE;
+
+const round1 = value => Math.round(value * 10) / 10;
+
+/**
+ * Video Analytics
+ * Rebuilds what a learner actually watched from ADL Video Profile statements
+ * (initialized, played, paused, seeked, completed, terminated). Watched
+ * coverage counts each second of a video once; played time counts re-watches
+ * too. Coursera `experienced` statements only report how long was watched,
+ * so they add to played time but not to coverage.
+ */
+export class VideoAnalyzer {
+
+  /**
+   * Whether a statement is about a video
+   * @param {Object} stmt - xAPI statement
+   * @returns {boolean} - True for types the vocabulary maps to `video`,
+   *   ADL Video Profile activities included
+   */
+  static isVideoStatement(stmt) {
+    return Vocabulary.isType(stmt.object?.definition?.type, 'video');
+  }
+
+  /**
+   * Analyze every video a learner has statements about
+   * @param {Array} statements - xAPI statements, in any order
+   * @returns {Object} - { videos, summary }; videos are most recently watched first
+   */
+  static analyzeVideos(statements) {
+    const byVideo = new Map();
+
+    statements.filter(stmt => this.isVideoStatement(stmt)).forEach(stmt => {
+      if (!byVideo.has(stmt.object.id)) byVideo.set(stmt.object.id, []);
+      byVideo.get(stmt.object.id).push(stmt);
+    });
+
+    const videos = [...byVideo.entries()]
+      .map(([activityId, videoStatements]) => this.analyzeVideo(activityId, videoStatements))
+      .sort((a, b) => new Date(b.lastWatched) - new Date(a.lastWatched));
+
+    return { videos, summary: this.summarizeVideos(videos) };
+  }
+
+  /**
+   * Analyze one video
+   * @param {string} activityId - Video activity ID
+   * @param {Array} statements - The learner's statements about the video
+   * @returns {Object} - { activityId, name, length, sessions, watchedSeconds,
+   *   playedSeconds, coverage, rewatchRatio, progress, completed, dropOff,
+   *   averageSpeed, retention, lastWatched }; figures that need data the
+   *   statements don't carry (e.g. the video's length) are null
+   */
+  static analyzeVideo(activityId, statements) {
+    const ordered = [...statements].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const latest = ordered[ordered.length - 1];
+
+    const length = this.getMax(ordered, stmt => stmt.context?.extensions?.[EXT.LENGTH]);
+    const threshold = this.getMax(ordered, stmt => stmt.context?.extensions?.[EXT.COMPLETION_THRESHOLD]) ?? 1;
+    const reportedProgress = this.getMax(ordered, stmt => stmt.result?.extensions?.[EXT.PROGRESS]);
+
+    // Coursera reports each viewing as one `experienced` with a duration, without positions
+    const experienced = ordered.filter(stmt => Vocabulary.isVerb(stmt.verb.id, 'view'));
+    const sessions = this.groupSessions(ordered.filter(stmt => !Vocabulary.isVerb(stmt.verb.id, 'view')));
+    const segments = sessions.flatMap(session => this.getSessionSegments(session));
+    const watched = this.mergeSegments(segments);
+    const watchedSeconds = this.getSegmentsLength(watched);
+    const reportedTime = Duration.sum(experienced);
+    const playedSeconds = this.getSegmentsLength(segments) + reportedTime;
+
+    const progress = reportedProgress ?? (length && segments.length > 0 ? Math.min(watchedSeconds / length, 1) : null);
+    const completed = ordered.some(stmt => stmt.verb.id === VERBS.COMPLETED || stmt.result?.completion === true)
+      || (progress !== null && progress >= threshold);
+    const lastPosition = this.getLastPosition(ordered);
+
+    const speeds = ordered
+      .map(stmt => parseFloat(stmt.result?.extensions?.[EXT.SPEED] ?? stmt.context?.extensions?.[EXT.SPEED]))
+      .filter(speed => Number.isFinite(speed) && speed > 0);
+
+    return {
+      activityId,
+      name: latest.object.definition?.name?.['en-US'] || activityId,
+      length,
+      sessions: sessions.length + experienced.length,
+      watchedSeconds: round1(watchedSeconds),
+      playedSeconds: round1(playedSeconds),
+      coverage: length && segments.length > 0 ? Math.round(Math.min(watchedSeconds / length, 1) * 100) : null,
+      rewatchRatio: watchedSeconds > 0 ? Math.round((playedSeconds / watchedSeconds) * 100) / 100 : null,
+      progress: progress !== null ? Math.round(progress * 100) : null,
+      completed,
+      // Where the learner last stopped, for videos they haven't finished
+      dropOff: completed || lastPosition === null ? null : round1(lastPosition),
+      averageSpeed: speeds.length > 0
+        ? Math.round((speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length) * 100) / 100
+        : null,
+      retention: length && segments.length > 0 ? this.calculateRetention(segments, length) : null,
+      lastWatched: latest.timestamp
+    };
+  }
+
+  /**
+   * Totals across videos
+   * @param {Array} videos - analyzeVideo results
+   * @returns {Object} - { videoCount, completed, averageCoverage, watchedSeconds,
+   *   playedSeconds, watchedFormatted, playedFormatted, rewatchRatio, averageSpeed }
+   */
+  static summarizeVideos(videos) {
+    const withCoverage = videos.filter(video => video.coverage !== null);
+    const withSpeed = videos.filter(video => video.averageSpeed !== null);
+    const watchedSeconds = videos.reduce((sum, video) => sum + video.watchedSeconds, 0);
+    const playedSeconds = videos.reduce((sum, video) => sum + video.playedSeconds, 0);
+    // Re-watching is only known where positions were reported
+    const trackedPlayed = videos
+      .filter(video => video.watchedSeconds > 0)
+      .reduce((sum, video) => sum + video.playedSeconds, 0);
+
+    return {
+      videoCount: videos.length,
+      completed: videos.filter(video => video.completed).length,
+      averageCoverage: withCoverage.length > 0
+        ? Math.round(withCoverage.reduce((sum, video) => sum + video.coverage, 0) / withCoverage.length)
+        : null,
+      watchedSeconds: round1(watchedSeconds),
+      playedSeconds: round1(playedSeconds),
+      watchedFormatted: Duration.format(watchedSeconds),
+      playedFormatted: Duration.format(playedSeconds),
+      rewatchRatio: watchedSeconds > 0 ? Math.round((trackedPlayed / watchedSeconds) * 100) / 100 : null,
+      averageSpeed: withSpeed.length > 0
+        ? Math.round((withSpeed.reduce((sum, video) => sum + video.averageSpeed, 0) / withSpeed.length) * 100) / 100
+        : null
+    };
+  }
+
+  /**
+   * Split a video's statements into viewing sessions
+   * Statements are grouped by the profile's session-id; without one, each
+   * `initialized` starts a new session. A registration spans every viewing
+   * of an enrolment, so it only keeps viewings from different registrations
+   * apart.
+   * @param {Array} statements - Statements about one video, oldest first
+   * @returns {Array} - Arrays of statements, oldest session first
+   */
+  static groupSessions(statements) {
+    const sessions = new Map();
+    // `initialized` count so far per registration ('' for none)
+    const initialized = new Map();
+
+    statements.forEach(stmt => {
+      const context = stmt.context || {};
+      const registration = context.registration || '';
+      if (stmt.verb.id === VERBS.INITIALIZED) {
+        initialized.set(registration, (initialized.get(registration) || 0) + 1);
+      }
+      const key = context.extensions?.[EXT.SESSION_ID]
+        || `${registration}:initialized:${initialized.get(registration) || 0}`;
+
+      if (!sessions.has(key)) sessions.set(key, []);
+      sessions.get(key).push(stmt);
+    });
+
+    return [...sessions.values()];
+  }
+
+  /**
+   * The segments played in one session, re-watches included
+   * Uses the played-segments extension, which players report cumulatively
+   * for the session, from the session's last statement that has it;
+   * otherwise pairs each `played` with the pause, seek or end that follows.
+   * @param {Array} session - Statements of one session, oldest first
+   * @returns {Array} - [start, end] pairs in seconds
+   */
+  static getSessionSegments(session) {
+    const reported = [...session].reverse()
+      .find(stmt => stmt.result?.extensions?.[EXT.PLAYED_SEGMENTS] !== undefined);
+    if (reported) return this.parseSegments(reported.result.extensions[EXT.PLAYED_SEGMENTS]);
+
+    const segments = [];
+    let playingFrom = null;
+
+    session.forEach(stmt => {
+      const ext = stmt.result?.extensions || {};
+      switch (stmt.verb.id) {
+        case VERBS.PLAYED:
+          playingFrom = this.toSeconds(ext[EXT.TIME]);
+          break;
+        case VERBS.SEEKED:
+          if (playingFrom !== null) segments.push([playingFrom, this.toSeconds(ext[EXT.TIME_FROM])]);
+          // A seek while playing carries on playing from the new position
+          if (playingFrom !== null) playingFrom = this.toSeconds(ext[EXT.TIME_TO]);
+          break;
+        case VERBS.PAUSED:
+        case VERBS.COMPLETED:
+        case VERBS.TERMINATED:
+          if (playingFrom !== null) segments.push([playingFrom, this.toSeconds(ext[EXT.TIME])]);
+          playingFrom = null;
+          break;
+        default:
+          break;
+      }
+    });
+
+    return segments.filter(([start, end]) => start !== null && end !== null && end > start);
+  }
+
+  /**
+   * Parse the played-segments extension
+   * @param {string} value - e.g. "0[.]12.5[,]30[.]45"
+   * @returns {Array} - [start, end] pairs in seconds; malformed pairs are dropped
+   */
+  static parseSegments(value) {
+    if (typeof value !== 'string' || !value) return [];
+
+    return value.split('[,]')
+      .map(segment => segment.split('[.]').map(part => this.toSeconds(part)))
+      .filter(pair => pair.length === 2 && pair[0] !== null && pair[1] !== null && pair[1] > pair[0]);
+  }
+
+  /**
+   * Merge overlapping segments, so each second counts once
+   * @param {Array} segments - [start, end] pairs
+   * @returns {Array} - Disjoint [start, end] pairs, in order
+   */
+  static mergeSegments(segments) {
+    const sorted = [...segments].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+
+    sorted.forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Total length of a set of segments, overlaps counted each time
+   * @param {Array} segments - [start, end] pairs
+   * @returns {number} - Seconds
+   */
+  static getSegmentsLength(segments) {
+    return segments.reduce((sum, [start, end]) => sum + (end - start), 0);
+  }
+
+  /**
+   * How many times each part of a video was played
+   * @param {Array} segments - Played [start, end] pairs, re-watches included
+   * @param {number} length - Video length in seconds
+   * @returns {Array} - Views per tenth of the video (e.g. 1.5 = watched one and a half times)
+   */
+  static calculateRetention(segments, length) {
+    const bucketLength = length / RETENTION_BUCKETS;
+
+    return Array.from({ length: RETENTION_BUCKETS }, (_, i) => {
+      const bucketStart = i * bucketLength;
+      const bucketEnd = bucketStart + bucketLength;
+      const played = segments.reduce((sum, [start, end]) =>
+        sum + Math.max(0, Math.min(end, bucketEnd) - Math.max(start, bucketStart)), 0);
+      return round1(played / bucketLength);
+    });
+  }
+
+  /**
+   * The playhead position at the learner's last video event
+   * @param {Array} statements - Statements about one video, oldest first
+   * @returns {number|null} - Seconds into the video, or null if never reported
+   */
+  static getLastPosition(statements) {
+    for (let i = statements.length - 1; i >= 0; i--) {
+      const ext = statements[i].result?.extensions || {};
+      const position = this.toSeconds(ext[EXT.TIME] ?? ext[EXT.TIME_TO]);
+      if (position !== null) return position;
+    }
+    return null;
+  }
+
+  /**
+   * The largest numeric value a field takes across statements
+   * @param {Array} statements - xAPI statements
+   * @param {Function} read - Reads the field from a statement
+   * @returns {number|null} - Largest value, or null if none is numeric
+   */
+  static getMax(statements, read) {
+    const values = statements.map(stmt => this.toSeconds(read(stmt))).filter(value => value !== null);
+    return values.length > 0 ? Math.max(...values) : null;
+  }
+
+  /**
+   * Read a non-negative number from an extension value
+   * @param {number|string} value - Extension value
+   * @returns {number|null} - The number, or null if missing or invalid
+   */
+  static toSeconds(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+  }
+}
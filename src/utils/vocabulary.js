@@ -0,0 +1,205 @@
+import { ConfigurationError } from '../services/xapiErrors.js';
+
+/**
+ * Verb IRIs the dashboard's own statements (and Coursera's) use
+ */
+export const XAPI_VERBS = {
+  COMPLETED: 'http://adlnet.gov/expapi/verbs/completed',
+  PASSED: 'http://adlnet.gov/expapi/verbs/passed',
+  MASTERED: 'http://adlnet.gov/expapi/verbs/mastered',
+  EXPERIENCED: 'http://adlnet.gov/expapi/verbs/experienced',
+  SCORED: 'http://adlnet.gov/expapi/verbs/scored',
+  ATTEMPTED: 'http://adlnet.gov/expapi/verbs/attempted',
+  ANSWERED: 'http://adlnet.gov/expapi/verbs/answered',
+  PROGRESSED: 'http://adlnet.gov/expapi/verbs/progressed',
+  SATISFIED: 'https://w3id.org/xapi/adl/verbs/satisfied',
+  WAIVED: 'https://w3id.org/xapi/adl/verbs/waived'
+};
+
+/**
+ * Activity type IRIs Coursera uses
+ */
+export const ACTIVITY_TYPES = {
+  COURSE: 'http://coursera.org/xapi/activity-types/course',
+  MODULE: 'http://coursera.org/xapi/activity-types/module',
+  LESSON: 'http://coursera.org/xapi/activity-types/lesson',
+  VIDEO: 'http://coursera.org/xapi/activity-types/video',
+  QUIZ: 'http://coursera.org/xapi/activity-types/quiz',
+  ASSIGNMENT: 'http://coursera.org/xapi/activity-types/assignment',
+  PEER_REVIEW: 'http://coursera.org/xapi/activity-types/peer-review'
+};
+
+/**
+ * Activity type of ADL Video Profile videos (see VideoAnalyzer)
+ */
+export const VIDEO_PROFILE_TYPE = 'https://w3id.org/xapi/video/activity-type/video';
+
+/**
+ * The dashboard's semantic categories and the IRIs that map onto them
+ * Verb categories:
+ *   completion    finished an activity (counts towards progress)
+ *   success       passed or mastered an activity
+ *   satisfaction  an LMS considers the activity done (cmi5 satisfied, waived)
+ *   score         a graded result
+ *   response      answered a question or quiz
+ *   view          watched or read content
+ * Activity type categories are the kinds of activity the dashboard shows;
+ * `assessment` is for graded activities that are neither quizzes nor
+ * assignments, and is scored like a quiz.
+ */
+export const DEFAULT_VOCABULARY = {
+  verbs: {
+    completion: [XAPI_VERBS.COMPLETED],
+    success: [XAPI_VERBS.PASSED, XAPI_VERBS.MASTERED],
+    satisfaction: [XAPI_VERBS.SATISFIED, XAPI_VERBS.WAIVED],
+    score: [XAPI_VERBS.SCORED],
+    response: [XAPI_VERBS.ANSWERED],
+    view: [XAPI_VERBS.EXPERIENCED]
+  },
+  activityTypes: {
+    course: [ACTIVITY_TYPES.COURSE],
+    module: [ACTIVITY_TYPES.MODULE],
+    lesson: [ACTIVITY_TYPES.LESSON],
+    video: [ACTIVITY_TYPES.VIDEO, VIDEO_PROFILE_TYPE],
+    quiz: [ACTIVITY_TYPES.QUIZ],
+    assignment: [ACTIVITY_TYPES.ASSIGNMENT],
+    'peer-review': [ACTIVITY_TYPES.PEER_REVIEW],
+    assessment: []
+  }
+};
+
+const SECTIONS = ['verbs', 'activityTypes'];
+
+// IRI -> category lookups for the vocabulary in use
+const compile = definition => Object.fromEntries(SECTIONS.map(section => [
+  section,
+  new Map(Object.entries(definition[section]).flatMap(([category, iris]) => iris.map(iri => [iri, category])))
+]));
+
+let activeDefinition = DEFAULT_VOCABULARY;
+let lookups = compile(DEFAULT_VOCABULARY);
+
+/**
+ * Vocabulary Registry
+ * Maps verb and activity type IRIs onto the dashboard's semantic categories,
+ * so statements from sources with their own IRIs for the same concepts are
+ * counted the same way. Every module that asks what a statement means (is
+ * it a completion, is its object a video) asks here. The registry starts
+ * with DEFAULT_VOCABULARY and is extended with `load`, e.g. from the JSON
+ * file at `VITE_VOCABULARY_URL`:
+ *   { "verbs": { "completion": ["https://example.com/verbs/finished"] },
+ *     "activityTypes": { "video": ["https://schema.org/VideoObject"] } }
+ */
+export class Vocabulary {
+
+  /**
+   * Extend the default vocabulary
+   * An IRI listed under a category moves to it from any default category.
+   * @param {Object} definition - { verbs, activityTypes }, each mapping
+   *   categories to arrays of IRIs; either may be omitted
+   * @returns {Object} - The vocabulary now in use
+   * @throws {ConfigurationError} - If the definition isn't in that shape or
+   *   names a category the dashboard doesn't know
+   */
+  static load(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new ConfigurationError('Vocabulary must be an object with "verbs" and/or "activityTypes".');
+    }
+
+    const merged = {};
+    SECTIONS.forEach(section => {
+      const additions = definition[section] || {};
+      const listed = new Set();
+
+      Object.entries(additions).forEach(([category, iris]) => {
+        if (!(category in DEFAULT_VOCABULARY[section])) {
+          throw new ConfigurationError(
+            `Unknown ${section} category "${category}" in vocabulary; expected one of: ` +
+            `${Object.keys(DEFAULT_VOCABULARY[section]).join(', ')}.`
+          );
+        }
+        if (!Array.isArray(iris) || iris.some(iri => typeof iri !== 'string' || !iri.trim())) {
+          throw new ConfigurationError(`Vocabulary ${section}.${category} must be an array of IRIs.`);
+        }
+        iris.forEach(iri => listed.add(iri.trim()));
+      });
+
+      merged[section] = Object.fromEntries(Object.entries(DEFAULT_VOCABULARY[section]).map(([category, iris]) => [
+        category,
+        [
+          ...iris.filter(iri => !listed.has(iri)),
+          ...new Set((additions[category] || []).map(iri => iri.trim()))
+        ]
+      ]));
+    });
+
+    activeDefinition = merged;
+    lookups = compile(merged);
+    return merged;
+  }
+
+  /**
+   * Go back to the default vocabulary
+   */
+  static reset() {
+    activeDefinition = DEFAULT_VOCABULARY;
+    lookups = compile(DEFAULT_VOCABULARY);
+  }
+
+  /**
+   * The vocabulary in use
+   * @returns {Object} - { verbs, activityTypes }
+   */
+  static getDefinition() {
+    return activeDefinition;
+  }
+
+  /**
+   * The category of a verb
+   * @param {string} verbId - Verb IRI
+   * @returns {string|null} - Category, or null if the verb isn't mapped
+   */
+  static getVerbCategory(verbId) {
+    return lookups.verbs.get(verbId) || null;
+  }
+
+  /**
+   * The category of an activity type
+   * @param {string} typeId - Activity type IRI
+   * @returns {string|null} - Category, or null if the type isn't mapped
+   */
+  static getTypeCategory(typeId) {
+    return lookups.activityTypes.get(typeId) || null;
+  }
+
+  /**
+   * Whether a verb is in any of the given categories
+   * @param {string} verbId - Verb IRI
+   * @param {...string} categories - Verb categories
+   * @returns {boolean} - True if it is
+   */
+  static isVerb(verbId, ...categories) {
+    return categories.includes(this.getVerbCategory(verbId));
+  }
+
+  /**
+   * Whether an activity type is in any of the given categories
+   * @param {string} typeId - Activity type IRI
+   * @param {...string} categories - Activity type categories
+   * @returns {boolean} - True if it is
+   */
+  static isType(typeId, ...categories) {
+    return categories.includes(this.getTypeCategory(typeId));
+  }
+
+  /**
+   * Short kind of an activity for labels, icons and grouping
+   * @param {string} typeId - Activity type IRI
+   * @param {string} fallback - Kind for activities without a type (default: 'activity')
+   * @returns {string} - Its category, or the last segment of an unmapped IRI
+   */
+  static getKind(typeId, fallback = 'activity') {
+    if (!typeId) return fallback;
+    return this.getTypeCategory(typeId) || typeId.split('/').pop() || fallback;
+  }
+}
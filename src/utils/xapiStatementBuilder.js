@@ -1,3 +1,6 @@
+import { AgentIdentity } from './agentIdentity.js';
+import { XAPI_VERBS, ACTIVITY_TYPES } from './vocabulary.js';
+
 /**
  * xAPI Statement Builder Utility
  * Helps create properly formatted xAPI statements
@@ -10,14 +13,19 @@ export class XAPIStatementBuilder {
   /**
    * Set the actor (who performed the action)
    * @param {string} name - Actor's name
-   * @param {string} email - Actor's email
+   * @param {string|Object} identity - Actor's email, another identifier
+   *   (see AgentIdentity) or an agent with any inverse functional identifier
    * @returns {XAPIStatementBuilder} - Builder instance for chaining
    */
-  setActor(name, email) {
+  setActor(name, identity) {
+    const agent = typeof identity === 'string' ? AgentIdentity.parse(identity) : AgentIdentity.fromAgent(identity);
+    if (!agent) {
+      throw new Error(`Unrecognized actor identifier: ${JSON.stringify(identity)}`);
+    }
+
     this.statement.actor = {
       name: name,
-      mbox: mailto:,
-      objectType: 'Agent'
+      ...agent
     };
     return this;
   }
@@ -72,11 +80,13 @@ export class XAPIStatementBuilder {
     this.statement.result = {};
     
     if (options.score !== undefined) {
+      const max = options.maxScore || 100;
+      const min = options.minScore || 0;
       this.statement.result.score = {
-        scaled: options.score / 100, // Convert percentage to 0-1 scale
+        scaled: (options.score - min) / (max - min), // Convert raw score to 0-1 scale
         raw: options.score,
-        max: options.maxScore || 100,
-        min: options.minScore || 0
+        max,
+        min
       };
     }
     
@@ -91,6 +101,10 @@ export class XAPIStatementBuilder {
     if (options.duration) {
       this.statement.result.duration = options.duration; // ISO 8601 format
     }
+
+    if (options.extensions) {
+      this.statement.result.extensions = options.extensions;
+    }
     
     return this;
   }
@@ -110,7 +124,7 @@ export class XAPIStatementBuilder {
     if (options.instructor) {
       this.statement.context.instructor = {
         name: options.instructor.name,
-        mbox: mailto:,
+        mbox: `mailto:${options.instructor.email}`,
         objectType: 'Agent'
       };
     }
@@ -118,10 +132,24 @@ export class XAPIStatementBuilder {
     if (options.contextActivities) {
       this.statement.context.contextActivities = options.contextActivities;
     }
+
+    if (options.extensions) {
+      this.statement.context.extensions = options.extensions;
+    }
     
     return this;
   }
 
+  /**
+   * Set the statement id (otherwise assigned by the LRS)
+   * @param {string} id - Statement UUID
+   * @returns {XAPIStatementBuilder} - Builder instance for chaining
+   */
+  setId(id) {
+    this.statement.id = id;
+    return this;
+  }
+
   /**
    * Set timestamp
    * @param {Date|string} timestamp - Statement timestamp
@@ -162,12 +190,12 @@ export const CourseraStatements = {
   moduleCompleted: (actor, moduleId, moduleName) => {
     return new XAPIStatementBuilder()
       .setActor(actor.name, actor.email)
-      .setVerb('http://adlnet.gov/expapi/verbs/completed', 'completed')
+      .setVerb(XAPI_VERBS.COMPLETED, 'completed')
       .setObject(
         moduleId,
         moduleName,
-        Completed module: ,
-        'http://coursera.org/xapi/activity-types/module'
+        `Completed module: ${moduleName}`,
+        ACTIVITY_TYPES.MODULE
       )
       .setResult({ completion: true, success: true })
       .build();
@@ -176,12 +204,12 @@ export const CourseraStatements = {
   quizScored: (actor, quizId, quizName, score, maxScore) => {
     return new XAPIStatementBuilder()
       .setActor(actor.name, actor.email)
-      .setVerb('http://adlnet.gov/expapi/verbs/scored', 'scored')
+      .setVerb(XAPI_VERBS.SCORED, 'scored')
       .setObject(
         quizId,
         quizName,
-        Quiz: ,
-        'http://coursera.org/xapi/activity-types/quiz'
+        `Quiz: ${quizName}`,
+        ACTIVITY_TYPES.QUIZ
       )
       .setResult({ 
         score: score, 
@@ -195,12 +223,12 @@ export const CourseraStatements = {
   videoWatched: (actor, videoId, videoName, duration) => {
     return new XAPIStatementBuilder()
       .setActor(actor.name, actor.email)
-      .setVerb('http://adlnet.gov/expapi/verbs/experienced', 'experienced')
+      .setVerb(XAPI_VERBS.EXPERIENCED, 'experienced')
       .setObject(
         videoId,
         videoName,
-        Video: ,
-        'http://coursera.org/xapi/activity-types/video'
+        `Video: ${videoName}`,
+        ACTIVITY_TYPES.VIDEO
       )
       .setResult({ 
         completion: true,
@@ -22,7 +22,8 @@ export const testXAPIImplementation = async () => {
     const service = new CourseraXAPIService(
       config.endpoint,
       config.username,
-      config.password
+      config.password,
+      xapiConfig.getServiceOptions()
     );
     console.log('✅ xAPI service initialized');
 
@@ -10,5 +10,11 @@ export default defineConfig({
   build: {
     outDir: 'dist',
     sourcemap: true
+  },
+  test: {
+    environment: 'node',
+    include: ['src/**/*.test.{js,jsx}', 'mock-lrs/**/*.test.mjs', 'lrs-proxy/**/*.test.mjs'],
+    // Pin TZ so the browser-default time zone, and local date formatting, are the same on every machine
+    env: { TZ: 'UTC' }
   }
 })
\ No newline at end of file